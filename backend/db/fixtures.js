@@ -0,0 +1,93 @@
+/**
+ * Demo records that used to be hard-coded into the routers. They are only
+ * loaded into an empty store when SEED_FIXTURES=true.
+ */
+export const documents = [
+  {
+    id: 'DOC001',
+    title: 'Safety Protocol Review - Q4 2024',
+    filename: 'safety_protocol_q4_2024.pdf',
+    originalName: 'Safety Protocol Review - Q4 2024.pdf',
+    source: 'Email - operations@kochimetro.org',
+    uploadDate: '2024-01-15T10:00:00.000Z',
+    type: 'Safety Documentation',
+    language: 'English',
+    priority: 'high',
+    department: 'Operations',
+    author: 'Rajesh Kumar',
+    fileSize: 2457600, // 2.4 MB in bytes
+    pages: 8,
+    version: 1,
+    status: 'processed',
+    summary: {
+      executiveSummary: 'Quarterly safety protocol review highlighting key improvements in passenger safety measures and emergency response procedures.',
+      keyPoints: [
+        'Implementation of new emergency evacuation protocols across all stations',
+        'Updated safety training requirements for all operational staff',
+        'Installation of additional safety equipment in tunnel sections',
+        'Compliance with latest Metro Railway Safety Standards (MRSS) 2024'
+      ],
+      actionItems: [
+        {
+          task: 'Complete staff training on new protocols',
+          priority: 'high',
+          deadline: '2024-01-28',
+          department: 'HR Department'
+        },
+        {
+          task: 'Install additional safety equipment',
+          priority: 'medium',
+          deadline: '2024-02-15',
+          department: 'Maintenance Team'
+        }
+      ],
+      complianceItems: [
+        'MRSS 2024 - Fully Compliant',
+        'Fire Safety Regulations - Review Required',
+        'Emergency Response Standards - Updated'
+      ],
+      confidence: 94,
+      documentType: 'Safety Report'
+    },
+    tags: ['safety', 'protocol', 'quarterly-review', 'operations'],
+    createdAt: '2024-01-15T10:00:00.000Z',
+    updatedAt: '2024-01-15T10:00:00.000Z'
+  }
+];
+
+export const tasks = [
+  {
+    id: '1',
+    title: 'Complete staff training on new protocols',
+    description: 'Conduct comprehensive training for all operational staff on new safety protocols',
+    priority: 'high',
+    status: 'pending',
+    assignee: 'HR Department',
+    department: 'Human Resources',
+    deadline: '2024-01-28T00:00:00.000Z',
+    estimatedHours: 40,
+    createdAt: '2024-01-15T10:00:00.000Z',
+    updatedAt: '2024-01-15T10:00:00.000Z',
+    createdBy: 'AI System',
+    documentId: 'DOC001',
+    category: 'Training',
+    tags: ['safety', 'training', 'protocols']
+  },
+  {
+    id: '2',
+    title: 'Install additional safety equipment',
+    description: 'Install new safety equipment in tunnel sections as per safety review recommendations',
+    priority: 'medium',
+    status: 'in-progress',
+    assignee: 'Maintenance Team',
+    department: 'Maintenance',
+    deadline: '2024-02-15T00:00:00.000Z',
+    estimatedHours: 80,
+    createdAt: '2024-01-15T11:00:00.000Z',
+    updatedAt: '2024-01-20T14:30:00.000Z',
+    createdBy: 'AI System',
+    documentId: 'DOC001',
+    category: 'Maintenance',
+    tags: ['safety', 'equipment', 'tunnel']
+  }
+];
@@ -0,0 +1,129 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonFileStore } from './store.js';
+import * as fixtures from './fixtures.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let store = null;
+
+/**
+ * Path of the data file. Resolved on use so DATA_FILE from .env is honoured
+ * (server.js loads dotenv after imports).
+ */
+export function dataFilePath() {
+  return process.env.DATA_FILE || path.join(__dirname, '..', 'data', 'documind.json');
+}
+
+/**
+ * Lazily open the shared store.
+ */
+export function getStore() {
+  if (!store) {
+    store = new JsonFileStore(dataFilePath()).open();
+    loadFixtures(store);
+  }
+  return store;
+}
+
+/**
+ * Seed demo records once, and only when explicitly requested.
+ */
+function loadFixtures(target) {
+  if (process.env.SEED_FIXTURES !== 'true' || target.meta.fixturesLoaded) return;
+
+  for (const name of ['documents', 'tasks']) {
+    const collection = target.collection(name);
+    if (collection.length === 0) {
+      collection.push(...structuredClone(fixtures[name]));
+    }
+  }
+  target.meta.fixturesLoaded = true;
+  target.flush();
+  console.log('Loaded demo fixtures into storage');
+}
+
+/**
+ * Record-level access to one collection. Routers talk to repositories only, so
+ * the backing store can be swapped (e.g. for SQLite) without touching them.
+ */
+export class Repository {
+  constructor(collectionName) {
+    this.collectionName = collectionName;
+  }
+
+  get records() {
+    return getStore().collection(this.collectionName);
+  }
+
+  /** Shallow copy of all records, safe to filter/sort. */
+  list() {
+    return [...this.records];
+  }
+
+  findById(id) {
+    return this.records.find(r => r.id === id) || null;
+  }
+
+  insert(record) {
+    this.records.push(record);
+    getStore().flush(this.collectionName);
+    return record;
+  }
+
+  /** Merge `changes` into the record with `id`; returns the updated record or null. */
+  update(id, changes) {
+    const index = this.records.findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    this.records[index] = { ...this.records[index], ...changes, id };
+    getStore().flush(this.collectionName);
+    return this.records[index];
+  }
+
+  /** Remove the record with `id`; returns the removed record or null. */
+  remove(id) {
+    const index = this.records.findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    const [removed] = this.records.splice(index, 1);
+    getStore().flush(this.collectionName);
+    return removed;
+  }
+
+  /** Remove every record matching `predicate` with a single write; returns the removed records. */
+  removeWhere(predicate) {
+    const records = this.records;
+    const removed = [];
+    let kept = 0;
+    for (const record of records) {
+      if (predicate(record)) {
+        removed.push(record);
+      } else {
+        records[kept++] = record;
+      }
+    }
+    if (removed.length === 0) return [];
+
+    records.length = kept;
+    getStore().flush(this.collectionName);
+    return removed;
+  }
+}
+
+export const documentsRepository = new Repository('documents');
+export const tasksRepository = new Repository('tasks');
+export const mailboxesRepository = new Repository('mailboxes');
+export const jobsRepository = new Repository('jobs');
+export const usersRepository = new Repository('users');
+export const documentTextsRepository = new Repository('documentTexts');
+export const documentVersionsRepository = new Repository('documentVersions');
+export const taskActivityRepository = new Repository('taskActivity');
+export const routingRulesRepository = new Repository('routingRules');
+export const complianceObligationsRepository = new Repository('complianceObligations');
+export const complianceStatementsRepository = new Repository('complianceStatements');
+export const searchStatsRepository = new Repository('searchStats');
+export const auditLogRepository = new Repository('auditLog');
+export const recycleBinRepository = new Repository('recycleBin');
+export const retentionPoliciesRepository = new Repository('retentionPolicies');
@@ -0,0 +1,180 @@
+/**
+ * Ordered schema migrations for the JSON store. Each migration receives the raw
+ * dataset ({ meta, collections }) and mutates it in place. Never edit a
+ * migration that has shipped; append a new one instead.
+ */
+export const migrations = [
+  {
+    version: 1,
+    name: 'create-documents-and-tasks',
+    up(data) {
+      data.collections.documents = data.collections.documents || [];
+      data.collections.tasks = data.collections.tasks || [];
+    }
+  },
+  {
+    version: 2,
+    name: 'sanitize-ai-error-summaries',
+    up(data) {
+      // Older records may contain raw AI error text in the executive summary;
+      // replace it so internal errors are never shown in the UI.
+      const errorIndicator = 'GoogleGenerativeAI Error';
+      const genericMessage = 'Document processed. AI summary temporarily unavailable. Check server logs for details.';
+      for (const doc of data.collections.documents) {
+        const exec = doc?.summary?.executiveSummary;
+        if (typeof exec === 'string' &&
+            (exec.includes(errorIndicator) || exec.includes('AI summary temporarily unavailable:'))) {
+          doc.summary.executiveSummary = genericMessage;
+        }
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'create-mailboxes',
+    up(data) {
+      data.collections.mailboxes = data.collections.mailboxes || [];
+    }
+  },
+  {
+    version: 4,
+    name: 'create-jobs',
+    up(data) {
+      data.collections.jobs = data.collections.jobs || [];
+      // "processing" was only ever set by the old simulated pipeline
+      for (const doc of data.collections.documents) {
+        if (doc.status === 'processing') {
+          doc.status = doc.summary ? 'processed' : 'uploaded';
+        }
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'create-users',
+    up(data) {
+      data.collections.users = data.collections.users || [];
+    }
+  },
+  {
+    version: 6,
+    name: 'create-document-texts',
+    up(data) {
+      // Extracted text lives apart from documents so list responses stay small
+      data.collections.documentTexts = data.collections.documentTexts || [];
+    }
+  },
+  {
+    version: 7,
+    name: 'create-document-versions',
+    up(data) {
+      // Superseded file revisions; the document record always holds the latest
+      data.collections.documentVersions = data.collections.documentVersions || [];
+      for (const doc of data.collections.documents || []) {
+        doc.version = doc.version || 1;
+      }
+    }
+  },
+  {
+    version: 8,
+    name: 'create-task-activity',
+    up(data) {
+      // Per-task log of field and status changes; existing tasks start with their creation
+      data.collections.taskActivity = data.collections.taskActivity || [];
+      for (const task of data.collections.tasks || []) {
+        data.collections.taskActivity.push({
+          id: `${task.id}-created`,
+          taskId: task.id,
+          action: 'created',
+          changes: [],
+          comment: null,
+          by: task.createdBy || 'system',
+          at: task.createdAt || new Date().toISOString()
+        });
+      }
+    }
+  },
+  {
+    version: 9,
+    name: 'create-routing-rules',
+    up(data) {
+      data.collections.routingRules = data.collections.routingRules || [];
+    }
+  },
+  {
+    version: 10,
+    name: 'create-compliance-register',
+    up(data) {
+      data.collections.complianceObligations = data.collections.complianceObligations || [];
+      data.collections.complianceStatements = data.collections.complianceStatements || [];
+    }
+  },
+  {
+    version: 11,
+    name: 'create-search-log',
+    up(data) {
+      data.collections.searchLog = data.collections.searchLog || [];
+    }
+  },
+  {
+    version: 12,
+    name: 'create-audit-log',
+    up(data) {
+      data.collections.auditLog = data.collections.auditLog || [];
+    }
+  },
+  {
+    version: 13,
+    name: 'create-recycle-bin-and-retention-policies',
+    up(data) {
+      data.collections.recycleBin = data.collections.recycleBin || [];
+      data.collections.retentionPolicies = data.collections.retentionPolicies || [];
+    }
+  },
+  {
+    version: 14,
+    name: 'aggregate-search-log-into-daily-counts',
+    up(data) {
+      // One record per search grew without bound; keep per-day counts instead
+      const days = new Map();
+      for (const search of data.collections.searchLog || []) {
+        const day = String(search.at || '').slice(0, 10);
+        if (!day) continue;
+        const stats = days.get(day) || { id: day, day, searches: 0, withoutResults: 0 };
+        stats.searches++;
+        if (search.resultCount === 0) stats.withoutResults++;
+        days.set(day, stats);
+      }
+      data.collections.searchStats = [...(data.collections.searchStats || []), ...days.values()];
+      delete data.collections.searchLog;
+    }
+  },
+  {
+    version: 15,
+    name: 'remove-stored-mailbox-passwords',
+    up(data) {
+      // Stored mailboxes must reference their password via passwordEnv
+      for (const mailbox of data.collections.mailboxes || []) {
+        delete mailbox.password;
+      }
+    }
+  }
+];
+
+/**
+ * Apply every migration newer than data.meta.schemaVersion.
+ * Returns the list of applied migration names.
+ */
+export function runMigrations(data) {
+  const applied = [];
+  const current = data.meta.schemaVersion || 0;
+
+  for (const migration of migrations) {
+    if (migration.version <= current) continue;
+    migration.up(data);
+    data.meta.schemaVersion = migration.version;
+    applied.push(`${migration.version}-${migration.name}`);
+  }
+
+  return applied;
+}
@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import { runMigrations } from './migrations.js';
+
+// Collections that grow large (extracted text, old versions, the audit log)
+// live in files of their own next to the main file, so that writing a task or
+// a job does not rewrite them
+const SEPARATE_COLLECTIONS = ['documentTexts', 'documentVersions', 'auditLog'];
+
+// Mutations within this window are written together
+const DEFAULT_FLUSH_DELAY_MS = 100;
+
+/**
+ * Path of the file holding a separate collection, e.g. documind.auditLog.json
+ * next to documind.json.
+ */
+export function collectionFilePath(filePath, name) {
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}.${name}${extension || '.json'}`;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    // Refuse to start on a corrupt file rather than silently discarding data
+    throw new Error(`Data file ${filePath} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * The dataset as it is on disk, without migrating or writing anything (for
+ * tools that inspect the data of a running server). Returns null when there
+ * is no data file.
+ */
+export function readDataFile(filePath) {
+  const data = readJson(filePath);
+  if (!data) return null;
+  data.meta = data.meta || { schemaVersion: 0 };
+  data.collections = data.collections || {};
+  for (const name of SEPARATE_COLLECTIONS) {
+    const records = readJson(collectionFilePath(filePath, name));
+    // Files written before the split keep these collections in the main file
+    if (records) data.collections[name] = records;
+  }
+  return data;
+}
+
+function writeAtomically(filePath, value) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Embedded on-disk store. The dataset is loaded once and kept in memory;
+ * changes are written shortly after they happen, atomically (temp file +
+ * rename) so a crash mid-write never leaves a truncated file. Only the files
+ * whose collections changed are rewritten.
+ */
+export class JsonFileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+    this.dirty = new Set();
+    this.flushTimer = null;
+  }
+
+  get flushDelayMs() {
+    const delay = parseInt(process.env.STORE_FLUSH_DELAY_MS, 10);
+    return Number.isNaN(delay) || delay < 0 ? DEFAULT_FLUSH_DELAY_MS : delay;
+  }
+
+  /**
+   * Load the files (creating them if missing) and bring them up to the latest schema.
+   */
+  open() {
+    if (this.data) return this;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const data = readDataFile(this.filePath) || { meta: { schemaVersion: 0 }, collections: {} };
+    const applied = runMigrations(data);
+    if (applied.length > 0) {
+      console.log('Applied storage migrations:', applied);
+    }
+
+    this.data = data;
+    // Pending changes must not be lost when the process exits between writes
+    process.on('exit', () => this.flushNow());
+    this.markDirty();
+    this.flushNow();
+    return this;
+  }
+
+  get meta() {
+    this.open();
+    return this.data.meta;
+  }
+
+  /**
+   * Return the live array backing a collection, creating it on first use.
+   */
+  collection(name) {
+    this.open();
+    if (!Array.isArray(this.data.collections[name])) {
+      this.data.collections[name] = [];
+    }
+    return this.data.collections[name];
+  }
+
+  markDirty(collectionName = null) {
+    this.dirty.add('main');
+    if (collectionName === null) {
+      SEPARATE_COLLECTIONS.forEach(name => this.dirty.add(name));
+    } else if (SEPARATE_COLLECTIONS.includes(collectionName)) {
+      this.dirty.add(collectionName);
+    }
+  }
+
+  /**
+   * Schedule a write of the in-memory dataset. Pass the collection that
+   * changed so only its file (and the main file with the meta) is rewritten;
+   * without one everything is written.
+   */
+  flush(collectionName = null) {
+    this.markDirty(collectionName);
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      try {
+        this.flushNow();
+      } catch (err) {
+        console.error(`Failed to write ${this.filePath}:`, err);
+      }
+    }, this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write pending changes right away.
+   */
+  flushNow() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.data || this.dirty.size === 0) return;
+
+    const dirty = [...this.dirty];
+    this.dirty.clear();
+    try {
+      // Separate collections first, so the main file never records a newer
+      // state (e.g. the audit chain head) than the files it describes
+      for (const name of SEPARATE_COLLECTIONS.filter(collection => dirty.includes(collection))) {
+        writeAtomically(collectionFilePath(this.filePath, name), this.data.collections[name] || []);
+      }
+      if (dirty.includes('main')) {
+        const collections = Object.fromEntries(Object.entries(this.data.collections)
+          .filter(([name]) => !SEPARATE_COLLECTIONS.includes(name)));
+        writeAtomically(this.filePath, { meta: this.data.meta, collections });
+      }
+    } catch (err) {
+      // Retried with the next write
+      dirty.forEach(name => this.dirty.add(name));
+      throw err;
+    }
+  }
+}
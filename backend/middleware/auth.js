@@ -0,0 +1,54 @@
+import { verifyToken, can } from '../services/auth.js';
+
+// EventSource and <img>/<iframe>/download links cannot send headers, so only
+// these GETs may pass the token as ?access_token= (kept out of logs by redactAccessToken)
+const QUERY_TOKEN_PATHS = [
+  /^\/api\/events\/?$/,
+  /^\/api\/documents\/[^/]+\/file\/?$/,
+  /^\/api\/documents\/[^/]+\/preview\/pages\/\d+\/?$/
+];
+
+function readToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  const pathname = (req.originalUrl || req.url).split('?')[0];
+  if (req.method === 'GET' && req.query.access_token && QUERY_TOKEN_PATHS.some(pattern => pattern.test(pathname))) {
+    return String(req.query.access_token);
+  }
+  return null;
+}
+
+/**
+ * The URL with any access_token query value masked, for request logs.
+ */
+export function redactAccessToken(url) {
+  return url.replace(/([?&]access_token=)[^&#]*/gi, '$1[REDACTED]');
+}
+
+/**
+ * Reject requests without a valid session token; sets req.user otherwise.
+ */
+export function requireAuth(req, res, next) {
+  const user = verifyToken(readToken(req));
+  if (!user) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+  req.user = user;
+  next();
+}
+
+/**
+ * Allow the request only if the authenticated user's role grants `permission`.
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({
+        error: `Your role (${req.user?.role || 'anonymous'}) is not allowed to perform this action`
+      });
+    }
+    next();
+  };
+}
@@ -4,55 +4,44 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
-import pdfParse from 'pdf-parse/lib/pdf-parse.js';
-import mammoth from 'mammoth';
-import xlsx from 'xlsx';
-import { extractTextFromFile } from '../services/aiSummary.js';
+import { detectFileMimeType, extractDocumentText, uploadFileFilter } from '../services/extractors/index.js';
+import { getAIProvider, getProviderName, availableProviders } from '../services/aiProviders/index.js';
+import { requirePermission } from '../middleware/auth.js';
+import { answerQuestion, DEFAULT_PASSAGES, MAX_PASSAGES } from '../services/documentQA.js';
+import { recordAudit } from '../services/auditLog.js';
+import { uploadStorage } from '../services/uploads.js';
 
 const router = express.Router();
 
-// Use model from env or fallback list (delegated to aiSummary service)
-const modelName = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-console.log('AI route using model:', modelName);
-
 // Configure multer for file uploads
 const upload = multer({
-  dest: 'uploads/',
+  storage: uploadStorage,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
   },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Unsupported file type'), false);
-    }
-  }
+  fileFilter: uploadFileFilter
 });
 
-// Use the centralized AI summary service which handles API-key vs ADC modes
-// (`svcGenerateSummary`) instead of duplicating client logic here.
+// Use the centralized AI summary service (`svcGenerateSummary`), which talks to
+// the configured AI provider, instead of duplicating client logic here.
 
 // POST /api/ai/summarize - Summarize document content
-router.post('/summarize', upload.single('document'), async (req, res) => {
+router.post('/summarize', requirePermission('ai:use'), upload.single('document'), async (req, res) => {
   try {
     let text = '';
+    let pageOffsets = null;
     
     if (req.file) {
-      // Extract text from uploaded file
-      text = await extractTextFromFile(req.file.path, req.file.mimetype);
-      
-      // Clean up uploaded file
-      await fs.unlink(req.file.path);
+      // Extract text from uploaded file; page offsets let action items cite pages.
+      // Nothing is kept, so archive entries and email attachments are read inline
+      try {
+        const originalName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+        const mimetype = await detectFileMimeType(req.file.path, req.file.mimetype, originalName);
+        ({ text, pageOffsets } = await extractDocumentText(req.file.path, mimetype, { inlineAttachments: true }));
+      } finally {
+        // Clean up uploaded file
+        await fs.unlink(req.file.path).catch(() => {});
+      }
     } else if (req.body.text) {
       // Use provided text
       text = req.body.text;
@@ -68,8 +57,18 @@ router.post('/summarize', upload.single('document'), async (req, res) => {
       });
     }
     
+    // Multipart uploads send the options as a JSON string
+    let options = req.body.options || {};
+    if (typeof options === 'string') {
+      try {
+        options = JSON.parse(options);
+      } catch {
+        return res.status(400).json({ error: 'options must be a JSON object' });
+      }
+    }
+
     // Generate AI summary
-    const summary = await svcGenerateSummary(text, req.body.options);
+    const summary = await svcGenerateSummary(text, { ...options, pageOffsets });
     
     // Add metadata
     const result = {
@@ -78,10 +77,22 @@ router.post('/summarize', upload.single('document'), async (req, res) => {
       metadata: {
         originalLength: text.length,
         generatedAt: new Date().toISOString(),
-        model: modelName,
+        model: summary._meta?.model || null,
+        provider: summary._meta?.provider || getProviderName(),
         processingTime: Date.now() - req.startTime
       }
     };
+    recordAudit(req, {
+      action: 'ai.summarized',
+      targetType: 'summary',
+      targetId: result.id,
+      details: {
+        // Multer decodes names as latin1; browsers send UTF-8
+        file: req.file ? Buffer.from(req.file.originalname, 'latin1').toString('utf8') : null,
+        textLength: text.length,
+        provider: result.metadata.provider
+      }
+    });
     
     res.json(result);
   } catch (error) {
@@ -93,7 +104,7 @@ router.post('/summarize', upload.single('document'), async (req, res) => {
 });
 
 // POST /api/ai/analyze-text - Analyze raw text
-router.post('/analyze-text', async (req, res) => {
+router.post('/analyze-text', requirePermission('ai:use'), async (req, res) => {
   try {
     const { text, options = {} } = req.body;
     
@@ -111,10 +122,17 @@ router.post('/analyze-text', async (req, res) => {
       metadata: {
         originalLength: text.length,
         generatedAt: new Date().toISOString(),
-        model: modelName,
+        model: summary._meta?.model || null,
+        provider: summary._meta?.provider || getProviderName(),
         processingTime: Date.now() - req.startTime
       }
     };
+    recordAudit(req, {
+      action: 'ai.text-analyzed',
+      targetType: 'summary',
+      targetId: result.id,
+      details: { textLength: text.length, provider: result.metadata.provider }
+    });
     
     res.json(result);
   } catch (error) {
@@ -125,22 +143,83 @@ router.post('/analyze-text', async (req, res) => {
   }
 });
 
-// GET /api/ai/health - Check AI service health
+// POST /api/ai/ask - Answer a question from the document library, with citations
+router.post('/ask', requirePermission('ai:use'), async (req, res) => {
+  const startedAt = Date.now();
+  try {
+    const { question, documentIds, limit } = req.body;
+
+    if (typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({
+        error: 'Question is required'
+      });
+    }
+    if (question.length > 2000) {
+      return res.status(400).json({
+        error: 'Question must be at most 2000 characters'
+      });
+    }
+    if (documentIds !== undefined &&
+        (!Array.isArray(documentIds) || !documentIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({
+        error: 'documentIds must be an array of document IDs'
+      });
+    }
+
+    const result = await answerQuestion(question.trim(), {
+      user: req.user,
+      documentIds: documentIds?.length ? documentIds : null,
+      limit: Math.min(parseInt(limit) || DEFAULT_PASSAGES, MAX_PASSAGES)
+    });
+
+    const id = uuidv4();
+    // The question itself may be sensitive; its length and scope are enough to trace usage
+    recordAudit(req, {
+      action: 'ai.question-asked',
+      targetType: 'answer',
+      targetId: id,
+      details: {
+        questionLength: question.trim().length,
+        documentIds: documentIds?.length ? documentIds : null,
+        citedDocumentIds: [...new Set(result.citations.map(citation => citation.documentId))]
+      }
+    });
+
+    res.json({
+      id,
+      question: question.trim(),
+      ...result,
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        processingTime: Date.now() - startedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error in ask endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to answer question'
+    });
+  }
+});
+
+// GET /api/ai/health - Check AI provider health
 router.get('/health', async (req, res) => {
+  const providerName = getProviderName();
   try {
-    // Use the shared generateSummary to validate AI connectivity.
-    await svcGenerateSummary('Say "OK" if you can receive this message.');
+    const result = await getAIProvider().health();
     res.json({
       status: 'healthy',
-      geminiConnected: true,
+      provider: providerName,
+      geminiConnected: providerName === 'gemini',
       message: 'AI services are operational',
-      model: modelName,
+      model: result.model,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('AI health check failed:', error && (error.stack || error.message || error));
     res.status(503).json({
       status: 'unhealthy',
+      provider: providerName,
       geminiConnected: false,
       error: error.message || String(error),
       timestamp: new Date().toISOString()
@@ -148,6 +227,21 @@ router.get('/health', async (req, res) => {
   }
 });
 
+// GET /api/ai/models - List models offered by the configured provider
+router.get('/models', async (req, res) => {
+  const providerName = getProviderName();
+  try {
+    const models = await getAIProvider().listModels();
+    res.json({ provider: providerName, availableProviders, models });
+  } catch (error) {
+    console.error('Failed to list AI models:', error);
+    res.status(503).json({
+      provider: providerName,
+      error: error.message || 'Failed to list models'
+    });
+  }
+});
+
 // Middleware to track request time
 router.use((req, res, next) => {
   req.startTime = Date.now();
@@ -0,0 +1,67 @@
+import express from 'express';
+import { documentsRepository, jobsRepository, tasksRepository } from '../db/index.js';
+import { canAccessDepartment, canAccessDocument, canAccessTask } from '../services/auth.js';
+import { parseTimeRange, documentAnalytics, taskAnalytics, aiAnalytics, dashboardOverview } from '../services/analytics.js';
+import { listObligations } from '../services/complianceRegister.js';
+import { searchStats } from '../services/searchStats.js';
+
+const router = express.Router();
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(fallbackMessage, error);
+  }
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
+// Every report covers only the records the user may see
+function visibleDocuments(req) {
+  return documentsRepository.list().filter(document => canAccessDocument(req.user, document));
+}
+
+// GET /api/analytics/documents?timeRange=30d - Uploads by source/type/department and processing outcomes per bucket
+router.get('/documents', (req, res) => {
+  try {
+    const range = parseTimeRange(req.query.timeRange);
+    res.json(documentAnalytics(visibleDocuments(req), jobsRepository.list(), range));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch document analytics');
+  }
+});
+
+// GET /api/analytics/tasks?timeRange=30d - Task throughput and cycle time
+router.get('/tasks', (req, res) => {
+  try {
+    const range = parseTimeRange(req.query.timeRange);
+    res.json(taskAnalytics(tasksRepository.list().filter(task => canAccessTask(req.user, task)), range));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch task analytics');
+  }
+});
+
+// GET /api/analytics/ai?timeRange=30d - Summary volume, model latency and fallback rate
+router.get('/ai', (req, res) => {
+  try {
+    const range = parseTimeRange(req.query.timeRange);
+    res.json(aiAnalytics(visibleDocuments(req), range));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch AI analytics');
+  }
+});
+
+// GET /api/analytics/overview - Today's headline numbers and ingestion per source
+router.get('/overview', (req, res) => {
+  try {
+    res.json(dashboardOverview({
+      documents: visibleDocuments(req),
+      tasks: tasksRepository.list().filter(task => canAccessTask(req.user, task)),
+      obligations: listObligations({}, obligation => canAccessDepartment(req.user, obligation.department)),
+      searches: searchStats.daily()
+    }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch analytics overview');
+  }
+});
+
+export default router;
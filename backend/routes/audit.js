@@ -0,0 +1,49 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { listAuditEntries, verifyAuditLog } from '../services/auditLog.js';
+import { listAccessEntries } from '../services/accessLog.js';
+
+const router = express.Router();
+
+router.use(requirePermission('audit:read'));
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(fallbackMessage, error);
+  }
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
+// GET /api/audit - Audit entries, newest first
+// (?actor=&action=document.deleted|document.&targetType=&targetId=&from=&to=&limit=&offset=)
+router.get('/', (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, limit, offset } = req.query;
+    res.json(listAuditEntries({ actor, action, targetType, targetId, from, to, limit, offset }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch audit log');
+  }
+});
+
+// GET /api/audit/access - Document views, previews and downloads, newest first
+// (same filters as GET /api/audit)
+router.get('/access', async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, limit, offset } = req.query;
+    res.json(await listAccessEntries({ actor, action, targetType, targetId, from, to, limit, offset }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch access log');
+  }
+});
+
+// GET /api/audit/verify - Check the hash chain for tampering
+router.get('/verify', (req, res) => {
+  try {
+    res.json(verifyAuditLog());
+  } catch (error) {
+    sendError(res, error, 'Failed to verify audit log');
+  }
+});
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { verifyCredentials, issueToken, toPublicUser, changePassword } from '../services/auth.js';
+
+const router = express.Router();
+
+// POST /api/auth/login - Exchange username/password for a session token
+router.post('/login', (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        error: 'Username and password are required'
+      });
+    }
+
+    const user = verifyCredentials(username, password);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid username or password'
+      });
+    }
+
+    const { token, expiresAt } = issueToken(user);
+    res.json({ token, expiresAt, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to log in'
+    });
+  }
+});
+
+// GET /api/auth/me - Current user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+// POST /api/auth/change-password - Change own password (signs out other sessions)
+router.post('/change-password', requireAuth, (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: 'currentPassword and newPassword are required'
+      });
+    }
+
+    const user = changePassword(req.user, currentPassword, newPassword);
+    const { token, expiresAt } = issueToken(user);
+    res.json({
+      message: 'Password updated successfully',
+      token,
+      expiresAt,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    const status = error.status || 500;
+    if (status >= 500) console.error('Error changing password:', error);
+    res.status(status).json({
+      error: status >= 500 ? 'Failed to change password' : error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,172 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { canAccessDepartment, canAccessDocument } from '../services/auth.js';
+import { documentsRepository } from '../db/index.js';
+import {
+  listObligations,
+  getObligation,
+  obligationView,
+  createObligation,
+  updateObligation,
+  deleteObligation,
+  linkEvidence,
+  unlinkEvidence,
+  listStatements,
+  mapStatement,
+  computeComplianceStats
+} from '../services/complianceRegister.js';
+
+const router = express.Router();
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(fallbackMessage, error);
+  }
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+// Obligations of other departments are reported as missing
+function findAccessibleObligation(req, id = req.params.id) {
+  const obligation = getObligation(id);
+  if (!canAccessDepartment(req.user, obligation.department)) throw notFound('Compliance obligation not found');
+  return obligation;
+}
+
+function visibleObligation(req) {
+  return obligation => canAccessDepartment(req.user, obligation.department);
+}
+
+// GET /api/compliance/obligations - Register in due-date order
+// (?status=overdue&regulatoryBody=CMRS&department=Safety)
+router.get('/obligations', (req, res) => {
+  try {
+    const { status, regulatoryBody, department } = req.query;
+    res.json({ obligations: listObligations({ status, regulatoryBody, department }, visibleObligation(req)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch compliance obligations');
+  }
+});
+
+// GET /api/compliance/obligations/:id - Obligation with its evidence and statements
+router.get('/obligations/:id', (req, res) => {
+  try {
+    const obligation = findAccessibleObligation(req);
+    res.json({
+      ...obligationView(obligation),
+      statements: listStatements({ obligationId: obligation.id }, document => canAccessDocument(req.user, document))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch compliance obligation');
+  }
+});
+
+// POST /api/compliance/obligations - Add an obligation to the register
+router.post('/obligations', requirePermission('compliance:manage'), (req, res) => {
+  try {
+    if (req.body.department && !canAccessDepartment(req.user, req.body.department)) {
+      return res.status(403).json({ error: 'Cannot create obligations for another department' });
+    }
+    res.status(201).json(createObligation(req.body, req.user));
+  } catch (error) {
+    sendError(res, error, 'Failed to create compliance obligation');
+  }
+});
+
+// PUT /api/compliance/obligations/:id - Update an obligation; status "completed"
+// closes it, or rolls a recurring obligation on to its next due date
+router.put('/obligations/:id', requirePermission('compliance:write'), (req, res) => {
+  try {
+    findAccessibleObligation(req);
+    if (req.user.role === 'staff') {
+      // Staff report progress; the obligation itself is managed by department heads
+      const allowed = ['status', 'progress'];
+      const extra = Object.keys(req.body).filter(field => !allowed.includes(field));
+      if (extra.length > 0) {
+        return res.status(403).json({ error: `Staff may only update ${allowed.join(' and ')}` });
+      }
+    }
+    if (req.body.department && !canAccessDepartment(req.user, req.body.department)) {
+      return res.status(403).json({ error: 'Cannot move obligations to another department' });
+    }
+    res.json(updateObligation(req.params.id, req.body, req.user));
+  } catch (error) {
+    sendError(res, error, 'Failed to update compliance obligation');
+  }
+});
+
+// DELETE /api/compliance/obligations/:id - Remove an obligation
+router.delete('/obligations/:id', requirePermission('compliance:manage'), (req, res) => {
+  try {
+    findAccessibleObligation(req);
+    res.json({ message: 'Compliance obligation deleted successfully', obligation: deleteObligation(req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete compliance obligation');
+  }
+});
+
+// POST /api/compliance/obligations/:id/evidence - Link a document as evidence ({ documentId, note })
+router.post('/obligations/:id/evidence', requirePermission('compliance:write'), (req, res) => {
+  try {
+    findAccessibleObligation(req);
+    const document = documentsRepository.findById(req.body.documentId);
+    if (!document || !canAccessDocument(req.user, document)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.status(201).json(linkEvidence(req.params.id, document.id, req.body.note, req.user));
+  } catch (error) {
+    sendError(res, error, 'Failed to link evidence');
+  }
+});
+
+// DELETE /api/compliance/obligations/:id/evidence/:documentId - Unlink an evidence document
+router.delete('/obligations/:id/evidence/:documentId', requirePermission('compliance:write'), (req, res) => {
+  try {
+    findAccessibleObligation(req);
+    res.json(unlinkEvidence(req.params.id, req.params.documentId));
+  } catch (error) {
+    sendError(res, error, 'Failed to unlink evidence');
+  }
+});
+
+// GET /api/compliance/statements - AI compliance statements (?obligationId=...&unmapped=true)
+router.get('/statements', (req, res) => {
+  try {
+    const { obligationId, unmapped } = req.query;
+    res.json({
+      statements: listStatements(
+        { obligationId, unmapped: unmapped === 'true' },
+        document => canAccessDocument(req.user, document)
+      )
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch compliance statements');
+  }
+});
+
+// PATCH /api/compliance/statements/:id - Map a statement onto an obligation ({ obligationId }, null unmaps)
+router.patch('/statements/:id', requirePermission('compliance:manage'), (req, res) => {
+  try {
+    if (req.body.obligationId) findAccessibleObligation(req, req.body.obligationId);
+    res.json(mapStatement(req.params.id, req.body.obligationId || null));
+  } catch (error) {
+    sendError(res, error, 'Failed to map compliance statement');
+  }
+});
+
+// GET /api/compliance/stats - Compliance rate, pending/overdue counts and per-body breakdown
+router.get('/stats', (req, res) => {
+  try {
+    res.json(computeComplianceStats(listObligations({}, visibleObligation(req))));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch compliance statistics');
+  }
+});
+
+export default router;
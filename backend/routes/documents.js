@@ -3,107 +3,96 @@ import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import fs from 'fs/promises';
-import { summarizeFile } from '../services/aiSummary.js';
-import { summarizeText, extractTextFromFile } from '../services/aiSummary.js';
+import { documentsRepository, documentTextsRepository } from '../db/index.js';
+import { addDocumentFromFile, addDocumentVersion, queueDocumentProcessing } from '../services/documentLibrary.js';
+import { uploadFileFilter } from '../services/extractors/index.js';
+import {
+  currentVersion,
+  findVersion,
+  summarizeVersionChanges,
+  versionHistory,
+  versionView
+} from '../services/documentVersions.js';
+import { jobQueue } from '../services/jobQueue.js';
+import { searchIndex } from '../services/searchIndex.js';
+import { findSimilarDocuments } from '../services/duplicateDetection.js';
+import { buildPreview, renderPreviewPage } from '../services/documentPreview.js';
+import { recordRoutingOverride } from '../services/documentRouting.js';
+import { placeLegalHold, releaseLegalHold, retentionExpiry, trashDocument } from '../services/documentRetention.js';
+import { recordAudit } from '../services/auditLog.js';
+import { recordAccess } from '../services/accessLog.js';
+import { uploadStorage } from '../services/uploads.js';
+import { canAccessDepartment, canAccessDocument } from '../services/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Configure multer for document uploads
 const upload = multer({
-  dest: 'uploads/',
+  storage: uploadStorage,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
   },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'text/plain'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Unsupported file type'), false);
-    }
-  }
+  fileFilter: uploadFileFilter
 });
 
-// In-memory storage for documents (in production, use a database)
-let documents = [
-  {
-    id: 'DOC001',
-    title: 'Safety Protocol Review - Q4 2024',
-    filename: 'safety_protocol_q4_2024.pdf',
-    originalName: 'Safety Protocol Review - Q4 2024.pdf',
-    source: 'Email - operations@kochimetro.org',
-    uploadDate: '2024-01-15T10:00:00.000Z',
-    type: 'Safety Documentation',
-    language: 'English',
-    priority: 'high',
-    department: 'Operations',
-    author: 'Rajesh Kumar',
-    fileSize: 2457600, // 2.4 MB in bytes
-    pages: 8,
-    status: 'processed',
-    summary: {
-      executiveSummary: 'Quarterly safety protocol review highlighting key improvements in passenger safety measures and emergency response procedures.',
-      keyPoints: [
-        'Implementation of new emergency evacuation protocols across all stations',
-        'Updated safety training requirements for all operational staff',
-        'Installation of additional safety equipment in tunnel sections',
-        'Compliance with latest Metro Railway Safety Standards (MRSS) 2024'
-      ],
-      actionItems: [
-        {
-          task: 'Complete staff training on new protocols',
-          priority: 'high',
-          deadline: '2024-01-28',
-          department: 'HR Department'
-        },
-        {
-          task: 'Install additional safety equipment',
-          priority: 'medium',
-          deadline: '2024-02-15',
-          department: 'Maintenance Team'
-        }
-      ],
-      complianceItems: [
-        'MRSS 2024 - Fully Compliant',
-        'Fire Safety Regulations - Review Required',
-        'Emergency Response Standards - Updated'
-      ],
-      confidence: '94',
-      documentType: 'Safety Report'
-    },
-    tags: ['safety', 'protocol', 'quarterly-review', 'operations'],
-    createdAt: '2024-01-15T10:00:00.000Z',
-    updatedAt: '2024-01-15T10:00:00.000Z'
+// Metadata clients may change through PUT; everything else (type, dates, file
+// and retention fields) is set by the server
+const EDITABLE_FIELDS = ['title', 'tags', 'priority', 'department', 'author'];
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(fallbackMessage, error);
   }
-];
-
-// Sanitize any existing in-memory documents that contain raw AI error messages
-// This prevents previously stored error text from being shown in the UI.
-(function sanitizeExistingSummaries() {
-  const errorIndicator = 'GoogleGenerativeAI Error';
-  const genericMessage = 'Document processed. AI summary temporarily unavailable. Check server logs for details.';
-  documents = documents.map(d => {
-    try {
-      if (d && d.summary && typeof d.summary.executiveSummary === 'string') {
-        const exec = d.summary.executiveSummary;
-        if (exec.includes(errorIndicator) || exec.includes('AI summary temporarily unavailable:')) {
-          d.summary.executiveSummary = genericMessage;
-        }
-      }
-    } catch (e) {
-      // ignore
-    }
-    return d;
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
+/**
+ * Look up a document the caller is allowed to see. Documents outside the
+ * caller's departments are reported as missing rather than forbidden.
+ */
+function findAccessibleDocument(req) {
+  const document = documentsRepository.findById(req.params.id);
+  return document && canAccessDocument(req.user, document) ? document : null;
+}
+
+/**
+ * Duplicate matches limited to documents the caller may see.
+ */
+function accessibleMatches(req, matches = []) {
+  return matches.filter(match => {
+    const document = documentsRepository.findById(match.documentId);
+    return document && canAccessDocument(req.user, document);
   });
-})();
+}
+
+/**
+ * Multer reads multipart file names as latin1, but browsers send UTF-8, so
+ * Malayalam and other non-ASCII names would otherwise be garbled.
+ */
+function originalFileName(file) {
+  return Buffer.from(file.originalname, 'latin1').toString('utf8');
+}
+
+/**
+ * Absolute path of the document's stored file, or null when it is missing.
+ */
+async function storedFilePath(document) {
+  if (!document.filePath) return null;
+  const filePath = path.resolve(document.filePath);
+  return await fs.access(filePath).then(() => filePath, () => null);
+}
+
+/**
+ * Content-Disposition header carrying the original file name, with an ASCII
+ * fallback for clients that ignore filename*.
+ */
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
 
 // GET /api/documents - Get all documents with filtering
 router.get('/', (req, res) => {
@@ -115,21 +104,25 @@ router.get('/', (req, res) => {
       department,
       status,
       language,
+      parentDocumentId,
       sortBy = 'uploadDate',
       order = 'desc',
       page = 1,
       limit = 20
     } = req.query;
 
-    let filteredDocs = [...documents];
+    let filteredDocs = documentsRepository.list().filter(doc => canAccessDocument(req.user, doc));
 
     // Apply filters
     if (search) {
       const searchLower = search.toLowerCase();
+      // Also match on extracted text and summaries through the full-text index
+      const textMatches = searchIndex.matchingDocumentIds(search, req.user);
       filteredDocs = filteredDocs.filter(doc => 
         doc.title.toLowerCase().includes(searchLower) ||
         doc.type.toLowerCase().includes(searchLower) ||
-        doc.tags.some(tag => tag.toLowerCase().includes(searchLower))
+        doc.tags.some(tag => tag.toLowerCase().includes(searchLower)) ||
+        textMatches.has(doc.id)
       );
     }
 
@@ -153,6 +146,11 @@ router.get('/', (req, res) => {
       filteredDocs = filteredDocs.filter(doc => doc.language === language);
     }
 
+    // Files expanded from a ZIP archive or email
+    if (parentDocumentId) {
+      filteredDocs = filteredDocs.filter(doc => doc.parentDocumentId === parentDocumentId);
+    }
+
     // Apply sorting
     filteredDocs.sort((a, b) => {
       let aValue = a[sortBy];
@@ -176,7 +174,7 @@ router.get('/', (req, res) => {
     const paginatedDocs = filteredDocs.slice(startIndex, endIndex);
 
     res.json({
-      documents: paginatedDocs,
+      documents: paginatedDocs.map(document => ({ ...document, possibleDuplicates: accessibleMatches(req, document.possibleDuplicates) })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -196,15 +194,20 @@ router.get('/', (req, res) => {
 // GET /api/documents/:id - Get specific document
 router.get('/:id', (req, res) => {
   try {
-    const document = documents.find(d => d.id === req.params.id);
-    
+    const document = findAccessibleDocument(req);
+
     if (!document) {
       return res.status(404).json({
         error: 'Document not found'
       });
     }
 
-    res.json(document);
+    recordAccess(req, { action: 'document.viewed', targetType: 'document', targetId: document.id });
+    res.json({
+      ...document,
+      possibleDuplicates: accessibleMatches(req, document.possibleDuplicates),
+      retentionExpiresAt: retentionExpiry(document)
+    });
   } catch (error) {
     console.error('Error fetching document:', error);
     res.status(500).json({
@@ -213,8 +216,91 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// GET /api/documents/:id/file - Original file; ?download=1 saves instead of opening inline
+router.get('/:id/file', async (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const filePath = await storedFilePath(document);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Original file is not available' });
+    }
+
+    recordAccess(req, {
+      action: req.query.download ? 'document.downloaded' : 'document.file-viewed',
+      targetType: 'document',
+      targetId: document.id
+    });
+
+    // Stored names have no extension, so the type comes from the upload.
+    // sendFile answers Range requests, which PDF viewers use to fetch pages
+    // on demand; no-transform keeps compression from breaking those.
+    res.type(document.mimetype || 'application/octet-stream');
+    res.set({
+      'Content-Disposition': contentDisposition(req.query.download ? 'attachment' : 'inline', document.originalName || document.filename),
+      'Cache-Control': 'private, no-cache, no-transform'
+    });
+    res.sendFile(filePath, error => {
+      if (error && !res.headersSent) {
+        console.error('Error sending document file:', error);
+        res.status(500).json({ error: 'Failed to send document file' });
+      }
+    });
+  } catch (error) {
+    console.error('Error sending document file:', error);
+    res.status(500).json({ error: 'Failed to send document file' });
+  }
+});
+
+// GET /api/documents/:id/preview - Original rendered for the browser (HTML, sheets, PDF page text)
+router.get('/:id/preview', async (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (!await storedFilePath(document)) {
+      return res.status(404).json({ error: 'Original file is not available' });
+    }
+
+    const preview = await buildPreview(document);
+    recordAccess(req, { action: 'document.previewed', targetType: 'document', targetId: document.id });
+    res.json(preview);
+  } catch (error) {
+    console.error('Error building document preview:', error);
+    res.status(500).json({ error: 'Failed to build document preview' });
+  }
+});
+
+// GET /api/documents/:id/preview/pages/:page - One PDF page as PNG
+router.get('/:id/preview/pages/:page', async (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (document.mimetype !== 'application/pdf') {
+      return res.status(400).json({ error: 'Page images are only available for PDF documents' });
+    }
+    if (!await storedFilePath(document)) {
+      return res.status(404).json({ error: 'Original file is not available' });
+    }
+
+    const image = await renderPreviewPage(document, parseInt(req.params.page));
+    if (!image) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+    res.type('png').set('Cache-Control', 'private, max-age=300').send(image);
+  } catch (error) {
+    console.error('Error rendering document page:', error);
+    res.status(500).json({ error: 'Failed to render document page' });
+  }
+});
+
 // POST /api/documents/upload - Upload and process new document
-router.post('/upload', upload.single('document'), async (req, res) => {
+router.post('/upload', requirePermission('documents:write'), upload.single('document'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -223,70 +309,62 @@ router.post('/upload', upload.single('document'), async (req, res) => {
     const {
       title,
       type,
-      department,
+      department = req.user.department,
       priority = 'medium',
       author,
-      tags = ''
+      tags = '',
+      bilingual
     } = req.body;
 
-    // Generate AI summary from file
-    let summary = null;
-    try {
-      summary = await summarizeFile(req.file.path, req.file.mimetype);
-    } catch (err) {
-      // Log full error details on the server for debugging
-      console.error('AI summarization failed (details):', err && (err.stack || err));
-
-      // Provide a safe, generic message to the UI so internal errors aren't exposed.
-      const isApiKeyInvalid = err && err.message && err.message.includes('API_KEY_INVALID');
-      summary = {
-        executiveSummary: isApiKeyInvalid
-          ? 'Document uploaded successfully. To enable AI summarization, please update your Gemini API key in the backend .env file.'
-          : 'Document processed. AI summary temporarily unavailable. Check server logs for details.',
-        keyPoints: ['Document uploaded successfully'],
-        actionItems: [],
-        complianceItems: [],
-        riskFactors: [],
-        recommendations: ['Update Gemini API key to enable AI features'],
-        categories: ['Manual Upload'],
-        confidence: '0',
-        language: 'English',
-        documentType: type || 'General Document',
-        urgencyLevel: 'medium'
-      };
-    } finally {
-      // optional: keep file for later; if not needed, uncomment cleanup
-      // await fs.unlink(req.file.path).catch(() => {});
-    }
-
-    // Create document record
-    const newDocument = {
-      id: uuidv4(),
-      title: title || req.file.originalname,
+    if (!canAccessDepartment(req.user, department)) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(403).json({ error: `You cannot upload documents for ${department}` });
+    }
+
+    // Extraction and summarization run on the job queue; poll GET /api/jobs/:jobId
+    const newDocument = await addDocumentFromFile({
+      path: req.file.path,
       filename: req.file.filename,
-      originalName: req.file.originalname,
-      source: 'Manual Upload',
-      uploadDate: new Date().toISOString(),
-      type: type || 'General Document',
-      language: 'English',
+      originalName: originalFileName(req.file),
+      mimetype: req.file.mimetype,
+      size: req.file.size
+    }, {
+      title,
+      type,
+      department,
       priority,
-      department: department || 'General',
-      author: author || 'Unknown',
-      fileSize: req.file.size,
-      pages: 0,
-  status: 'processed',
-      summary,
+      author: author || req.user.name,
+      source: 'Manual Upload',
+      createdBy: req.user.username,
+      uploader: req.user,
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      filePath: req.file.path
-    };
+      // Multipart fields arrive as strings; unset falls back to SUMMARY_BILINGUAL
+      summaryOptions: bilingual === undefined ? {} : { bilingual: bilingual === 'true' }
+    });
+    recordAudit(req, {
+      action: 'document.uploaded',
+      targetType: 'document',
+      targetId: newDocument.id,
+      after: newDocument,
+      details: { originalName: newDocument.originalName, size: newDocument.fileSize, duplicateOf: newDocument.duplicateOf || null }
+    });
 
-    documents.push(newDocument);
+    if (newDocument.duplicateOf) {
+      return res.status(200).json({
+        message: 'Identical to a document already in the library; linked instead of summarized again',
+        document: newDocument,
+        duplicateOf: newDocument.duplicateOf,
+        possibleDuplicates: accessibleMatches(req, newDocument.possibleDuplicates)
+      });
+    }
 
-    res.status(201).json({
-      message: 'Document uploaded and summarized successfully',
-      document: newDocument
+    // Near-duplicates are found once the text is extracted; see GET /:id/duplicates
+    res.status(202).json({
+      message: 'Document uploaded, AI processing queued',
+      document: newDocument,
+      jobId: newDocument.jobId,
+      duplicateOf: null,
+      possibleDuplicates: []
     });
   } catch (error) {
     console.error('Error uploading document:', error);
@@ -294,83 +372,251 @@ router.post('/upload', upload.single('document'), async (req, res) => {
   }
 });
 
+/**
+ * Shared by /:id/process and /reprocess/:id: validate and queue a document.
+ */
+function queueProcessing(req, res) {
+  const document = findAccessibleDocument(req);
+
+  if (!document) {
+    return res.status(404).json({
+      error: 'Document not found'
+    });
+  }
+  if (!document.filePath) {
+    return res.status(400).json({ error: 'No filePath available to reprocess' });
+  }
+
+  const activeJob = jobQueue.findActiveJob(document.id);
+  if (activeJob) {
+    return res.status(409).json({
+      error: 'Document is already being processed',
+      jobId: activeJob.id
+    });
+  }
+
+  const job = queueDocumentProcessing(document.id);
+  recordAudit(req, { action: 'document.resummarized', targetType: 'document', targetId: document.id, details: { jobId: job.id } });
+  res.status(202).json({
+    message: 'Document processing started',
+    documentId: document.id,
+    status: 'uploaded',
+    jobId: job.id
+  });
+}
+
 // POST /api/documents/:id/process - Process document with AI
-router.post('/:id/process', async (req, res) => {
+router.post('/:id/process', requirePermission('documents:write'), (req, res) => {
   try {
-    const docIndex = documents.findIndex(d => d.id === req.params.id);
-    
-    if (docIndex === -1) {
-      return res.status(404).json({
-        error: 'Document not found'
-      });
+    queueProcessing(req, res);
+  } catch (error) {
+    console.error('Error processing document:', error);
+    res.status(500).json({
+      error: 'Failed to process document'
+    });
+  }
+});
+
+// POST /api/documents/:id/versions - Upload a revised file for an existing document
+router.post('/:id/versions', requirePermission('documents:write'), upload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const document = documents[docIndex];
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    if (document.status === 'processing') {
+    // The previous version's text and summary must be final before it is archived
+    const activeJob = jobQueue.findActiveJob(document.id);
+    if (activeJob) {
+      await fs.unlink(req.file.path).catch(() => {});
       return res.status(409).json({
-        error: 'Document is already being processed'
+        error: 'Document is still being processed',
+        jobId: activeJob.id
       });
     }
 
-    // Update status to processing
-    documents[docIndex].status = 'processing';
-    documents[docIndex].updatedAt = new Date().toISOString();
+    const updated = await addDocumentVersion(document, {
+      path: req.file.path,
+      filename: req.file.filename,
+      originalName: originalFileName(req.file),
+      mimetype: req.file.mimetype,
+      size: req.file.size
+    }, {
+      createdBy: req.user.username,
+      note: req.body.note
+    });
+    recordAudit(req, {
+      action: 'document.version-uploaded',
+      targetType: 'document',
+      targetId: document.id,
+      before: document,
+      after: updated,
+      details: { version: updated.version, note: req.body.note || null }
+    });
+
+    res.status(202).json({
+      message: `Version ${updated.version} uploaded, AI processing queued`,
+      document: updated,
+      version: updated.version,
+      jobId: updated.jobId
+    });
+  } catch (error) {
+    console.error('Error uploading document version:', error);
+    res.status(500).json({ error: 'Failed to upload document version' });
+  }
+});
+
+// GET /api/documents/:id/versions - Version history, newest first
+router.get('/:id/versions', (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    // Send immediate response
     res.json({
-      message: 'Document processing started',
       documentId: document.id,
-      status: 'processing'
+      currentVersion: currentVersion(document),
+      versions: versionHistory(document)
     });
+  } catch (error) {
+    console.error('Error fetching document versions:', error);
+    res.status(500).json({ error: 'Failed to fetch document versions' });
+  }
+});
+
+// POST /api/documents/:id/versions/compare - Summarize what changed between two versions
+router.post('/:id/versions/compare', requirePermission('ai:use'), async (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const from = parseInt(req.body.from);
+    const to = parseInt(req.body.to ?? currentVersion(document));
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from === to) {
+      return res.status(400).json({ error: 'from and to must be two different version numbers' });
+    }
+    for (const version of [from, to]) {
+      const record = findVersion(document, version);
+      if (!record) {
+        return res.status(404).json({ error: `Version ${version} not found` });
+      }
+      if (typeof record.text !== 'string') {
+        return res.status(409).json({ error: `Version ${version} has no extracted text yet` });
+      }
+    }
+
+    const comparison = await summarizeVersionChanges(document, from, to);
+    recordAudit(req, { action: 'document.versions-compared', targetType: 'document', targetId: document.id, details: { from, to } });
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing document versions:', error);
+    res.status(500).json({ error: 'Failed to compare document versions' });
+  }
+});
 
-    // Process document asynchronously (in real implementation)
-    // This would call the AI service to analyze the document
-  setTimeout(() => {
-      // Simulate AI processing completion
-      documents[docIndex].status = 'processed';
-      documents[docIndex].updatedAt = new Date().toISOString();
-      
-      // In real implementation, this would be the actual AI summary
-      documents[docIndex].summary = {
-        executiveSummary: 'AI-generated summary for the document',
-        keyPoints: ['Key point 1', 'Key point 2'],
-        actionItems: [],
-        complianceItems: [],
-        confidence: '85',
-        documentType: document.type
-      };
-  }, 2000);
-
-  return; // ensure function scope ends after scheduling
+// GET /api/documents/:id/versions/:version - One version with its summary and change summary
+router.get('/:id/versions/:version', (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    const version = document && findVersion(document, parseInt(req.params.version));
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
 
+    res.json(versionView(version));
   } catch (error) {
-    console.error('Error processing document:', error);
-    res.status(500).json({
-      error: 'Failed to process document'
+    console.error('Error fetching document version:', error);
+    res.status(500).json({ error: 'Failed to fetch document version' });
+  }
+});
+
+// GET /api/documents/:id/duplicates - Original, linked copies and similar documents
+router.get('/:id/duplicates', (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Recomputed so documents added after this one was processed are included
+    const text = documentTextsRepository.findById(document.id);
+    const possibleDuplicates = text
+      ? findSimilarDocuments(text.signature, { excludeId: document.id })
+      : document.possibleDuplicates || [];
+    const copies = documentsRepository.list()
+      .filter(d => d.duplicateOf === document.id && canAccessDocument(req.user, d))
+      .map(d => ({ documentId: d.id, title: d.title, source: d.source, uploadDate: d.uploadDate }));
+
+    res.json({
+      documentId: document.id,
+      duplicateOf: document.duplicateOf || null,
+      duplicates: copies,
+      possibleDuplicates: accessibleMatches(req, possibleDuplicates)
     });
+  } catch (error) {
+    console.error('Error fetching duplicates:', error);
+    res.status(500).json({ error: 'Failed to fetch duplicates' });
+  }
+});
+
+// POST /api/documents/:id/not-duplicate - Unlink a document wrongly marked as a duplicate and process it
+router.post('/:id/not-duplicate', requirePermission('documents:write'), (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (!document.duplicateOf) {
+      return res.status(400).json({ error: 'Document is not marked as a duplicate' });
+    }
+
+    const unlinked = documentsRepository.update(document.id, {
+      duplicateOf: null,
+      duplicateOverride: true,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.username
+    });
+    recordAudit(req, { action: 'document.duplicate-unlinked', targetType: 'document', targetId: document.id, before: document, after: unlinked });
+    queueProcessing(req, res);
+  } catch (error) {
+    console.error('Error unlinking duplicate:', error);
+    res.status(500).json({ error: 'Failed to unlink duplicate' });
   }
 });
 
 // PUT /api/documents/:id - Update document metadata
-router.put('/:id', (req, res) => {
+router.put('/:id', requirePermission('documents:write'), (req, res) => {
   try {
-    const docIndex = documents.findIndex(d => d.id === req.params.id);
-    
-    if (docIndex === -1) {
+    const document = findAccessibleDocument(req);
+
+    if (!document) {
       return res.status(404).json({
         error: 'Document not found'
       });
     }
+    if (req.body.department && !canAccessDepartment(req.user, req.body.department)) {
+      return res.status(403).json({
+        error: `You cannot move documents to ${req.body.department}`
+      });
+    }
 
-    const updatedDocument = {
-      ...documents[docIndex],
-      ...req.body,
-      id: req.params.id, // Ensure ID doesn't change
-      updatedAt: new Date().toISOString()
-    };
+    const changes = Object.fromEntries(EDITABLE_FIELDS.filter(field => field in req.body).map(field => [field, req.body[field]]));
+    recordRoutingOverride(document, changes.department);
 
-    documents[docIndex] = updatedDocument;
+    const updatedDocument = documentsRepository.update(document.id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.username
+    });
+    recordAudit(req, { action: 'document.updated', targetType: 'document', targetId: document.id, before: document, after: updatedDocument });
 
     res.json(updatedDocument);
   } catch (error) {
@@ -381,44 +627,90 @@ router.put('/:id', (req, res) => {
   }
 });
 
-// DELETE /api/documents/:id - Delete document
-router.delete('/:id', (req, res) => {
+// DELETE /api/documents/:id - Move document to the recycle bin (refused under legal hold)
+router.delete('/:id', requirePermission('documents:delete'), (req, res) => {
   try {
-    const docIndex = documents.findIndex(d => d.id === req.params.id);
-    
-    if (docIndex === -1) {
+    const document = findAccessibleDocument(req);
+
+    if (!document) {
       return res.status(404).json({
         error: 'Document not found'
       });
     }
 
-    const deletedDocument = documents.splice(docIndex, 1)[0];
+    const deletedDocument = trashDocument(document, req.user);
+    recordAudit(req, {
+      action: 'document.deleted',
+      targetType: 'document',
+      targetId: document.id,
+      before: document,
+      details: { reason: 'manual', purgeAfter: deletedDocument.purgeAfter }
+    });
 
     res.json({
-      message: 'Document deleted successfully',
+      message: 'Document moved to the recycle bin',
       document: deletedDocument
     });
   } catch (error) {
-    console.error('Error deleting document:', error);
-    res.status(500).json({
-      error: 'Failed to delete document'
-    });
+    sendError(res, error, 'Failed to delete document');
+  }
+});
+
+// PUT /api/documents/:id/legal-hold - Place a legal hold ({ reason })
+router.put('/:id/legal-hold', requirePermission('documents:legal-hold'), (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const updated = placeLegalHold(document, req.body.reason, req.user);
+    recordAudit(req, { action: 'document.legal-hold-placed', targetType: 'document', targetId: document.id, before: document, after: updated });
+    res.json(updated);
+  } catch (error) {
+    sendError(res, error, 'Failed to place legal hold');
+  }
+});
+
+// DELETE /api/documents/:id/legal-hold - Release a legal hold
+router.delete('/:id/legal-hold', requirePermission('documents:legal-hold'), (req, res) => {
+  try {
+    const document = findAccessibleDocument(req);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const updated = releaseLegalHold(document, req.user);
+    recordAudit(req, { action: 'document.legal-hold-released', targetType: 'document', targetId: document.id, before: document, after: updated });
+    res.json(updated);
+  } catch (error) {
+    sendError(res, error, 'Failed to release legal hold');
   }
 });
 
 // GET /api/documents/stats/summary - Get document statistics
 router.get('/stats/summary', (req, res) => {
   try {
+    const documents = documentsRepository.list().filter(doc => canAccessDocument(req.user, doc));
     const stats = {
       total: documents.length,
       byStatus: {
         uploaded: documents.filter(d => d.status === 'uploaded').length,
-        processing: documents.filter(d => d.status === 'processing').length,
+        extracting: documents.filter(d => d.status === 'extracting').length,
+        summarizing: documents.filter(d => d.status === 'summarizing').length,
         processed: documents.filter(d => d.status === 'processed').length,
         error: documents.filter(d => d.status === 'error').length
       },
       byType: {},
       byDepartment: {},
+      byLanguage: {
+        English: documents.filter(d => d.language === 'English').length,
+        Malayalam: documents.filter(d => d.language === 'Malayalam').length,
+        Mixed: documents.filter(d => d.language === 'Mixed').length,
+        Unknown: documents.filter(d => !d.language).length
+      },
+      // Documents whose summary is available in both English and Malayalam
+      bilingualSummaries: documents.filter(d => d.summary?.bilingual?.English && d.summary?.bilingual?.Malayalam).length,
       byPriority: {
         critical: documents.filter(d => d.priority === 'critical').length,
         high: documents.filter(d => d.priority === 'high').length,
@@ -451,67 +743,35 @@ router.get('/stats/summary', (req, res) => {
   }
 });
 
-// Helper: guess mimetype from filename
-function guessMimeType(filename) {
-  const ext = (filename && filename.split('.').pop() || '').toLowerCase();
-  switch (ext) {
-    case 'pdf': return 'application/pdf';
-    case 'doc': return 'application/msword';
-    case 'docx': return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-    case 'xls': return 'application/vnd.ms-excel';
-    case 'xlsx': return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-    case 'txt': return 'text/plain';
-    default: return null;
-  }
-}
-
 // POST /api/documents/reprocess/:id - Re-run AI summarization for a single document
-router.post('/reprocess/:id', async (req, res) => {
+router.post('/reprocess/:id', requirePermission('documents:write'), (req, res) => {
   try {
-    const docIndex = documents.findIndex(d => d.id === req.params.id);
-    if (docIndex === -1) return res.status(404).json({ error: 'Document not found' });
-
-    const doc = documents[docIndex];
-    if (!doc.filePath) return res.status(400).json({ error: 'No filePath available to reprocess' });
-
-    const mimetype = guessMimeType(doc.originalName || doc.filename) || 'text/plain';
-    try {
-      const summary = await summarizeFile(doc.filePath, mimetype);
-      documents[docIndex].summary = summary;
-      documents[docIndex].updatedAt = new Date().toISOString();
-      return res.json({ message: 'Reprocessed', document: documents[docIndex] });
-    } catch (e) {
-      console.error('Reprocess failed for', doc.id, e);
-      return res.status(500).json({ error: 'Reprocess failed', details: String(e) });
-    }
+    queueProcessing(req, res);
   } catch (error) {
     console.error('Error in reprocess/:id', error);
     res.status(500).json({ error: 'Failed to reprocess document' });
   }
 });
 
-// POST /api/documents/reprocess-all - Re-run AI summarization for all documents
-router.post('/reprocess-all', async (req, res) => {
+// POST /api/documents/reprocess-all - Re-run AI summarization for every document the caller can see
+router.post('/reprocess-all', requirePermission('documents:write'), (req, res) => {
   try {
     const results = [];
-    for (let i = 0; i < documents.length; i++) {
-      const doc = documents[i];
+    for (const doc of documentsRepository.list().filter(d => canAccessDocument(req.user, d))) {
       if (!doc.filePath) {
         results.push({ id: doc.id, status: 'skipped', reason: 'no filePath' });
         continue;
       }
-      const mimetype = guessMimeType(doc.originalName || doc.filename) || 'text/plain';
-      try {
-        const summary = await summarizeFile(doc.filePath, mimetype);
-        documents[i].summary = summary;
-        documents[i].updatedAt = new Date().toISOString();
-        results.push({ id: doc.id, status: 'ok' });
-      } catch (e) {
-        console.error('Reprocess failed for', doc.id, e);
-        results.push({ id: doc.id, status: 'error', error: String(e) });
+      const activeJob = jobQueue.findActiveJob(doc.id);
+      if (activeJob) {
+        results.push({ id: doc.id, status: 'skipped', reason: 'already processing', jobId: activeJob.id });
+        continue;
       }
+      const job = queueDocumentProcessing(doc.id);
+      recordAudit(req, { action: 'document.resummarized', targetType: 'document', targetId: doc.id, details: { jobId: job.id, bulk: true } });
+      results.push({ id: doc.id, status: 'queued', jobId: job.id });
     }
-    res.json({ message: 'Reprocess completed', results });
+    res.status(202).json({ message: 'Reprocessing queued', results });
   } catch (error) {
     console.error('Error in reprocess-all', error);
     res.status(500).json({ error: 'Failed to reprocess all documents' });
@@ -1,63 +1,65 @@
 ﻿import express from "express";
-import EmailIngestionService from "../services/emailIngestion.js";
+import {
+    listMailboxes,
+    getMailbox,
+    createMailbox,
+    updateMailbox,
+    deleteMailbox,
+    startMailbox,
+    stopMailbox,
+    startAllMailboxes,
+    stopAllMailboxes,
+    isRunning,
+    getNotifications,
+    clearNotifications
+} from "../services/mailboxManager.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../services/auditLog.js";
+import { can } from "../services/auth.js";
 
 const router = express.Router();
-let emailService = null;
-let newEmails = [];
 
-router.post("/start", async (req, res) => {
+// Mailbox configuration is admin-only; status lists only the notifications the user may see
+router.use("/mailboxes", requirePermission("email:manage"));
+
+function sendError(res, error, fallbackMessage) {
+    const status = error.status || 500;
+    if (status >= 500) {
+        console.error(fallbackMessage, error);
+    }
+    res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
+// POST /api/email/start - Start every enabled mailbox
+router.post("/start", requirePermission("email:manage"), async (req, res) => {
     try {
         console.log('Starting email service...');
-        
-        if (emailService) {
-            console.log('Stopping existing email service...');
-            await emailService.stop();
+        const enabled = listMailboxes().filter(m => m.enabled);
+        if (enabled.length === 0) {
+            return res.status(400).json({ error: "No mailboxes configured. Set IMAP_* in .env or POST /api/email/mailboxes" });
         }
 
-        const config = {
-            user: 'rish23478@gmail.com', // Hardcoded for testing
-            password: 'sdxw lqad ljor mdap', // Hardcoded for testing
-            host: "imap.gmail.com",
-            port: 993,
-            tls: true
-        };
-
-        console.log('Creating new email service with config:', {...config, password: '***'});
-
-        emailService = new EmailIngestionService(config, {
-            onNewEmail: (email) => {
-                console.log('New email received:', email);
-                const emailNotif = {
-                    id: email.messageId || Math.random().toString(36).substr(2, 9),
-                    subject: email.subject,
-                    from: email.from?.text,
-                    date: email.date,
-                    attachments: email.attachments?.length || 0,
-                    timestamp: new Date()
-                };
-                console.log('Created notification:', emailNotif);
-                newEmails.unshift(emailNotif);
-                if (newEmails.length > 50) {
-                    newEmails = newEmails.slice(0, 50);
-                }
-            }
-        });
-        
-        await emailService.start();
+        const results = await startAllMailboxes();
+        recordAudit(req, { action: "email.monitoring-started", targetType: "mailbox", details: { mailboxes: results } });
+        const failed = results.filter(r => r.status === 'error');
+        if (failed.length === results.length) {
+            return res.status(500).json({ error: "Failed to start email monitoring", mailboxes: results });
+        }
 
-        res.json({ message: "Email monitoring started successfully" });
+        res.json({ message: "Email monitoring started successfully", mailboxes: results });
     } catch (error) {
         console.error("Failed to start email monitoring:", error);
         res.status(500).json({ error: "Failed to start email monitoring" });
     }
 });
 
-router.post("/stop", (req, res) => {
+// POST /api/email/stop - Stop every running mailbox
+router.post("/stop", requirePermission("email:manage"), (req, res) => {
     try {
-        if (emailService) {
-            emailService.stop();
-            emailService = null;
-            res.json({ message: "Email monitoring stopped successfully" });
+        const stopped = stopAllMailboxes();
+        if (stopped.length > 0) {
+            recordAudit(req, { action: "email.monitoring-stopped", targetType: "mailbox", details: { mailboxes: stopped } });
+            res.json({ message: "Email monitoring stopped successfully", mailboxes: stopped });
         } else {
             res.status(400).json({ message: "Email monitoring is not running" });
         }
@@ -67,34 +69,25 @@ router.post("/stop", (req, res) => {
     }
 });
 
+// GET /api/email/status - Aggregate status across all mailboxes
 router.get("/status", (req, res) => {
     try {
-        // Initialize response object with safe defaults
+        const mailboxes = listMailboxes();
+        const running = mailboxes.filter(m => m.status === 'running');
+        const lastCheck = running.reduce((latest, m) => Math.max(latest, m.lastCheck || 0), 0) || null;
+        const newEmails = getNotifications(req.user);
+
         const status = {
-            status: "stopped",
-            lastCheck: null,
-            timeSinceLastCheck: null,
-            newEmails: [],
-            totalEmails: 0
+            status: running.length > 0 ? "running" : "stopped",
+            lastCheck,
+            timeSinceLastCheck: lastCheck ? Date.now() - lastCheck : null,
+            newEmails,
+            totalEmails: newEmails.length,
+            mailboxes: can(req.user, "email:manage")
+                ? mailboxes.map(({ id, name, status, lastCheck, lastError }) => ({ id, name, status, lastCheck, lastError }))
+                : []
         };
 
-        // Only update if email service exists
-        if (emailService) {
-            status.status = "running";
-            const lastCheck = emailService.getLastCheckTime();
-            if (lastCheck) {
-                status.lastCheck = lastCheck;
-                status.timeSinceLastCheck = Date.now() - lastCheck;
-            }
-        }
-
-        // Safely add email data
-        if (Array.isArray(newEmails)) {
-            status.newEmails = newEmails;
-            status.totalEmails = newEmails.length;
-        }
-        
-        console.log('Returning email status:', status);
         res.json(status);
     } catch (error) {
         console.error('Error getting email status:', error);
@@ -106,14 +99,11 @@ router.get("/status", (req, res) => {
     }
 });
 
-router.post("/clear-notifications", (req, res) => {
+// POST /api/email/clear-notifications - Notifications are shared, so only managers clear them
+router.post("/clear-notifications", requirePermission("email:manage"), (req, res) => {
     try {
-        const { ids } = req.body;
-        if (ids && Array.isArray(ids)) {
-            newEmails = newEmails.filter(email => !ids.includes(email.id));
-        } else {
-            newEmails = [];
-        }
+        clearNotifications(req.body.ids);
+        recordAudit(req, { action: "email.notifications-cleared", targetType: "notification", details: { ids: req.body.ids || null } });
         res.json({ message: "Notifications cleared successfully" });
     } catch (error) {
         console.error("Failed to clear notifications:", error);
@@ -121,4 +111,102 @@ router.post("/clear-notifications", (req, res) => {
     }
 });
 
+// GET /api/email/mailboxes - List configured mailboxes (env and stored settings)
+router.get("/mailboxes", (req, res) => {
+    try {
+        res.json({ mailboxes: listMailboxes() });
+    } catch (error) {
+        sendError(res, error, "Failed to list mailboxes");
+    }
+});
+
+// POST /api/email/mailboxes - Register a mailbox configuration
+router.post("/mailboxes", (req, res) => {
+    try {
+        const mailbox = createMailbox(req.body);
+        recordAudit(req, { action: "mailbox.created", targetType: "mailbox", targetId: mailbox.id, after: mailbox });
+        res.status(201).json(mailbox);
+    } catch (error) {
+        sendError(res, error, "Failed to create mailbox");
+    }
+});
+
+// GET /api/email/mailboxes/:id - Mailbox configuration
+router.get("/mailboxes/:id", (req, res) => {
+    try {
+        res.json(getMailbox(req.params.id));
+    } catch (error) {
+        sendError(res, error, "Failed to fetch mailbox");
+    }
+});
+
+// PUT /api/email/mailboxes/:id - Update a stored mailbox (restarts it if running)
+router.put("/mailboxes/:id", async (req, res) => {
+    try {
+        const before = getMailbox(req.params.id);
+        const mailbox = await updateMailbox(req.params.id, req.body);
+        recordAudit(req, { action: "mailbox.updated", targetType: "mailbox", targetId: mailbox.id, before, after: mailbox });
+        res.json(mailbox);
+    } catch (error) {
+        sendError(res, error, "Failed to update mailbox");
+    }
+});
+
+// DELETE /api/email/mailboxes/:id - Remove a stored mailbox
+router.delete("/mailboxes/:id", (req, res) => {
+    try {
+        const mailbox = deleteMailbox(req.params.id);
+        recordAudit(req, { action: "mailbox.deleted", targetType: "mailbox", targetId: mailbox.id, before: mailbox });
+        res.json({ message: "Mailbox deleted successfully", mailbox });
+    } catch (error) {
+        sendError(res, error, "Failed to delete mailbox");
+    }
+});
+
+// POST /api/email/mailboxes/:id/start - Start monitoring one mailbox
+router.post("/mailboxes/:id/start", async (req, res) => {
+    try {
+        const mailbox = await startMailbox(req.params.id);
+        recordAudit(req, { action: "mailbox.started", targetType: "mailbox", targetId: req.params.id });
+        res.json({ message: "Mailbox monitoring started successfully", mailbox });
+    } catch (error) {
+        sendError(res, error, "Failed to start mailbox monitoring");
+    }
+});
+
+// POST /api/email/mailboxes/:id/stop - Stop monitoring one mailbox
+router.post("/mailboxes/:id/stop", (req, res) => {
+    try {
+        getMailbox(req.params.id);
+        if (!stopMailbox(req.params.id)) {
+            return res.status(400).json({ message: "Mailbox monitoring is not running" });
+        }
+        recordAudit(req, { action: "mailbox.stopped", targetType: "mailbox", targetId: req.params.id });
+        res.json({ message: "Mailbox monitoring stopped successfully" });
+    } catch (error) {
+        sendError(res, error, "Failed to stop mailbox monitoring");
+    }
+});
+
+// GET /api/email/mailboxes/:id/status - Status of one mailbox
+router.get("/mailboxes/:id/status", (req, res) => {
+    try {
+        const { id, name, status, lastCheck, timeSinceLastCheck, lastError, folders, pollInterval } = getMailbox(req.params.id);
+        res.json({
+            id,
+            name,
+            status,
+            running: isRunning(id),
+            lastCheck: lastCheck || null,
+            timeSinceLastCheck: timeSinceLastCheck || null,
+            lastError: lastError || null,
+            folders,
+            pollInterval: pollInterval || null,
+            newEmails: getNotifications().filter(email => email.mailboxId === id)
+        });
+    } catch (error) {
+        sendError(res, error, "Failed to get mailbox status");
+    }
+});
+
 export default router;
@@ -0,0 +1,91 @@
+import express from 'express';
+import { eventBus, EVENT_TYPES } from '../services/eventBus.js';
+import { canAccessDepartment, canAccessDocument, canAccessTask } from '../services/auth.js';
+import { canSeeNotification } from '../services/mailboxManager.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Apply the same department scoping as the REST endpoints to pushed events.
+ * Event types without a case here are not sent to anyone.
+ */
+function isVisibleTo(user, event) {
+  switch (event.type) {
+    case 'document-uploaded':
+    case 'document-duplicate':
+    case 'summary-completed':
+    case 'summary-failed':
+      return canAccessDocument(user, event.data);
+    case 'document-routed':
+      // Visible to the departments the document left and arrived in
+      return canAccessDepartment(user, event.data.department) ||
+        canAccessDepartment(user, event.data.previousDepartment);
+    case 'task-created':
+    case 'task-updated':
+    case 'task-escalated':
+      return canAccessTask(user, event.data.task);
+    case 'task-deleted':
+      return canAccessDepartment(user, event.data.department);
+    case 'email-received':
+      return canSeeNotification(user, event.data);
+    default:
+      return false;
+  }
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  // compression() buffers output unless flushed explicitly
+  res.flush?.();
+}
+
+// GET /api/events - Server-sent event stream (optional ?types=a,b filter)
+router.get('/', (req, res) => {
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean)
+    : EVENT_TYPES;
+
+  const unknown = types.filter(t => !EVENT_TYPES.includes(t));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown event types: ${unknown.join(', ')}`,
+      supportedTypes: EVENT_TYPES
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform also stops compression() from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Replay anything the client missed while reconnecting
+  const lastEventId = parseInt(req.get('Last-Event-ID'));
+  if (!Number.isNaN(lastEventId)) {
+    eventBus.eventsSince(lastEventId)
+      .filter(event => types.includes(event.type) && isVisibleTo(req.user, event))
+      .forEach(event => writeEvent(res, event));
+  }
+
+  const unsubscribe = eventBus.subscribe(event => {
+    if (types.includes(event.type) && isVisibleTo(req.user, event)) writeEvent(res, event);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    res.flush?.();
+  }, HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
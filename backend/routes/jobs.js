@@ -0,0 +1,58 @@
+import express from 'express';
+import { jobsRepository, documentsRepository } from '../db/index.js';
+import { canAccessDocument } from '../services/auth.js';
+
+const router = express.Router();
+
+// Jobs are visible when the caller can see the document they belong to
+function canAccessJob(user, job) {
+  if (!job.documentId) return user.role === 'admin';
+  const document = documentsRepository.findById(job.documentId);
+  return document ? canAccessDocument(user, document) : user.role === 'admin';
+}
+
+// GET /api/jobs - List background jobs (filter by documentId, status, type)
+router.get('/', (req, res) => {
+  try {
+    const { documentId, status, type, limit = 50 } = req.query;
+
+    let jobs = jobsRepository.list().filter(job => canAccessJob(req.user, job));
+    if (documentId) jobs = jobs.filter(job => job.documentId === documentId);
+    if (status) jobs = jobs.filter(job => job.status === status);
+    if (type) jobs = jobs.filter(job => job.type === type);
+
+    jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.json({
+      jobs: jobs.slice(0, parseInt(limit)),
+      total: jobs.length
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch jobs'
+    });
+  }
+});
+
+// GET /api/jobs/:id - Job status and progress
+router.get('/:id', (req, res) => {
+  try {
+    const job = jobsRepository.findById(req.params.id);
+
+    if (!job || !canAccessJob(req.user, job)) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { canAccessDocument } from '../services/auth.js';
+import { recordAudit } from '../services/auditLog.js';
+import {
+  listRecycleBin,
+  findTrashedDocument,
+  restoreDocument,
+  purgeDocument,
+  listPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  findOrphanedUploads,
+  collectOrphanedUploads,
+  retentionMonitor
+} from '../services/documentRetention.js';
+
+const router = express.Router();
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(fallbackMessage, error);
+  }
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
+/**
+ * Recycle-bin entry the caller may see; others are reported as missing.
+ */
+function findAccessibleTrashedDocument(req) {
+  const document = findTrashedDocument(req.params.id);
+  return document && canAccessDocument(req.user, document) ? document : null;
+}
+
+// GET /api/retention/recycle-bin - Deleted documents awaiting purge, most recent first
+router.get('/recycle-bin', requirePermission('documents:delete'), (req, res) => {
+  try {
+    res.json({ documents: listRecycleBin(document => canAccessDocument(req.user, document)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch recycle bin');
+  }
+});
+
+// POST /api/retention/recycle-bin/:id/restore - Return a deleted document to the library
+router.post('/recycle-bin/:id/restore', requirePermission('documents:delete'), (req, res) => {
+  try {
+    const trashed = findAccessibleTrashedDocument(req);
+    if (!trashed) {
+      return res.status(404).json({ error: 'Document not found in the recycle bin' });
+    }
+
+    const document = restoreDocument(trashed, req.user);
+    recordAudit(req, { action: 'document.restored', targetType: 'document', targetId: document.id, after: document });
+    res.json({ message: 'Document restored', document });
+  } catch (error) {
+    sendError(res, error, 'Failed to restore document');
+  }
+});
+
+// DELETE /api/retention/recycle-bin/:id - Permanently delete a document and its files
+router.delete('/recycle-bin/:id', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const trashed = findAccessibleTrashedDocument(req);
+    if (!trashed) {
+      return res.status(404).json({ error: 'Document not found in the recycle bin' });
+    }
+
+    const { document, filesDeleted } = await purgeDocument(trashed);
+    recordAudit(req, {
+      action: 'document.purged',
+      targetType: 'document',
+      targetId: document.id,
+      details: { title: document.title, deletedAt: document.deletedAt, filesDeleted }
+    });
+    res.json({ message: 'Document permanently deleted', document, filesDeleted });
+  } catch (error) {
+    sendError(res, error, 'Failed to purge document');
+  }
+});
+
+// GET /api/retention/policies - Retention policies by document type
+router.get('/policies', (req, res) => {
+  try {
+    res.json({ policies: listPolicies() });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch retention policies');
+  }
+});
+
+// GET /api/retention/policies/:id - Get specific policy
+router.get('/policies/:id', (req, res) => {
+  try {
+    res.json(getPolicy(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch retention policy');
+  }
+});
+
+// POST /api/retention/policies - Create policy ({ documentType, retentionDays, description })
+router.post('/policies', requirePermission('retention:manage'), (req, res) => {
+  try {
+    const policy = createPolicy(req.body, req.user);
+    recordAudit(req, { action: 'retention-policy.created', targetType: 'retention-policy', targetId: policy.id, after: policy });
+    res.status(201).json(policy);
+  } catch (error) {
+    sendError(res, error, 'Failed to create retention policy');
+  }
+});
+
+// PUT /api/retention/policies/:id - Update policy
+router.put('/policies/:id', requirePermission('retention:manage'), (req, res) => {
+  try {
+    const before = getPolicy(req.params.id);
+    const policy = updatePolicy(req.params.id, req.body, req.user);
+    recordAudit(req, { action: 'retention-policy.updated', targetType: 'retention-policy', targetId: policy.id, before, after: policy });
+    res.json(policy);
+  } catch (error) {
+    sendError(res, error, 'Failed to update retention policy');
+  }
+});
+
+// DELETE /api/retention/policies/:id - Delete policy (documents of that type are then kept indefinitely)
+router.delete('/policies/:id', requirePermission('retention:manage'), (req, res) => {
+  try {
+    const policy = deletePolicy(req.params.id);
+    recordAudit(req, { action: 'retention-policy.deleted', targetType: 'retention-policy', targetId: policy.id, before: policy });
+    res.json({ message: 'Retention policy deleted successfully', policy });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete retention policy');
+  }
+});
+
+// GET /api/retention/orphaned-files - Unreferenced files in uploads/ that garbage collection would delete
+router.get('/orphaned-files', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const files = await findOrphanedUploads();
+    res.json({ files, totalBytes: files.reduce((sum, file) => sum + file.size, 0) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list orphaned files');
+  }
+});
+
+// POST /api/retention/collect-garbage - Delete orphaned files from uploads/ now
+router.post('/collect-garbage', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const result = await collectOrphanedUploads();
+    recordAudit(req, {
+      action: 'uploads.collected',
+      targetType: 'uploads',
+      details: { files: result.files.map(file => file.name), bytesFreed: result.bytesFreed }
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to collect orphaned files');
+  }
+});
+
+// POST /api/retention/run - Apply retention policies, empty the recycle bin and check for orphans now
+router.post('/run', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const result = await retentionMonitor.check();
+    if (!result) {
+      return res.status(409).json({ error: 'A retention check is already running' });
+    }
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to run retention check');
+  }
+});
+
+export default router;
@@ -0,0 +1,60 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { listRules, getRule, createRule, updateRule, deleteRule } from '../services/documentRouting.js';
+
+const router = express.Router();
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(fallbackMessage, error);
+  }
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
+// GET /api/routing-rules - Rules in evaluation order, with routing statistics
+router.get('/', (req, res) => {
+  try {
+    res.json({ rules: listRules() });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch routing rules');
+  }
+});
+
+// GET /api/routing-rules/:id - Get specific rule
+router.get('/:id', (req, res) => {
+  try {
+    res.json(getRule(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch routing rule');
+  }
+});
+
+// POST /api/routing-rules - Create rule
+router.post('/', requirePermission('routing:manage'), (req, res) => {
+  try {
+    res.status(201).json(createRule(req.body, req.user));
+  } catch (error) {
+    sendError(res, error, 'Failed to create routing rule');
+  }
+});
+
+// PUT /api/routing-rules/:id - Update rule (conditions and actions merge into the existing ones)
+router.put('/:id', requirePermission('routing:manage'), (req, res) => {
+  try {
+    res.json(updateRule(req.params.id, req.body, req.user));
+  } catch (error) {
+    sendError(res, error, 'Failed to update routing rule');
+  }
+});
+
+// DELETE /api/routing-rules/:id - Delete rule
+router.delete('/:id', requirePermission('routing:manage'), (req, res) => {
+  try {
+    res.json({ message: 'Routing rule deleted successfully', rule: deleteRule(req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete routing rule');
+  }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import { searchIndex, SEARCH_KINDS } from '../services/searchIndex.js';
+import { searchStats } from '../services/searchStats.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+
+// GET /api/search?q=...&types=document,summary,task&limit=20 - Ranked full-text search
+router.get('/', (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Query parameter "q" is required' });
+    }
+
+    const kinds = req.query.types ? String(req.query.types).split(',').map(type => type.trim()) : SEARCH_KINDS;
+    const unknown = kinds.filter(kind => !SEARCH_KINDS.includes(kind));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown search types: ${unknown.join(', ')}`,
+        supportedTypes: SEARCH_KINDS
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT);
+    const { terms, total, results } = searchIndex.search(query, { user: req.user, kinds, limit });
+    searchStats.record(total);
+
+    res.json({ query, terms, total, results });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({
+      error: 'Failed to search'
+    });
+  }
+});
+
+export default router;
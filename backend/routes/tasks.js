@@ -1,46 +1,57 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
+import { documentsRepository, tasksRepository } from '../db/index.js';
+import { eventBus } from '../services/eventBus.js';
+import { canAccessDepartment, canAccessDocument, canAccessTask } from '../services/auth.js';
+import {
+  getWorkflow,
+  allowedTransitions,
+  recordTaskCreated,
+  updateTask,
+  taskHistory,
+  removeTaskHistory
+} from '../services/taskWorkflow.js';
+import { evaluateSla, refreshTaskSla, escalationCounts } from '../services/taskSla.js';
+import { createTasksFromActionItems } from '../services/actionItemTasks.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../services/auditLog.js';
 
 const router = express.Router();
 
-// In-memory storage for tasks (in production, use a database)
-let tasks = [
-  {
-    id: '1',
-    title: 'Complete staff training on new protocols',
-    description: 'Conduct comprehensive training for all operational staff on new safety protocols',
-    priority: 'high',
-    status: 'pending',
-    assignee: 'HR Department',
-    department: 'Human Resources',
-    deadline: '2024-01-28T00:00:00.000Z',
-    estimatedHours: 40,
-    createdAt: '2024-01-15T10:00:00.000Z',
-    updatedAt: '2024-01-15T10:00:00.000Z',
-    createdBy: 'AI System',
-    documentId: 'DOC001',
-    category: 'Training',
-    tags: ['safety', 'training', 'protocols']
-  },
-  {
-    id: '2',
-    title: 'Install additional safety equipment',
-    description: 'Install new safety equipment in tunnel sections as per safety review recommendations',
-    priority: 'medium',
-    status: 'in-progress',
-    assignee: 'Maintenance Team',
-    department: 'Maintenance',
-    deadline: '2024-02-15T00:00:00.000Z',
-    estimatedHours: 80,
-    createdAt: '2024-01-15T11:00:00.000Z',
-    updatedAt: '2024-01-20T14:30:00.000Z',
-    createdBy: 'AI System',
-    documentId: 'DOC001',
-    category: 'Maintenance',
-    tags: ['safety', 'equipment', 'tunnel']
-  }
+// Fields clients may not overwrite through PUT
+const PROTECTED_FIELDS = [
+  'id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'source', 'sla', 'escalationLevel'
 ];
 
+// SLA standings counted by GET /sla/summary
+const SLA_STATES = ['on-track', 'at-risk', 'overdue', 'met', 'breached'];
+
+/**
+ * Look up a task the caller is allowed to see; others are reported as missing.
+ */
+function findAccessibleTask(req) {
+  const task = tasksRepository.findById(req.params.id);
+  return task && canAccessTask(req.user, task) ? task : null;
+}
+
+/**
+ * Whether a new task may point at `documentId`: none given, or a document the
+ * caller can see.
+ */
+function canLinkDocument(req, documentId) {
+  if (!documentId) return true;
+  const document = documentsRepository.findById(documentId);
+  return Boolean(document) && canAccessDocument(req.user, document);
+}
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(fallbackMessage, error);
+  }
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
 // GET /api/tasks - Get all tasks with optional filtering
 router.get('/', (req, res) => {
   try {
@@ -57,7 +68,7 @@ router.get('/', (req, res) => {
       limit = 50
     } = req.query;
 
-    let filteredTasks = [...tasks];
+    let filteredTasks = tasksRepository.list().filter(task => canAccessTask(req.user, task));
 
     // Apply filters
     if (status) {
@@ -129,18 +140,52 @@ router.get('/', (req, res) => {
   }
 });
 
+// GET /api/tasks/workflow - Statuses, allowed moves and role guards
+router.get('/workflow', (req, res) => {
+  try {
+    res.json(getWorkflow());
+  } catch (error) {
+    console.error('Error fetching task workflow:', error);
+    res.status(500).json({
+      error: 'Failed to fetch task workflow'
+    });
+  }
+});
+
+// GET /api/tasks/overdue - Open tasks past their deadline or SLA, most overdue first.
+// ?includeAtRisk=true adds tasks about to become overdue.
+router.get('/overdue', (req, res) => {
+  try {
+    const includeAtRisk = req.query.includeAtRisk === 'true';
+    const now = Date.now();
+
+    const tasks = tasksRepository.list()
+      .filter(task => canAccessTask(req.user, task))
+      .map(task => ({ ...task, sla: evaluateSla(task, now) }))
+      .filter(task => task.sla.state === 'overdue' || (includeAtRisk && task.sla.state === 'at-risk'))
+      .sort((a, b) => a.sla.dueAt.localeCompare(b.sla.dueAt));
+
+    res.json({ tasks, total: tasks.length });
+  } catch (error) {
+    console.error('Error fetching overdue tasks:', error);
+    res.status(500).json({
+      error: 'Failed to fetch overdue tasks'
+    });
+  }
+});
+
 // GET /api/tasks/:id - Get specific task
 router.get('/:id', (req, res) => {
   try {
-    const task = tasks.find(t => t.id === req.params.id);
-    
+    const task = findAccessibleTask(req);
+
     if (!task) {
       return res.status(404).json({
         error: 'Task not found'
       });
     }
 
-    res.json(task);
+    res.json({ ...task, allowedTransitions: allowedTransitions(task, req.user) });
   } catch (error) {
     console.error('Error fetching task:', error);
     res.status(500).json({
@@ -150,7 +195,7 @@ router.get('/:id', (req, res) => {
 });
 
 // POST /api/tasks - Create new task
-router.post('/', (req, res) => {
+router.post('/', requirePermission('tasks:write'), (req, res) => {
   try {
     const {
       title,
@@ -171,28 +216,48 @@ router.post('/', (req, res) => {
         error: 'Title and description are required'
       });
     }
+    if (!canAccessDepartment(req.user, department)) {
+      return res.status(403).json({
+        error: `You cannot create tasks for ${department}`
+      });
+    }
+    if (!canLinkDocument(req, documentId)) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+    if (deadline && Number.isNaN(Date.parse(deadline))) {
+      return res.status(400).json({
+        error: 'deadline must be a valid date'
+      });
+    }
 
     const newTask = {
       id: uuidv4(),
       title,
       description,
       priority,
-      status: 'pending',
+      status: getWorkflow().initial,
       assignee: assignee || 'Unassigned',
       department: department || 'General',
       deadline: deadline || null,
-      estimatedHours: estimatedHours || 0,
+      estimatedHours: Math.max(0, parseFloat(estimatedHours) || 0),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
-      createdBy: req.body.createdBy || 'AI System',
+      createdBy: req.user.username,
+      updatedBy: req.user.username,
       documentId: documentId || null,
       category: category || 'General',
       tags: Array.isArray(tags) ? tags : []
     };
 
-    tasks.push(newTask);
+    tasksRepository.insert(newTask);
+    recordTaskCreated(newTask, req.user);
+    const task = refreshTaskSla(newTask);
+    recordAudit(req, { action: 'task.created', targetType: 'task', targetId: task.id, after: task });
+    eventBus.publish('task-created', { task });
 
-    res.status(201).json(newTask);
+    res.status(201).json(task);
   } catch (error) {
     console.error('Error creating task:', error);
     res.status(500).json({
@@ -201,45 +266,42 @@ router.post('/', (req, res) => {
   }
 });
 
-// POST /api/tasks/batch - Create multiple tasks from AI analysis
-router.post('/batch', (req, res) => {
+// POST /api/tasks/batch - Create multiple tasks from AI analysis.
+// Items repeating an open task of the same document (or each other) are skipped.
+router.post('/batch', requirePermission('tasks:write'), (req, res) => {
   try {
-    const { actionItems, documentId, createdBy = 'AI System' } = req.body;
+    const { actionItems, documentId } = req.body;
 
     if (!actionItems || !Array.isArray(actionItems)) {
       return res.status(400).json({
         error: 'actionItems array is required'
       });
     }
+    // Documents outside the caller's departments are reported as missing
+    if (!canLinkDocument(req, documentId)) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+    const forbidden = actionItems.find(item => item?.department && !canAccessDepartment(req.user, item.department));
+    if (forbidden) {
+      return res.status(403).json({
+        error: `You cannot create tasks for ${forbidden.department}`
+      });
+    }
 
-    const createdTasks = [];
-
-    for (const item of actionItems) {
-      const newTask = {
-        id: uuidv4(),
-        title: item.task || 'Untitled Task',
-        description: item.description || item.task || 'No description provided',
-        priority: item.priority || 'medium',
-        status: 'pending',
-        assignee: item.assignee || item.department || 'Unassigned',
-        department: item.department || 'General',
-        deadline: item.deadline ? new Date(item.deadline).toISOString() : null,
-        estimatedHours: item.estimatedHours || 0,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        createdBy,
-        documentId: documentId || null,
-        category: item.category || 'AI Generated',
-        tags: item.tags || ['ai-generated']
-      };
-
-      tasks.push(newTask);
-      createdTasks.push(newTask);
+    const { tasks: createdTasks, skipped } = createTasksFromActionItems(actionItems, {
+      documentId,
+      user: req.user
+    });
+    for (const task of createdTasks) {
+      recordAudit(req, { action: 'task.created', targetType: 'task', targetId: task.id, after: task, details: { batch: true } });
     }
 
     res.status(201).json({
       message: `Successfully created ${createdTasks.length} tasks`,
-      tasks: createdTasks
+      tasks: createdTasks,
+      skipped
     });
   } catch (error) {
     console.error('Error creating batch tasks:', error);
@@ -249,78 +311,118 @@ router.post('/batch', (req, res) => {
   }
 });
 
-// PUT /api/tasks/:id - Update task
-router.put('/:id', (req, res) => {
+// PUT /api/tasks/:id - Update task; a status change must follow the workflow
+router.put('/:id', requirePermission('tasks:write'), (req, res) => {
   try {
-    const taskIndex = tasks.findIndex(t => t.id === req.params.id);
-    
-    if (taskIndex === -1) {
+    const task = findAccessibleTask(req);
+
+    if (!task) {
       return res.status(404).json({
         error: 'Task not found'
       });
     }
+    if (req.body.department && !canAccessDepartment(req.user, req.body.department)) {
+      return res.status(403).json({
+        error: `You cannot move tasks to ${req.body.department}`
+      });
+    }
+    if (req.body.deadline && Number.isNaN(Date.parse(req.body.deadline))) {
+      return res.status(400).json({
+        error: 'deadline must be a valid date'
+      });
+    }
 
-    const updatedTask = {
-      ...tasks[taskIndex],
-      ...req.body,
-      id: req.params.id, // Ensure ID doesn't change
-      updatedAt: new Date().toISOString()
-    };
+    const { comment, ...fields } = req.body;
+    PROTECTED_FIELDS.forEach(field => delete fields[field]);
 
-    tasks[taskIndex] = updatedTask;
+    const { task: changedTask, changed } = updateTask(task, fields, req.user, { comment });
+    const updatedTask = refreshTaskSla(changedTask);
 
+    if (changed.length > 0) {
+      recordAudit(req, { action: 'task.updated', targetType: 'task', targetId: task.id, before: task, after: updatedTask, details: comment ? { comment } : null });
+      eventBus.publish('task-updated', {
+        task: updatedTask,
+        changes: changed,
+        ...(changed.includes('status') && { previousStatus: task.status })
+      });
+    }
     res.json(updatedTask);
   } catch (error) {
-    console.error('Error updating task:', error);
-    res.status(500).json({
-      error: 'Failed to update task'
-    });
+    sendError(res, error, 'Failed to update task');
   }
 });
 
-// PATCH /api/tasks/:id/status - Update task status
-router.patch('/:id/status', (req, res) => {
+// PATCH /api/tasks/:id/status - Move a task along the workflow
+router.patch('/:id/status', requirePermission('tasks:write'), (req, res) => {
   try {
-    const { status } = req.body;
-    const taskIndex = tasks.findIndex(t => t.id === req.params.id);
-    
-    if (taskIndex === -1) {
+    const { status, comment } = req.body;
+    const task = findAccessibleTask(req);
+
+    if (!task) {
       return res.status(404).json({
         error: 'Task not found'
       });
     }
 
-    if (!status || !['pending', 'in-progress', 'completed', 'cancelled'].includes(status)) {
+    if (!status) {
       return res.status(400).json({
-        error: 'Valid status is required (pending, in-progress, completed, cancelled)'
+        error: `Valid status is required (${getWorkflow().statuses.join(', ')})`
       });
     }
 
-    tasks[taskIndex].status = status;
-    tasks[taskIndex].updatedAt = new Date().toISOString();
+    const { task: changedTask, changed } = updateTask(task, { status }, req.user, { comment });
+    const updatedTask = refreshTaskSla(changedTask);
+
+    if (changed.length > 0) {
+      recordAudit(req, { action: 'task.status-changed', targetType: 'task', targetId: task.id, before: task, after: updatedTask, details: comment ? { comment } : null });
+      eventBus.publish('task-updated', { task: updatedTask, changes: ['status'], previousStatus: task.status });
+    }
+    res.json(updatedTask);
+  } catch (error) {
+    sendError(res, error, 'Failed to update task status');
+  }
+});
+
+// GET /api/tasks/:id/history - Who changed what on a task, oldest first
+router.get('/:id/history', (req, res) => {
+  try {
+    const task = findAccessibleTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        error: 'Task not found'
+      });
+    }
 
-    res.json(tasks[taskIndex]);
+    res.json({ taskId: task.id, history: taskHistory(task.id) });
   } catch (error) {
-    console.error('Error updating task status:', error);
+    console.error('Error fetching task history:', error);
     res.status(500).json({
-      error: 'Failed to update task status'
+      error: 'Failed to fetch task history'
     });
   }
 });
 
 // DELETE /api/tasks/:id - Delete task
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('tasks:delete'), (req, res) => {
   try {
-    const taskIndex = tasks.findIndex(t => t.id === req.params.id);
-    
-    if (taskIndex === -1) {
+    const task = findAccessibleTask(req);
+
+    if (!task) {
       return res.status(404).json({
         error: 'Task not found'
       });
     }
 
-    const deletedTask = tasks.splice(taskIndex, 1)[0];
+    const deletedTask = tasksRepository.remove(task.id);
+    removeTaskHistory(deletedTask.id);
+    recordAudit(req, { action: 'task.deleted', targetType: 'task', targetId: deletedTask.id, before: deletedTask });
 
+    eventBus.publish('task-deleted', {
+      taskId: deletedTask.id,
+      documentId: deletedTask.documentId,
+      department: deletedTask.department
+    });
     res.json({
       message: 'Task deleted successfully',
       task: deletedTask
@@ -336,14 +438,12 @@ router.delete('/:id', (req, res) => {
 // GET /api/tasks/stats/summary - Get task statistics
 router.get('/stats/summary', (req, res) => {
   try {
+    const tasks = tasksRepository.list().filter(task => canAccessTask(req.user, task));
     const stats = {
       total: tasks.length,
-      byStatus: {
-        pending: tasks.filter(t => t.status === 'pending').length,
-        'in-progress': tasks.filter(t => t.status === 'in-progress').length,
-        completed: tasks.filter(t => t.status === 'completed').length,
-        cancelled: tasks.filter(t => t.status === 'cancelled').length
-      },
+      byStatus: Object.fromEntries(
+        getWorkflow().statuses.map(status => [status, tasks.filter(t => t.status === status).length])
+      ),
       byPriority: {
         critical: tasks.filter(t => t.priority === 'critical').length,
         high: tasks.filter(t => t.priority === 'high').length,
@@ -371,4 +471,31 @@ router.get('/stats/summary', (req, res) => {
   }
 });
 
+// GET /api/tasks/sla/summary - Tasks per SLA state, escalations and SLA compliance
+router.get('/sla/summary', (req, res) => {
+  try {
+    const tasks = tasksRepository.list().filter(task => canAccessTask(req.user, task));
+    const now = Date.now();
+
+    const byState = Object.fromEntries(SLA_STATES.map(state => [state, 0]));
+    tasks.forEach(task => {
+      byState[evaluateSla(task, now).state]++;
+    });
+
+    // Share of closed tasks finished within their SLA
+    const closed = byState.met + byState.breached;
+    res.json({
+      total: tasks.length,
+      byState,
+      escalations: escalationCounts(tasks, now),
+      compliance: closed > 0 ? Math.round((byState.met / closed) * 1000) / 10 : null
+    });
+  } catch (error) {
+    console.error('Error fetching SLA summary:', error);
+    res.status(500).json({
+      error: 'Failed to fetch SLA summary'
+    });
+  }
+});
+
 export default router;
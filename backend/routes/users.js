@@ -0,0 +1,60 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { ROLES, listUsers, createUser, updateUser, deleteUser } from '../services/auth.js';
+
+const router = express.Router();
+
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    console.error(fallbackMessage, error);
+  }
+  res.status(status).json({ error: status >= 500 ? fallbackMessage : error.message });
+}
+
+// GET /api/users - List users (department heads only see their department)
+router.get('/', requirePermission('users:read'), (req, res) => {
+  try {
+    let users = listUsers();
+    if (req.user.role !== 'admin') {
+      users = users.filter(user => user.department === req.user.department);
+    }
+
+    res.json({ users, roles: ROLES });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch users');
+  }
+});
+
+// POST /api/users - Create user
+router.post('/', requirePermission('users:manage'), (req, res) => {
+  try {
+    res.status(201).json(createUser(req.body, req.user));
+  } catch (error) {
+    sendError(res, error, 'Failed to create user');
+  }
+});
+
+// PUT /api/users/:id - Update user (role, department, active, optional password reset)
+router.put('/:id', requirePermission('users:manage'), (req, res) => {
+  try {
+    res.json(updateUser(req.params.id, req.body, req.user));
+  } catch (error) {
+    sendError(res, error, 'Failed to update user');
+  }
+});
+
+// DELETE /api/users/:id - Delete user
+router.delete('/:id', requirePermission('users:manage'), (req, res) => {
+  try {
+    const user = deleteUser(req.params.id, req.user);
+    res.json({
+      message: 'User deleted successfully',
+      user
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete user');
+  }
+});
+
+export default router;
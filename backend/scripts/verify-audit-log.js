@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+// Check the audit log hash chain: npm run audit:verify
+// Uses DATA_FILE and AUDIT_LOG_KEY from backend/.env; exits with status 1 when
+// an entry was edited, removed, reordered or inserted. The data file is only
+// read: no migrations, fixtures or writes, so it is safe next to a running server.
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dataFilePath } from '../db/index.js';
+import { readDataFile } from '../db/store.js';
+import { verifyAuditChain } from '../services/auditLog.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const file = dataFilePath();
+let data;
+try {
+  data = readDataFile(file);
+} catch (err) {
+  console.error(`❌ Cannot read ${file}: ${err.message}`);
+  process.exit(1);
+}
+if (!data) {
+  console.error(`❌ No data file at ${file}`);
+  process.exit(1);
+}
+
+const result = verifyAuditChain(data.collections.auditLog || [], data.meta.auditHead);
+if (result.valid) {
+  console.log(`✅ Audit log intact: ${result.entries} entries, head ${result.headHash}`);
+} else {
+  console.error(`❌ Audit log tampered at entry ${result.error.seq}${result.error.id ? ` (${result.error.id})` : ''}: ${result.error.reason}`);
+  console.error(`   ${result.verified} of ${result.entries} entries verified before the break`);
+  process.exitCode = 1;
+}
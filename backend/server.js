@@ -13,6 +13,23 @@ import aiRoutes from './routes/ai.js';
 import documentsRoutes from './routes/documents.js';
 import tasksRoutes from './routes/tasks.js';
 import emailRoutes from './routes/email.js';
+import jobsRoutes from './routes/jobs.js';
+import eventsRoutes from './routes/events.js';
+import searchRoutes from './routes/search.js';
+import authRoutes from './routes/auth.js';
+import usersRoutes from './routes/users.js';
+import routingRulesRoutes from './routes/routingRules.js';
+import complianceRoutes from './routes/compliance.js';
+import analyticsRoutes from './routes/analytics.js';
+import auditRoutes from './routes/audit.js';
+import retentionRoutes from './routes/retention.js';
+import { redactAccessToken, requireAuth } from './middleware/auth.js';
+import { jobQueue } from './services/jobQueue.js';
+import { ensureAdminUser } from './services/auth.js';
+import { getWorkflow } from './services/taskWorkflow.js';
+import { slaMonitor } from './services/taskSla.js';
+import { retentionMonitor } from './services/documentRetention.js';
+import { searchStats } from './services/searchStats.js';
 
 // Define __filename and __dirname first
 const __filename = fileURLToPath(import.meta.url);
@@ -73,6 +90,8 @@ app.use(helmet({
 
 // Other middleware
 app.use(compression());
+// Log URLs without the session tokens some GETs carry in the query string
+morgan.token('url', req => redactAccessToken(req.originalUrl || req.url));
 app.use(morgan('combined'));
 
 // Rate limiting after CORS
@@ -94,11 +113,21 @@ app.get('/health', (req, res) => {
 });
 
 
-// API Routes
-app.use('/api/ai', aiRoutes);
-app.use('/api/documents', documentsRoutes);
-app.use('/api/tasks', tasksRoutes);
-app.use('/api/email', emailRoutes);
+// API Routes (everything except login requires a session token)
+app.use('/api/auth', authRoutes);
+app.use('/api/users', requireAuth, usersRoutes);
+app.use('/api/ai', requireAuth, aiRoutes);
+app.use('/api/documents', requireAuth, documentsRoutes);
+app.use('/api/tasks', requireAuth, tasksRoutes);
+app.use('/api/email', requireAuth, emailRoutes);
+app.use('/api/jobs', requireAuth, jobsRoutes);
+app.use('/api/events', requireAuth, eventsRoutes);
+app.use('/api/search', requireAuth, searchRoutes);
+app.use('/api/routing-rules', requireAuth, routingRulesRoutes);
+app.use('/api/compliance', requireAuth, complianceRoutes);
+app.use('/api/analytics', requireAuth, analyticsRoutes);
+app.use('/api/audit', requireAuth, auditRoutes);
+app.use('/api/retention', requireAuth, retentionRoutes);
 
 
 // 404 handler
@@ -127,6 +156,25 @@ app.listen(PORT, () => {
   console.log(`🚀 Documind AI Backend server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  ensureAdminUser();
+  // Fail on startup rather than on the first task update when TASK_WORKFLOW_FILE is invalid
+  getWorkflow();
+
+  // Resume queued document processing from the previous run
+  jobQueue.start();
+  slaMonitor.start();
+  retentionMonitor.start();
+  searchStats.start();
 });
 
+// Exit through process.exit so buffered search counts and pending data file
+// writes are saved
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    searchStats.stop();
+    process.exit(0);
+  });
+}
+
 export default app;
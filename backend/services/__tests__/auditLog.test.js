@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { auditLogRepository, getStore } from '../../db/index.js';
+import { diffRecords, listAuditEntries, recordAudit, verifyAuditChain, verifyAuditLog } from '../auditLog.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documind-audit-'));
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+
+afterAll(() => {
+  getStore().flushNow();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const req = { user: { username: 'ada', role: 'admin' }, ip: '10.0.0.1' };
+
+describe('recordAudit', () => {
+  it('chains entries and records the changed fields', () => {
+    const first = recordAudit(req, { action: 'document.updated', targetType: 'document', targetId: 'd1',
+      before: { title: 'Old', priority: 'low', updatedAt: 'a' }, after: { title: 'New', priority: 'low', updatedAt: 'b' } });
+    const second = recordAudit(null, { action: 'uploads.collected', targetType: 'uploads' });
+
+    expect(first).toMatchObject({ seq: 1, actor: 'ada', role: 'admin', ip: '10.0.0.1' });
+    expect(first.changes).toEqual([{ field: 'title', from: 'Old', to: 'New' }]);
+    expect(second).toMatchObject({ seq: 2, actor: 'system', prevHash: first.hash });
+    expect(verifyAuditLog()).toMatchObject({ valid: true, entries: 2, headHash: second.hash });
+  });
+
+  it('filters entries by action prefix, newest first', () => {
+    const { entries } = listAuditEntries({ action: 'document.' });
+    expect(entries.map(entry => entry.action)).toEqual(['document.updated']);
+    expect(listAuditEntries({}).entries[0].action).toBe('uploads.collected');
+  });
+});
+
+describe('diffRecords', () => {
+  it('redacts credentials and logs large values as digests', () => {
+    const changes = diffRecords({ passwordHash: 'old' }, { passwordHash: 'new', summary: 'x'.repeat(2000) });
+
+    expect(changes[0]).toEqual({ field: 'passwordHash', from: '[redacted]', to: '[redacted]' });
+    expect(changes[1].to).toEqual({ sha256: expect.stringMatching(/^[0-9a-f]{64}$/), length: 2002 });
+  });
+});
+
+describe('verifyAuditChain', () => {
+  const chain = () => structuredClone(auditLogRepository.list());
+  const head = () => getStore().meta.auditHead;
+
+  it('detects an edited entry', () => {
+    const entries = chain();
+    entries[0].actor = 'mallory';
+    expect(verifyAuditChain(entries, head())).toMatchObject({ valid: false, verified: 0, error: { seq: 1 } });
+  });
+
+  it('detects a removed or reordered entry', () => {
+    const entries = chain();
+    expect(verifyAuditChain(entries.slice(1), head()).valid).toBe(false);
+    expect(verifyAuditChain([entries[1], entries[0]], head()).valid).toBe(false);
+  });
+
+  it('detects a log cut off after its last entry', () => {
+    const entries = chain();
+    expect(verifyAuditChain(entries.slice(0, 1), head())).toMatchObject({
+      valid: false,
+      verified: 1,
+      error: { reason: 'Log ends at entry 1 but its recorded head is entry 2' }
+    });
+  });
+
+  it('accepts an empty log without a head', () => {
+    expect(verifyAuditChain([], undefined)).toMatchObject({ valid: true, entries: 0 });
+  });
+});
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getStore } from '../../db/index.js';
+import {
+  can,
+  canAccessDepartment,
+  canAccessDocument,
+  canAccessTask,
+  changePassword,
+  createUser,
+  hashPassword,
+  issueToken,
+  verifyCredentials,
+  verifyPassword,
+  verifyToken
+} from '../auth.js';
+
+// The store resolves DATA_FILE on first use
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documind-auth-'));
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+process.env.SESSION_SECRET = 'test-secret';
+
+afterAll(() => {
+  getStore().flushNow();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const admin = { username: 'root', role: 'admin', department: 'General' };
+const financeStaff = { username: 'fiona', name: 'Fiona', role: 'staff', department: 'Finance' };
+
+describe('department scoping', () => {
+  it('lets admins into every department', () => {
+    expect(canAccessDepartment(admin, 'Finance')).toBe(true);
+    expect(canAccessDepartment(admin, 'Operations')).toBe(true);
+  });
+
+  it('limits other users to their own and the shared department', () => {
+    expect(canAccessDepartment(financeStaff, 'Finance')).toBe(true);
+    expect(canAccessDepartment(financeStaff, 'General')).toBe(true);
+    expect(canAccessDepartment(financeStaff, undefined)).toBe(true);
+    expect(canAccessDepartment(financeStaff, 'Operations')).toBe(false);
+    expect(canAccessDepartment(null, 'General')).toBe(false);
+  });
+
+  it('gives uploaders access to their documents in other departments', () => {
+    expect(canAccessDocument(financeStaff, { department: 'Operations', createdBy: 'fiona' })).toBe(true);
+    expect(canAccessDocument(financeStaff, { department: 'Operations', createdBy: 'omar' })).toBe(false);
+  });
+
+  it('gives creators and assignees access to their tasks in other departments', () => {
+    const task = { department: 'Operations', createdBy: 'omar', assignee: null };
+    expect(canAccessTask(financeStaff, task)).toBeFalsy();
+    expect(canAccessTask(financeStaff, { ...task, assignee: 'Fiona' })).toBe(true);
+    expect(canAccessTask(financeStaff, { ...task, createdBy: 'fiona' })).toBe(true);
+  });
+});
+
+describe('permissions', () => {
+  it('grants permissions by role', () => {
+    expect(can(admin, 'users:manage')).toBe(true);
+    expect(can(financeStaff, 'documents:write')).toBe(true);
+    expect(can(financeStaff, 'documents:delete')).toBe(false);
+    expect(can({ role: 'viewer' }, 'tasks:write')).toBe(false);
+    expect(can(financeStaff, 'no-such-permission')).toBe(false);
+    expect(can(null, 'documents:read')).toBe(false);
+  });
+});
+
+describe('credentials and sessions', () => {
+  it('verifies scrypt password hashes', () => {
+    const stored = hashPassword('correct horse');
+    expect(verifyPassword('correct horse', stored)).toBe(true);
+    expect(verifyPassword('wrong horse', stored)).toBe(false);
+    expect(verifyPassword('correct horse', 'plain:text')).toBe(false);
+  });
+
+  it('rejects short passwords and duplicate usernames', () => {
+    expect(() => createUser({ username: 'shorty', role: 'staff', department: 'Finance', password: 'short' }))
+      .toThrow('at least 8 characters');
+    createUser({ username: 'dup-user', role: 'staff', department: 'Finance', password: 'long enough' });
+    expect(() => createUser({ username: 'DUP-USER', role: 'staff', department: 'Finance', password: 'long enough' }))
+      .toThrow('already exists');
+  });
+
+  it('requires a department for non-admin users', () => {
+    expect(() => createUser({ username: 'nodept', role: 'staff', password: 'long enough' }))
+      .toThrow('Department is required');
+  });
+
+  it('resolves tokens until the password changes', () => {
+    createUser({ username: 'tokens', role: 'staff', department: 'Finance', password: 'first password' });
+    const user = verifyCredentials('tokens', 'first password');
+    const { token } = issueToken(user);
+
+    expect(verifyToken(token)?.id).toBe(user.id);
+    expect(verifyToken(`${token}x`)).toBeNull();
+    expect(verifyCredentials('tokens', 'wrong password')).toBeNull();
+
+    changePassword(user, 'first password', 'second password');
+    expect(verifyToken(token)).toBeNull();
+    expect(verifyCredentials('tokens', 'second password')?.id).toBe(user.id);
+  });
+});
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { documentsRepository, documentVersionsRepository, getStore, recycleBinRepository } from '../../db/index.js';
+import {
+  applyRetention,
+  createPolicy,
+  findOrphanedUploads,
+  placeLegalHold,
+  purgeDocument,
+  releaseLegalHold,
+  restoreDocument,
+  retentionExpiry,
+  retentionMonitor,
+  trashDocument
+} from '../documentRetention.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documind-retention-'));
+const uploadDir = path.join(dataDir, 'uploads');
+fs.mkdirSync(uploadDir);
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+process.env.UPLOAD_DIR = uploadDir;
+
+afterAll(() => {
+  getStore().flushNow();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const admin = { username: 'ada', role: 'admin' };
+const uploadDate = '2026-01-01T00:00:00.000Z';
+
+function addDocument(id, fields = {}) {
+  const filePath = path.join(uploadDir, id);
+  fs.writeFileSync(filePath, id);
+  return documentsRepository.insert({ id, title: id, type: 'Circular', uploadDate, filePath, legalHold: null, ...fields });
+}
+
+function statusError(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.status;
+  }
+  return null;
+}
+
+beforeAll(() => {
+  createPolicy({ documentType: 'circular', retentionDays: 30 }, admin);
+});
+
+describe('retention policies', () => {
+  it('reject a second policy for the same type and non-positive periods', () => {
+    expect(statusError(() => createPolicy({ documentType: 'Circular', retentionDays: 10 }, admin))).toBe(409);
+    expect(statusError(() => createPolicy({ documentType: 'Memo', retentionDays: 0 }, admin))).toBe(400);
+  });
+
+  it('expire documents of the covered type counted from upload or restore', () => {
+    expect(retentionExpiry({ type: 'Circular', uploadDate })).toBe('2026-01-31T00:00:00.000Z');
+    expect(retentionExpiry({ type: 'Circular', uploadDate, restoredAt: '2026-03-01T00:00:00.000Z' }))
+      .toBe('2026-03-31T00:00:00.000Z');
+    expect(retentionExpiry({ type: 'Memo', uploadDate })).toBeNull();
+  });
+});
+
+describe('legal hold', () => {
+  it('needs a reason and blocks deletion until released', () => {
+    const document = addDocument('held-by-hand');
+
+    expect(statusError(() => placeLegalHold(document, '  ', admin))).toBe(400);
+    const held = placeLegalHold(document, 'Accident inquiry', admin);
+    expect(held.legalHold).toMatchObject({ reason: 'Accident inquiry', placedBy: 'ada' });
+    expect(statusError(() => placeLegalHold(held, 'Again', admin))).toBe(409);
+    expect(statusError(() => trashDocument(held, admin))).toBe(409);
+
+    const released = releaseLegalHold(held, admin);
+    expect(trashDocument(released, admin)).toMatchObject({ id: 'held-by-hand', deletedBy: 'ada', deletionReason: 'manual' });
+  });
+});
+
+describe('applyRetention', () => {
+  it('moves expired documents to the recycle bin but keeps held ones', async () => {
+    addDocument('expired');
+    placeLegalHold(addDocument('expired-held'), 'Audit', admin);
+    addDocument('recent', { uploadDate: '2026-02-20T00:00:00.000Z' });
+    addDocument('memo', { type: 'Memo' });
+
+    const result = await applyRetention(Date.parse('2026-03-01T00:00:00.000Z'));
+
+    expect(result.trashed).toBe(1);
+    expect(recycleBinRepository.findById('expired')).toMatchObject({ deletedBy: 'retention', deletionReason: 'retention' });
+    expect(documentsRepository.list().map(document => document.id).sort()).toEqual(['expired-held', 'memo', 'recent']);
+  });
+
+  it('purges recycle-bin entries after their purge date', async () => {
+    const { purgeAfter } = recycleBinRepository.findById('expired');
+    const result = await applyRetention(Date.parse(purgeAfter) + 1);
+
+    expect(result.purged).toBeGreaterThanOrEqual(1);
+    expect(recycleBinRepository.findById('expired')).toBeNull();
+    expect(fs.existsSync(path.join(uploadDir, 'expired'))).toBe(false);
+  });
+});
+
+describe('recycle bin', () => {
+  it('restores a document with a fresh retention period', () => {
+    const trashed = trashDocument(addDocument('restored'), admin);
+    const restored = restoreDocument(trashed, admin);
+
+    expect(restored.deletedAt).toBeUndefined();
+    expect(restored.restoredBy).toBe('ada');
+    expect(Date.parse(retentionExpiry(restored))).toBeGreaterThan(Date.now());
+  });
+
+  it('keeps files a superseded version still references when purging', async () => {
+    const document = addDocument('versioned');
+    documentVersionsRepository.insert({ id: 'v1', documentId: 'other', version: 1, filePath: document.filePath });
+
+    const { filesDeleted } = await purgeDocument(trashDocument(document, admin));
+
+    expect(filesDeleted).toBe(0);
+    expect(fs.existsSync(document.filePath)).toBe(true);
+  });
+});
+
+describe('orphaned uploads', () => {
+  const orphan = path.join(uploadDir, 'orphan');
+  const later = Date.now() + 2 * DAY_MS;
+
+  beforeAll(() => fs.writeFileSync(orphan, 'left behind'));
+  afterEach(() => delete process.env.UPLOAD_GC_DELETE);
+
+  it('only reports them from scheduled checks by default', async () => {
+    expect((await findOrphanedUploads(later)).map(file => file.name)).toEqual(['orphan']);
+    expect(await findOrphanedUploads(Date.now())).toEqual([]);
+
+    const result = await retentionMonitor.check(later);
+    expect(result).toMatchObject({ orphanedFiles: 1, orphanedFilesDeleted: 0 });
+    expect(fs.existsSync(orphan)).toBe(true);
+  });
+
+  it('deletes them when UPLOAD_GC_DELETE is set', async () => {
+    process.env.UPLOAD_GC_DELETE = 'true';
+    const result = await retentionMonitor.check(later);
+
+    expect(result.orphanedFilesDeleted).toBe(1);
+    expect(fs.existsSync(orphan)).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { documentsRepository, documentTextsRepository, getStore } from '../../db/index.js';
+import { getAIProvider } from '../aiProviders/index.js';
+import { diffSentences } from '../textDiff.js';
+import {
+  findVersion,
+  removeVersions,
+  snapshotCurrentVersion,
+  summarizeVersionChanges,
+  versionHistory
+} from '../documentVersions.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documind-versions-'));
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+process.env.AI_PROVIDER = 'rule-based';
+
+afterAll(() => {
+  getStore().flushNow();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const V1 = 'Trains stop at every station. Doors open on the left. Drivers report delays to control.';
+const V2 = 'Trains stop at every station. Doors open on the right. Drivers report delays to control.\nCarry a torch at night';
+
+describe('diffSentences', () => {
+  it('lists changed sentences in document order and counts shared ones', () => {
+    expect(diffSentences(V1, V2)).toEqual({
+      added: ['Doors open on the right.', 'Carry a torch at night'],
+      removed: ['Doors open on the left.'],
+      unchanged: 2
+    });
+  });
+
+  it('treats a missing text as empty', () => {
+    expect(diffSentences(null, 'One rule.')).toEqual({ added: ['One rule.'], removed: [], unchanged: 0 });
+    expect(diffSentences('Same.', 'Same.')).toEqual({ added: [], removed: [], unchanged: 1 });
+  });
+});
+
+describe('version history', () => {
+  let document;
+
+  beforeAll(() => {
+    document = documentsRepository.insert({
+      id: 'sop', title: 'Platform SOP', version: 1, uploadDate: '2026-01-01T00:00:00.000Z', createdBy: 'ada',
+      originalName: 'sop-v1.pdf', filePath: 'uploads/sop-v1', summary: { executiveSummary: 'First issue' }
+    });
+    documentTextsRepository.insert({ id: 'sop', text: V1 });
+
+    // Upload of version 2: the current revision moves to the history first
+    snapshotCurrentVersion(document);
+    document = documentsRepository.update('sop', {
+      version: 2, originalName: 'sop-v2.pdf', filePath: 'uploads/sop-v2', summary: null,
+      versionCreatedAt: '2026-02-01T00:00:00.000Z', versionCreatedBy: 'ben'
+    });
+    documentTextsRepository.update('sop', { text: V2 });
+  });
+
+  it('keeps the text and file of superseded versions', () => {
+    expect(findVersion(document, 1)).toMatchObject({ version: 1, originalName: 'sop-v1.pdf', text: V1, createdBy: 'ada', current: false });
+    expect(findVersion(document, 2)).toMatchObject({ version: 2, originalName: 'sop-v2.pdf', text: V2, createdBy: 'ben', current: true });
+    expect(findVersion(document, 3)).toBeNull();
+  });
+
+  it('lists versions newest first without paths or text', () => {
+    const history = versionHistory(document);
+
+    expect(history.map(entry => entry.version)).toEqual([2, 1]);
+    expect(history[1]).toMatchObject({ executiveSummary: 'First issue', textLength: V1.length });
+    expect(history[1]).not.toHaveProperty('filePath');
+    expect(history[1]).not.toHaveProperty('text');
+  });
+
+  it('summarizes the changes between two versions', async () => {
+    const changes = await summarizeVersionChanges(document, 1, 2);
+
+    expect(changes).toMatchObject({
+      fromVersion: 1,
+      toVersion: 2,
+      added: ['Doors open on the right.', 'Carry a torch at night'],
+      removed: ['Doors open on the left.'],
+      stats: { added: 2, removed: 1, unchanged: 2 },
+      provider: 'rule-based'
+    });
+    expect(changes.summary).toContain('- Removed: Doors open on the left.');
+  });
+
+  it('falls back to an extractive description when the model call fails', async () => {
+    const provider = getAIProvider();
+    const generate = provider.generate;
+    provider.generate = async () => { throw new Error('model unavailable'); };
+    try {
+      const changes = await summarizeVersionChanges(document, 1, 2);
+      expect(changes).toMatchObject({ provider: 'rule-based', fallback: true, model: null });
+      expect(changes.summary).toMatch(/^Version 2 adds 2 and removes 1 sentence/);
+    } finally {
+      provider.generate = generate;
+    }
+  });
+
+  it('drops the history of a deleted document', () => {
+    removeVersions('sop');
+    expect(versionHistory(document).map(entry => entry.version)).toEqual([2]);
+  });
+});
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { documentsRepository, documentTextsRepository, getStore } from '../../db/index.js';
+import {
+  contentHash,
+  findExactDuplicate,
+  findSimilarDocuments,
+  minhashSignature,
+  signatureSimilarity
+} from '../duplicateDetection.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documind-duplicates-'));
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+
+afterAll(() => {
+  getStore().flushNow();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const CIRCULAR = 'All station masters shall inspect the platform edge markings every Monday ' +
+  'and report damaged tiles to the division office before noon. Trains must not enter a platform ' +
+  'where the yellow line is missing until the engineering section has repaired it.';
+const UNRELATED = 'The canteen committee meets on the first Friday of every month to review ' +
+  'the menu, the supplier contracts and the feedback collected from staff at the counters.';
+
+describe('minhashSignature', () => {
+  it('ignores case, punctuation and whitespace', () => {
+    const retyped = CIRCULAR.toUpperCase().replace(/\./g, ' ;').replace(/ /g, '\n  ');
+    expect(signatureSimilarity(minhashSignature(CIRCULAR), minhashSignature(retyped))).toBe(1);
+  });
+
+  it('rates a lightly edited copy above an unrelated text', () => {
+    const edited = CIRCULAR.replace('every Monday', 'every Tuesday');
+    const original = minhashSignature(CIRCULAR);
+
+    expect(signatureSimilarity(original, minhashSignature(edited))).toBeGreaterThan(0.5);
+    expect(signatureSimilarity(original, minhashSignature(UNRELATED))).toBeLessThan(0.1);
+  });
+
+  it('has no signature for text without words', () => {
+    expect(minhashSignature('  -- ... ')).toBeNull();
+    expect(signatureSimilarity(null, minhashSignature(CIRCULAR))).toBe(0);
+  });
+});
+
+describe('findExactDuplicate', () => {
+  const hash = contentHash(Buffer.from(CIRCULAR));
+
+  beforeAll(() => {
+    documentsRepository.insert({ id: 'copy', contentHash: hash, duplicateOf: 'original', department: 'Safety' });
+    documentsRepository.insert({ id: 'original', contentHash: hash, duplicateOf: null, department: 'Safety', createdBy: 'sara' });
+  });
+
+  it('returns the original, never another duplicate', () => {
+    expect(findExactDuplicate(hash)?.id).toBe('original');
+    expect(findExactDuplicate(hash, { excludeId: 'original' })).toBeNull();
+    expect(findExactDuplicate(null)).toBeNull();
+  });
+
+  it('only returns originals the given user may access', () => {
+    expect(findExactDuplicate(hash, { user: { username: 'sara', role: 'staff', department: 'Safety' } })?.id).toBe('original');
+    expect(findExactDuplicate(hash, { user: { username: 'fred', role: 'staff', department: 'Finance' } })).toBeNull();
+    expect(findExactDuplicate(hash, { user: { username: 'ada', role: 'admin' } })?.id).toBe('original');
+  });
+});
+
+describe('findSimilarDocuments', () => {
+  beforeAll(() => {
+    for (const [id, text] of [['circular', CIRCULAR], ['canteen', UNRELATED]]) {
+      documentsRepository.insert({ id, title: `Title of ${id}` });
+      documentTextsRepository.insert({ id, text, signature: minhashSignature(text) });
+    }
+    // Stored before signatures existed; computed on first comparison
+    documentsRepository.insert({ id: 'legacy', title: 'Legacy circular' });
+    documentTextsRepository.insert({ id: 'legacy', text: CIRCULAR });
+  });
+
+  it('lists documents above the similarity threshold, most similar first', () => {
+    const matches = findSimilarDocuments(minhashSignature(CIRCULAR.replace('noon', 'ten')));
+
+    expect(matches.map(match => match.documentId).sort()).toEqual(['circular', 'legacy']);
+    expect(matches[0]).toMatchObject({ title: expect.stringMatching(/circular/i), match: 'near' });
+    expect(documentTextsRepository.findById('legacy').signature).toHaveLength(128);
+  });
+
+  it('leaves out the excluded document', () => {
+    const matches = findSimilarDocuments(minhashSignature(CIRCULAR), { excludeId: 'circular' });
+    expect(matches.map(match => match.documentId)).toEqual(['legacy']);
+  });
+});
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getStore, tasksRepository } from '../../db/index.js';
+import {
+  allowedTransitions,
+  isClosedStatus,
+  recordTaskCreated,
+  removeTaskHistory,
+  taskHistory,
+  updateTask
+} from '../taskWorkflow.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'documind-workflow-'));
+process.env.DATA_FILE = path.join(dataDir, 'db.json');
+
+afterAll(() => {
+  getStore().flushNow();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const staff = { username: 'sam', role: 'staff', department: 'Operations' };
+const head = { username: 'hana', role: 'department-head', department: 'Operations' };
+
+let nextId = 0;
+function createTask(fields = {}) {
+  const task = tasksRepository.insert({ id: `task-${++nextId}`, title: 'Inspect signals', status: 'pending', ...fields });
+  recordTaskCreated(task, staff);
+  return task;
+}
+
+function statusError(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.status;
+  }
+  return null;
+}
+
+describe('allowedTransitions', () => {
+  it('hides guarded moves from roles without the guard', () => {
+    expect(allowedTransitions({ status: 'pending' }, staff)).toEqual(['in-progress', 'blocked']);
+    expect(allowedTransitions({ status: 'pending' }, head)).toEqual(['in-progress', 'blocked', 'cancelled']);
+    expect(allowedTransitions({ status: 'in-review' }, staff)).toEqual(['in-progress']);
+    expect(allowedTransitions({ status: 'completed' }, staff)).toEqual([]);
+  });
+
+  it('treats completed and cancelled as closed', () => {
+    expect(isClosedStatus('completed')).toBe(true);
+    expect(isClosedStatus('cancelled')).toBe(true);
+    expect(isClosedStatus('reopened')).toBe(false);
+  });
+});
+
+describe('updateTask', () => {
+  it('moves a task along the workflow and logs each change', () => {
+    const task = createTask();
+    const { task: started, changed } = updateTask(task, { status: 'in-progress', assignee: 'Sam' }, staff, { comment: 'On it' });
+
+    expect(started.status).toBe('in-progress');
+    expect(changed).toEqual(['status', 'assignee']);
+
+    const [created, statusChange] = taskHistory(task.id);
+    expect(created.action).toBe('created');
+    expect(statusChange).toMatchObject({
+      action: 'status-changed',
+      comment: 'On it',
+      by: 'sam',
+      changes: [
+        { field: 'status', from: 'pending', to: 'in-progress' },
+        { field: 'assignee', from: null, to: 'Sam' }
+      ]
+    });
+  });
+
+  it('rejects unknown statuses, moves the workflow lacks and guarded moves', () => {
+    const task = createTask({ status: 'in-review' });
+
+    expect(statusError(() => updateTask(task, { status: 'archived' }, head))).toBe(400);
+    expect(statusError(() => updateTask(task, { status: 'blocked' }, head))).toBe(409);
+    expect(statusError(() => updateTask(task, { status: 'completed' }, staff))).toBe(403);
+    expect(updateTask(task, { status: 'completed' }, head).task.status).toBe('completed');
+  });
+
+  it('only lets department heads reopen closed tasks', () => {
+    const task = createTask({ status: 'completed' });
+
+    expect(statusError(() => updateTask(task, { status: 'reopened' }, staff))).toBe(403);
+    expect(updateTask(task, { status: 'reopened' }, head).task.status).toBe('reopened');
+  });
+
+  it('records nothing when no tracked field changes', () => {
+    const task = createTask();
+    const result = updateTask(task, { title: 'Inspect signals', updatedBy: 'someone' }, staff);
+
+    expect(result).toEqual({ task, changed: [] });
+    expect(taskHistory(task.id)).toHaveLength(1);
+  });
+});
+
+describe('removeTaskHistory', () => {
+  it('drops the activity of one task only', () => {
+    const removed = createTask();
+    const kept = createTask();
+    updateTask(removed, { status: 'blocked' }, staff);
+
+    removeTaskHistory(removed.id);
+
+    expect(taskHistory(removed.id)).toEqual([]);
+    expect(taskHistory(kept.id)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,45 @@
+import { chunkText } from '../textChunker.js';
+
+describe('chunkText', () => {
+  it('returns no chunks for empty text', () => {
+    expect(chunkText('')).toEqual([]);
+    expect(chunkText(null)).toEqual([]);
+  });
+
+  it('returns short text as a single chunk', () => {
+    expect(chunkText('Track inspection due.', { size: 100, overlap: 10 })).toEqual([
+      { index: 0, start: 0, end: 21, text: 'Track inspection due.' }
+    ]);
+  });
+
+  it('covers the whole text with overlapping chunks', () => {
+    const text = 'x'.repeat(2500);
+    const chunks = chunkText(text, { size: 1000, overlap: 100 });
+
+    expect(chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 1000], [900, 1900], [1800, 2500]]);
+    chunks.forEach(chunk => expect(chunk.text).toBe(text.slice(chunk.start, chunk.end)));
+  });
+
+  it('ends chunks at a sentence or paragraph boundary near the window end', () => {
+    const text = `${'a'.repeat(850)}. ${'b'.repeat(100)}\n\n${'c'.repeat(500)}`;
+    const [first] = chunkText(text, { size: 1000, overlap: 0 });
+
+    expect(first.text.endsWith('\n\n')).toBe(true);
+    expect(first.end).toBe(954);
+  });
+
+  it('always advances when the overlap is close to the chunk size', () => {
+    // Each window ends just after a sentence break, which pulls the chunk end back by 18 characters
+    const text = `${'a'.repeat(80)}. ${'b'.repeat(18)}`.repeat(20);
+    const chunks = chunkText(text, { size: 100, overlap: 90 });
+
+    expect(chunks[chunks.length - 1].end).toBe(text.length);
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].start).toBeGreaterThan(chunks[i - 1].start);
+    }
+  });
+
+  it('rejects an overlap that is not smaller than the chunk size', () => {
+    expect(() => chunkText('text', { size: 10, overlap: 10 })).toThrow('Chunk overlap must be smaller than chunk size');
+  });
+});
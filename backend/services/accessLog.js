@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { dataFilePath } from '../db/index.js';
+import { queryLogEntries } from './auditLog.js';
+
+// Appends run one after another so lines never interleave
+let pendingWrite = Promise.resolve();
+
+/**
+ * Append-only JSONL file next to the data file (ACCESS_LOG_FILE overrides).
+ */
+function accessLogPath() {
+  return process.env.ACCESS_LOG_FILE || path.join(path.dirname(dataFilePath()), 'access-log.jsonl');
+}
+
+/**
+ * Record that a user read something (viewed, previewed or downloaded a
+ * document). Reads are far more frequent than changes, so they go to their
+ * own log file with one appended line each instead of the hash-chained audit
+ * log, which rewrites the data file. The write happens in the background.
+ */
+export function recordAccess(req, { action, targetType, targetId = null, details = null }) {
+  const entry = {
+    id: uuidv4(),
+    at: new Date().toISOString(),
+    actor: req?.user?.username || 'system',
+    role: req?.user?.role || null,
+    ip: req?.ip || null,
+    action,
+    targetType,
+    targetId,
+    details
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+  pendingWrite = pendingWrite
+    .then(() => fs.appendFile(accessLogPath(), line))
+    .catch(err => console.error('Failed to write access log:', err.message));
+  return entry;
+}
+
+/**
+ * Access entries, newest first, with the same filters as the audit log.
+ */
+export async function listAccessEntries(query = {}) {
+  await pendingWrite;
+  let raw = '';
+  try {
+    raw = await fs.readFile(accessLogPath(), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const entries = raw.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      // A line cut short by a crash mid-append
+      return [];
+    }
+  });
+  return queryLogEntries(entries, query);
+}
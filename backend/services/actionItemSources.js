@@ -0,0 +1,130 @@
+// Share of an action item's words a sentence must contain to be cited as its
+// approximate source when the quoted excerpt is not found verbatim
+const MIN_APPROXIMATE_OVERLAP = 0.5;
+const MAX_EXCERPT_CHARS = 500;
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]{3,}/gu;
+// Lines count as sentence breaks: checklists rarely end items with a full stop
+const SENTENCE_PATTERN = /[^.!?\n]+[.!?]*/g;
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'all', 'are', 'was', 'with', 'from', 'that', 'this', 'these', 'those',
+  'will', 'shall', 'must', 'should', 'have', 'has', 'been', 'each', 'into', 'any', 'per'
+]);
+
+/**
+ * Lowercased text with whitespace runs collapsed to one space, plus the
+ * offset in the original text of every normalized character.
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      pendingSpace = normalized.length > 0;
+      continue;
+    }
+    if (pendingSpace) {
+      normalized += ' ';
+      offsets.push(i - 1);
+      pendingSpace = false;
+    }
+    // Keep one character per offset, even where lowercasing would expand it
+    const lower = char.toLowerCase();
+    normalized += lower.length === 1 ? lower : char;
+    offsets.push(i);
+  }
+  return { normalized, offsets };
+}
+
+function normalize(value) {
+  return normalizeWithOffsets(String(value || '')).normalized;
+}
+
+function wordSet(value) {
+  const words = String(value).toLowerCase().match(WORD_PATTERN) || [];
+  return new Set(words.filter(word => !STOP_WORDS.has(word)));
+}
+
+/**
+ * 1-based page containing character `offset`, or null without page offsets.
+ */
+function pageAt(pageOffsets, offset) {
+  if (!Array.isArray(pageOffsets) || pageOffsets.length === 0) return null;
+  let page = 0;
+  while (page + 1 < pageOffsets.length && pageOffsets[page + 1] <= offset) page++;
+  return page + 1;
+}
+
+function excerptOf(text, start, end) {
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return excerpt.length > MAX_EXCERPT_CHARS ? `${excerpt.substring(0, MAX_EXCERPT_CHARS - 3)}...` : excerpt;
+}
+
+/**
+ * Ground each action item in the document text. An item whose quoted
+ * `source.excerpt` appears in the text (ignoring case and whitespace) is
+ * cited there with match "exact"; otherwise the sentence sharing most of the
+ * item's words is cited with match "approximate". Items with neither get
+ * `source: null`, so a paraphrase is never passed off as a quotation.
+ *
+ * Returns new items with `source: { excerpt, page, start, match }`, where
+ * `start` is the character offset in `text` and `page` comes from
+ * `pageOffsets` (null for formats without pages).
+ */
+export function attachActionItemSources(actionItems, text, pageOffsets = null) {
+  if (!Array.isArray(actionItems) || actionItems.length === 0) return actionItems || [];
+  const source = String(text || '');
+  const { normalized, offsets } = normalizeWithOffsets(source);
+
+  // Split lazily: most items quote their excerpt exactly
+  let sentences = null;
+  const candidateSentences = () => {
+    sentences ??= [...source.matchAll(SENTENCE_PATTERN)]
+      .map(match => ({
+        start: match.index + match[0].search(/\S|$/),
+        end: match.index + match[0].length,
+        words: wordSet(match[0])
+      }))
+      .filter(sentence => sentence.words.size > 0);
+    return sentences;
+  };
+
+  const cite = (start, end, match) => ({
+    excerpt: excerptOf(source, start, end),
+    page: pageAt(pageOffsets, start),
+    start,
+    match
+  });
+
+  return actionItems.map(item => {
+    const quoted = normalize(item.source?.excerpt);
+    const position = quoted ? normalized.indexOf(quoted) : -1;
+    if (position >= 0) {
+      return { ...item, source: cite(offsets[position], offsets[position + quoted.length - 1] + 1, 'exact') };
+    }
+
+    const itemWords = wordSet(`${item.task || ''} ${item.description || ''}`);
+    let best = null;
+    let bestOverlap = 0;
+    if (itemWords.size > 0) {
+      for (const sentence of candidateSentences()) {
+        let shared = 0;
+        for (const word of itemWords) {
+          if (sentence.words.has(word)) shared++;
+        }
+        const overlap = shared / itemWords.size;
+        if (overlap > bestOverlap) {
+          best = sentence;
+          bestOverlap = overlap;
+        }
+      }
+    }
+
+    if (best && bestOverlap >= MIN_APPROXIMATE_OVERLAP) {
+      return { ...item, source: cite(best.start, best.end, 'approximate') };
+    }
+    return { ...item, source: null };
+  });
+}
@@ -0,0 +1,93 @@
+import { v4 as uuidv4 } from 'uuid';
+import { tasksRepository } from '../db/index.js';
+import { validateActionItem } from './summarySchema.js';
+import { eventBus } from './eventBus.js';
+import { getWorkflow, isClosedStatus, recordTaskCreated } from './taskWorkflow.js';
+import { refreshTaskSla } from './taskSla.js';
+
+export const TASK_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+// ISO form of a deadline, or null for a missing or unparseable one
+function deadlineIso(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function titleKey(title) {
+  return String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * The task in `tasks` that `candidate` repeats: same title (ignoring case and
+ * punctuation) or, for tasks from the same document, the same source passage.
+ */
+function findDuplicateTask(candidate, tasks) {
+  const key = titleKey(candidate.title);
+  return tasks.find(task =>
+    titleKey(task.title) === key ||
+    (candidate.documentId && task.documentId === candidate.documentId &&
+      Number.isInteger(candidate.source?.start) && task.source?.start === candidate.source.start)
+  ) || null;
+}
+
+/**
+ * Create tasks from AI action items of a document. Items repeating an open
+ * task of the same document (or each other) are skipped. `overrides` replace
+ * item fields on every task (e.g. a routing rule's department and assignee);
+ * `defaults` only fill fields the item leaves empty (e.g. a deadline).
+ *
+ * Returns { tasks, skipped } where skipped lists { index, reason, taskId? }.
+ */
+export function createTasksFromActionItems(actionItems, { documentId = null, user, overrides = {}, defaults = {} }) {
+  const createdTasks = [];
+  const skipped = [];
+  const openTasks = documentId
+    ? tasksRepository.list().filter(task => task.documentId === documentId && !isClosedStatus(task.status))
+    : [];
+
+  for (const [index, rawItem] of actionItems.entries()) {
+    // Coerce AI output (string hours, loose dates/priorities) before trusting it
+    const item = validateActionItem(rawItem);
+    if (!item) {
+      skipped.push({ index, reason: 'Missing task' });
+      continue;
+    }
+
+    const deadline = deadlineIso(item.deadline) || deadlineIso(defaults.deadline);
+    const department = overrides.department || item.department || 'General';
+    const newTask = {
+      id: uuidv4(),
+      title: item.task || 'Untitled Task',
+      description: item.description || item.task || 'No description provided',
+      priority: TASK_PRIORITIES.includes(rawItem.priority) ? rawItem.priority : item.priority,
+      status: getWorkflow().initial,
+      assignee: overrides.assignee || item.assignee || item.department || 'Unassigned',
+      department,
+      deadline,
+      estimatedHours: item.estimatedHours,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      createdBy: user.username,
+      updatedBy: user.username,
+      documentId: documentId || null,
+      // Passage of the document the action item was drawn from
+      source: item.source || null,
+      category: item.category || 'AI Generated',
+      tags: item.tags || ['ai-generated']
+    };
+
+    const duplicate = findDuplicateTask(newTask, [...openTasks, ...createdTasks]);
+    if (duplicate) {
+      skipped.push({ index, reason: 'Duplicate of an open task', taskId: duplicate.id });
+      continue;
+    }
+
+    tasksRepository.insert(newTask);
+    recordTaskCreated(newTask, user);
+    const task = refreshTaskSla(newTask);
+    createdTasks.push(task);
+    eventBus.publish('task-created', { task });
+  }
+
+  return { tasks: createdTasks, skipped };
+}
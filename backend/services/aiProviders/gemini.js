@@ -0,0 +1,102 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const API_ROOT = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * Google Gemini provider. Uses the REST API directly when GEMINI_API_KEY is a
+ * plain API key ("AIza..."), otherwise the SDK (which also supports ADC).
+ * Models are tried in priority order until one succeeds.
+ */
+export class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.apiKey = process.env.GEMINI_API_KEY || '';
+    this.useApiKeyMode = this.apiKey.startsWith('AIza');
+    this.genAI = new GoogleGenerativeAI(this.apiKey);
+
+    // Fallback model list (priority order)
+    this.models = [
+      process.env.GEMINI_MODEL,          // override via .env if set
+      'gemini-2.5-flash',               // recommended production model
+      'gemini-2.5-flash-lite'           // cheaper & faster alternative
+    ].filter(Boolean);
+
+    console.log(
+      'Gemini provider: API key loaded:',
+      this.apiKey ? 'Key found (length: ' + this.apiKey.length + ')' : 'No key found'
+    );
+  }
+
+  async restGenerate(modelId, promptText) {
+    const url = `${API_ROOT}/models/${modelId}:generateContent?key=${this.apiKey}`;
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contents: [{ role: 'user', parts: [{ text: promptText }] }] })
+    });
+    if (!resp.ok) {
+      const body = await resp.text();
+      const e = new Error(`REST generate failed: ${resp.status} ${resp.statusText} - ${body}`);
+      e.status = resp.status;
+      e.body = body;
+      throw e;
+    }
+    const json = await resp.json();
+    const parts = json?.candidates?.[0]?.content?.parts;
+    if (Array.isArray(parts)) {
+      return parts.map(part => part.text || '').join('');
+    }
+    // Fallback to stringified response
+    return JSON.stringify(json);
+  }
+
+  /**
+   * Returns { text, model } on success or throws if no model succeeds.
+   */
+  async generate(prompt) {
+    let lastError;
+    for (const modelId of this.models) {
+      try {
+        console.log(`Attempting model: ${modelId}`);
+        let text;
+        if (this.useApiKeyMode) {
+          text = await this.restGenerate(modelId, prompt);
+        } else {
+          const model = this.genAI.getGenerativeModel({ model: modelId });
+          const call = await model.generateContent(prompt);
+          text = call.response.text();
+        }
+        console.log(`Model succeeded: ${modelId}`);
+        return { text, model: modelId };
+      } catch (err) {
+        // capture status if available; 404 (model not found), rate limits and
+        // 5xx all move on to the next fallback model
+        const status = err?.status || err?.response?.status || err?.code || 'unknown';
+        console.warn(`Model ${modelId} failed (status: ${status})`, { message: err?.message, status });
+        lastError = err;
+      }
+    }
+
+    const err = new Error('All configured AI models failed');
+    err.original = lastError;
+    throw err;
+  }
+
+  async listModels() {
+    if (!this.useApiKeyMode) return this.models;
+
+    const resp = await fetch(`${API_ROOT}/models?key=${this.apiKey}`);
+    if (!resp.ok) {
+      throw new Error(`ListModels failed: ${resp.status} ${resp.statusText}`);
+    }
+    const json = await resp.json();
+    return (json.models || [])
+      .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+      .map(m => m.name.replace(/^models\//, ''));
+  }
+
+  async health() {
+    const { model } = await this.generate('Say "OK" if you can receive this message.');
+    return { ok: true, model };
+  }
+}
@@ -0,0 +1,41 @@
+import { GeminiProvider } from './gemini.js';
+import { OpenAICompatibleProvider } from './openaiCompatible.js';
+import { RuleBasedProvider } from './ruleBased.js';
+
+/**
+ * AI provider registry. Every provider implements:
+ *   generate(prompt, context?) -> { text, model }
+ *   listModels()               -> string[]
+ *   health()                   -> { ok, model, ... } (throws when unreachable)
+ * and exposes a `name`. Select one with AI_PROVIDER (gemini | openai | rule-based).
+ */
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  'rule-based': RuleBasedProvider
+};
+
+const instances = new Map();
+
+export function getProviderName() {
+  const configured = process.env.AI_PROVIDER || (process.env.NODE_ENV === 'test' ? 'rule-based' : 'gemini');
+  if (!PROVIDERS[configured]) {
+    throw new Error(`Unknown AI_PROVIDER "${configured}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return configured;
+}
+
+/**
+ * Return the provider instance by name (defaults to the configured one).
+ * Instances are created lazily so they read env after dotenv has loaded.
+ */
+export function getAIProvider(name = getProviderName()) {
+  if (!instances.has(name)) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) throw new Error(`Unknown AI provider "${name}"`);
+    instances.set(name, new Provider());
+  }
+  return instances.get(name);
+}
+
+export const availableProviders = Object.keys(PROVIDERS);
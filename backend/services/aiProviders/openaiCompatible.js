@@ -0,0 +1,61 @@
+/**
+ * Provider for any server speaking the OpenAI chat-completions API
+ * (OpenAI itself, vLLM, llama.cpp server, Ollama's /v1 endpoint, LM Studio...).
+ */
+export class OpenAICompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = process.env.OPENAI_API_KEY || '';
+    this.model = process.env.OPENAI_MODEL || 'llama3.1';
+    this.timeoutMs = parseInt(process.env.OPENAI_TIMEOUT_MS) || 120000;
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+    };
+  }
+
+  async request(pathname, options = {}) {
+    const resp = await fetch(`${this.baseUrl}${pathname}`, {
+      ...options,
+      headers: this.headers(),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!resp.ok) {
+      const body = await resp.text();
+      const e = new Error(`${this.name} request failed: ${resp.status} ${resp.statusText} - ${body}`);
+      e.status = resp.status;
+      throw e;
+    }
+    return resp.json();
+  }
+
+  async generate(prompt) {
+    const json = await this.request('/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2
+      })
+    });
+    const text = json?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error(`${this.name} response contained no message content`);
+    }
+    return { text, model: json.model || this.model };
+  }
+
+  async listModels() {
+    const json = await this.request('/models');
+    return (json.data || []).map(m => m.id);
+  }
+
+  async health() {
+    const models = await this.listModels();
+    return { ok: true, model: this.model, modelAvailable: models.includes(this.model) };
+  }
+}
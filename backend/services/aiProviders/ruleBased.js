@@ -0,0 +1,173 @@
+import { terms } from '../textTokenizer.js';
+import { detectLanguage } from '../languageDetection.js';
+
+/**
+ * Deterministic, offline provider. It never calls a model: summaries are built
+ * from sentence and keyword heuristics, so output is identical for identical
+ * input. Used for tests, air-gapped deployments and as the local fallback when
+ * the configured model provider fails.
+ */
+
+const ACTION_PATTERN = /\b(must|shall|should|required to|is required|are required|needs? to|to be completed|deadline|no later than|ensure)\b/i;
+const COMPLIANCE_PATTERN = /\b(complian\w*|regulat\w*|standard|audit|MRSS|CMRS|RDSO|statutory|certif\w*)\b/i;
+const RISK_PATTERN = /\b(risk|hazard|danger\w*|failure|fault|incident|accident|unsafe|breach)\b/i;
+const RECOMMENDATION_PATTERN = /\b(recommend\w*|suggest\w*|advis\w*|propose\w*)\b/i;
+const CRITICAL_PATTERN = /\b(emergency|immediate(ly)?|critical|fatal|evacuat\w*)\b/i;
+const HIGH_PATTERN = /\b(urgent|asap|priority|safety|fire)\b/i;
+
+const DEPARTMENT_KEYWORDS = {
+  Operations: /\b(operation\w*|station|train service|timetable)\b/i,
+  Maintenance: /\b(maintenance|repair|inspect\w*|equipment|rolling stock|track)\b/i,
+  Safety: /\b(safety|fire|evacuat\w*|hazard)\b/i,
+  'Human Resources': /\b(training|staff|recruit\w*|leave|payroll)\b/i,
+  Finance: /\b(budget|invoice|payment|tender|procure\w*)\b/i,
+  Legal: /\b(legal|contract|agreement|litigation)\b/i
+};
+
+const TYPE_KEYWORDS = [
+  ['Safety Report', /\b(safety|incident|hazard)\b/i],
+  ['Circular', /\bcircular\b/i],
+  ['Maintenance Report', /\b(maintenance|inspection)\b/i],
+  ['Financial Document', /\b(invoice|budget|payment)\b/i],
+  ['Policy Document', /\b(policy|procedure|SOP)\b/i],
+  ['Meeting Minutes', /\b(minutes|meeting|attendees)\b/i]
+];
+
+export function splitSentences(text) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!normalized) return [];
+  return (normalized.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [normalized]).map(s => s.trim()).filter(Boolean);
+}
+
+function findDeadline(sentence) {
+  const iso = sentence.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return iso[0];
+  const dmy = sentence.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+  if (dmy) {
+    return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+function detectDepartment(text) {
+  const match = Object.entries(DEPARTMENT_KEYWORDS).find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'General';
+}
+
+function urgencyOf(text) {
+  if (CRITICAL_PATTERN.test(text)) return 'critical';
+  if (HIGH_PATTERN.test(text)) return 'high';
+  return 'medium';
+}
+
+/**
+ * Build a summary object (same schema as the model prompt) from plain text.
+ */
+export function summarizeDeterministic(text) {
+  const sentences = splitSentences(text);
+  const pick = (pattern, max) => sentences.filter(s => pattern.test(s)).slice(0, max);
+
+  const actionItems = pick(ACTION_PATTERN, 10).map(sentence => {
+    const urgency = urgencyOf(sentence);
+    return {
+      task: sentence.length > 200 ? `${sentence.substring(0, 197)}...` : sentence,
+      priority: urgency === 'critical' ? 'high' : urgency,
+      deadline: findDeadline(sentence),
+      department: detectDepartment(sentence),
+      estimatedHours: 0,
+      source: { excerpt: sentence }
+    };
+  });
+
+  const documentType = (TYPE_KEYWORDS.find(([, pattern]) => pattern.test(text)) || ['General Document'])[0];
+
+  return {
+    executiveSummary: sentences.slice(0, 3).join(' ') || String(text || '').substring(0, 300),
+    keyPoints: sentences.slice(0, Math.min(5, sentences.length)),
+    actionItems,
+    complianceItems: pick(COMPLIANCE_PATTERN, 5),
+    riskFactors: pick(RISK_PATTERN, 5),
+    recommendations: pick(RECOMMENDATION_PATTERN, 5),
+    categories: [detectDepartment(text)],
+    confidence: 50,
+    language: detectLanguage(text).language || 'English',
+    documentType,
+    urgencyLevel: urgencyOf(text)
+  };
+}
+
+/**
+ * Answer a question extractively: the passage sentences sharing the most
+ * terms with the question, each cited with its 1-based passage number.
+ */
+export function answerExtractive(question, passages = []) {
+  const questionTerms = new Set(terms(question));
+  const candidates = passages.flatMap((passage, index) =>
+    splitSentences(passage.text).map(sentence => ({
+      sentence,
+      marker: index + 1,
+      overlap: new Set(terms(sentence).filter(term => questionTerms.has(term))).size
+    }))
+  );
+
+  const best = candidates
+    .filter(candidate => candidate.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, 3);
+  if (best.length === 0) {
+    return 'The retrieved documents do not answer this question.';
+  }
+  return best.map(({ sentence, marker }) => `${sentence} [${marker}]`).join(' ');
+}
+
+/**
+ * Describe a sentence diff between two document versions without a model:
+ * counts, then the first few removed and added sentences as bullet points.
+ */
+export function describeChangesExtractive({ added = [], removed = [] } = {}, { fromVersion, toVersion } = {}) {
+  if (added.length === 0 && removed.length === 0) {
+    return `No text changes between version ${fromVersion} and version ${toVersion}.`;
+  }
+  const lines = [
+    `Version ${toVersion} adds ${added.length} and removes ${removed.length} sentence(s) compared with version ${fromVersion}.`,
+    ...removed.slice(0, 3).map(sentence => `- Removed: ${sentence}`),
+    ...added.slice(0, 3).map(sentence => `- Added: ${sentence}`)
+  ];
+  return lines.join('\n');
+}
+
+export class RuleBasedProvider {
+  constructor() {
+    this.name = 'rule-based';
+    this.model = 'rule-based-v1';
+  }
+
+  /**
+   * `context.task` tells the provider what the prompt is for, since it cannot
+   * interpret free-form prompts. Unknown tasks get an extractive reply.
+   */
+  async generate(prompt, context = {}) {
+    const input = context.text ?? prompt;
+    switch (context.task) {
+      case 'summary':
+      case 'repair':
+        return { text: JSON.stringify(summarizeDeterministic(input)), model: this.model };
+      case 'answer':
+        return { text: answerExtractive(context.question, context.passages), model: this.model };
+      case 'changes':
+        return { text: describeChangesExtractive(context.changes, context), model: this.model };
+      case 'translate':
+        throw new Error('The rule-based provider cannot translate');
+      default:
+        return { text: splitSentences(input).slice(0, 5).join(' '), model: this.model };
+    }
+  }
+
+  async listModels() {
+    return [this.model];
+  }
+
+  async health() {
+    return { ok: true, model: this.model };
+  }
+}
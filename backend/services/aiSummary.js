@@ -1,62 +1,27 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import fs from 'fs/promises';
-import pdfParse from 'pdf-parse/lib/pdf-parse.js';
-import mammoth from 'mammoth';
-import xlsx from 'xlsx';
-
-// Note: dotenv.config() is called by server.js before importing this module
-console.log(
-  'aiSummary.js: Gemini API key loaded:',
-  process.env.GEMINI_API_KEY ? 'Key found (length: ' + process.env.GEMINI_API_KEY.length + ')' : 'No key found'
-);
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Fallback model list (priority order)
-const FALLBACK_MODELS = [
-  process.env.GEMINI_MODEL,          // override via .env if set
-  'gemini-2.5-flash',               // recommended production model
-  'gemini-2.5-flash-lite'           // cheaper & faster alternative
-].filter(Boolean);
+import { chunkText } from './textChunker.js';
+import { validateSummary, SUMMARY_JSON_TEMPLATE } from './summarySchema.js';
+import { getAIProvider } from './aiProviders/index.js';
+import { summarizeDeterministic } from './aiProviders/ruleBased.js';
+import { extractDocumentText } from './extractors/index.js';
+import { detectLanguage } from './languageDetection.js';
+import { attachActionItemSources } from './actionItemSources.js';
+
+// Documents longer than SUMMARY_CHUNK_SIZE (in characters) are summarized chunk by chunk
+const DEFAULT_CHUNK_SIZE = 12000;
+const DEFAULT_CHUNK_OVERLAP = 800;
+// Floor for chunk sizes requested by clients, so one request cannot fan out into thousands of model calls
+const MIN_CHUNK_SIZE = 1000;
+
+const URGENCY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+// Languages a bilingual summary is produced in
+const SUMMARY_LANGUAGES = ['English', 'Malayalam'];
 
 /**
- * Extract text from supported file types.
+ * Extract plain text from supported file types (see extractors/index.js).
  */
 export async function extractTextFromFile(filePath, mimetype) {
-  let text = '';
-  switch (mimetype) {
-    case 'application/pdf': {
-      const pdfBuffer = await fs.readFile(filePath);
-      const pdfData = await pdfParse(pdfBuffer);
-      text = pdfData.text;
-      break;
-    }
-    case 'application/msword':
-    case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
-      const docBuffer = await fs.readFile(filePath);
-      const docResult = await mammoth.extractRawText({ buffer: docBuffer });
-      text = docResult.value;
-      break;
-    }
-    case 'application/vnd.ms-excel':
-    case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
-      const workbook = xlsx.readFile(filePath);
-      const sheets = workbook.SheetNames;
-      text = sheets
-        .map((sheet) => {
-          const worksheet = workbook.Sheets[sheet];
-          return xlsx.utils.sheet_to_txt(worksheet);
-        })
-        .join('\n\n');
-      break;
-    }
-    case 'text/plain': {
-      text = await fs.readFile(filePath, 'utf8');
-      break;
-    }
-    default:
-      throw new Error('Unsupported file type');
-  }
+  const { text } = await extractDocumentText(filePath, mimetype);
   return text;
 }
 
@@ -107,116 +72,88 @@ function safeParseJSONFromText(text) {
 }
 
 /**
- * Generate content using the configured models in FALLBACK_MODELS.
- * Returns { text: string, model: string } on success or throws if none succeed.
+ * Generate text with the configured AI provider.
+ * `context` carries the task name and raw input for providers that cannot
+ * read free-form prompts (the rule-based provider).
+ * Returns { text, model, provider } or throws if the provider fails.
  */
-async function generateWithFallbackModels(prompt) {
-  let lastError;
-  const apiKey = process.env.GEMINI_API_KEY || '';
-  const useApiKeyMode = apiKey.startsWith('AIza');
-
-  async function restGenerate(modelId, promptText) {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelId}:generateContent?key=${apiKey}`;
-    const resp = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ prompt: { text: promptText } })
-    });
-    if (!resp.ok) {
-      const body = await resp.text();
-      const e = new Error(`REST generate failed: ${resp.status} ${resp.statusText} - ${body}`);
-      e.status = resp.status;
-      e.body = body;
-      throw e;
-    }
-    const json = await resp.json();
-    // Extract possible text locations
-    if (json?.candidates && Array.isArray(json.candidates) && json.candidates.length > 0) {
-      const cand = json.candidates[0];
-      return cand?.content?.[0]?.text || cand?.output || cand?.text || JSON.stringify(cand);
-    }
-    if (json?.output && Array.isArray(json.output) && json.output.length > 0) {
-      return json.output[0]?.content?.[0]?.text || JSON.stringify(json.output[0]);
-    }
-    // Fallback to stringified response
-    return JSON.stringify(json);
-  }
-  for (const modelId of FALLBACK_MODELS) {
-    try {
-      console.log(`Attempting model: ${modelId}`);
-      let text;
-      if (useApiKeyMode) {
-        // Use REST path with API key
-        text = await restGenerate(modelId, prompt);
-      } else {
-        const model = genAI.getGenerativeModel({ model: modelId });
-        const call = await model.generateContent(prompt);
-        const resp = call.response;
-        text = resp.text();
-      }
-      console.log(`Model succeeded: ${modelId}`);
-      return { text, model: modelId };
-    } catch (err) {
-      // capture status if available
-      const status = err?.response?.status || err?.code || 'unknown';
-      console.warn(`Model ${modelId} failed (status: ${status})`, {
-        message: err?.message,
-        status,
-        response: err?.response?.data || err?.response || undefined,
-      });
-      lastError = err;
+async function generateText(prompt, context = {}) {
+  const provider = getAIProvider();
+  const { text, model } = await provider.generate(prompt, context);
+  return { text, model, provider: provider.name };
+}
 
-      // if 404 -> model not found, try next model
-      if (status === 404) continue;
+/**
+ * Validate a parsed model response against the summary schema. When it fails,
+ * re-prompt the model once with the problems listed and keep the repaired
+ * answer if it validates. Returns { summary, validation } where validation
+ * records what happened for _meta.
+ */
+async function validateWithRepair(parsed, aiText, sourceText) {
+  const first = validateSummary(parsed);
+  const validation = {
+    valid: first.valid,
+    errors: first.errors,
+    coercions: first.coercions,
+    repairAttempted: false,
+    repaired: false
+  };
+  if (first.valid) return { summary: first.summary, validation };
 
-      // For other errors (rate limit, 5xx), we still try next fallback.
-      // Optionally you could add backoff/retry for transient statuses.
-      continue;
+  validation.repairAttempted = true;
+  try {
+    const repairPrompt = `Your previous answer did not match the required JSON schema.
+Problems:
+${first.errors.map(e => `- ${e}`).join('\n')}
+
+Return ONLY corrected JSON with exactly this structure:
+${SUMMARY_JSON_TEMPLATE}
+
+Previous answer:
+${(aiText || '').substring(0, 20000)}`;
+
+    const { text: repairText } = await generateText(repairPrompt, { task: 'repair', text: sourceText });
+    const second = validateSummary(safeParseJSONFromText(repairText));
+    if (second.valid) {
+      return {
+        summary: second.summary,
+        validation: { ...validation, valid: true, errors: [], coercions: second.coercions, repaired: true, originalErrors: first.errors }
+      };
     }
+    validation.repairErrors = second.errors;
+  } catch (err) {
+    console.warn('Summary repair prompt failed:', err?.message);
+    validation.repairError = err?.message || String(err);
   }
 
-  // If we reach here, all models failed
-  const err = new Error('All configured AI models failed');
-  err.original = lastError;
-  throw err;
+  // Keep the best-effort coerced first answer
+  return { summary: first.summary, validation };
 }
 
 /**
- * Primary generateSummary function.
+ * Summarize a single piece of text in one model call.
  * Returns a parsed summary object (matching your schema).
  * If AI fails or parsing fails, returns a reasonable fallback summary.
  */
-export async function generateSummary(text) {
-  console.log('Using model priority list:', FALLBACK_MODELS);
+async function summarizeSingle(text) {
   const prompt = `Please analyze the following document and provide a comprehensive summary in JSON format with this structure:
-{
-  "executiveSummary": "...",
-  "keyPoints": ["..."],
-  "actionItems": [{"task":"...","priority":"high|medium|low","deadline":"...","department":"...","estimatedHours":"..."}],
-  "complianceItems": ["..."],
-  "riskFactors": ["..."],
-  "recommendations": ["..."],
-  "categories": ["..."],
-  "confidence": "percentage",
-  "language": "English/Malayalam/Mixed",
-  "documentType": "...",
-  "urgencyLevel": "low|medium|high|critical"
-}
+${SUMMARY_JSON_TEMPLATE}
+For every action item, copy the sentence that asks for it into source.excerpt exactly as written in the document.
 
 Document Text:
 ${text}`;
 
   // Try AI models with fallback
   try {
-    const { text: aiText, model: usedModel } = await generateWithFallbackModels(prompt);
+    const { text: aiText, model: usedModel, provider } = await generateText(prompt, { task: 'summary', text });
 
-    // Attempt to parse JSON from AI output
+    // Attempt to parse JSON from AI output, then validate (and repair once if needed)
     const parsed = safeParseJSONFromText(aiText);
-    if (parsed && typeof parsed === 'object') {
+    const { summary, validation } = await validateWithRepair(parsed, aiText, text);
+    if (parsed || validation.repaired) {
       // attach metadata about model used (non-intrusive)
-      parsed._meta = parsed._meta || {};
-      parsed._meta.model = usedModel;
-      return parsed;
+      summary._meta = { model: usedModel, provider, validation };
+      return summary;
     }
 
     // If parsing fails, return a structured fallback using the AI text
@@ -229,11 +166,11 @@ ${text}`;
       riskFactors: [],
       recommendations: [],
       categories: ['General'],
-      confidence: '85',
+      confidence: 85,
       language: 'English',
       documentType: 'General Document',
       urgencyLevel: 'medium',
-      _meta: { model: usedModel, parseAttempted: true }
+      _meta: { model: usedModel, provider, parseAttempted: true, validation }
     };
   } catch (err) {
     // Log detailed error for diagnostics
@@ -248,45 +185,257 @@ ${text}`;
       console.error('Generative AI error (fallthrough):', err && (err.message || err));
     }
 
-    // Local fallback summarizer (simple heuristic): take first sentences as executive summary
-    try {
-      const normalized = text.replace(/\s+/g, ' ').trim();
-      const sentences = normalized.match(/[^\.\!\?]+[\.\!\?]+/g) || [normalized];
-      const executiveSummary = sentences.slice(0, 3).join(' ');
-      const keyPoints = sentences.slice(0, Math.min(5, sentences.length)).map((s) => s.trim());
+    // Local fallback: deterministic rule-based summary of the text
+    return {
+      ...summarizeDeterministic(text),
+      _meta: { model: null, provider: 'rule-based', fallback: true }
+    };
+  }
+}
 
-      return {
-        executiveSummary: executiveSummary || normalized.substring(0, 300) + '...',
-        keyPoints,
-        actionItems: [],
-        complianceItems: [],
-        riskFactors: [],
-        recommendations: [],
-        categories: ['General'],
-        confidence: '50',
-        language: 'English',
-        documentType: 'General Document',
-        urgencyLevel: 'medium',
-        _meta: { model: null, fallback: true }
-      };
-    } catch (fallbackErr) {
-      console.error('Fallback summarizer failed:', fallbackErr);
-      return {
-        executiveSummary: text.substring(0, 300) + '...',
-        keyPoints: [],
-        actionItems: [],
-        complianceItems: [],
-        riskFactors: [],
-        recommendations: [],
-        categories: ['General'],
-        confidence: '40',
-        language: 'English',
-        documentType: 'General Document',
-        urgencyLevel: 'medium',
-        _meta: { model: null, fallback: true, fallbackError: String(fallbackErr) }
-      };
+function normalizeKey(value) {
+  return String(value).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Merge items from several chunk summaries, dropping duplicates and recording
+ * which chunks each surviving item came from.
+ */
+function mergeUnique(partials, field, keyOf = normalizeKey) {
+  const items = [];
+  const sources = [];
+  const seen = new Map();
+
+  partials.forEach((partial, chunkIndex) => {
+    for (const item of Array.isArray(partial[field]) ? partial[field] : []) {
+      const key = keyOf(item);
+      if (!key) continue;
+      if (seen.has(key)) {
+        const pos = seen.get(key);
+        if (!sources[pos].includes(chunkIndex)) sources[pos].push(chunkIndex);
+        continue;
+      }
+      seen.set(key, items.length);
+      items.push(item);
+      sources.push([chunkIndex]);
+    }
+  });
+
+  return { items, sources };
+}
+
+function mostFrequent(values, fallback) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = fallback;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
     }
   }
+  return best;
+}
+
+/**
+ * Condense per-chunk executive summaries into one (the "reduce" step).
+ * Falls back to joining the chunk summaries when the model is unavailable.
+ */
+async function reduceExecutiveSummaries(summaries) {
+  const joined = summaries.filter(Boolean).map((s, i) => `Part ${i + 1}: ${s}`).join('\n');
+  try {
+    const { text } = await generateText(
+      `The following are summaries of consecutive parts of one document. ` +
+      `Write a single executive summary of the whole document in at most 5 sentences. ` +
+      `Reply with the summary text only.\n\n${joined}`,
+      { task: 'reduce', text: summaries.filter(Boolean).join(' ') }
+    );
+    if (text && text.trim()) return text.trim();
+  } catch (err) {
+    console.warn('Executive summary reduce step failed, joining chunk summaries:', err?.message);
+  }
+  return summaries.filter(Boolean).join(' ');
+}
+
+/**
+ * Combine chunk summaries into one summary with per-chunk provenance.
+ */
+async function mergeChunkSummaries(chunks, partials) {
+  const keyPoints = mergeUnique(partials, 'keyPoints');
+  const actionItems = mergeUnique(partials, 'actionItems', item => normalizeKey(item?.task || ''));
+  const complianceItems = mergeUnique(partials, 'complianceItems');
+  const riskFactors = mergeUnique(partials, 'riskFactors');
+  const recommendations = mergeUnique(partials, 'recommendations');
+  const categories = mergeUnique(partials, 'categories');
+
+  const urgencyLevel = partials
+    .map(p => String(p.urgencyLevel || '').toLowerCase())
+    .reduce((max, level) => (URGENCY_ORDER.indexOf(level) > URGENCY_ORDER.indexOf(max) ? level : max), 'low');
+
+  const confidences = partials.map(p => parseFloat(p.confidence)).filter(n => !Number.isNaN(n));
+  const confidence = confidences.length
+    ? Math.round(confidences.reduce((sum, n) => sum + n, 0) / confidences.length)
+    : 50;
+
+  const languages = [...new Set(partials.map(p => p.language).filter(Boolean))];
+
+  return {
+    executiveSummary: await reduceExecutiveSummaries(partials.map(p => p.executiveSummary)),
+    keyPoints: keyPoints.items,
+    actionItems: actionItems.items.map((item, i) => ({ ...item, sourceChunks: actionItems.sources[i] })),
+    complianceItems: complianceItems.items,
+    riskFactors: riskFactors.items,
+    recommendations: recommendations.items,
+    categories: categories.items.length ? categories.items : ['General'],
+    confidence,
+    language: languages.length > 1 ? 'Mixed' : languages[0] || 'English',
+    documentType: mostFrequent(partials.map(p => p.documentType), 'General Document'),
+    urgencyLevel,
+    _meta: {
+      model: mostFrequent(partials.map(p => p._meta?.model), null),
+      chunked: true,
+      fallback: partials.every(p => p._meta?.fallback) || undefined,
+      validation: {
+        valid: partials.every(p => p._meta?.validation?.valid !== false),
+        repaired: partials.some(p => p._meta?.validation?.repaired)
+      },
+      chunks: chunks.map((chunk, i) => ({
+        index: chunk.index,
+        start: chunk.start,
+        end: chunk.end,
+        model: partials[i]._meta?.model || null,
+        fallback: Boolean(partials[i]._meta?.fallback),
+        executiveSummary: partials[i].executiveSummary
+      })),
+      provenance: {
+        keyPoints: keyPoints.sources,
+        complianceItems: complianceItems.sources,
+        riskFactors: riskFactors.sources,
+        recommendations: recommendations.sources
+      }
+    }
+  };
+}
+
+function wantsBilingual(options) {
+  const value = options.bilingual ?? process.env.SUMMARY_BILINGUAL;
+  return value === true || value === 'true';
+}
+
+/**
+ * Check one language version from the translation response. Returns
+ * { executiveSummary, keyPoints } or null when it is missing, malformed or
+ * written in the wrong script (i.e. the model did not actually translate).
+ */
+function parseTranslation(value, language) {
+  if (!value || typeof value.executiveSummary !== 'string' || !value.executiveSummary.trim()) return null;
+  const keyPoints = Array.isArray(value.keyPoints)
+    ? value.keyPoints.filter(point => typeof point === 'string' && point.trim())
+    : [];
+
+  const detected = detectLanguage([value.executiveSummary, ...keyPoints].join(' ')).language;
+  if (detected && detected !== language && detected !== 'Mixed') return null;
+  return { executiveSummary: value.executiveSummary.trim(), keyPoints };
+}
+
+/**
+ * Produce the executive summary and key points in English and Malayalam.
+ * The version already in the summary's language is reused; the others come
+ * from one translation call. Returns { bilingual, meta } where a version that
+ * could not be produced is null and meta records the model or the error.
+ */
+async function buildBilingualSummary(summary) {
+  const original = { executiveSummary: summary.executiveSummary, keyPoints: summary.keyPoints || [] };
+  const bilingual = { English: null, Malayalam: null };
+  if (SUMMARY_LANGUAGES.includes(summary.language)) bilingual[summary.language] = original;
+  const missing = SUMMARY_LANGUAGES.filter(language => !bilingual[language]);
+
+  const prompt = `Translate this summary of a Kochi Metro Rail Limited document into ${missing.join(' and ')}.
+Keep names, numbers, dates and abbreviations (e.g. CMRS, PSD) unchanged.
+Return ONLY JSON with this structure:
+{ ${missing.map(language => `"${language}": { "executiveSummary": "...", "keyPoints": ["..."] }`).join(', ')} }
+
+Summary:
+${JSON.stringify(original, null, 2)}`;
+
+  try {
+    const { text, model, provider } = await generateText(prompt, { task: 'translate', text: original.executiveSummary, languages: missing });
+    const parsed = safeParseJSONFromText(text) || {};
+    const failed = missing.filter(language => {
+      bilingual[language] = parseTranslation(parsed[language], language);
+      return !bilingual[language];
+    });
+    const meta = { model, provider };
+    if (failed.length) meta.error = `No usable ${failed.join(' and ')} translation in the model response`;
+    return { bilingual, meta };
+  } catch (err) {
+    console.warn('Bilingual summary translation failed:', err?.message);
+    return { bilingual, meta: { model: null, error: err?.message || String(err) } };
+  }
+}
+
+/**
+ * Chunk size and overlap for generateSummary. Both may come from the request
+ * body, so they are clamped to at least MIN_CHUNK_SIZE and 0 <= overlap < size / 2.
+ */
+function chunkSettings(options) {
+  const size = Math.max(
+    parseInt(options.chunkSize) || parseInt(process.env.SUMMARY_CHUNK_SIZE) || DEFAULT_CHUNK_SIZE,
+    MIN_CHUNK_SIZE
+  );
+  const requestedOverlap = parseInt(options.chunkOverlap);
+  const overlap = Number.isNaN(requestedOverlap)
+    ? Math.min(parseInt(process.env.SUMMARY_CHUNK_OVERLAP) || DEFAULT_CHUNK_OVERLAP, Math.floor(size / 4))
+    : requestedOverlap;
+  return { size, overlap: Math.min(Math.max(overlap, 0), Math.ceil(size / 2) - 1) };
+}
+
+/**
+ * Primary generateSummary function.
+ * Short texts are summarized in one call; long texts are split into
+ * overlapping chunks, each summarized to the same schema (map), then merged
+ * into one summary (reduce) so nothing is truncated by the model context.
+ * With `options.bilingual` (default: SUMMARY_BILINGUAL) the executive summary
+ * and key points are also returned in English and Malayalam as `bilingual`.
+ * Action items cite the passage they came from as `source`, with page numbers
+ * when `options.pageOffsets` (from extractDocumentText) is given.
+ */
+export async function generateSummary(text, options = {}) {
+  const startedAt = Date.now();
+  const { size, overlap } = chunkSettings(options);
+
+  let summary;
+  if (!text || text.length <= size) {
+    summary = await summarizeSingle(text || '');
+  } else {
+    const chunks = chunkText(text, { size, overlap });
+    console.log(`Summarizing long document in ${chunks.length} chunks (${text.length} chars)`);
+
+    const partials = [];
+    for (const chunk of chunks) {
+      // Sequential on purpose: parallel calls quickly hit model rate limits
+      partials.push(await summarizeSingle(chunk.text));
+    }
+    summary = await mergeChunkSummaries(chunks, partials);
+  }
+
+  // Reviewers check each action item against the passage that produced it
+  summary.actionItems = attachActionItemSources(summary.actionItems, text, options.pageOffsets);
+
+  // The script-based detector is more reliable than the model's own guess
+  const { language } = detectLanguage(text);
+  if (language) summary.language = language;
+
+  if (wantsBilingual(options)) {
+    const { bilingual, meta } = await buildBilingualSummary(summary);
+    summary.bilingual = bilingual;
+    summary._meta = { ...summary._meta, translation: meta };
+  }
+
+  // Model latency and time of generation feed the AI analytics
+  summary._meta = { ...summary._meta, generatedAt: new Date().toISOString(), durationMs: Date.now() - startedAt };
+  return summary;
 }
 
 /**
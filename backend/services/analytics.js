@@ -0,0 +1,346 @@
+import { isClosedStatus, activityOfType } from './taskWorkflow.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Longest window a report may cover
+const MAX_RANGE_DAYS = 366;
+// Ranges longer than this are bucketed by week instead of by day
+const MAX_DAILY_BUCKET_DAYS = 90;
+
+const UNIT_MS = { h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Start of the hour, UTC day or UTC week (from Monday) containing `time`.
+ */
+function bucketStart(time, bucket) {
+  const date = new Date(time);
+  if (bucket === 'hour') {
+    date.setUTCMinutes(0, 0, 0);
+  } else {
+    date.setUTCHours(0, 0, 0, 0);
+    if (bucket === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.getTime();
+}
+
+function bucketSize(bucket) {
+  return bucket === 'hour' ? HOUR_MS : bucket === 'day' ? DAY_MS : 7 * DAY_MS;
+}
+
+/**
+ * Parse a time range such as "24h", "30d" or "12w" into the reporting window
+ * ending at `now`, the equally long window before it (for period-over-period
+ * change) and the bucket size: hours up to a week of hours, days up to
+ * MAX_DAILY_BUCKET_DAYS and weeks beyond.
+ */
+export function parseTimeRange(value = '30d', now = Date.now()) {
+  const match = /^(\d+)([hdw])$/.exec(String(value).trim());
+  const length = match ? parseInt(match[1], 10) * UNIT_MS[match[2]] : NaN;
+  if (!(length > 0) || length > MAX_RANGE_DAYS * DAY_MS) {
+    throw httpError(400, `timeRange must look like 24h, 30d or 12w and cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const bucket = match[2] === 'h' && length <= 7 * DAY_MS
+    ? 'hour'
+    : length <= MAX_DAILY_BUCKET_DAYS * DAY_MS ? 'day' : 'week';
+  return {
+    timeRange: match[0],
+    bucket,
+    from: now - length,
+    to: now,
+    previousFrom: now - 2 * length
+  };
+}
+
+/**
+ * One empty record per bucket of the range, keyed by bucket start.
+ */
+function emptySeries(range, makeEntry) {
+  const series = new Map();
+  for (let start = bucketStart(range.from, range.bucket); start <= range.to; start += bucketSize(range.bucket)) {
+    series.set(start, { bucket: new Date(start).toISOString(), ...makeEntry() });
+  }
+  return series;
+}
+
+function timeOf(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+function inRange(time, range) {
+  return time !== null && time >= range.from && time <= range.to;
+}
+
+function inPreviousRange(time, range) {
+  return time !== null && time >= range.previousFrom && time < range.from;
+}
+
+function entryAt(series, time, range) {
+  return series.get(bucketStart(time, range.bucket));
+}
+
+function increment(counts, key) {
+  const label = key || 'Unknown';
+  counts[label] = (counts[label] || 0) + 1;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function round(value, digits = 1) {
+  if (value === null) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function rate(part, total) {
+  return total > 0 ? round((part / total) * 100) : null;
+}
+
+/**
+ * Document intake and processing over the range. Uploads are bucketed by
+ * upload time with their source, type and department; processing outcomes
+ * come from finished "process-document" jobs, whose turnaround (queued to
+ * finished) is the processing time.
+ */
+export function documentAnalytics(documents, jobs, range) {
+  const series = emptySeries(range, () => ({ uploaded: 0, processed: 0, failed: 0, bySource: {}, byType: {}, byDepartment: {} }));
+  const totals = { uploaded: 0, processed: 0, failed: 0, duplicates: 0, bySource: {}, byType: {}, byDepartment: {} };
+  const previous = { uploaded: 0, bySource: {}, byType: {} };
+  const departments = {};
+  const department = name => (departments[name || 'Unknown'] ??= { uploaded: 0, processed: 0, failed: 0, pending: 0, processingMinutes: [] });
+
+  const byId = new Map(documents.map(document => [document.id, document]));
+  for (const document of documents) {
+    const uploaded = timeOf(document.uploadDate || document.createdAt);
+    if (inPreviousRange(uploaded, range)) {
+      previous.uploaded++;
+      increment(previous.bySource, document.source);
+      increment(previous.byType, document.type);
+    }
+    if (!inRange(uploaded, range)) continue;
+
+    const entry = entryAt(series, uploaded, range);
+    for (const target of [entry, totals]) {
+      target.uploaded++;
+      increment(target.bySource, document.source);
+      increment(target.byType, document.type);
+      increment(target.byDepartment, document.department);
+    }
+    if (document.status === 'duplicate') totals.duplicates++;
+    department(document.department).uploaded++;
+    if (['uploaded', 'extracting', 'summarizing'].includes(document.status)) department(document.department).pending++;
+  }
+
+  const processingMinutes = [];
+  for (const job of jobs) {
+    const finished = timeOf(job.finishedAt);
+    if (job.type !== 'process-document' || !inRange(finished, range)) continue;
+    const document = byId.get(job.documentId);
+    if (!document) continue;
+
+    const outcome = job.status === 'completed' ? 'processed' : job.status === 'failed' ? 'failed' : null;
+    if (!outcome) continue;
+    entryAt(series, finished, range)[outcome]++;
+    totals[outcome]++;
+    department(document.department)[outcome]++;
+
+    if (outcome === 'processed') {
+      const minutes = (finished - timeOf(job.createdAt)) / 60000;
+      processingMinutes.push(minutes);
+      department(document.department).processingMinutes.push(minutes);
+    }
+  }
+
+  return {
+    ...range,
+    totals: {
+      ...totals,
+      avgProcessingMinutes: round(average(processingMinutes), 2),
+      successRate: rate(totals.processed, totals.processed + totals.failed)
+    },
+    previous,
+    byDepartment: Object.entries(departments)
+      .map(([name, { processingMinutes: minutes, ...counts }]) => ({
+        department: name,
+        ...counts,
+        avgProcessingMinutes: round(average(minutes), 2),
+        successRate: rate(counts.processed, counts.processed + counts.failed)
+      }))
+      .sort((a, b) => b.uploaded - a.uploaded || a.department.localeCompare(b.department)),
+    series: [...series.values()]
+  };
+}
+
+/**
+ * When each task was completed, from the status changes in the task
+ * activity log (the latest completion wins for reopened tasks).
+ */
+function completionTimes() {
+  const completed = new Map();
+  for (const entry of activityOfType('status-changed')) {
+    if (entry.changes.some(change => change.field === 'status' && change.to === 'completed')) {
+      const previous = completed.get(entry.taskId);
+      if (!previous || entry.at > previous) completed.set(entry.taskId, entry.at);
+    }
+  }
+  return completed;
+}
+
+/**
+ * Task throughput over the range: tasks created and completed per bucket and
+ * cycle time (creation to completion, in hours) of the tasks completed in it.
+ */
+export function taskAnalytics(tasks, range) {
+  const series = emptySeries(range, () => ({ created: 0, completed: 0 }));
+  const completedAt = completionTimes();
+  const cycleHours = [];
+  const departments = {};
+  const department = name => (departments[name || 'Unknown'] ??= { created: 0, completed: 0, open: 0, cycleHours: [] });
+  let created = 0;
+
+  for (const task of tasks) {
+    if (!isClosedStatus(task.status)) department(task.department).open++;
+
+    const createdTime = timeOf(task.createdAt);
+    if (inRange(createdTime, range)) {
+      entryAt(series, createdTime, range).created++;
+      department(task.department).created++;
+      created++;
+    }
+
+    const completedTime = task.status === 'completed' ? timeOf(completedAt.get(task.id)) : null;
+    if (inRange(completedTime, range)) {
+      entryAt(series, completedTime, range).completed++;
+      const hours = (completedTime - createdTime) / HOUR_MS;
+      cycleHours.push(hours);
+      department(task.department).completed++;
+      department(task.department).cycleHours.push(hours);
+    }
+  }
+
+  return {
+    ...range,
+    totals: {
+      created,
+      completed: cycleHours.length,
+      open: tasks.filter(task => !isClosedStatus(task.status)).length,
+      avgCycleHours: round(average(cycleHours)),
+      medianCycleHours: round(percentile(cycleHours, 50))
+    },
+    byDepartment: Object.entries(departments)
+      .map(([name, { cycleHours: hours, ...counts }]) => ({ department: name, ...counts, avgCycleHours: round(average(hours)) }))
+      .sort((a, b) => a.department.localeCompare(b.department)),
+    series: [...series.values()]
+  };
+}
+
+/**
+ * AI summarization over the range: summaries generated per bucket, model
+ * latency and how often the rule-based fallback had to stand in for the
+ * configured provider. Summaries from before latency was recorded count
+ * towards volume but not latency.
+ */
+export function aiAnalytics(documents, range) {
+  const series = emptySeries(range, () => ({ summaries: 0, fallbacks: 0, latenciesMs: [] }));
+  const latenciesMs = [];
+  const confidences = [];
+  const byProvider = {};
+  let summaries = 0;
+  let fallbacks = 0;
+  let repaired = 0;
+
+  for (const document of documents) {
+    const meta = document.summary?._meta;
+    if (!meta || document.status === 'error') continue;
+    const generated = timeOf(meta.generatedAt || document.updatedAt);
+    if (!inRange(generated, range)) continue;
+
+    const entry = entryAt(series, generated, range);
+    entry.summaries++;
+    summaries++;
+    increment(byProvider, meta.provider || (meta.chunked ? 'chunked' : null));
+    if (meta.fallback) {
+      entry.fallbacks++;
+      fallbacks++;
+    }
+    if (meta.validation?.repaired) repaired++;
+    if (typeof meta.durationMs === 'number') {
+      entry.latenciesMs.push(meta.durationMs);
+      latenciesMs.push(meta.durationMs);
+    }
+    if (typeof document.summary.confidence === 'number') confidences.push(document.summary.confidence);
+  }
+
+  const failed = documents.filter(document =>
+    document.status === 'error' && inRange(timeOf(document.updatedAt), range)
+  ).length;
+
+  return {
+    ...range,
+    totals: {
+      summaries,
+      failed,
+      avgLatencyMs: round(average(latenciesMs), 0),
+      p95LatencyMs: percentile(latenciesMs, 95),
+      fallbackRate: rate(fallbacks, summaries),
+      repairRate: rate(repaired, summaries),
+      errorRate: rate(failed, summaries + failed),
+      avgConfidence: round(average(confidences)),
+      byProvider
+    },
+    series: [...series.values()].map(({ latenciesMs: latencies, ...entry }) => ({
+      ...entry,
+      avgLatencyMs: round(average(latencies), 0)
+    }))
+  };
+}
+
+/**
+ * Headline numbers for the dashboard: today's intake, open work, searches
+ * (from the daily counts in `searches`) and per-source ingestion counts (all
+ * time, today and the latest arrival).
+ */
+export function dashboardOverview({ documents, tasks, obligations, searches }, now = Date.now()) {
+  const today = bucketStart(now, 'day');
+  const isToday = value => (timeOf(value) ?? 0) >= today;
+
+  const ingestion = {};
+  for (const document of documents) {
+    const source = document.source || 'Unknown';
+    const stats = (ingestion[source] ??= { count: 0, today: 0, processed: 0, failed: 0, lastReceivedAt: null });
+    stats.count++;
+    if (isToday(document.uploadDate)) stats.today++;
+    if (document.status === 'processed') stats.processed++;
+    if (document.status === 'error') stats.failed++;
+    if (!stats.lastReceivedAt || document.uploadDate > stats.lastReceivedAt) stats.lastReceivedAt = document.uploadDate;
+  }
+
+  return {
+    documentsToday: documents.filter(document => isToday(document.uploadDate)).length,
+    pendingActions: tasks.filter(task => !isClosedStatus(task.status)).length,
+    // Open obligations due within a week or already overdue
+    complianceTasks: obligations.filter(obligation => obligation.daysLeft !== null && obligation.daysLeft <= 7).length,
+    knowledgeSearches: searches.filter(stats => isToday(stats.day)).reduce((sum, stats) => sum + stats.searches, 0),
+    summariesToday: documents.filter(document => isToday(document.summary?._meta?.generatedAt)).length,
+    ingestion: Object.fromEntries(Object.entries(ingestion).map(([source, stats]) => [
+      source,
+      { ...stats, successRate: rate(stats.processed, stats.processed + stats.failed) }
+    ]))
+  };
+}
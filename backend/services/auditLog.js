@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { auditLogRepository, getStore } from '../db/index.js';
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Bookkeeping every write touches; left out of diffs
+const UNTRACKED_FIELDS = ['updatedAt', 'updatedBy'];
+
+// Never copied into the log, even from a record that carries them
+const REDACTED_FIELDS = ['password', 'passwordHash'];
+
+const MAX_PAGE_SIZE = 1000;
+
+// Longer values (summaries, metadata blobs) are logged as a digest so the log
+// does not hold a copy of every record it mentions
+const MAX_LOGGED_VALUE_LENGTH = 500;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * JSON with object keys sorted at every level, so an entry hashes the same
+ * after a round trip through the data file.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of an entry without its own hash. With AUDIT_LOG_KEY set the chain is
+ * an HMAC, so rewriting it also needs the key; plain SHA-256 still detects
+ * edits, removals and reordering.
+ */
+function entryHash(body) {
+  const key = process.env.AUDIT_LOG_KEY;
+  const digest = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+  return digest.update(canonicalJson(body)).digest('hex');
+}
+
+function sameValue(a, b) {
+  return canonicalJson(a) === canonicalJson(b);
+}
+
+/**
+ * A field value as written to the log: small values as they are, large ones
+ * as { sha256, length } of their canonical JSON.
+ */
+function loggedValue(value) {
+  if (value === undefined || value === null) return null;
+  const json = canonicalJson(value);
+  if (json.length <= MAX_LOGGED_VALUE_LENGTH) return value;
+  return { sha256: crypto.createHash('sha256').update(json).digest('hex'), length: json.length };
+}
+
+/**
+ * Changed top-level fields between two versions of a record as
+ * { field, from, to }; a missing `before` or `after` records a creation or
+ * deletion. Large values are replaced by their digest (see loggedValue).
+ */
+export function diffRecords(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !UNTRACKED_FIELDS.includes(field))
+    .filter(field => !sameValue(before?.[field], after?.[field]))
+    .map(field => REDACTED_FIELDS.includes(field)
+      ? { field, from: '[redacted]', to: '[redacted]' }
+      : { field, from: loggedValue(before?.[field]), to: loggedValue(after?.[field]) });
+}
+
+/**
+ * Append an entry to the hash-chained audit log. `req` supplies the actor and
+ * IP address; pass null for actions the server takes on its own. Entries are
+ * never updated or removed; the head of the chain is kept in the store meta
+ * so that cutting entries off the end is detected too.
+ */
+export function recordAudit(req, { action, targetType, targetId = null, before = null, after = null, details = null }) {
+  const meta = getStore().meta;
+  const head = meta.auditHead || { seq: 0, hash: GENESIS_HASH };
+
+  // Round-tripped so the hash covers exactly what the data file will hold
+  const body = JSON.parse(JSON.stringify({
+    id: uuidv4(),
+    seq: head.seq + 1,
+    at: new Date().toISOString(),
+    actor: req?.user?.username || 'system',
+    role: req?.user?.role || null,
+    ip: req?.ip || null,
+    action,
+    targetType,
+    targetId,
+    changes: before || after ? diffRecords(before, after) : [],
+    details,
+    prevHash: head.hash
+  }));
+  const entry = { ...body, hash: entryHash(body) };
+
+  meta.auditHead = { seq: entry.seq, hash: entry.hash };
+  return auditLogRepository.insert(entry);
+}
+
+/**
+ * Filter log entries by actor, action (exact or a "document." style prefix),
+ * target and time window, newest first, one page at a time. Shared with the
+ * access log.
+ */
+export function queryLogEntries(entries, { actor, action, targetType, targetId, from, to, limit, offset } = {}) {
+  const fromTime = from ? Date.parse(from) : null;
+  const toTime = to ? Date.parse(to) : null;
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+    throw httpError(400, 'from and to must be ISO dates');
+  }
+
+  const matching = entries
+    .filter(entry => !actor || entry.actor === actor)
+    .filter(entry => !action || (action.endsWith('.') ? entry.action.startsWith(action) : entry.action === action))
+    .filter(entry => !targetType || entry.targetType === targetType)
+    .filter(entry => !targetId || entry.targetId === targetId)
+    .filter(entry => fromTime === null || Date.parse(entry.at) >= fromTime)
+    .filter(entry => toTime === null || Date.parse(entry.at) <= toTime)
+    .reverse();
+
+  const pageSize = Math.min(parseInt(limit) || 100, MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset) || 0, 0);
+  return { total: matching.length, entries: matching.slice(start, start + pageSize) };
+}
+
+/**
+ * Audit entries, newest first (see queryLogEntries for the filters).
+ */
+export function listAuditEntries(query = {}) {
+  return queryLogEntries(auditLogRepository.list(), query);
+}
+
+/**
+ * Walk the chain and report the first entry that was edited, removed,
+ * reordered or inserted, or a log whose tail was cut off. `head` is the
+ * auditHead recorded in the store meta.
+ */
+export function verifyAuditChain(entries, head) {
+  const failure = (index, reason) => ({
+    valid: false,
+    entries: entries.length,
+    verified: index,
+    error: { seq: entries[index]?.seq ?? index + 1, id: entries[index]?.id ?? null, reason }
+  });
+
+  let prevHash = GENESIS_HASH;
+  for (const [index, entry] of entries.entries()) {
+    const { hash, ...body } = entry;
+    if (entry.seq !== index + 1) {
+      return failure(index, `Expected sequence number ${index + 1}, found ${entry.seq}`);
+    }
+    if (entry.prevHash !== prevHash) {
+      return failure(index, 'Entry does not link to the entry before it');
+    }
+    if (entryHash(body) !== hash) {
+      return failure(index, 'Entry content does not match its hash');
+    }
+    prevHash = hash;
+  }
+
+  const recordedHead = head || { seq: 0, hash: GENESIS_HASH };
+  if (recordedHead.seq !== entries.length || recordedHead.hash !== prevHash) {
+    return failure(entries.length, `Log ends at entry ${entries.length} but its recorded head is entry ${recordedHead.seq}`);
+  }
+  return { valid: true, entries: entries.length, verified: entries.length, headHash: prevHash };
+}
+
+/**
+ * Verify the audit log of the open store.
+ */
+export function verifyAuditLog() {
+  return verifyAuditChain(auditLogRepository.list(), getStore().meta.auditHead);
+}
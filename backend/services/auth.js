@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { dataFilePath, usersRepository } from '../db/index.js';
+
+export const ROLES = ['admin', 'department-head', 'staff', 'viewer'];
+
+// Documents and tasks filed under this department are visible to everyone
+export const SHARED_DEPARTMENT = 'General';
+
+const PERMISSIONS = {
+  'documents:read': ['admin', 'department-head', 'staff', 'viewer'],
+  'documents:write': ['admin', 'department-head', 'staff'],
+  'documents:delete': ['admin', 'department-head'],
+  'tasks:read': ['admin', 'department-head', 'staff', 'viewer'],
+  'tasks:write': ['admin', 'department-head', 'staff'],
+  'tasks:delete': ['admin', 'department-head'],
+  'ai:use': ['admin', 'department-head', 'staff'],
+  'routing:manage': ['admin', 'department-head'],
+  'compliance:write': ['admin', 'department-head', 'staff'],
+  'compliance:manage': ['admin', 'department-head'],
+  'email:manage': ['admin'],
+  'audit:read': ['admin'],
+  'documents:legal-hold': ['admin'],
+  'retention:manage': ['admin'],
+  'users:read': ['admin', 'department-head'],
+  'users:manage': ['admin']
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+let generatedSecret = null;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Token signing key. Without SESSION_SECRET a random per-process key is used, so
+ * every session is invalidated when the server restarts.
+ */
+function getSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('SESSION_SECRET is not set; sessions will not survive a restart');
+  }
+  return generatedSecret;
+}
+
+function sessionTtlMs() {
+  return (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Issue a session token: base64url(JSON payload) + "." + HMAC-SHA256 signature.
+ * tokenVersion is bumped on password change to revoke older sessions.
+ */
+export function issueToken(user) {
+  const payload = {
+    sub: user.id,
+    ver: user.tokenVersion || 0,
+    exp: Date.now() + sessionTtlMs()
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${body}.${sign(body)}`, expiresAt: new Date(payload.exp).toISOString() };
+}
+
+/**
+ * Resolve a token to its (active) user, or null when invalid or expired.
+ */
+export function verifyToken(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!payload.exp || payload.exp < Date.now()) return null;
+
+  const user = usersRepository.findById(payload.sub);
+  if (!user || !user.active || (user.tokenVersion || 0) !== payload.ver) return null;
+  return user;
+}
+
+/** User record without credential fields, safe to return from the API. */
+export function toPublicUser(user) {
+  if (!user) return null;
+  const { passwordHash, tokenVersion, ...rest } = user;
+  return rest;
+}
+
+export function can(user, permission) {
+  return Boolean(user && PERMISSIONS[permission]?.includes(user.role));
+}
+
+/**
+ * Department scoping: admins see everything, everyone else sees their own
+ * department plus shared ("General") records.
+ */
+export function canAccessDepartment(user, department) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return department === user.department || !department || department === SHARED_DEPARTMENT;
+}
+
+export function canAccessDocument(user, document) {
+  return canAccessDepartment(user, document.department) || document.createdBy === user?.username;
+}
+
+export function canAccessTask(user, task) {
+  return canAccessDepartment(user, task.department) ||
+    task.createdBy === user?.username ||
+    (task.assignee && [user?.username, user?.name].includes(task.assignee));
+}
+
+export function verifyCredentials(username, password) {
+  const user = usersRepository.list().find(u => u.username === String(username || '').toLowerCase());
+  // Hash anyway so unknown usernames take as long as wrong passwords
+  const valid = verifyPassword(password, user?.passwordHash || hashPassword('invalid'));
+  if (!user || !valid || !user.active) return null;
+
+  return usersRepository.update(user.id, { lastLoginAt: new Date().toISOString() });
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Validate user fields from the API. `existing` is the stored record on update.
+ */
+function normalizeUser(input = {}, existing = {}) {
+  const merged = { ...existing, ...input };
+
+  const username = String(merged.username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+    throw httpError(400, 'Username must be 3-32 characters of letters, digits, ".", "_" or "-"');
+  }
+  if (!ROLES.includes(merged.role)) {
+    throw httpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (merged.role !== 'admin' && !merged.department) {
+    throw httpError(400, 'Department is required for non-admin users');
+  }
+
+  return {
+    username,
+    name: merged.name || username,
+    email: merged.email || null,
+    role: merged.role,
+    department: merged.department || SHARED_DEPARTMENT,
+    active: merged.active !== false && merged.active !== 'false'
+  };
+}
+
+export function listUsers() {
+  return usersRepository.list().map(toPublicUser);
+}
+
+export function createUser(input, actor = null) {
+  const fields = normalizeUser(input);
+  validatePassword(input.password);
+  if (usersRepository.list().some(u => u.username === fields.username)) {
+    throw httpError(409, `User "${fields.username}" already exists`);
+  }
+
+  const now = new Date().toISOString();
+  const user = usersRepository.insert({
+    id: uuidv4(),
+    ...fields,
+    passwordHash: hashPassword(input.password),
+    tokenVersion: 0,
+    lastLoginAt: null,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: actor?.username || 'system',
+    updatedBy: actor?.username || 'system'
+  });
+  return toPublicUser(user);
+}
+
+export function updateUser(id, input, actor = null) {
+  const existing = usersRepository.findById(id);
+  if (!existing) throw httpError(404, 'User not found');
+
+  const fields = normalizeUser(input, existing);
+  if (usersRepository.list().some(u => u.username === fields.username && u.id !== id)) {
+    throw httpError(409, `User "${fields.username}" already exists`);
+  }
+  if (existing.role === 'admin' && (fields.role !== 'admin' || !fields.active) && activeAdminCount() <= 1) {
+    throw httpError(409, 'Cannot demote or deactivate the last active admin');
+  }
+
+  const changes = {
+    ...fields,
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor?.username || 'system'
+  };
+  if (input.password) {
+    validatePassword(input.password);
+    changes.passwordHash = hashPassword(input.password);
+    changes.tokenVersion = (existing.tokenVersion || 0) + 1;
+  }
+  return toPublicUser(usersRepository.update(id, changes));
+}
+
+export function deleteUser(id, actor = null) {
+  const existing = usersRepository.findById(id);
+  if (!existing) throw httpError(404, 'User not found');
+  if (existing.id === actor?.id) throw httpError(409, 'You cannot delete your own account');
+  if (existing.role === 'admin' && existing.active && activeAdminCount() <= 1) {
+    throw httpError(409, 'Cannot delete the last active admin');
+  }
+  return toPublicUser(usersRepository.remove(id));
+}
+
+export function changePassword(user, currentPassword, newPassword) {
+  if (!verifyPassword(currentPassword, user.passwordHash)) {
+    throw httpError(400, 'Current password is incorrect');
+  }
+  validatePassword(newPassword);
+
+  // Bumping tokenVersion signs out every other session
+  return usersRepository.update(user.id, {
+    passwordHash: hashPassword(newPassword),
+    tokenVersion: (user.tokenVersion || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy: user.username
+  });
+}
+
+function activeAdminCount() {
+  return usersRepository.list().filter(u => u.role === 'admin' && u.active).length;
+}
+
+/**
+ * Create the first admin account on an empty user store. The password comes
+ * from ADMIN_PASSWORD, or is generated and written to an owner-only file
+ * next to the data file.
+ */
+export function ensureAdminUser() {
+  if (usersRepository.list().length > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  createUser({ username, name: 'Administrator', role: 'admin', password });
+
+  if (process.env.ADMIN_PASSWORD) {
+    console.log(`Created initial admin user "${username}"`);
+    return;
+  }
+
+  // Generated passwords go to a file only the server user can read, never to the logs
+  const passwordFile = path.join(path.dirname(dataFilePath()), 'initial-admin-password');
+  fs.writeFileSync(passwordFile, `${password}\n`, { mode: 0o600 });
+  fs.chmodSync(passwordFile, 0o600);
+  console.log(`Created initial admin user "${username}"; its password was written to ${passwordFile}`);
+}
@@ -0,0 +1,102 @@
+import { terms } from './textTokenizer.js';
+
+/**
+ * Inverted index with BM25F scoring over weighted text fields. Callers pick
+ * the keys and store whatever extra data they need on each entry; `version`
+ * lets them skip re-tokenizing records that have not changed.
+ */
+export class Bm25Index {
+  constructor({ fieldWeights = { body: 1 }, k1 = 1.2, b = 0.75 } = {}) {
+    this.fieldWeights = fieldWeights;
+    this.k1 = k1;
+    this.b = b;
+    this.entries = new Map();   // key -> { ...data, key, version, fields, total, terms }
+    this.postings = new Map();  // term -> Map(key -> { [field]: count })
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  keys() {
+    return [...this.entries.keys()];
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  versionOf(key) {
+    return this.entries.get(key)?.version;
+  }
+
+  /**
+   * Index `fields` ({ name: text }) under `key`, replacing any previous entry.
+   */
+  add(key, fields, { version = null, ...data } = {}) {
+    this.remove(key);
+
+    const uniqueTerms = new Set();
+    let total = 0;
+    for (const [field, text] of Object.entries(fields)) {
+      const fieldTerms = terms(text);
+      total += fieldTerms.length * (this.fieldWeights[field] ?? 1);
+
+      for (const term of fieldTerms) {
+        uniqueTerms.add(term);
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const posting = this.postings.get(term);
+        const counts = posting.get(key) || {};
+        counts[field] = (counts[field] || 0) + 1;
+        posting.set(key, counts);
+      }
+    }
+
+    this.entries.set(key, { ...data, key, version, fields, total, terms: uniqueTerms });
+    this.totalLength += total;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    for (const term of entry.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.entries.delete(key);
+    this.totalLength -= entry.total;
+  }
+
+  /**
+   * Score every entry containing at least one of `queryTerms` (already
+   * tokenized). Returns Map(key -> { score, matched }).
+   */
+  score(queryTerms) {
+    const count = this.entries.size;
+    const averageLength = count ? this.totalLength / count : 0;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [key, counts] of posting) {
+        const entry = this.entries.get(key);
+        // BM25F: combine weighted field frequencies before saturating
+        const frequency = Object.entries(counts)
+          .reduce((sum, [field, n]) => sum + n * (this.fieldWeights[field] ?? 1), 0);
+        const norm = this.k1 * (1 - this.b + this.b * (averageLength ? entry.total / averageLength : 1));
+        const current = scores.get(key) || { score: 0, matched: [] };
+        current.score += idf * (frequency * (this.k1 + 1)) / (frequency + norm);
+        current.matched.push(term);
+        scores.set(key, current);
+      }
+    }
+
+    return scores;
+  }
+}
@@ -0,0 +1,431 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  complianceObligationsRepository,
+  complianceStatementsRepository,
+  documentsRepository
+} from '../db/index.js';
+
+export const OBLIGATION_PRIORITIES = ['high', 'medium', 'low'];
+
+// Stored statuses; an open obligation past its due date is reported as "overdue"
+const OBLIGATION_STATUSES = ['upcoming', 'in-progress', 'completed'];
+
+// Months between due dates of a recurring obligation
+const RECURRENCE_MONTHS = { none: 0, monthly: 1, quarterly: 3, 'half-yearly': 6, yearly: 12 };
+
+// First match wins, so negative wording is tested before "compliant" itself
+const STATEMENT_STATUS_PATTERNS = [
+  ['non-compliant', /\b(non[- ]?complian\w*|not (?:fully )?complian\w*|violat\w*|breach\w*|lapsed|expired|overdue|deficien\w*|fail(?:s|ed|ure)?)\b/i],
+  ['partial', /\b(partial\w*|pending|in progress|under review|conditional\w*)\b/i],
+  ['compliant', /\b(compliant|in compliance|conform(?:s|ed|ing)?|certified|approved|passed|satisfactory)\b/i]
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+}
+
+function today(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * `date` moved `months` later, clamped to the end of shorter months
+ * (2025-01-31 plus one month is 2025-02-28).
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+function parseDueDate(value) {
+  const date = String(value || '').trim();
+  if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+    throw httpError(400, 'dueDate must be a date (YYYY-MM-DD)');
+  }
+  return date;
+}
+
+/**
+ * Validate and normalize the editable fields of an obligation from the API.
+ */
+function normalizeObligation(input = {}, existing = {}) {
+  const merged = { ...existing, ...input };
+
+  const title = String(merged.title || '').trim();
+  if (!title) throw httpError(400, 'Obligation title is required');
+
+  const regulatoryBody = String(merged.regulatoryBody || '').trim();
+  if (!regulatoryBody) throw httpError(400, 'Regulatory body is required');
+
+  const priority = merged.priority || 'medium';
+  if (!OBLIGATION_PRIORITIES.includes(priority)) {
+    throw httpError(400, `Priority must be one of: ${OBLIGATION_PRIORITIES.join(', ')}`);
+  }
+
+  const recurrence = merged.recurrence || 'none';
+  if (!(recurrence in RECURRENCE_MONTHS)) {
+    throw httpError(400, `Recurrence must be one of: ${Object.keys(RECURRENCE_MONTHS).join(', ')}`);
+  }
+
+  const progress = merged.progress == null || merged.progress === '' ? 0 : Number(merged.progress);
+  if (!(progress >= 0 && progress <= 100)) throw httpError(400, 'progress must be between 0 and 100');
+
+  return {
+    title,
+    description: merged.description ? String(merged.description) : '',
+    regulatoryBody,
+    reference: merged.reference ? String(merged.reference).trim() : null,
+    department: merged.department ? String(merged.department).trim() : 'General',
+    priority,
+    recurrence,
+    dueDate: parseDueDate(merged.dueDate),
+    progress: Math.round(progress),
+    assignedTo: merged.assignedTo ? String(merged.assignedTo).trim() : null,
+    keywords: toList(merged.keywords)
+  };
+}
+
+/**
+ * Most recent AI statement mapped onto the obligation, or null. Statements of
+ * documents in the recycle bin do not count.
+ */
+function latestFinding(obligationId) {
+  const statements = complianceStatementsRepository.list()
+    .filter(statement => statement.obligationId === obligationId && documentsRepository.findById(statement.documentId))
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+  if (statements.length === 0) return null;
+  const { id, documentId, text, status, detectedAt } = statements[0];
+  return { statementId: id, documentId, text, status, detectedAt };
+}
+
+/**
+ * Obligation as returned by the API: the stored record with its effective
+ * status ("overdue" once an open obligation passes its due date), days until
+ * due, the latest AI finding and the titles of its evidence documents.
+ */
+export function obligationView(obligation, now = Date.now()) {
+  const daysLeft = daysBetween(today(now), obligation.dueDate);
+  const open = obligation.status !== 'completed';
+  return {
+    ...obligation,
+    status: open && daysLeft < 0 ? 'overdue' : obligation.status,
+    daysLeft: open ? daysLeft : null,
+    finding: latestFinding(obligation.id),
+    // Evidence in the recycle bin stays linked but is hidden until restored
+    evidence: obligation.evidence
+      .filter(entry => documentsRepository.findById(entry.documentId))
+      .map(entry => ({ ...entry, title: documentsRepository.findById(entry.documentId).title }))
+  };
+}
+
+function findObligation(id) {
+  const obligation = complianceObligationsRepository.findById(id);
+  if (!obligation) throw httpError(404, 'Compliance obligation not found');
+  return obligation;
+}
+
+/**
+ * Obligations in due-date order, optionally narrowed by `filter`
+ * ({ status, regulatoryBody, department }) and by the `visible` predicate.
+ */
+export function listObligations(filter = {}, visible = () => true, now = Date.now()) {
+  return complianceObligationsRepository.list()
+    .filter(visible)
+    .map(obligation => obligationView(obligation, now))
+    .filter(view =>
+      (!filter.status || view.status === filter.status) &&
+      (!filter.regulatoryBody || view.regulatoryBody.toLowerCase() === String(filter.regulatoryBody).toLowerCase()) &&
+      (!filter.department || view.department === filter.department)
+    )
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.title.localeCompare(b.title));
+}
+
+export function getObligation(id) {
+  return findObligation(id);
+}
+
+export function createObligation(input, actor) {
+  const now = new Date().toISOString();
+  const fields = normalizeObligation(input);
+  return obligationView(complianceObligationsRepository.insert({
+    id: uuidv4(),
+    ...fields,
+    status: fields.progress > 0 ? 'in-progress' : 'upcoming',
+    completedAt: null,
+    evidence: [],
+    completions: [],
+    createdAt: now,
+    createdBy: actor.username,
+    updatedAt: now,
+    updatedBy: actor.username
+  }));
+}
+
+/**
+ * Fields of an obligation marked complete. A one-off obligation stays
+ * completed; a recurring one records the completed cycle and moves on to its
+ * next due date.
+ */
+function completionFields(obligation, actor, now) {
+  const completedAt = new Date(now).toISOString();
+  const completions = [
+    ...obligation.completions,
+    {
+      dueDate: obligation.dueDate,
+      completedAt,
+      completedBy: actor.username,
+      onTime: completedAt.slice(0, 10) <= obligation.dueDate
+    }
+  ];
+
+  const months = RECURRENCE_MONTHS[obligation.recurrence];
+  if (months === 0) {
+    return { status: 'completed', progress: 100, completedAt, completions };
+  }
+  return {
+    status: 'upcoming',
+    progress: 0,
+    dueDate: addMonths(obligation.dueDate, months),
+    completedAt: null,
+    completions
+  };
+}
+
+/**
+ * Update an obligation. `status` may be "upcoming", "in-progress" or
+ * "completed"; completing goes through completionFields, and reporting
+ * progress on an upcoming obligation starts it.
+ */
+export function updateObligation(id, input, actor, now = Date.now()) {
+  const existing = findObligation(id);
+  let fields = normalizeObligation(input, existing);
+
+  const status = input.status || existing.status;
+  if (!OBLIGATION_STATUSES.includes(status)) {
+    throw httpError(400, `Status must be one of: ${OBLIGATION_STATUSES.join(', ')}`);
+  }
+
+  if (status === 'completed' && existing.status !== 'completed') {
+    fields = { ...fields, ...completionFields({ ...existing, ...fields }, actor, now) };
+  } else if (status === 'completed') {
+    fields = { ...fields, status };
+  } else {
+    fields = {
+      ...fields,
+      status: status === 'upcoming' && fields.progress > 0 ? 'in-progress' : status,
+      completedAt: null
+    };
+  }
+
+  return obligationView(complianceObligationsRepository.update(id, {
+    ...fields,
+    updatedAt: new Date(now).toISOString(),
+    updatedBy: actor.username
+  }), now);
+}
+
+/**
+ * Delete an obligation; statements mapped onto it become unmapped.
+ */
+export function deleteObligation(id) {
+  const obligation = complianceObligationsRepository.remove(id);
+  if (!obligation) throw httpError(404, 'Compliance obligation not found');
+  for (const statement of complianceStatementsRepository.list().filter(s => s.obligationId === id)) {
+    complianceStatementsRepository.update(statement.id, { obligationId: null, matchedBy: null });
+  }
+  return obligation;
+}
+
+/**
+ * Link a document as evidence for an obligation (once per document).
+ */
+export function linkEvidence(id, documentId, note, actor) {
+  const obligation = findObligation(id);
+  if (!documentsRepository.findById(documentId)) throw httpError(404, 'Document not found');
+  if (obligation.evidence.some(entry => entry.documentId === documentId)) {
+    throw httpError(409, 'Document is already linked as evidence');
+  }
+
+  return obligationView(complianceObligationsRepository.update(id, {
+    evidence: [
+      ...obligation.evidence,
+      { documentId, note: note ? String(note) : null, linkedAt: new Date().toISOString(), linkedBy: actor.username }
+    ]
+  }));
+}
+
+export function unlinkEvidence(id, documentId) {
+  const obligation = findObligation(id);
+  if (!obligation.evidence.some(entry => entry.documentId === documentId)) {
+    throw httpError(404, 'Document is not linked as evidence');
+  }
+  return obligationView(complianceObligationsRepository.update(id, {
+    evidence: obligation.evidence.filter(entry => entry.documentId !== documentId)
+  }));
+}
+
+export function classifyStatement(text) {
+  const match = STATEMENT_STATUS_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'unknown';
+}
+
+function mentions(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * The obligation an AI compliance statement is about: the one whose keywords
+ * and regulatory body the statement mentions most. Ties between equally good
+ * candidates leave the statement unmapped rather than guessing.
+ */
+function matchObligation(text, obligations) {
+  let best = [];
+  let bestScore = 0;
+  for (const obligation of obligations) {
+    const keywordHits = obligation.keywords.filter(keyword => mentions(text, keyword)).length;
+    const score = keywordHits * 2 + (mentions(text, obligation.regulatoryBody) ? 1 : 0);
+    if (score > bestScore) {
+      best = [{ obligation, keywordHits }];
+      bestScore = score;
+    } else if (score > 0 && score === bestScore) {
+      best.push({ obligation, keywordHits });
+    }
+  }
+  if (best.length !== 1) return null;
+  return { obligationId: best[0].obligation.id, matchedBy: best[0].keywordHits > 0 ? 'keyword' : 'regulatory-body' };
+}
+
+/**
+ * Store the compliance statements of a freshly summarized document, each with
+ * its status and the obligation it maps onto. Reprocessing replaces the
+ * document's earlier statements but keeps mappings made by hand. Returns the
+ * stored statements.
+ */
+export function recordComplianceStatements(document) {
+  const texts = [...new Set((document.summary?.complianceItems || []).map(text => String(text).trim()).filter(Boolean))];
+  const previous = complianceStatementsRepository.list().filter(statement => statement.documentId === document.id);
+  const manual = new Map(previous.filter(s => s.matchedBy === 'manual').map(s => [s.text, s.obligationId]));
+  for (const statement of previous) {
+    complianceStatementsRepository.remove(statement.id);
+  }
+
+  const obligations = complianceObligationsRepository.list();
+  const detectedAt = new Date().toISOString();
+  return texts.map(text => {
+    const mapping = manual.has(text)
+      ? { obligationId: manual.get(text), matchedBy: 'manual' }
+      : matchObligation(text, obligations) || { obligationId: null, matchedBy: null };
+    return complianceStatementsRepository.insert({
+      id: uuidv4(),
+      documentId: document.id,
+      text,
+      status: classifyStatement(text),
+      ...mapping,
+      detectedAt
+    });
+  });
+}
+
+/**
+ * Statements newest first, optionally only those of one obligation or the
+ * unmapped ones, and only from documents passing `visible`.
+ */
+export function listStatements({ obligationId, unmapped } = {}, visible = () => true) {
+  return complianceStatementsRepository.list()
+    .filter(statement => {
+      const document = documentsRepository.findById(statement.documentId);
+      return document && visible(document);
+    })
+    .filter(statement =>
+      (!obligationId || statement.obligationId === obligationId) &&
+      (!unmapped || statement.obligationId === null)
+    )
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt))
+    .map(statement => ({ ...statement, documentTitle: documentsRepository.findById(statement.documentId).title }));
+}
+
+/**
+ * Map a statement onto an obligation by hand (or unmap it with null).
+ */
+export function mapStatement(id, obligationId) {
+  const statement = complianceStatementsRepository.findById(id);
+  if (!statement) throw httpError(404, 'Compliance statement not found');
+  if (obligationId) findObligation(obligationId);
+  return complianceStatementsRepository.update(id, {
+    obligationId: obligationId || null,
+    matchedBy: obligationId ? 'manual' : null
+  });
+}
+
+/**
+ * Drop the statements and evidence links of a purged document.
+ */
+export function removeDocumentCompliance(documentId) {
+  for (const statement of complianceStatementsRepository.list().filter(s => s.documentId === documentId)) {
+    complianceStatementsRepository.remove(statement.id);
+  }
+  for (const obligation of complianceObligationsRepository.list()) {
+    if (obligation.evidence.some(entry => entry.documentId === documentId)) {
+      complianceObligationsRepository.update(obligation.id, {
+        evidence: obligation.evidence.filter(entry => entry.documentId !== documentId)
+      });
+    }
+  }
+}
+
+function rate(good, total) {
+  return total > 0 ? Math.round((good / total) * 1000) / 10 : null;
+}
+
+/**
+ * Register statistics over obligation views. An obligation is in good
+ * standing unless it is overdue or its latest finding is non-compliant;
+ * complianceRate is the share in good standing (null without obligations).
+ */
+export function computeComplianceStats(views, now = Date.now()) {
+  const month = today(now).slice(0, 7);
+  const inGoodStanding = view => view.status !== 'overdue' && view.finding?.status !== 'non-compliant';
+
+  const bodies = new Map();
+  for (const view of views) {
+    const body = bodies.get(view.regulatoryBody) ||
+      { regulatoryBody: view.regulatoryBody, total: 0, good: 0, overdue: 0, nonCompliant: 0 };
+    body.total++;
+    if (inGoodStanding(view)) body.good++;
+    if (view.status === 'overdue') body.overdue++;
+    if (view.finding?.status === 'non-compliant') body.nonCompliant++;
+    bodies.set(view.regulatoryBody, body);
+  }
+
+  return {
+    total: views.length,
+    complianceRate: rate(views.filter(inGoodStanding).length, views.length),
+    pendingTasks: views.filter(view => ['upcoming', 'in-progress'].includes(view.status)).length,
+    overdueTasks: views.filter(view => view.status === 'overdue').length,
+    dueThisWeek: views.filter(view => view.daysLeft !== null && view.daysLeft >= 0 && view.daysLeft <= 7).length,
+    completedThisMonth: views
+      .flatMap(view => view.completions)
+      .filter(completion => completion.completedAt.startsWith(month)).length,
+    nonCompliantFindings: views.filter(view => view.finding?.status === 'non-compliant').length,
+    byRegulatoryBody: [...bodies.values()]
+      .map(({ good, ...body }) => ({ ...body, complianceRate: rate(good, body.total) }))
+      .sort((a, b) => a.regulatoryBody.localeCompare(b.regulatoryBody))
+  };
+}
@@ -0,0 +1,368 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { generateSummary } from './aiSummary.js';
+import { detectFileMimeType, extractDocumentText, guessMimeType } from './extractors/index.js';
+import { detectLanguage } from './languageDetection.js';
+import { currentVersion, snapshotCurrentVersion, summarizeVersionChanges } from './documentVersions.js';
+import {
+  contentHash as hashContent,
+  duplicateSimilarity,
+  findExactDuplicate,
+  findSimilarDocuments,
+  hashFile,
+  minhashSignature
+} from './duplicateDetection.js';
+import { routeDocument } from './documentRouting.js';
+import { recordComplianceStatements } from './complianceRegister.js';
+import { jobQueue } from './jobQueue.js';
+import { eventBus } from './eventBus.js';
+import { documentsRepository, documentTextsRepository } from '../db/index.js';
+import { uploadsDir } from './uploads.js';
+import { canAccessDocument } from './auth.js';
+
+// Archives inside archives (or emails) are expanded this many levels deep
+const MAX_CONTAINER_DEPTH = 3;
+
+/**
+ * Safe placeholder summary for documents whose processing failed, so internal
+ * errors are never exposed to the UI.
+ */
+function fallbackSummary(err, type, language) {
+  const isApiKeyInvalid = err && err.message && err.message.includes('API_KEY_INVALID');
+  return {
+    executiveSummary: isApiKeyInvalid
+      ? 'Document uploaded successfully. To enable AI summarization, please update your Gemini API key in the backend .env file.'
+      : 'Document processed. AI summary temporarily unavailable. Check server logs for details.',
+    keyPoints: ['Document uploaded successfully'],
+    actionItems: [],
+    complianceItems: [],
+    riskFactors: [],
+    recommendations: ['Update Gemini API key to enable AI features'],
+    categories: ['Manual Upload'],
+    confidence: 0,
+    language: language || 'English',
+    documentType: type || 'General Document',
+    urgencyLevel: 'medium'
+  };
+}
+
+/**
+ * Keep the extracted text (keyed by document id) for full-text search, with
+ * its MinHash signature for near-duplicate detection and the offsets where
+ * each page starts.
+ */
+function saveExtractedText(documentId, text, { signature, pageOffsets }) {
+  const record = { text, length: text.length, signature, pageOffsets, extractedAt: new Date().toISOString() };
+  if (!documentTextsRepository.update(documentId, record)) {
+    documentTextsRepository.insert({ id: documentId, ...record });
+  }
+}
+
+function setStatus(documentId, status, changes = {}) {
+  return documentsRepository.update(documentId, { ...changes, status, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Whether the department and uploader of `document` may read `originalId`,
+ * so that linking to it does not reveal a document they cannot see.
+ */
+function sharesReaders(document, originalId) {
+  const original = documentsRepository.findById(originalId);
+  return Boolean(original) && canAccessDocument({ username: document.createdBy, department: document.department }, original);
+}
+
+// Subset of a document record pushed to dashboard subscribers
+function documentEventData(document) {
+  return {
+    documentId: document.id,
+    title: document.title,
+    source: document.source,
+    type: document.type,
+    department: document.department,
+    priority: document.priority,
+    language: document.language,
+    version: currentVersion(document),
+    fileSize: document.fileSize,
+    status: document.status,
+    duplicateOf: document.duplicateOf || null,
+    createdBy: document.createdBy
+  };
+}
+
+/**
+ * Job handler: extract text (with OCR for scans and images), then summarize,
+ * moving the document through uploaded -> extracting -> summarizing -> processed.
+ */
+async function processDocumentJob(job, { progress }) {
+  const document = documentsRepository.findById(job.payload.documentId);
+  if (!document) {
+    throw new Error(`Document ${job.payload.documentId} no longer exists`);
+  }
+  const mimetype = document.mimetype || guessMimeType(document.originalName || document.filename) || 'text/plain';
+
+  setStatus(document.id, 'extracting', { processingError: null });
+  progress('extracting', 10);
+  const { text, pages, ocr, pageOffsets, attachments, skippedAttachments } = await extractDocumentText(document.filePath, mimetype, {
+    onOcrPage: (done, total) => progress('ocr', 10 + Math.round((25 * done) / total))
+  });
+  const languageDetection = detectLanguage(text);
+
+  // A near-identical copy of a library document (re-scan, other file format)
+  // is linked to it instead of being summarized again
+  const signature = minhashSignature(text);
+  const possibleDuplicates = findSimilarDocuments(signature, { excludeId: document.id });
+  // Revisions of an existing document are never re-linked elsewhere
+  const original = !document.duplicateOverride && currentVersion(document) === 1 &&
+    possibleDuplicates.find(match => match.similarity >= duplicateSimilarity() && sharesReaders(document, match.documentId));
+  if (original) {
+    documentTextsRepository.remove(document.id);
+    const linked = setStatus(document.id, 'duplicate', {
+      pages: pages ?? document.pages,
+      ocr,
+      language: languageDetection.language || document.language,
+      languageDetection,
+      duplicateOf: original.documentId,
+      possibleDuplicates
+    });
+    eventBus.publish('document-duplicate', { ...documentEventData(linked), similarity: original.similarity });
+    return { documentId: document.id, textLength: text.length, duplicateOf: original.documentId };
+  }
+  saveExtractedText(document.id, text, { signature, pageOffsets });
+
+  // Archive entries and email attachments are summarized as documents of their own
+  let containedDocuments = [];
+  if (attachments.length > 0) {
+    try {
+      containedDocuments = await addContainedDocuments(document, attachments);
+    } catch (err) {
+      console.error(`Adding the contents of document ${document.id} failed:`, err);
+    }
+  }
+
+  // Per-page OCR confidence lets reviewers spot pages that need a manual check
+  setStatus(document.id, 'summarizing', {
+    pages: pages ?? document.pages,
+    ocr,
+    language: languageDetection.language || document.language,
+    languageDetection,
+    duplicateOf: null,
+    possibleDuplicates,
+    ...(attachments.length > 0 || skippedAttachments.length > 0
+      ? { contents: { documentIds: containedDocuments.map(child => child.id), skipped: skippedAttachments } }
+      : {})
+  });
+  progress('summarizing', 40);
+  const summary = await generateSummary(text, { ...document.summaryOptions, pageOffsets });
+
+  // Revised files also get a summary of what changed since the previous version
+  let changeSummary = document.changeSummary || null;
+  if (currentVersion(document) > 1) {
+    progress('comparing', 80);
+    changeSummary = await summarizeVersionChanges(document, currentVersion(document) - 1, currentVersion(document));
+  }
+
+  progress('saving', 90);
+  let processed = setStatus(document.id, 'processed', { summary, changeSummary });
+  // A routing failure must not fail (and retry) the whole summarization
+  try {
+    processed = routeDocument(processed);
+  } catch (err) {
+    console.error(`Routing document ${document.id} failed:`, err);
+  }
+  try {
+    recordComplianceStatements(processed);
+  } catch (err) {
+    console.error(`Recording compliance statements of document ${document.id} failed:`, err);
+  }
+  eventBus.publish('summary-completed', {
+    ...documentEventData(processed),
+    executiveSummary: summary.executiveSummary,
+    confidence: summary.confidence,
+    urgencyLevel: summary.urgencyLevel,
+    actionItemCount: summary.actionItems?.length || 0
+  });
+  return { documentId: document.id, textLength: text.length, model: summary._meta?.model || null };
+}
+
+jobQueue.register('process-document', processDocumentJob, {
+  onFailed(job, err) {
+    console.error('AI processing failed (details):', err && (err.stack || err));
+    const document = documentsRepository.findById(job.payload.documentId);
+    if (!document) return;
+    const failed = setStatus(document.id, 'error', {
+      processingError: err.message || String(err),
+      summary: document.summary || fallbackSummary(err, document.type, document.language)
+    });
+    eventBus.publish('summary-failed', { ...documentEventData(failed), error: failed.processingError });
+  }
+});
+
+/**
+ * How many archives or emails the document is nested in.
+ */
+function containerDepth(document) {
+  let depth = 0;
+  let current = document;
+  while (current?.parentDocumentId && depth <= MAX_CONTAINER_DEPTH) {
+    current = documentsRepository.findById(current.parentDocumentId);
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * Add the files found in an archive or email to the library, stored under
+ * their content hash like email attachments. They inherit the container's
+ * department, source, type and tags and point back at it through
+ * `parentDocumentId`. Reprocessing a container does not add them again.
+ */
+async function addContainedDocuments(container, attachments) {
+  if (containerDepth(container) >= MAX_CONTAINER_DEPTH) return [];
+  const existing = documentsRepository.list().filter(document => document.parentDocumentId === container.id);
+  if (existing.length > 0) return existing;
+
+  const children = [];
+  await fs.mkdir(uploadsDir(), { recursive: true });
+  for (const attachment of attachments) {
+    const hash = hashContent(attachment.content);
+    const filePath = path.join(uploadsDir(), hash);
+    await fs.writeFile(filePath, attachment.content);
+    children.push(await addDocumentFromFile({
+      path: filePath,
+      filename: hash,
+      originalName: path.posix.basename(attachment.name || hash),
+      mimetype: attachment.mimetype,
+      size: attachment.content.length,
+      contentHash: hash
+    }, {
+      type: container.type,
+      department: container.department,
+      priority: container.priority,
+      author: container.author,
+      source: container.source,
+      createdBy: container.createdBy,
+      tags: container.tags,
+      metadata: { ...container.metadata, container: { documentId: container.id, title: container.title, path: attachment.name } },
+      summaryOptions: container.summaryOptions,
+      parentDocumentId: container.id
+    }));
+  }
+  return children;
+}
+
+/**
+ * Queue (re)processing of a stored document. Returns the job record.
+ */
+export function queueDocumentProcessing(documentId) {
+  // Set before enqueue: the handler starts right away and moves the status on
+  setStatus(documentId, 'uploaded');
+  const job = jobQueue.enqueue('process-document', { documentId });
+  documentsRepository.update(documentId, { jobId: job.id });
+  return job;
+}
+
+/**
+ * Add a stored file to the document library and queue it for extraction and
+ * AI summarization. Resolves to the new document with its jobId (status
+ * "uploaded", or "extracting" once the job has started). A byte-identical copy of a library document is not processed: it is
+ * stored with status "duplicate" and `duplicateOf` set to the original.
+ *
+ * `file` describes what is on disk ({ path, filename, originalName, mimetype,
+ * size, contentHash? }); `fields` carries library metadata (title, type,
+ * department, source, metadata, ...) and `summaryOptions` passed to
+ * generateSummary (e.g. { bilingual: true }). With `fields.uploader`, only
+ * originals that user may access are linked; otherwise the file is processed
+ * as a new document.
+ */
+export async function addDocumentFromFile(file, fields = {}) {
+  const contentHash = file.contentHash || await hashFile(file.path);
+  const mimetype = await detectFileMimeType(file.path, file.mimetype, file.originalName) || file.mimetype;
+  const original = findExactDuplicate(contentHash, { user: fields.uploader });
+  const now = new Date().toISOString();
+
+  const document = {
+    id: uuidv4(),
+    title: fields.title || file.originalName,
+    filename: file.filename,
+    originalName: file.originalName,
+    mimetype,
+    source: fields.source || 'Manual Upload',
+    uploadDate: now,
+    type: fields.type || 'General Document',
+    // Set from the extracted text by language detection
+    language: null,
+    priority: fields.priority || 'medium',
+    department: fields.department || 'General',
+    author: fields.author || 'Unknown',
+    fileSize: file.size,
+    contentHash,
+    pages: 0,
+    version: 1,
+    status: original ? 'duplicate' : 'uploaded',
+    duplicateOf: original?.id || null,
+    possibleDuplicates: original
+      ? [{ documentId: original.id, title: original.title, similarity: 1, match: 'exact' }]
+      : [],
+    summary: null,
+    summaryOptions: fields.summaryOptions || {},
+    tags: fields.tags || [],
+    metadata: fields.metadata || {},
+    // Set on files expanded from an archive or email
+    parentDocumentId: fields.parentDocumentId || null,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: fields.createdBy || 'system',
+    updatedBy: fields.createdBy || 'system',
+    filePath: file.path
+  };
+
+  documentsRepository.insert(document);
+  if (original) {
+    eventBus.publish('document-duplicate', { ...documentEventData(document), similarity: 1 });
+    return document;
+  }
+  queueDocumentProcessing(document.id);
+  const stored = documentsRepository.findById(document.id);
+  eventBus.publish('document-uploaded', { ...documentEventData(stored), jobId: stored.jobId });
+  return stored;
+}
+
+/**
+ * Attach a revised file to an existing document. The current file, extracted
+ * text and summary move to the version history; the new file is queued for
+ * extraction and summarization, which also summarizes what changed.
+ * Returns the updated document with its jobId (status "uploaded" or "extracting").
+ */
+export async function addDocumentVersion(document, file, { createdBy, note } = {}) {
+  const contentHash = await hashFile(file.path);
+  const mimetype = await detectFileMimeType(file.path, file.mimetype, file.originalName) || file.mimetype;
+  snapshotCurrentVersion(document);
+
+  const now = new Date().toISOString();
+  documentsRepository.update(document.id, {
+    version: currentVersion(document) + 1,
+    filename: file.filename,
+    originalName: file.originalName,
+    mimetype,
+    fileSize: file.size,
+    filePath: file.path,
+    contentHash,
+    pages: 0,
+    ocr: null,
+    summary: null,
+    changeSummary: null,
+    languageDetection: null,
+    processingError: null,
+    versionNote: note || null,
+    versionCreatedAt: now,
+    versionCreatedBy: createdBy,
+    updatedAt: now,
+    updatedBy: createdBy
+  });
+
+  queueDocumentProcessing(document.id);
+  const stored = documentsRepository.findById(document.id);
+  eventBus.publish('document-uploaded', { ...documentEventData(stored), jobId: stored.jobId });
+  return stored;
+}
@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import mammoth from 'mammoth';
+import xlsx from 'xlsx';
+import { documentTextsRepository } from '../db/index.js';
+import { OCR_IMAGE_MIME_TYPES, openPdf, renderPdfPage } from './ocr.js';
+
+// PDF pages are rendered at ~108 DPI: readable on screen, small enough to page through
+const PREVIEW_RENDER_SCALE = 1.5;
+
+// Legacy .doc files are not readable by mammoth and show their extracted text
+const WORD_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+const EXCEL_MIME_TYPES = [
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.oasis.opendocument.spreadsheet'
+];
+
+/**
+ * Links copied from uploaded files are shown in the app, so only web, mail
+ * and in-page targets are kept.
+ */
+function stripUnsafeLinks(html) {
+  return html.replace(/href="(?!https?:|mailto:|#)[^"]*"/gi, 'href="#"');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Sheet as a plain HTML table of formatted cell values. xlsx's own
+ * sheet_to_html copies raw values into unescaped attributes, so it is not
+ * safe for uploaded workbooks.
+ */
+function sheetToHtml(sheet) {
+  const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('');
+  return `<table>${body}</table>`;
+}
+
+async function pdfPageTexts(filePath) {
+  const pdf = await openPdf(await fs.readFile(filePath));
+  try {
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      const text = content.items
+        .filter(item => 'str' in item)
+        .map(item => item.str + (item.hasEOL ? '\n' : ''))
+        .join('');
+      pages.push({ page: number, text: text.trim() });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+async function renderOriginal(document) {
+  const { filePath, mimetype } = document;
+
+  if (mimetype === 'application/pdf') {
+    const pages = await pdfPageTexts(filePath);
+    return { kind: 'pdf', pageCount: pages.length, pages };
+  }
+  if (WORD_MIME_TYPES.includes(mimetype)) {
+    const { value } = await mammoth.convertToHtml({ buffer: await fs.readFile(filePath) });
+    return { kind: 'html', html: stripUnsafeLinks(value) };
+  }
+  if (EXCEL_MIME_TYPES.includes(mimetype)) {
+    const workbook = xlsx.readFile(filePath);
+    return {
+      kind: 'spreadsheet',
+      sheets: workbook.SheetNames.map(name => ({
+        name,
+        html: sheetToHtml(workbook.Sheets[name])
+      }))
+    };
+  }
+  if (mimetype === 'text/plain') {
+    return { kind: 'text', text: await fs.readFile(filePath, 'utf8') };
+  }
+  if (OCR_IMAGE_MIME_TYPES.includes(mimetype)) {
+    // Served as-is from the file endpoint
+    return { kind: 'image' };
+  }
+  return null;
+}
+
+/**
+ * Browser-friendly rendering of a document's current file: PDFs as page
+ * count plus per-page text (page images come from renderPreviewPage), Word
+ * files as HTML, workbooks as one HTML table per sheet, text as-is and
+ * images by reference. When the file cannot be rendered, the extracted text
+ * is returned instead with `fallback: true`.
+ */
+export async function buildPreview(document) {
+  let preview = null;
+  try {
+    preview = await renderOriginal(document);
+  } catch (err) {
+    console.error(`Preview of document ${document.id} failed, using extracted text:`, err?.message);
+  }
+  if (!preview) {
+    preview = {
+      kind: 'text',
+      text: documentTextsRepository.findById(document.id)?.text ?? '',
+      fallback: true
+    };
+  }
+
+  return { documentId: document.id, mimetype: document.mimetype, originalName: document.originalName, ...preview };
+}
+
+/**
+ * PNG of page `number` (1-based) of a PDF document, or null when the PDF has
+ * no such page.
+ */
+export async function renderPreviewPage(document, number) {
+  const pdf = await openPdf(await fs.readFile(document.filePath));
+  try {
+    if (!Number.isInteger(number) || number < 1 || number > pdf.numPages) return null;
+    return await renderPdfPage(pdf, number, PREVIEW_RENDER_SCALE);
+  } finally {
+    await pdf.destroy();
+  }
+}
@@ -0,0 +1,179 @@
+import { documentsRepository, documentTextsRepository } from '../db/index.js';
+import { canAccessDocument } from './auth.js';
+import { chunkText } from './textChunker.js';
+import { terms } from './textTokenizer.js';
+import { Bm25Index } from './bm25Index.js';
+import { getAIProvider } from './aiProviders/index.js';
+import { answerExtractive } from './aiProviders/ruleBased.js';
+
+// Passages are kept small so several documents fit in one prompt
+const PASSAGE_SIZE = 1200;
+const PASSAGE_OVERLAP = 200;
+const EXCERPT_LENGTH = 300;
+
+export const DEFAULT_PASSAGES = 6;
+export const MAX_PASSAGES = 12;
+
+/**
+ * Retrieval index over passages of the stored document text. Like the search
+ * index it is rebuilt incrementally from the repositories before each query:
+ * a document is re-chunked only when its text was extracted again.
+ */
+class PassageIndex {
+  constructor() {
+    this.index = new Bm25Index();
+    this.documents = new Map(); // documentId -> { version, keys }
+  }
+
+  removeDocument(documentId) {
+    for (const key of this.documents.get(documentId)?.keys || []) {
+      this.index.remove(key);
+    }
+    this.documents.delete(documentId);
+  }
+
+  sync() {
+    const seen = new Set();
+
+    for (const record of documentTextsRepository.list()) {
+      seen.add(record.id);
+      if (this.documents.get(record.id)?.version === record.extractedAt) continue;
+
+      this.removeDocument(record.id);
+      const keys = chunkText(record.text, { size: PASSAGE_SIZE, overlap: PASSAGE_OVERLAP }).map(chunk => {
+        const key = `${record.id}#${chunk.index}`;
+        this.index.add(key, { body: chunk.text }, {
+          documentId: record.id,
+          start: chunk.start,
+          end: chunk.end,
+          text: chunk.text
+        });
+        return key;
+      });
+      this.documents.set(record.id, { version: record.extractedAt, keys });
+    }
+
+    for (const documentId of [...this.documents.keys()]) {
+      if (!seen.has(documentId)) this.removeDocument(documentId);
+    }
+  }
+
+  /**
+   * Best-matching passages for `question` among documents `user` may see,
+   * optionally restricted to `documentIds`.
+   */
+  retrieve(question, { user, documentIds = null, limit = DEFAULT_PASSAGES } = {}) {
+    this.sync();
+
+    const documents = new Map(documentsRepository.list().map(document => [document.id, document]));
+    const allowed = (documentId) => {
+      const document = documents.get(documentId);
+      return document && canAccessDocument(user, document) && (!documentIds || documentIds.includes(documentId));
+    };
+
+    return [...this.index.score(new Set(terms(question)))]
+      .map(([key, { score }]) => ({ ...this.index.get(key), score }))
+      .filter(passage => allowed(passage.documentId))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(passage => ({
+        documentId: passage.documentId,
+        title: documents.get(passage.documentId).title,
+        start: passage.start,
+        end: passage.end,
+        text: passage.text,
+        score: Math.round(passage.score * 1000) / 1000
+      }));
+  }
+}
+
+export const passageIndex = new PassageIndex();
+
+function buildPrompt(question, passages) {
+  const context = passages
+    .map((passage, index) => `[${index + 1}] (Document: "${passage.title}")\n${passage.text.trim()}`)
+    .join('\n\n');
+
+  return `You answer questions from Kochi Metro Rail Limited staff using ONLY the numbered passages below, taken from the document library.
+Rules:
+- Use only information found in the passages. If they do not contain the answer, say so plainly.
+- Cite the passage number in square brackets after every statement, e.g. [2].
+- Answer in the language of the question, in at most 6 sentences.
+
+Passages:
+${context}
+
+Question: ${question}
+Answer:`;
+}
+
+function excerptOf(text) {
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+  return collapsed.length > EXCERPT_LENGTH ? `${collapsed.slice(0, EXCERPT_LENGTH)}…` : collapsed;
+}
+
+/**
+ * Map the [n] markers in `answer` back to the passages they refer to.
+ */
+function extractCitations(answer, passages) {
+  const markers = [...new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1])))];
+  return markers
+    .filter(marker => marker >= 1 && marker <= passages.length)
+    .map(marker => {
+      const passage = passages[marker - 1];
+      return {
+        marker,
+        documentId: passage.documentId,
+        title: passage.title,
+        start: passage.start,
+        end: passage.end,
+        excerpt: excerptOf(passage.text)
+      };
+    });
+}
+
+/**
+ * Answer `question` from the document library (retrieval-augmented):
+ * retrieve passages, ask the configured model to answer from them only, and
+ * return the answer with citations to document ids and passage offsets.
+ * Falls back to an extractive answer when the model call fails.
+ */
+export async function answerQuestion(question, { user, documentIds = null, limit = DEFAULT_PASSAGES } = {}) {
+  const passages = passageIndex.retrieve(question, { user, documentIds, limit });
+  const retrieved = passages.map(({ text, ...passage }, index) => ({ marker: index + 1, ...passage }));
+
+  if (passages.length === 0) {
+    return {
+      answer: 'No documents in the library match this question.',
+      citations: [],
+      passages: [],
+      model: null,
+      provider: null
+    };
+  }
+
+  const provider = getAIProvider();
+  let answer;
+  let model = null;
+  let providerName = provider.name;
+  let fallback;
+  try {
+    const result = await provider.generate(buildPrompt(question, passages), { task: 'answer', question, passages });
+    answer = (result.text || '').trim();
+    model = result.model;
+  } catch (err) {
+    console.error('Question answering model call failed, answering extractively:', err?.message);
+    answer = answerExtractive(question, passages);
+    providerName = 'rule-based';
+    fallback = true;
+  }
+
+  return {
+    answer,
+    citations: extractCitations(answer, passages),
+    passages: retrieved,
+    model,
+    provider: providerName,
+    fallback
+  };
+}
@@ -0,0 +1,429 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  documentsRepository,
+  documentTextsRepository,
+  documentVersionsRepository,
+  recycleBinRepository,
+  retentionPoliciesRepository
+} from '../db/index.js';
+import { removeVersions } from './documentVersions.js';
+import { removeDocumentCompliance } from './complianceRegister.js';
+import { queueDocumentProcessing } from './documentLibrary.js';
+import { jobQueue } from './jobQueue.js';
+import { recordAudit } from './auditLog.js';
+import { uploadsDir } from './uploads.js';
+
+// Bookkeeping added when a document moves to the recycle bin
+const DELETION_FIELDS = ['deletedAt', 'deletedBy', 'deletionReason', 'purgeAfter'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function recycleBinDays() {
+  return parseFloat(process.env.RECYCLE_BIN_DAYS) || 30;
+}
+
+/**
+ * Files younger than this are left alone by garbage collection, so uploads
+ * still being written or processed are never taken for orphans.
+ */
+function uploadGraceMs() {
+  return (parseFloat(process.env.UPLOAD_GC_GRACE_HOURS) || 24) * HOUR_MS;
+}
+
+/**
+ * Names of every stored file a document, superseded version or recycle-bin
+ * entry still points at. Files are compared by name because stored paths are
+ * relative to the directory the server was started from, and identical email
+ * attachments share one content-addressed file.
+ */
+function referencedFileNames() {
+  return new Set([
+    ...documentsRepository.list(),
+    ...documentVersionsRepository.list(),
+    ...recycleBinRepository.list()
+  ].filter(record => record.filePath).map(record => path.basename(record.filePath)));
+}
+
+/**
+ * Delete the given stored files unless another record still references them.
+ * Returns the number of files removed.
+ */
+async function deleteUnreferencedFiles(filePaths) {
+  const referenced = referencedFileNames();
+  let deleted = 0;
+  for (const filePath of new Set(filePaths)) {
+    if (referenced.has(path.basename(filePath))) continue;
+    try {
+      await fs.unlink(path.resolve(filePath));
+      deleted++;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to delete stored file ${filePath}:`, err);
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Place a legal hold; held documents cannot be deleted, by hand or by a
+ * retention policy, until the hold is released.
+ */
+export function placeLegalHold(document, reason, actor) {
+  const text = String(reason || '').trim();
+  if (!text) throw httpError(400, 'A reason is required to place a legal hold');
+  if (document.legalHold) throw httpError(409, 'Document is already under legal hold');
+
+  const now = new Date().toISOString();
+  return documentsRepository.update(document.id, {
+    legalHold: { reason: text, placedBy: actor.username, placedAt: now },
+    updatedAt: now,
+    updatedBy: actor.username
+  });
+}
+
+export function releaseLegalHold(document, actor) {
+  if (!document.legalHold) throw httpError(409, 'Document is not under legal hold');
+  return documentsRepository.update(document.id, {
+    legalHold: null,
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor.username
+  });
+}
+
+/**
+ * Move a document to the recycle bin. It disappears from the library, search,
+ * duplicate detection and reports, but keeps its file, text and versions
+ * until it is restored or purged. `actor` is null for retention deletions.
+ */
+export function trashDocument(document, actor, reason = 'manual', now = Date.now()) {
+  if (document.legalHold) {
+    throw httpError(409, 'Document is under legal hold and cannot be deleted');
+  }
+  const activeJob = jobQueue.findActiveJob(document.id);
+  if (activeJob) {
+    throw httpError(409, 'Document is still being processed');
+  }
+
+  documentsRepository.remove(document.id);
+  const trashed = recycleBinRepository.insert({
+    ...document,
+    deletedAt: new Date(now).toISOString(),
+    deletedBy: actor?.username || 'retention',
+    deletionReason: reason,
+    purgeAfter: new Date(now + recycleBinDays() * DAY_MS).toISOString()
+  });
+
+  // Copies linked to the deleted document are processed on their own
+  for (const copy of documentsRepository.list().filter(d => d.duplicateOf === document.id)) {
+    documentsRepository.update(copy.id, { duplicateOf: null });
+    queueDocumentProcessing(copy.id);
+  }
+  return trashed;
+}
+
+/**
+ * Recycle-bin entries passing `visible`, most recently deleted first.
+ */
+export function listRecycleBin(visible = () => true) {
+  return recycleBinRepository.list()
+    .filter(visible)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+export function findTrashedDocument(id) {
+  return recycleBinRepository.findById(id);
+}
+
+/**
+ * Put a recycle-bin entry back into the library. Restoring restarts the
+ * retention period, so a document its policy had expired is not deleted
+ * again on the next check.
+ */
+export function restoreDocument(trashed, actor) {
+  if (documentsRepository.findById(trashed.id)) {
+    throw httpError(409, 'A document with this id already exists');
+  }
+
+  const document = { ...trashed };
+  DELETION_FIELDS.forEach(field => delete document[field]);
+  const now = new Date().toISOString();
+  recycleBinRepository.remove(trashed.id);
+  return documentsRepository.insert({
+    ...document,
+    restoredAt: now,
+    restoredBy: actor.username,
+    updatedAt: now,
+    updatedBy: actor.username
+  });
+}
+
+/**
+ * Permanently delete a recycle-bin entry: its record, extracted text,
+ * versions, compliance findings and every stored file no other record uses.
+ */
+export async function purgeDocument(trashed) {
+  const filePaths = [
+    trashed.filePath,
+    ...documentVersionsRepository.list().filter(record => record.documentId === trashed.id).map(record => record.filePath)
+  ].filter(Boolean);
+
+  recycleBinRepository.remove(trashed.id);
+  documentTextsRepository.remove(trashed.id);
+  removeVersions(trashed.id);
+  removeDocumentCompliance(trashed.id);
+
+  return { document: trashed, filesDeleted: await deleteUnreferencedFiles(filePaths) };
+}
+
+function findPolicyForType(type, excludeId = null) {
+  const key = String(type || '').toLowerCase();
+  return retentionPoliciesRepository.list()
+    .find(policy => policy.documentType.toLowerCase() === key && policy.id !== excludeId) || null;
+}
+
+/**
+ * Validate and normalize a retention policy from the API.
+ */
+function normalizePolicy(input = {}, existing = {}) {
+  const merged = { ...existing, ...input };
+
+  const documentType = String(merged.documentType || '').trim();
+  if (!documentType) throw httpError(400, 'documentType is required');
+  if (findPolicyForType(documentType, existing.id)) {
+    throw httpError(409, `A retention policy for "${documentType}" already exists`);
+  }
+
+  const retentionDays = parseFloat(merged.retentionDays);
+  if (!(retentionDays > 0)) throw httpError(400, 'retentionDays must be a positive number of days');
+
+  return {
+    documentType,
+    retentionDays,
+    description: merged.description ? String(merged.description) : ''
+  };
+}
+
+/**
+ * When the document's retention period ends, or null when no policy covers
+ * its type. The period runs from upload, or from the last restore.
+ */
+export function retentionExpiry(document) {
+  const policy = findPolicyForType(document.type);
+  if (!policy) return null;
+  const start = Date.parse(document.restoredAt || document.uploadDate || document.createdAt);
+  return Number.isNaN(start) ? null : new Date(start + policy.retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Policy as returned by the API, with how many documents it covers and how
+ * many are past their retention period (held documents are counted apart).
+ */
+function policyView(policy, now = Date.now()) {
+  const covered = documentsRepository.list()
+    .filter(document => String(document.type || '').toLowerCase() === policy.documentType.toLowerCase());
+  const expired = covered.filter(document => {
+    const expiry = retentionExpiry(document);
+    return expiry && Date.parse(expiry) <= now;
+  });
+  return {
+    ...policy,
+    documents: covered.length,
+    expired: expired.filter(document => !document.legalHold).length,
+    heldPastRetention: expired.filter(document => document.legalHold).length
+  };
+}
+
+export function listPolicies() {
+  return retentionPoliciesRepository.list()
+    .sort((a, b) => a.documentType.localeCompare(b.documentType))
+    .map(policy => policyView(policy));
+}
+
+export function getPolicy(id) {
+  const policy = retentionPoliciesRepository.findById(id);
+  if (!policy) throw httpError(404, 'Retention policy not found');
+  return policyView(policy);
+}
+
+export function createPolicy(input, actor) {
+  const now = new Date().toISOString();
+  return policyView(retentionPoliciesRepository.insert({
+    id: uuidv4(),
+    ...normalizePolicy(input),
+    createdAt: now,
+    createdBy: actor.username,
+    updatedAt: now,
+    updatedBy: actor.username
+  }));
+}
+
+export function updatePolicy(id, input, actor) {
+  const existing = retentionPoliciesRepository.findById(id);
+  if (!existing) throw httpError(404, 'Retention policy not found');
+  return policyView(retentionPoliciesRepository.update(id, {
+    ...normalizePolicy(input, existing),
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor.username
+  }));
+}
+
+export function deletePolicy(id) {
+  const policy = retentionPoliciesRepository.remove(id);
+  if (!policy) throw httpError(404, 'Retention policy not found');
+  return policy;
+}
+
+/**
+ * Move documents past their retention period to the recycle bin and purge
+ * recycle-bin entries past their purge date. Held or still-processing
+ * documents are skipped and picked up by a later run.
+ */
+export async function applyRetention(now = Date.now()) {
+  let trashed = 0;
+  for (const document of documentsRepository.list()) {
+    const expiry = retentionExpiry(document);
+    if (!expiry || Date.parse(expiry) > now || document.legalHold || jobQueue.findActiveJob(document.id)) continue;
+    try {
+      trashDocument(document, null, 'retention', now);
+      recordAudit(null, {
+        action: 'document.deleted',
+        targetType: 'document',
+        targetId: document.id,
+        before: document,
+        details: { reason: 'retention', expiredAt: expiry }
+      });
+      trashed++;
+    } catch (err) {
+      console.error(`Retention deletion of document ${document.id} failed:`, err);
+    }
+  }
+
+  let purged = 0;
+  for (const entry of recycleBinRepository.list()) {
+    if (Date.parse(entry.purgeAfter) > now) continue;
+    try {
+      const { filesDeleted } = await purgeDocument(entry);
+      recordAudit(null, {
+        action: 'document.purged',
+        targetType: 'document',
+        targetId: entry.id,
+        details: { title: entry.title, deletedAt: entry.deletedAt, filesDeleted }
+      });
+      purged++;
+    } catch (err) {
+      console.error(`Purging document ${entry.id} failed:`, err);
+    }
+  }
+  return { trashed, purged };
+}
+
+/**
+ * Files in uploads/ that no record references and that are older than the
+ * grace period, as { name, size, modifiedAt }.
+ */
+export async function findOrphanedUploads(now = Date.now()) {
+  const referenced = referencedFileNames();
+  const entries = await fs.readdir(uploadsDir(), { withFileTypes: true }).catch(err => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+
+  const orphans = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.startsWith('.') || referenced.has(entry.name)) continue;
+    const stats = await fs.stat(path.join(uploadsDir(), entry.name));
+    if (now - stats.mtimeMs < uploadGraceMs()) continue;
+    orphans.push({ name: entry.name, size: stats.size, modifiedAt: stats.mtime.toISOString() });
+  }
+  return orphans;
+}
+
+/**
+ * Delete orphaned files from uploads/. References are checked again just
+ * before each file goes, in case a document claimed it meanwhile.
+ */
+export async function collectOrphanedUploads(now = Date.now()) {
+  const orphans = await findOrphanedUploads(now);
+  const deleted = [];
+  for (const orphan of orphans) {
+    if (referencedFileNames().has(orphan.name)) continue;
+    try {
+      await fs.unlink(path.join(uploadsDir(), orphan.name));
+      deleted.push(orphan);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to delete orphaned upload ${orphan.name}:`, err);
+    }
+  }
+  return { deleted: deleted.length, bytesFreed: deleted.reduce((sum, file) => sum + file.size, 0), files: deleted };
+}
+
+/**
+ * Periodically applies retention policies and empties the recycle bin.
+ * Orphaned uploads are only reported unless UPLOAD_GC_DELETE=true; they can
+ * always be removed by hand through POST /api/retention/collect-garbage.
+ */
+class RetentionMonitor {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  get intervalMs() {
+    return (parseFloat(process.env.RETENTION_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000;
+  }
+
+  start() {
+    if (this.timer) return;
+    const run = () => this.check().catch(err => console.error('Retention check failed:', err));
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    console.log(`Retention monitor started, checking every ${this.intervalMs / 60000} minutes`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One pass; resolves to null when a pass is already running, since a slow
+   * file system must not let two runs overlap.
+   */
+  async check(now = Date.now()) {
+    if (this.running) return null;
+    this.running = true;
+    try {
+      const retention = await applyRetention(now);
+      if (process.env.UPLOAD_GC_DELETE !== 'true') {
+        const orphans = await findOrphanedUploads(now);
+        if (orphans.length > 0) {
+          console.log(`${orphans.length} orphaned upload(s) found; set UPLOAD_GC_DELETE=true or POST /api/retention/collect-garbage to remove them`);
+        }
+        return { ...retention, orphanedFiles: orphans.length, orphanedFilesDeleted: 0, bytesFreed: 0 };
+      }
+      const uploads = await collectOrphanedUploads(now);
+      if (uploads.deleted > 0) {
+        recordAudit(null, {
+          action: 'uploads.collected',
+          targetType: 'uploads',
+          details: { files: uploads.files.map(file => file.name), bytesFreed: uploads.bytesFreed }
+        });
+      }
+      return { ...retention, orphanedFilesDeleted: uploads.deleted, bytesFreed: uploads.bytesFreed };
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export const retentionMonitor = new RetentionMonitor();
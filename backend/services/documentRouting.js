@@ -0,0 +1,264 @@
+import { v4 as uuidv4 } from 'uuid';
+import { documentsRepository, documentTextsRepository, routingRulesRepository } from '../db/index.js';
+import { createTasksFromActionItems, TASK_PRIORITIES } from './actionItemTasks.js';
+import { eventBus } from './eventBus.js';
+
+const RULE_STATUSES = ['active', 'paused', 'inactive'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Condition lists; within one list any entry may match, and every non-empty list must match
+const CONDITION_FIELDS = ['documentTypes', 'sources', 'keywords', 'urgencyLevels', 'languages', 'senders'];
+
+// Acts for the routing engine in task history and document updates
+const ROUTING_USER = { username: 'routing-engine', role: 'admin' };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Validate and normalize a routing rule from the API.
+ */
+function normalizeRule(input = {}, existing = {}) {
+  const merged = { ...existing, ...input };
+  const conditionInput = { ...existing.conditions, ...input.conditions };
+  const actionInput = { ...existing.actions, ...input.actions };
+
+  const name = String(merged.name || '').trim();
+  if (!name) throw httpError(400, 'Rule name is required');
+
+  const status = merged.status || 'active';
+  if (!RULE_STATUSES.includes(status)) {
+    throw httpError(400, `Rule status must be one of: ${RULE_STATUSES.join(', ')}`);
+  }
+
+  const conditions = Object.fromEntries(CONDITION_FIELDS.map(field => [field, toList(conditionInput[field])]));
+  if (CONDITION_FIELDS.every(field => conditions[field].length === 0)) {
+    throw httpError(400, `At least one condition is required (${CONDITION_FIELDS.join(', ')})`);
+  }
+  const unknownUrgency = conditions.urgencyLevels.find(level => !URGENCY_LEVELS.includes(level.toLowerCase()));
+  if (unknownUrgency) {
+    throw httpError(400, `Unknown urgency level "${unknownUrgency}" (${URGENCY_LEVELS.join(', ')})`);
+  }
+
+  const actions = {
+    department: actionInput.department ? String(actionInput.department).trim() : null,
+    priority: actionInput.priority || null,
+    owner: actionInput.owner ? String(actionInput.owner).trim() : null,
+    createTasks: actionInput.createTasks === true || actionInput.createTasks === 'true',
+    // Deadline given to created tasks without one; the SLA monitor escalates from there
+    escalationTime: actionInput.escalationTime != null && actionInput.escalationTime !== ''
+      ? parseFloat(actionInput.escalationTime)
+      : null
+  };
+  if (actions.priority && !TASK_PRIORITIES.includes(actions.priority)) {
+    throw httpError(400, `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`);
+  }
+  if (actions.escalationTime !== null && !(actions.escalationTime > 0)) {
+    throw httpError(400, 'escalationTime must be a positive number of hours');
+  }
+  if (!actions.department && !actions.priority && !actions.owner && !actions.createTasks) {
+    throw httpError(400, 'A rule must set a department, priority or owner, or create tasks');
+  }
+
+  const order = parseInt(merged.order, 10);
+  return {
+    name,
+    description: merged.description ? String(merged.description) : '',
+    status,
+    order: Number.isNaN(order) ? routingRulesRepository.list().length + 1 : order,
+    conditions,
+    actions
+  };
+}
+
+/**
+ * Rule as returned by the API: stored counters plus the success rate, the
+ * share of routed documents whose department nobody changed afterwards.
+ */
+export function ruleView(rule) {
+  const routed = rule.documentsRouted || 0;
+  return {
+    ...rule,
+    successRate: routed > 0 ? Math.round(((routed - (rule.overridden || 0)) / routed) * 1000) / 10 : null
+  };
+}
+
+/**
+ * Rules in evaluation order.
+ */
+export function listRules() {
+  return routingRulesRepository.list()
+    .sort((a, b) => a.order - b.order || a.createdAt.localeCompare(b.createdAt))
+    .map(ruleView);
+}
+
+export function getRule(id) {
+  const rule = routingRulesRepository.findById(id);
+  if (!rule) throw httpError(404, 'Routing rule not found');
+  return ruleView(rule);
+}
+
+export function createRule(input, actor) {
+  const now = new Date().toISOString();
+  return ruleView(routingRulesRepository.insert({
+    id: uuidv4(),
+    ...normalizeRule(input),
+    documentsRouted: 0,
+    tasksCreated: 0,
+    overridden: 0,
+    lastRoutedAt: null,
+    createdAt: now,
+    createdBy: actor.username,
+    updatedAt: now,
+    updatedBy: actor.username
+  }));
+}
+
+export function updateRule(id, input, actor) {
+  const existing = routingRulesRepository.findById(id);
+  if (!existing) throw httpError(404, 'Routing rule not found');
+  return ruleView(routingRulesRepository.update(id, {
+    ...normalizeRule(input, existing),
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor.username
+  }));
+}
+
+export function deleteRule(id) {
+  const rule = routingRulesRepository.remove(id);
+  if (!rule) throw httpError(404, 'Routing rule not found');
+  return ruleView(rule);
+}
+
+/**
+ * Sender address against full addresses ("ops@kochimetro.org") or domains
+ * ("@kochimetro.org"), as in mailbox allow-lists.
+ */
+function senderMatches(sender, entries) {
+  const address = String(sender).toLowerCase();
+  return entries.some(entry => {
+    const rule = entry.toLowerCase();
+    return rule.startsWith('@') ? address.endsWith(rule) : address === rule;
+  });
+}
+
+function includesIgnoringCase(list, value) {
+  const needle = String(value || '').toLowerCase();
+  return list.some(entry => entry.toLowerCase() === needle);
+}
+
+/**
+ * Values of a summarized document the rule conditions test.
+ */
+function documentFacts(document) {
+  const text = documentTextsRepository.findById(document.id)?.text || '';
+  return {
+    type: document.type,
+    source: String(document.source || '').toLowerCase(),
+    searchable: [document.title, document.summary?.executiveSummary, text].filter(Boolean).join('\n').toLowerCase(),
+    urgencyLevel: document.summary?.urgencyLevel,
+    language: document.language,
+    sender: document.metadata?.email?.sender || null
+  };
+}
+
+function matchesRule(rule, facts) {
+  const { documentTypes, sources, keywords, urgencyLevels, languages, senders } = rule.conditions;
+  return (documentTypes.length === 0 || includesIgnoringCase(documentTypes, facts.type)) &&
+    (sources.length === 0 || sources.some(source => facts.source.includes(source.toLowerCase()))) &&
+    (keywords.length === 0 || keywords.some(keyword => facts.searchable.includes(keyword.toLowerCase()))) &&
+    (urgencyLevels.length === 0 || includesIgnoringCase(urgencyLevels, facts.urgencyLevel)) &&
+    (languages.length === 0 || includesIgnoringCase(languages, facts.language)) &&
+    (senders.length === 0 || (facts.sender !== null && senderMatches(facts.sender, senders)));
+}
+
+/**
+ * Route a freshly summarized document with the first active rule it matches:
+ * set its department, priority and owner and, when the rule says so, create
+ * tasks from its action items. A document is routed once; reprocessing it
+ * keeps the original routing. Returns the (possibly updated) document.
+ */
+export function routeDocument(document) {
+  if (document.routing) return document;
+
+  const facts = documentFacts(document);
+  const rule = routingRulesRepository.list()
+    .filter(candidate => candidate.status === 'active')
+    .sort((a, b) => a.order - b.order || a.createdAt.localeCompare(b.createdAt))
+    .find(candidate => matchesRule(candidate, facts));
+  if (!rule) return document;
+
+  const { department, priority, owner, createTasks, escalationTime } = rule.actions;
+  let taskIds = [];
+  if (createTasks && document.summary?.actionItems?.length) {
+    const { tasks } = createTasksFromActionItems(document.summary.actionItems, {
+      documentId: document.id,
+      user: ROUTING_USER,
+      overrides: { department: department || document.department, assignee: owner },
+      defaults: { deadline: escalationTime ? Date.now() + escalationTime * HOUR_MS : null }
+    });
+    taskIds = tasks.map(task => task.id);
+  }
+
+  const now = new Date().toISOString();
+  const routed = documentsRepository.update(document.id, {
+    ...(department && { department }),
+    ...(priority && { priority }),
+    ...(owner && { owner }),
+    routing: {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      department: department || document.department,
+      previousDepartment: document.department,
+      taskIds,
+      routedAt: now,
+      overridden: false
+    },
+    updatedAt: now,
+    updatedBy: ROUTING_USER.username
+  });
+  routingRulesRepository.update(rule.id, {
+    documentsRouted: (rule.documentsRouted || 0) + 1,
+    tasksCreated: (rule.tasksCreated || 0) + taskIds.length,
+    lastRoutedAt: now
+  });
+
+  eventBus.publish('document-routed', {
+    documentId: routed.id,
+    title: routed.title,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    department: routed.department,
+    previousDepartment: document.department,
+    priority: routed.priority,
+    owner: routed.owner || null,
+    taskIds
+  });
+  return routed;
+}
+
+/**
+ * Count a routed document moved to another department by hand against its
+ * rule's success rate (once per document).
+ */
+export function recordRoutingOverride(document, department) {
+  const routing = document.routing;
+  if (!routing || routing.overridden || !department || department === routing.department) return;
+
+  documentsRepository.update(document.id, { routing: { ...routing, overridden: true } });
+  const rule = routingRulesRepository.findById(routing.ruleId);
+  if (rule) {
+    routingRulesRepository.update(rule.id, { overridden: (rule.overridden || 0) + 1 });
+  }
+}
@@ -0,0 +1,176 @@
+import { v4 as uuidv4 } from 'uuid';
+import { documentTextsRepository, documentVersionsRepository } from '../db/index.js';
+import { diffSentences } from './textDiff.js';
+import { getAIProvider } from './aiProviders/index.js';
+import { describeChangesExtractive } from './aiProviders/ruleBased.js';
+
+// Document fields that describe one file revision rather than the document
+const REVISION_FIELDS = [
+  'filename', 'originalName', 'mimetype', 'fileSize', 'filePath', 'contentHash', 'pages', 'ocr',
+  'language', 'languageDetection', 'summary', 'changeSummary', 'versionNote', 'status'
+];
+
+// Sentences kept on a change summary, and characters of them sent to the model
+const MAX_LISTED_CHANGES = 50;
+const MAX_PROMPT_CHARS = 12000;
+
+export function currentVersion(document) {
+  return document.version || 1;
+}
+
+function pick(record, fields) {
+  return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+}
+
+/**
+ * Superseded versions of a document, oldest first.
+ */
+function priorVersions(documentId) {
+  return documentVersionsRepository.list()
+    .filter(record => record.documentId === documentId)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Copy the document's current file, extracted text and summary into the
+ * version history before a new revision replaces them.
+ */
+export function snapshotCurrentVersion(document) {
+  return documentVersionsRepository.insert({
+    id: uuidv4(),
+    documentId: document.id,
+    version: currentVersion(document),
+    ...pick(document, REVISION_FIELDS),
+    text: documentTextsRepository.findById(document.id)?.text ?? null,
+    createdAt: document.versionCreatedAt || document.uploadDate,
+    createdBy: document.versionCreatedBy || document.createdBy,
+    supersededAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Full record of one version (the current one is read from the document
+ * itself), or null when the document has no such version.
+ */
+export function findVersion(document, version) {
+  if (version === currentVersion(document)) {
+    return {
+      documentId: document.id,
+      version,
+      ...pick(document, REVISION_FIELDS),
+      text: documentTextsRepository.findById(document.id)?.text ?? null,
+      createdAt: document.versionCreatedAt || document.uploadDate,
+      createdBy: document.versionCreatedBy || document.createdBy,
+      current: true
+    };
+  }
+  const record = priorVersions(document.id).find(candidate => candidate.version === version);
+  return record ? { ...record, current: false } : null;
+}
+
+/**
+ * Version details safe to return from the API: file paths and the full text
+ * stay on the server.
+ */
+export function versionView({ filePath, text, ...record }) {
+  return { ...record, textLength: typeof text === 'string' ? text.length : null };
+}
+
+/**
+ * Every version of a document, newest first, without summaries or text.
+ */
+export function versionHistory(document) {
+  const versions = [...priorVersions(document.id).map(record => record.version), currentVersion(document)];
+  return versions.reverse().map(version => {
+    const { summary, changeSummary, ...record } = versionView(findVersion(document, version));
+    return {
+      ...record,
+      executiveSummary: summary?.executiveSummary || null,
+      changes: changeSummary ? { fromVersion: changeSummary.fromVersion, summary: changeSummary.summary } : null
+    };
+  });
+}
+
+function limitChars(sentences, maxChars) {
+  const kept = [];
+  let total = 0;
+  for (const sentence of sentences) {
+    if (total + sentence.length > maxChars) break;
+    kept.push(sentence);
+    total += sentence.length;
+  }
+  return kept;
+}
+
+function buildPrompt(title, fromVersion, toVersion, { added, removed }) {
+  const list = (sentences) => {
+    const kept = limitChars(sentences, MAX_PROMPT_CHARS / 2);
+    const omitted = sentences.length - kept.length;
+    return [...kept.map(sentence => `- ${sentence}`), ...(omitted ? [`(${omitted} more not shown)`] : [])].join('\n') || '(none)';
+  };
+
+  return `You compare two versions of the Kochi Metro Rail Limited document "${title}", for example a revised SOP or safety circular.
+Below are the sentences removed from version ${fromVersion} and the sentences added in version ${toVersion}; everything else is unchanged.
+Summarize what changed between version ${fromVersion} and version ${toVersion} in at most 6 bullet points, most important first: safety requirements, deadlines, responsibilities and procedures. Treat a removed and an added sentence that say nearly the same thing as one modification. Reply with the bullet points only.
+
+Removed:
+${list(removed)}
+
+Added:
+${list(added)}`;
+}
+
+/**
+ * Diff the extracted text of two versions and describe the changes with the
+ * configured model, falling back to an extractive description when the model
+ * call fails. Returns the change summary stored on the newer version.
+ */
+export async function summarizeVersionChanges(document, fromVersion, toVersion) {
+  const before = findVersion(document, fromVersion);
+  const after = findVersion(document, toVersion);
+  const changes = diffSentences(before?.text, after?.text);
+  const context = { task: 'changes', changes, fromVersion, toVersion };
+
+  let summary;
+  let model = null;
+  let provider = null;
+  let fallback;
+  if (changes.added.length === 0 && changes.removed.length === 0) {
+    summary = describeChangesExtractive(changes, context);
+  } else {
+    const aiProvider = getAIProvider();
+    provider = aiProvider.name;
+    try {
+      const result = await aiProvider.generate(buildPrompt(document.title, fromVersion, toVersion, changes), context);
+      summary = (result.text || '').trim();
+      model = result.model;
+    } catch (err) {
+      console.error('Version change summary model call failed, describing extractively:', err?.message);
+      summary = describeChangesExtractive(changes, context);
+      provider = 'rule-based';
+      fallback = true;
+    }
+  }
+
+  return {
+    fromVersion,
+    toVersion,
+    summary,
+    added: changes.added.slice(0, MAX_LISTED_CHANGES),
+    removed: changes.removed.slice(0, MAX_LISTED_CHANGES),
+    stats: { added: changes.added.length, removed: changes.removed.length, unchanged: changes.unchanged },
+    model,
+    provider,
+    fallback,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Drop the version history of a deleted document.
+ */
+export function removeVersions(documentId) {
+  for (const record of priorVersions(documentId)) {
+    documentVersionsRepository.remove(record.id);
+  }
+}
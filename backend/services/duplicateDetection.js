@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { documentsRepository, documentTextsRepository } from '../db/index.js';
+import { canAccessDocument } from './auth.js';
+
+// Words per shingle and hash functions per MinHash signature
+const SHINGLE_SIZE = 5;
+const SIGNATURE_SIZE = 128;
+
+// Estimated Jaccard similarity at which a document is treated as a duplicate,
+// and the lower bound for listing it as a possible duplicate
+const DEFAULT_DUPLICATE_SIMILARITY = 0.9;
+const DEFAULT_POSSIBLE_DUPLICATE_SIMILARITY = 0.6;
+const MAX_POSSIBLE_DUPLICATES = 10;
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+export function duplicateSimilarity() {
+  return parseFloat(process.env.DUPLICATE_SIMILARITY) || DEFAULT_DUPLICATE_SIMILARITY;
+}
+
+function possibleDuplicateSimilarity() {
+  return parseFloat(process.env.POSSIBLE_DUPLICATE_SIMILARITY) || DEFAULT_POSSIBLE_DUPLICATE_SIMILARITY;
+}
+
+/**
+ * SHA-256 of a buffer, used to recognise byte-identical files.
+ */
+export function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// 32-bit avalanche mix (MurmurHash3 finalizer)
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// FNV-1a over UTF-16 code units
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(i + 1));
+
+/**
+ * MinHash signature over word shingles of `text`, or null when the text has
+ * no words. Case, punctuation and whitespace differences (typical of the same
+ * circular re-typed, re-scanned or exported to another format) are ignored.
+ */
+export function minhashSignature(text) {
+  const words = (String(text || '').toLowerCase().match(WORD_PATTERN) || []);
+  if (words.length === 0) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= Math.max(words.length, SHINGLE_SIZE); i++) {
+    shingles.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = mix32(shingle ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity (0-1) of the texts behind two signatures.
+ */
+export function signatureSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+/**
+ * The original of a byte-identical file: the document with this content hash
+ * that is not itself a duplicate, or null. With `user`, only documents that
+ * user may access count.
+ */
+export function findExactDuplicate(hash, { excludeId = null, user = null } = {}) {
+  if (!hash) return null;
+  return documentsRepository.list()
+    .find(document => document.contentHash === hash && !document.duplicateOf && document.id !== excludeId &&
+      (!user || canAccessDocument(user, document))) || null;
+}
+
+/**
+ * Documents whose extracted text resembles `signature`, most similar first:
+ * [{ documentId, title, similarity, match: 'near' }]. Only documents with
+ * stored text are candidates, so duplicates never become canonical.
+ */
+export function findSimilarDocuments(signature, { excludeId = null } = {}) {
+  if (!signature) return [];
+  const documents = new Map(documentsRepository.list().map(document => [document.id, document]));
+  const threshold = possibleDuplicateSimilarity();
+  const matches = [];
+
+  for (const record of documentTextsRepository.list()) {
+    const document = documents.get(record.id);
+    if (!document || record.id === excludeId) continue;
+
+    let candidate = record.signature;
+    if (candidate === undefined) {
+      // Text stored before signatures existed
+      candidate = minhashSignature(record.text);
+      documentTextsRepository.update(record.id, { signature: candidate });
+    }
+
+    const similarity = signatureSimilarity(signature, candidate);
+    if (similarity >= threshold) {
+      matches.push({ documentId: document.id, title: document.title, similarity: Math.round(similarity * 1000) / 1000, match: 'near' });
+    }
+  }
+
+  return matches.sort((a, b) => b.similarity - a.similarity).slice(0, MAX_POSSIBLE_DUPLICATES);
+}
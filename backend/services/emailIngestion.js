@@ -2,11 +2,26 @@ import Imap from 'node-imap';
 import { simpleParser } from 'mailparser';
 import fs from 'fs';
 import path from 'path';
-import crypto from 'crypto';
-import { fileURLToPath } from 'url';
+import { addDocumentFromFile } from './documentLibrary.js';
+import { resolveMimeType } from './extractors/index.js';
+import { contentHash } from './duplicateDetection.js';
+import { OCR_IMAGE_MIME_TYPES } from './ocr.js';
+import { uploadsDir } from './uploads.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const DEFAULT_POLL_INTERVAL = 30000;
+
+/**
+ * Check a sender address against an allow-list of full addresses
+ * ("ops@kochimetro.org") or domains ("@kochimetro.org"). An empty list allows everyone.
+ */
+export function isSenderAllowed(sender, allowList = []) {
+    if (!allowList || allowList.length === 0) return true;
+    const address = String(sender || '').toLowerCase();
+    return allowList.some(entry => {
+        const rule = String(entry).trim().toLowerCase();
+        return rule.startsWith('@') ? address.endsWith(rule) : address === rule;
+    });
+}
 
 class EmailIngestionService {
     constructor(config, callbacks = {}) {
@@ -14,11 +29,19 @@ class EmailIngestionService {
             user: config.user,
             host: config.host,
             port: config.port,
-            tls: config.tls
+            tls: config.tls,
+            folders: config.folders,
+            pollInterval: config.pollInterval
         });
 
         this.lastCheckTime = null;
+        this.lastError = null;
         this.callbacks = callbacks;
+        this.folders = config.folders && config.folders.length > 0 ? config.folders : ['INBOX'];
+        this.pollInterval = config.pollInterval || DEFAULT_POLL_INTERVAL;
+        this.allowedSenders = config.allowedSenders || [];
+        this.checking = false;
+        this.stopped = false;
 
         this.imap = new Imap({
             user: config.user,
@@ -42,6 +65,7 @@ class EmailIngestionService {
 
         this.imap.on('error', err => {
             console.error('IMAP Error:', err);
+            this.lastError = err.message || String(err);
             if (err.code === 'ENOTFOUND') {
                 console.error('DNS lookup failed - check host name');
             } else if (err.code === 'ETIMEDOUT') {
@@ -49,9 +73,11 @@ class EmailIngestionService {
             } else if (err.source === 'authentication') {
                 console.error('Authentication failed - check username and password');
             }
+            if (this.stopped) return;
             setTimeout(() => {
+                if (this.stopped) return;
                 console.log('Attempting to reconnect...');
-                this.start();
+                this.start().catch(() => {});
             }, 10000);
         });
 
@@ -72,12 +98,14 @@ class EmailIngestionService {
 
     async start() {
         console.log('Starting email monitoring service...');
+        this.stopped = false;
         return new Promise((resolve, reject) => {
             this.imap.once('ready', () => {
                 console.log('Connection established successfully');
+                this.lastError = null;
                 if (!this.checkInterval) {
-                    this.checkInterval = setInterval(() => this.checkNewEmails(), 30000);
-                    console.log('Email check interval set to 30 seconds');
+                    this.checkInterval = setInterval(() => this.checkNewEmails(), this.pollInterval);
+                    console.log(`Email check interval set to ${this.pollInterval / 1000} seconds`);
                 }
                 resolve();
             });
@@ -90,6 +118,7 @@ class EmailIngestionService {
 
     stop() {
         console.log('Stopping email monitoring service...');
+        this.stopped = true;
         if (this.checkInterval) {
             clearInterval(this.checkInterval);
             this.checkInterval = null;
@@ -102,58 +131,97 @@ class EmailIngestionService {
     }
 
     onReady() {
-        console.log('Opening INBOX mailbox...');
-        this.imap.openBox('INBOX', false, (err, box) => {
-            if (err) {
-                console.error('Error opening mailbox:', err);
-                return;
-            }
-            console.log('Connected to INBOX:', {
-                name: box.name,
-                messages: box.messages,
-                flags: box.flags,
-                readOnly: box.readOnly
-            });
-            this.checkNewEmails();
-        });
+        this.checkNewEmails();
     }
 
     getLastCheckTime() {
         return this.lastCheckTime;
     }
 
-    checkNewEmails() {
+    getStatus() {
+        return {
+            status: this.checkInterval ? 'running' : 'stopped',
+            lastCheck: this.lastCheckTime,
+            timeSinceLastCheck: this.lastCheckTime ? Date.now() - this.lastCheckTime : null,
+            lastError: this.lastError,
+            folders: this.folders,
+            pollInterval: this.pollInterval
+        };
+    }
+
+    /**
+     * Check each watched folder in turn. IMAP allows only one open mailbox per
+     * connection, so folders are processed sequentially.
+     */
+    async checkNewEmails() {
+        if (this.checking) {
+            console.log('Previous email check still running, skipping');
+            return;
+        }
         console.log('Checking for new emails...');
+        this.checking = true;
         this.lastCheckTime = Date.now();
-        
-        this.imap.search(['UNSEEN'], (err, results) => {
-            if (err) {
-                console.error('Error searching emails:', err);
-                return;
-            }
 
-            if (!results || !results.length) {
-                console.log('No new messages found');
-                return;
+        try {
+            for (const folder of this.folders) {
+                await this.checkFolder(folder);
             }
+        } finally {
+            this.checking = false;
+        }
+    }
 
-            console.log(`Found ${results.length} new messages:`, results);
-            const f = this.imap.fetch(results, {
-                bodies: '',
-                markSeen: true
-            });
+    checkFolder(folder) {
+        return new Promise(resolve => {
+            console.log(`Opening ${folder} mailbox...`);
+            this.imap.openBox(folder, false, (err, box) => {
+                if (err) {
+                    console.error(`Error opening mailbox ${folder}:`, err);
+                    this.lastError = `Cannot open ${folder}: ${err.message}`;
+                    resolve();
+                    return;
+                }
+                console.log(`Connected to ${folder}:`, {
+                    name: box.name,
+                    messages: box.messages.total,
+                    readOnly: box.readOnly
+                });
+
+                this.imap.search(['UNSEEN'], (err, results) => {
+                    if (err) {
+                        console.error('Error searching emails:', err);
+                        resolve();
+                        return;
+                    }
+
+                    if (!results || !results.length) {
+                        console.log(`No new messages found in ${folder}`);
+                        resolve();
+                        return;
+                    }
+
+                    console.log(`Found ${results.length} new messages in ${folder}:`, results);
+                    const f = this.imap.fetch(results, {
+                        bodies: '',
+                        markSeen: true
+                    });
+
+                    f.on('message', (msg, seqno) => {
+                        console.log(`Starting to process message #${seqno}`);
+                        this.processMessage(msg, seqno, folder);
+                    });
 
-            f.on('message', (msg, seqno) => {
-                console.log(`Starting to process message #${seqno}`);
-                this.processMessage(msg, seqno);
+                    f.once('error', err => console.error('Fetch error:', err));
+                    f.once('end', () => {
+                        console.log(`Done fetching all messages from ${folder}`);
+                        resolve();
+                    });
+                });
             });
-            
-            f.once('error', err => console.error('Fetch error:', err));
-            f.once('end', () => console.log('Done fetching all messages'));
         });
     }
 
-    async processMessage(msg, seqno) {
+    async processMessage(msg, seqno, folder = 'INBOX') {
         console.log(`Processing message #${seqno}`);
         let buffer = '';
 
@@ -174,9 +242,23 @@ class EmailIngestionService {
                         hasAttachments: parsed.attachments?.length > 0
                     });
 
+                    const email = {
+                        messageId: parsed.messageId,
+                        subject: parsed.subject,
+                        from: parsed.from?.value?.[0]?.address || parsed.from?.text || 'unknown',
+                        date: parsed.date,
+                        folder
+                    };
+
+                    if (!isSenderAllowed(email.from, this.allowedSenders)) {
+                        console.log(`Ignoring message #${seqno} from ${email.from}: sender not in allow-list`);
+                        return;
+                    }
+
+                    let documents = [];
                     if (parsed.attachments && parsed.attachments.length > 0) {
                         console.log(`Found ${parsed.attachments.length} attachments in message #${seqno}`);
-                        await this.processAttachments(parsed.attachments, seqno);
+                        documents = await this.processAttachments(parsed.attachments, seqno, email);
                     } else {
                         console.log(`No attachments found in message #${seqno}`);
                     }
@@ -188,7 +270,8 @@ class EmailIngestionService {
                             subject: parsed.subject,
                             from: parsed.from,
                             date: parsed.date,
-                            attachments: parsed.attachments || []
+                            attachments: parsed.attachments || [],
+                            documentIds: documents.map(doc => doc.id)
                         });
                     }
                 } catch (err) {
@@ -206,34 +289,77 @@ class EmailIngestionService {
         });
     }
 
-    processAttachments(attachments, seqno) {
-        return Promise.all(attachments.map(async (attachment, index) => {
+    /**
+     * Save supported attachments to uploads/ and add each one to the document
+     * library (with AI summary). Resolves to the created document records.
+     */
+    async processAttachments(attachments, seqno, email) {
+        const results = await Promise.all(attachments.map(async (attachment, index) => {
             console.log(`Processing attachment ${index + 1}/${attachments.length} from message #${seqno}:`, {
                 filename: attachment.filename,
                 contentType: attachment.contentType,
                 size: attachment.size
             });
 
-            const filename = crypto.createHash('md5').update(attachment.filename + Date.now()).digest('hex');
-            const filepath = path.join(__dirname, '..', 'uploads', filename);
+            const mimetype = resolveMimeType(attachment.contentType, attachment.filename);
+            if (!mimetype) {
+                console.log(`Skipping unsupported attachment from message #${seqno}:`, attachment.filename);
+                return null;
+            }
+            // Inline images are signatures and logos embedded in the body, not scans
+            if (OCR_IMAGE_MIME_TYPES.includes(mimetype) && (attachment.related || attachment.contentDisposition === 'inline')) {
+                console.log(`Skipping inline image from message #${seqno}:`, attachment.filename);
+                return null;
+            }
 
-            return new Promise((resolve, reject) => {
-                fs.writeFile(filepath, attachment.content, err => {
-                    if (err) {
-                        console.error('Error saving attachment:', err);
-                        reject(err);
-                        return;
+            // Stored under their content hash: the same circular sent to several
+            // people is kept once and linked as a duplicate in the library
+            const hash = contentHash(attachment.content);
+            const filename = hash;
+            const filepath = path.join(uploadsDir(), filename);
+
+            try {
+                await fs.promises.mkdir(uploadsDir(), { recursive: true });
+                await fs.promises.writeFile(filepath, attachment.content);
+                console.log(`Attachment saved successfully:`, {
+                    originalName: attachment.filename,
+                    savedAs: filename,
+                    path: filepath,
+                    size: attachment.size
+                });
+
+                const document = await addDocumentFromFile({
+                    path: filepath,
+                    filename,
+                    originalName: attachment.filename || filename,
+                    mimetype,
+                    size: attachment.size,
+                    contentHash: hash
+                }, {
+                    source: `Email - ${email.from}`,
+                    createdBy: 'email-ingestion',
+                    tags: ['email'],
+                    metadata: {
+                        email: {
+                            messageId: email.messageId,
+                            subject: email.subject,
+                            sender: email.from,
+                            folder: email.folder,
+                            date: email.date ? new Date(email.date).toISOString() : null
+                        }
                     }
-                    console.log(`Attachment saved successfully:`, {
-                        originalName: attachment.filename,
-                        savedAs: filename,
-                        path: filepath,
-                        size: attachment.size
-                    });
-                    resolve();
                 });
-            });
+                console.log(document.duplicateOf
+                    ? `Attachment added to document library as ${document.id}, duplicate of ${document.duplicateOf}`
+                    : `Attachment added to document library as ${document.id}, processing queued`);
+                return document;
+            } catch (err) {
+                console.error('Error ingesting attachment:', err);
+                return null;
+            }
         }));
+
+        return results.filter(Boolean);
     }
 }
 
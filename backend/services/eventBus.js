@@ -0,0 +1,74 @@
+import { EventEmitter } from 'events';
+
+// Number of recent events kept so reconnecting clients can catch up
+const HISTORY_SIZE = 100;
+
+export const EVENT_TYPES = [
+  'document-uploaded',
+  'document-duplicate',
+  'document-routed',
+  'summary-completed',
+  'summary-failed',
+  'task-created',
+  'task-updated',
+  'task-deleted',
+  'task-escalated',
+  'email-received'
+];
+
+/**
+ * In-process publish/subscribe hub for dashboard events. Every event gets a
+ * monotonically increasing id so the SSE route can replay what a client
+ * missed (via Last-Event-ID) after a dropped connection.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.history = [];
+    this.lastId = 0;
+  }
+
+  publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type "${type}"`);
+    }
+
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.history.push(event);
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+    this.emitter.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Listen for every published event. Returns an unsubscribe function.
+   * Listeners run synchronously inside publish(); one that throws is logged
+   * and does not affect the publisher or the other listeners.
+   */
+  subscribe(listener) {
+    const guarded = event => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(`Event listener failed on ${event.type}:`, err);
+      }
+    };
+    this.emitter.on('event', guarded);
+    return () => this.emitter.off('event', guarded);
+  }
+
+  eventsSince(id) {
+    return this.history.filter(event => event.id > id);
+  }
+}
+
+export const eventBus = new EventBus();
@@ -0,0 +1,38 @@
+import path from 'path';
+import JSZip from 'jszip';
+import { readZipEntry, zipBudget } from './containers.js';
+
+// Limit that keeps a hostile archive from flooding the library; the expanded
+// size is capped while inflating (see readZipEntry)
+const MAX_ENTRIES = 200;
+
+// Folders and files archivers add that are never documents
+function isMetadataEntry(name) {
+  return name.startsWith('__MACOSX/') || path.posix.basename(name).startsWith('.') || path.posix.basename(name) === 'Thumbs.db';
+}
+
+/**
+ * ZIP archives: the text is the list of contained files, and each file is
+ * returned for the library to add as a document of its own.
+ */
+export const archiveExtractor = {
+  name: 'archive',
+  types: { zip: 'application/zip' },
+  aliases: ['application/x-zip-compressed', 'application/x-zip'],
+
+  async extract(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !isMetadataEntry(entry.name));
+    if (entries.length > MAX_ENTRIES) {
+      throw new Error(`Archive holds ${entries.length} files; at most ${MAX_ENTRIES} are expanded`);
+    }
+
+    const budget = zipBudget();
+    const attachments = [];
+    for (const entry of entries) {
+      attachments.push({ name: entry.name, content: await readZipEntry(entry, budget) });
+    }
+    const listing = attachments.map(file => `${file.name} (${file.content.length} bytes)`);
+    return { text: [`Archive with ${attachments.length} file${attachments.length === 1 ? '' : 's'}:`, ...listing].join('\n'), attachments };
+  }
+};
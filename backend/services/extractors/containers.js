@@ -0,0 +1,134 @@
+import CFB from 'cfb';
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const COMPOUND_FILE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Windows-1252 characters at 0x80-0x9f; the rest of the range matches Latin-1
+const WINDOWS_1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+// Bytes inflated from one ZIP-based file before reading is aborted (zip bombs)
+export const MAX_ZIP_EXPANDED_BYTES = 100 * 1024 * 1024;
+
+export function isZip(buffer) {
+  return buffer.subarray(0, 4).equals(ZIP_SIGNATURE);
+}
+
+/**
+ * Budget for readZipEntry, shared by all entries read from one file.
+ */
+export function zipBudget(maxBytes = MAX_ZIP_EXPANDED_BYTES) {
+  return { maxBytes, remaining: maxBytes };
+}
+
+/**
+ * Inflate a JSZip entry, counting the bytes against `budget` as they are
+ * produced and aborting once it runs out. The sizes recorded in the archive
+ * cannot be trusted: JSZip only checks them after inflating the whole entry.
+ */
+export function readZipEntry(entry, budget) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let aborted = false;
+    const stream = entry.internalStream('nodebuffer');
+    stream
+      .on('data', chunk => {
+        if (aborted) return;
+        budget.remaining -= chunk.length;
+        if (budget.remaining < 0) {
+          aborted = true;
+          stream.pause();
+          reject(new Error(`Archive expands to more than ${budget.maxBytes / (1024 * 1024)} MB`));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', err => {
+        aborted = true;
+        reject(err);
+      })
+      .on('end', () => {
+        if (!aborted) resolve(Buffer.concat(chunks));
+      })
+      .resume();
+  });
+}
+
+/**
+ * Text of a ZIP entry (see readZipEntry), or undefined when it is missing.
+ */
+export async function readZipText(zip, name, budget) {
+  const entry = zip.file(name);
+  return entry ? (await readZipEntry(entry, budget)).toString('utf8') : undefined;
+}
+
+/**
+ * OLE compound files hold the pre-2007 Office formats (.doc, .xls, .ppt)
+ * and Outlook .msg messages.
+ */
+export function isCompoundFile(buffer) {
+  return buffer.subarray(0, 8).equals(COMPOUND_FILE_SIGNATURE);
+}
+
+/**
+ * Streams of a compound file by path ("WordDocument",
+ * "__attach_version1.0_#00000000/__substg1.0_37010102", ...).
+ */
+export function readCompoundFile(buffer) {
+  const cfb = CFB.read(buffer, { type: 'buffer' });
+  const root = cfb.FullPaths[0];
+  const streams = new Map();
+  cfb.FullPaths.forEach((fullPath, index) => {
+    const entry = cfb.FileIndex[index];
+    if (entry.type === 2 && entry.content) {
+      streams.set(fullPath.slice(root.length), Buffer.from(entry.content));
+    }
+  });
+  return streams;
+}
+
+/**
+ * Decode 8-bit text from the legacy Office formats and RTF. Node's
+ * TextDecoder treats "windows-1252" as Latin-1, which loses curly quotes
+ * and dashes.
+ */
+export function decodeWindows1252(bytes) {
+  let text = '';
+  for (const byte of bytes) {
+    text += byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+  }
+  return text;
+}
+
+export function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+    }
+    return XML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Value of attribute `name` in an XML start tag, or null.
+ */
+export function xmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : null;
+}
+
+/**
+ * Join page texts with a blank line, returning the text and where each page
+ * starts in it.
+ */
+export function joinPages(pageTexts) {
+  let offset = 0;
+  const pageOffsets = pageTexts.map(pageText => {
+    const start = offset;
+    offset += pageText.length + 2;
+    return start;
+  });
+  return { text: pageTexts.join('\n\n'), pages: pageTexts.length, pageOffsets };
+}
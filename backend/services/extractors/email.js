@@ -0,0 +1,142 @@
+import { simpleParser } from 'mailparser';
+import { decodeWindows1252, readCompoundFile } from './containers.js';
+import { htmlToText } from './html.js';
+
+const MSG = 'application/vnd.ms-outlook';
+
+// MAPI property ids stored in an Outlook .msg ([MS-OXPROPS])
+const PR_SUBJECT = '0037';
+const PR_SENDER_NAME = '0C1A';
+const PR_SENDER_EMAIL = '0C1F';
+const PR_DISPLAY_TO = '0E04';
+const PR_DISPLAY_CC = '0E03';
+const PR_BODY = '1000';
+const PR_HTML = '1013';
+const PR_ATTACH_DATA = '3701';
+const PR_ATTACH_LONG_FILENAME = '3707';
+const PR_ATTACH_FILENAME = '3704';
+const PR_ATTACH_MIME_TAG = '370E';
+const PR_CLIENT_SUBMIT_TIME = 0x0039;
+const PT_SYSTIME = 0x0040;
+
+// Milliseconds between the FILETIME epoch (1601) and the Unix epoch
+const FILETIME_EPOCH_OFFSET = 11644473600000;
+
+/**
+ * Header block and body, so the summary and search see who wrote what and when.
+ */
+function messageText({ from, to, cc, date, subject, body }) {
+  const headers = [
+    ['From', from],
+    ['To', to],
+    ['Cc', cc],
+    ['Date', date && !Number.isNaN(date.getTime()) ? date.toISOString() : null],
+    ['Subject', subject]
+  ].filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`);
+  return [headers.join('\n'), (body || '').trim()].filter(Boolean).join('\n\n');
+}
+
+// Inline images are signatures and logos embedded in the body, not documents
+function isInlineImage(attachment) {
+  return /^image\//i.test(attachment.contentType || '') &&
+    (attachment.related || attachment.contentDisposition === 'inline');
+}
+
+async function extractEml(buffer) {
+  const mail = await simpleParser(buffer);
+  return {
+    text: messageText({
+      from: mail.from?.text,
+      to: mail.to?.text,
+      cc: mail.cc?.text,
+      date: mail.date,
+      subject: mail.subject,
+      body: mail.text || (mail.html ? htmlToText(mail.html) : '')
+    }),
+    attachments: mail.attachments
+      .filter(attachment => !isInlineImage(attachment))
+      .map(attachment => ({ name: attachment.filename, mimetype: attachment.contentType, content: attachment.content }))
+  };
+}
+
+/**
+ * String property `id` of the message (or of the storage `prefix`), stored
+ * either as UTF-16 (001F) or 8-bit (001E).
+ */
+function msgString(streams, id, prefix = '') {
+  const unicode = streams.get(`${prefix}__substg1.0_${id}001F`);
+  if (unicode) return unicode.toString('utf16le').replace(/\0+$/, '');
+  const ansi = streams.get(`${prefix}__substg1.0_${id}001E`);
+  return ansi ? decodeWindows1252(ansi).replace(/\0+$/, '') : null;
+}
+
+/**
+ * Submit time from the fixed-length property stream (32-byte header, then
+ * 16-byte entries of tag, flags and value).
+ */
+function msgSubmitTime(streams) {
+  const properties = streams.get('__properties_version1.0');
+  if (!properties) return null;
+  for (let offset = 32; offset + 16 <= properties.length; offset += 16) {
+    const tag = properties.readUInt32LE(offset);
+    if (tag >>> 16 === PR_CLIENT_SUBMIT_TIME && (tag & 0xffff) === PT_SYSTIME) {
+      return new Date(Number(properties.readBigUInt64LE(offset + 8) / 10000n) - FILETIME_EPOCH_OFFSET);
+    }
+  }
+  return null;
+}
+
+/**
+ * Outlook .msg: an OLE compound file of MAPI properties, with one storage
+ * per attachment. Attached messages (stored as nested storages) are skipped.
+ */
+function extractMsg(buffer) {
+  const streams = readCompoundFile(buffer);
+  if (![...streams.keys()].some(name => name.startsWith('__substg1.0_'))) {
+    throw new Error('Not an Outlook message');
+  }
+
+  const senderName = msgString(streams, PR_SENDER_NAME);
+  const senderEmail = msgString(streams, PR_SENDER_EMAIL);
+  const html = streams.get(`__substg1.0_${PR_HTML}0102`);
+  const body = msgString(streams, PR_BODY) || (html ? htmlToText(html.toString('utf8')) : '');
+
+  const attachmentStorages = new Set([...streams.keys()]
+    .map(name => name.match(/^(__attach_version1\.0_#[0-9A-F]{8}\/)/i)?.[1])
+    .filter(Boolean));
+  const attachments = [...attachmentStorages]
+    .map(prefix => ({
+      name: msgString(streams, PR_ATTACH_LONG_FILENAME, prefix) || msgString(streams, PR_ATTACH_FILENAME, prefix),
+      mimetype: msgString(streams, PR_ATTACH_MIME_TAG, prefix),
+      content: streams.get(`${prefix}__substg1.0_${PR_ATTACH_DATA}0102`)
+    }))
+    .filter(attachment => attachment.content);
+
+  return {
+    text: messageText({
+      from: senderName && senderEmail && senderName !== senderEmail ? `${senderName} <${senderEmail}>` : senderName || senderEmail,
+      to: msgString(streams, PR_DISPLAY_TO),
+      cc: msgString(streams, PR_DISPLAY_CC),
+      date: msgSubmitTime(streams),
+      subject: msgString(streams, PR_SUBJECT),
+      body
+    }),
+    attachments
+  };
+}
+
+/**
+ * Saved emails; their attachments are returned for the library to add as
+ * documents of their own.
+ */
+export const emailExtractor = {
+  name: 'email',
+  types: {
+    eml: 'message/rfc822',
+    msg: MSG
+  },
+
+  async extract(buffer, mimetype) {
+    return mimetype === MSG ? extractMsg(buffer) : extractEml(buffer);
+  }
+};
@@ -0,0 +1,33 @@
+import { convert } from 'html-to-text';
+import { decodeText } from './text.js';
+
+const HTML_TO_TEXT_OPTIONS = {
+  wordwrap: false,
+  selectors: [
+    { selector: 'a', options: { ignoreHref: true } },
+    { selector: 'img', format: 'skip' },
+    { selector: 'table', format: 'dataTable', options: { uppercaseHeaderCells: false } },
+    ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map(selector => ({ selector, options: { uppercase: false } }))
+  ]
+};
+
+/**
+ * Readable text of an HTML page or mail body: links without their URLs,
+ * images dropped, headings in their own case and tables kept as rows.
+ */
+export function htmlToText(html) {
+  return convert(html, HTML_TO_TEXT_OPTIONS).trim();
+}
+
+export const htmlExtractor = {
+  name: 'html',
+  types: {
+    html: 'text/html',
+    htm: 'text/html'
+  },
+  aliases: ['application/xhtml+xml'],
+
+  async extract(buffer) {
+    return { text: htmlToText(decodeText(buffer)) };
+  }
+};
@@ -0,0 +1,17 @@
+import { ocrImage } from '../ocr.js';
+
+export const imageExtractor = {
+  name: 'ocr',
+  types: {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    tif: 'image/tiff',
+    tiff: 'image/tiff'
+  },
+
+  async extract(buffer) {
+    const { text, ocr } = await ocrImage(buffer);
+    return { text, pages: 1, ocr, pageOffsets: [0] };
+  }
+};
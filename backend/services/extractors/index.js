@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { archiveExtractor } from './archive.js';
+import { isCompoundFile, isZip, readCompoundFile, readZipText, zipBudget } from './containers.js';
+import { emailExtractor } from './email.js';
+import { htmlExtractor } from './html.js';
+import { imageExtractor } from './image.js';
+import { openDocumentExtractor } from './openDocument.js';
+import { pdfExtractor } from './pdf.js';
+import { presentationExtractor } from './presentation.js';
+import { rtfExtractor } from './rtf.js';
+import { spreadsheetExtractor } from './spreadsheet.js';
+import { decodeText, textExtractor } from './text.js';
+import { wordExtractor } from './word.js';
+
+/**
+ * Text extractor registry. Every extractor exposes:
+ *   name                               - short label for logs and results
+ *   types                              - { extension: mimetype } it reads
+ *   aliases                            - (optional) other mimetypes clients send for them
+ *   extract(buffer, mimetype, options) -> { text, pages?, ocr?, pageOffsets?, attachments? }
+ * `attachments` ([{ name, mimetype?, content }]) are files found inside
+ * archives and emails, which the library adds as documents of their own.
+ */
+const EXTRACTORS = [
+  pdfExtractor,
+  wordExtractor,
+  spreadsheetExtractor,
+  presentationExtractor,
+  openDocumentExtractor,
+  rtfExtractor,
+  htmlExtractor,
+  emailExtractor,
+  archiveExtractor,
+  imageExtractor,
+  textExtractor
+];
+
+const EXTRACTORS_BY_MIME_TYPE = new Map(EXTRACTORS.flatMap(extractor =>
+  Object.values(extractor.types).map(mimetype => [mimetype, extractor])));
+const MIME_TYPES_BY_EXTENSION = new Map(EXTRACTORS.flatMap(extractor => Object.entries(extractor.types)));
+const MIME_TYPE_ALIASES = new Map(EXTRACTORS.flatMap(extractor =>
+  (extractor.aliases || []).map(alias => [alias, Object.values(extractor.types)[0]])));
+
+// Office Open XML parts that identify the format of a ZIP container
+const OOXML_PARTS = [
+  ['word/document.xml', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  ['xl/workbook.xml', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ['ppt/presentation.xml', 'application/vnd.openxmlformats-officedocument.presentationml.presentation']
+];
+
+// Streams that identify the format of an OLE compound file
+const COMPOUND_FILE_STREAMS = [
+  ['WordDocument', 'application/msword'],
+  ['Workbook', 'application/vnd.ms-excel'],
+  ['Book', 'application/vnd.ms-excel'],
+  ['PowerPoint Document', 'application/vnd.ms-powerpoint']
+];
+
+// Attachments inside attachments are read inline this many levels deep
+const MAX_INLINE_DEPTH = 3;
+
+// Mimetypes the extraction pipeline can read
+export const SUPPORTED_MIME_TYPES = [...EXTRACTORS_BY_MIME_TYPE.keys()];
+
+export const SUPPORTED_EXTENSIONS = [...MIME_TYPES_BY_EXTENSION.keys()];
+
+/**
+ * Guess mimetype from filename extension.
+ */
+export function guessMimeType(filename) {
+  return MIME_TYPES_BY_EXTENSION.get(path.extname(filename || '').slice(1).toLowerCase()) || null;
+}
+
+/**
+ * Resolve a usable mimetype, falling back to the file extension when the
+ * declared type is missing or generic (mail clients often send octet-stream).
+ */
+export function resolveMimeType(declared, filename) {
+  const mimetype = String(declared || '').split(';')[0].trim().toLowerCase();
+  if (EXTRACTORS_BY_MIME_TYPE.has(mimetype)) return mimetype;
+  return MIME_TYPE_ALIASES.get(mimetype) || guessMimeType(filename);
+}
+
+/**
+ * Multer fileFilter shared by the upload routes. Only the declared type and
+ * name are known here; the content is checked by detectMimeType once stored.
+ */
+export function uploadFileFilter(req, file, cb) {
+  if (resolveMimeType(file.mimetype, file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Unsupported file type'), false);
+  }
+}
+
+async function sniffZip(buffer) {
+  const zip = await JSZip.loadAsync(buffer).catch(() => null);
+  if (!zip) return null;
+
+  // OpenDocument files name their type in a "mimetype" entry
+  const declared = (await readZipText(zip, 'mimetype', zipBudget(1024)).catch(() => null))?.trim();
+  if (declared) return EXTRACTORS_BY_MIME_TYPE.has(declared) ? declared : null;
+
+  const ooxml = OOXML_PARTS.find(([part]) => zip.file(part));
+  return ooxml ? ooxml[1] : 'application/zip';
+}
+
+function sniffCompoundFile(buffer) {
+  let streams;
+  try {
+    streams = readCompoundFile(buffer);
+  } catch {
+    return null;
+  }
+  const match = COMPOUND_FILE_STREAMS.find(([name]) => streams.has(name));
+  if (match) return match[1];
+  return [...streams.keys()].some(name => name.startsWith('__substg1.0_')) ? 'application/vnd.ms-outlook' : null;
+}
+
+/**
+ * Mimetype from the file's magic bytes, looking inside ZIP and OLE
+ * containers to tell the Office formats apart. Null for content without a
+ * recognizable signature (plain text, CSV, emails).
+ */
+export async function sniffMimeType(buffer) {
+  const signature = buffer.subarray(0, 8).toString('latin1');
+  if (signature.startsWith('%PDF-')) return 'application/pdf';
+  if (signature.startsWith('\x89PNG')) return 'image/png';
+  if (signature.startsWith('\xff\xd8\xff')) return 'image/jpeg';
+  if (signature.startsWith('II*\x00') || signature.startsWith('MM\x00*')) return 'image/tiff';
+  if (signature.startsWith('{\\rtf')) return 'application/rtf';
+  if (isZip(buffer)) return sniffZip(buffer);
+  if (isCompoundFile(buffer)) return sniffCompoundFile(buffer);
+
+  const start = decodeText(buffer.subarray(0, 512)).trimStart().toLowerCase();
+  if (start.startsWith('<!doctype html') || start.startsWith('<html')) return 'text/html';
+  return null;
+}
+
+/**
+ * Mimetype to extract the content with: its signature first (a .doc that
+ * is really a .docx, an .xls exported as HTML), then the file extension,
+ * then the declared type. Null when the format is not supported.
+ */
+export async function detectMimeType(buffer, declared, filename) {
+  return await sniffMimeType(buffer) || guessMimeType(filename) || resolveMimeType(declared, filename);
+}
+
+export async function detectFileMimeType(filePath, declared, filename) {
+  return detectMimeType(await fs.readFile(filePath), declared, filename);
+}
+
+/**
+ * Extract text with the extractor registered for `mimetype`. Returns
+ * { text, pages, ocr, pageOffsets, attachments, skippedAttachments } where
+ * `pages` is the page (or slide) count when known, `ocr` carries per-page
+ * confidence (null when no OCR was needed) and `pageOffsets` lists the
+ * character offset in `text` where each page starts (null when the format
+ * has no pages). Attachments come back with their detected mimetype;
+ * unsupported ones are listed by name in `skippedAttachments`.
+ *
+ * With `options.inlineAttachments` the attachments' text is appended to the
+ * text instead, for callers that do not keep documents (one-off summaries).
+ * `options.onOcrPage(done, total)` reports progress through scanned PDFs.
+ */
+export async function extractBuffer(buffer, mimetype, options = {}) {
+  const extractor = EXTRACTORS_BY_MIME_TYPE.get(mimetype);
+  if (!extractor) throw new Error('Unsupported file type');
+
+  const result = await extractor.extract(buffer, mimetype, options);
+  const attachments = [];
+  const skippedAttachments = [];
+  for (const attachment of result.attachments || []) {
+    const attachmentType = await detectMimeType(attachment.content, attachment.mimetype, attachment.name);
+    if (attachmentType) {
+      attachments.push({ ...attachment, mimetype: attachmentType });
+    } else {
+      skippedAttachments.push(attachment.name);
+    }
+  }
+
+  let text = result.text || '';
+  const depth = options.depth || 0;
+  if (options.inlineAttachments && attachments.length > 0 && depth < MAX_INLINE_DEPTH) {
+    const parts = [text];
+    for (const attachment of attachments) {
+      try {
+        const inner = await extractBuffer(attachment.content, attachment.mimetype, { ...options, depth: depth + 1 });
+        parts.push(`--- ${attachment.name} ---\n${inner.text}`);
+      } catch (err) {
+        parts.push(`--- ${attachment.name} (could not be read: ${err.message}) ---`);
+      }
+    }
+    text = parts.join('\n\n');
+    attachments.length = 0;
+  }
+
+  return {
+    text,
+    pages: result.pages ?? null,
+    ocr: result.ocr ?? null,
+    pageOffsets: result.pageOffsets ?? null,
+    attachments,
+    skippedAttachments
+  };
+}
+
+/**
+ * Extract text from a stored file (see extractBuffer).
+ */
+export async function extractDocumentText(filePath, mimetype, options = {}) {
+  return extractBuffer(await fs.readFile(filePath), mimetype, options);
+}
@@ -0,0 +1,44 @@
+import JSZip from 'jszip';
+import { decodeXmlEntities, joinPages, readZipText, zipBudget } from './containers.js';
+
+const ODP = 'application/vnd.oasis.opendocument.presentation';
+
+/**
+ * Text of an OpenDocument XML fragment: paragraphs and headings on their own
+ * lines, with the encoded spaces, tabs and line breaks restored. Comments
+ * are left out.
+ */
+function odfText(xml) {
+  const text = xml
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (tag, count) => ' '.repeat(parseInt(count, 10) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:(?:p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeXmlEntities(text).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Writer documents and Impress presentations (one page per slide).
+ * Calc spreadsheets go through the spreadsheet extractor.
+ */
+export const openDocumentExtractor = {
+  name: 'opendocument',
+  types: {
+    odt: 'application/vnd.oasis.opendocument.text',
+    odp: ODP
+  },
+
+  async extract(buffer, mimetype) {
+    const zip = await JSZip.loadAsync(buffer);
+    const content = await readZipText(zip, 'content.xml', zipBudget());
+    if (!content) throw new Error('OpenDocument file has no content.xml');
+
+    if (mimetype === ODP) {
+      const slides = content.split(/<draw:page\b[^>]*>/).slice(1);
+      return joinPages(slides.map(odfText));
+    }
+    return { text: odfText(content) };
+  }
+};
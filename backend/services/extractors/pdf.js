@@ -0,0 +1,51 @@
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import { hasTextLayer, ocrPdf } from '../ocr.js';
+
+/**
+ * pdf-parse's default page renderer, additionally recording each page's text
+ * so page boundaries can be found in the joined document text.
+ */
+function recordingPageRenderer(pageTexts) {
+  return async (pageData) => {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of content.items) {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    pageTexts.push(text);
+    return text;
+  };
+}
+
+/**
+ * PDFs without a usable text layer (scans) go through OCR;
+ * `options.onOcrPage(done, total)` reports progress through them.
+ */
+export const pdfExtractor = {
+  name: 'pdf',
+  types: { pdf: 'application/pdf' },
+
+  async extract(buffer, mimetype, options = {}) {
+    const pageTexts = [];
+    const pdfData = await pdfParse(buffer, { pagerender: recordingPageRenderer(pageTexts) });
+    if (!hasTextLayer(pdfData.text, pdfData.numpages)) {
+      const { text, ocr, pageOffsets } = await ocrPdf(buffer, { onPage: options.onOcrPage });
+      return { text, pages: pdfData.numpages, ocr, pageOffsets };
+    }
+
+    // pdf-parse prefixes every page with a blank line; a page it failed to
+    // read is never rendered, which leaves the offsets unknown
+    let pageOffsets = null;
+    if (pageTexts.length === pdfData.numrender) {
+      let offset = 0;
+      pageOffsets = pageTexts.map(pageText => {
+        const start = offset + 2;
+        offset = start + pageText.length;
+        return start;
+      });
+    }
+    return { text: pdfData.text, pages: pdfData.numpages, pageOffsets };
+  }
+};
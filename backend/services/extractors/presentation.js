@@ -0,0 +1,102 @@
+import JSZip from 'jszip';
+import {
+  decodeWindows1252,
+  decodeXmlEntities,
+  joinPages,
+  readCompoundFile,
+  readZipText,
+  xmlAttribute,
+  zipBudget
+} from './containers.js';
+
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+// PowerPoint 97-2003 record types ([MS-PPT] 2.13.24)
+const RT_MAIN_MASTER = 0x03f8;
+const RT_TEXT_CHARS_ATOM = 0x0fa0;
+const RT_TEXT_BYTES_ATOM = 0x0fa8;
+
+/**
+ * Paragraphs of a DrawingML part (slide, notes), one per line.
+ */
+function drawingText(xml) {
+  return xml.split('</a:p>')
+    .map(paragraph => [...paragraph.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>/g)].map(run => decodeXmlEntities(run[1])).join(''))
+    .filter(line => line.trim())
+    .join('\n');
+}
+
+/**
+ * Slide part names in presentation order (the sldIdLst), falling back to
+ * the slide number in the file name.
+ */
+async function slideOrder(zip, budget) {
+  const numbered = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+
+  const presentation = await readZipText(zip, 'ppt/presentation.xml', budget);
+  const relationships = await readZipText(zip, 'ppt/_rels/presentation.xml.rels', budget);
+  if (!presentation || !relationships) return numbered;
+
+  const targets = new Map([...relationships.matchAll(/<Relationship\s[^>]*>/g)]
+    .map(([tag]) => [xmlAttribute(tag, 'Id'), xmlAttribute(tag, 'Target')]));
+  const ordered = [...presentation.matchAll(/<p:sldId\s[^>]*>/g)]
+    .map(([tag]) => targets.get(xmlAttribute(tag, 'r:id')))
+    .filter(Boolean)
+    .map(target => `ppt/${target.replace(/^\/?ppt\//, '').replace(/^\.\//, '')}`);
+  return ordered.length > 0 && ordered.every(name => zip.file(name)) ? ordered : numbered;
+}
+
+async function extractPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const budget = zipBudget();
+  const slides = [];
+  for (const name of await slideOrder(zip, budget)) {
+    slides.push(await readZipText(zip, name, budget));
+  }
+  return joinPages(slides.map(drawingText));
+}
+
+/**
+ * Text atoms of a PowerPoint 97-2003 file, walking the record tree of the
+ * "PowerPoint Document" stream. Master slides only hold placeholder prompts
+ * ("Click to edit Master title style") and are skipped.
+ */
+function extractLegacyPresentation(buffer) {
+  const stream = readCompoundFile(buffer).get('PowerPoint Document');
+  if (!stream) throw new Error('Not a PowerPoint 97-2003 presentation');
+
+  const lines = [];
+  let offset = 0;
+  while (offset + 8 <= stream.length) {
+    const isContainer = (stream.readUInt16LE(offset) & 0x000f) === 0x000f;
+    const type = stream.readUInt16LE(offset + 2);
+    const length = stream.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (isContainer && type !== RT_MAIN_MASTER) {
+      offset = body;
+      continue;
+    }
+    if (type === RT_TEXT_CHARS_ATOM) {
+      lines.push(stream.subarray(body, body + length).toString('utf16le'));
+    } else if (type === RT_TEXT_BYTES_ATOM) {
+      lines.push(decodeWindows1252(stream.subarray(body, body + length)));
+    }
+    offset = body + length;
+  }
+  return { text: lines.map(line => line.replace(/[\r\u000b]/g, '\n').trim()).filter(Boolean).join('\n') };
+}
+
+export const presentationExtractor = {
+  name: 'presentation',
+  types: {
+    pptx: PPTX,
+    ppt: 'application/vnd.ms-powerpoint'
+  },
+
+  async extract(buffer, mimetype) {
+    return mimetype === PPTX ? extractPptx(buffer) : extractLegacyPresentation(buffer);
+  }
+};
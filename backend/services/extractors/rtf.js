@@ -0,0 +1,94 @@
+import { decodeWindows1252 } from './containers.js';
+
+// Groups whose content is never shown (font and colour tables, pictures, ...)
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'objdata', 'themedata',
+  'colorschememapping', 'datastore', 'latentstyles', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'header', 'footer', 'headerl', 'headerr', 'headerf',
+  'footerl', 'footerr', 'footerf', 'fldinst', 'bkmkstart', 'bkmkend'
+]);
+
+const CONTROL_WORD_TEXT = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' '
+};
+
+const TOKEN = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+
+/**
+ * Plain text of an RTF document. Unicode escapes (\uN) are decoded and the
+ * ANSI fallback characters after them skipped; \'hh escapes are read as
+ * Windows-1252.
+ */
+export function rtfToText(rtf) {
+  const stack = [];
+  let ignorable = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let text = '';
+
+  for (const [, word, arg, hex, symbol, brace, plain] of rtf.matchAll(TOKEN)) {
+    if (brace) {
+      pendingSkip = 0;
+      if (brace === '{') {
+        stack.push({ ignorable, unicodeSkip });
+      } else if (stack.length > 0) {
+        ({ ignorable, unicodeSkip } = stack.pop());
+      }
+    } else if (symbol) {
+      pendingSkip = 0;
+      if (symbol === '*') ignorable = true;
+      else if (ignorable) continue;
+      else if (symbol === '~') text += ' ';
+      else if ('{}\\'.includes(symbol)) text += symbol;
+      else if (symbol === '\n' || symbol === '\r') text += '\n';
+    } else if (word) {
+      pendingSkip = 0;
+      if (SKIPPED_DESTINATIONS.has(word)) ignorable = true;
+      else if (ignorable) continue;
+      else if (word in CONTROL_WORD_TEXT) text += CONTROL_WORD_TEXT[word];
+      else if (word === 'uc') unicodeSkip = parseInt(arg, 10) || 0;
+      else if (word === 'u') {
+        const code = parseInt(arg, 10);
+        text += String.fromCharCode(code < 0 ? code + 0x10000 : code);
+        pendingSkip = unicodeSkip;
+      }
+    } else if (hex) {
+      if (pendingSkip > 0) pendingSkip--;
+      else if (!ignorable) text += decodeWindows1252([parseInt(hex, 16)]);
+    } else if (plain) {
+      let chars = plain;
+      if (pendingSkip > 0) {
+        chars = chars.slice(pendingSkip);
+        pendingSkip = Math.max(0, pendingSkip - plain.length);
+      }
+      if (!ignorable) text += chars;
+    }
+  }
+  return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+export const rtfExtractor = {
+  name: 'rtf',
+  types: { rtf: 'application/rtf' },
+  aliases: ['text/rtf'],
+
+  async extract(buffer) {
+    return { text: rtfToText(buffer.toString('latin1')) };
+  }
+};
@@ -0,0 +1,29 @@
+import xlsx from 'xlsx';
+import { decodeText } from './text.js';
+
+const CSV = 'text/csv';
+
+/**
+ * Excel, OpenDocument and CSV workbooks as tab-separated rows, sheet after
+ * sheet. (sheet_to_txt would return UTF-16 bytes rather than a string.)
+ */
+export const spreadsheetExtractor = {
+  name: 'spreadsheet',
+  types: {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    xls: 'application/vnd.ms-excel',
+    ods: 'application/vnd.oasis.opendocument.spreadsheet',
+    csv: CSV
+  },
+
+  async extract(buffer, mimetype) {
+    // CSV is read as a decoded string so UTF-8 text survives
+    const workbook = mimetype === CSV
+      ? xlsx.read(decodeText(buffer), { type: 'string', raw: true })
+      : xlsx.read(buffer, { type: 'buffer' });
+    const text = workbook.SheetNames
+      .map(name => xlsx.utils.sheet_to_csv(workbook.Sheets[name], { FS: '\t', blankrows: false }))
+      .join('\n\n');
+    return { text };
+  }
+};
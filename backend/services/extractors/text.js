@@ -0,0 +1,19 @@
+/**
+ * Decode text files, honouring a UTF-16 byte order mark (Notepad's "Unicode").
+ */
+export function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.subarray(2).toString('utf16le');
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2))).swap16().toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+export const textExtractor = {
+  name: 'text',
+  types: { txt: 'text/plain' },
+
+  async extract(buffer) {
+    return { text: decodeText(buffer) };
+  }
+};
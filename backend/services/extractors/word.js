@@ -0,0 +1,120 @@
+import mammoth from 'mammoth';
+import { decodeWindows1252, readCompoundFile } from './containers.js';
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// FIB offsets (Word 97-2003 binary format, [MS-DOC] 2.5.1)
+const FIB_IDENT = 0xa5ec;
+const FIB_FLAGS = 0x0a;
+const FIB_CCP_TEXT = 0x4c;
+const FIB_FC_CLX = 0x1a2;
+const FLAG_ENCRYPTED = 0x0100;
+const FLAG_TABLE_1 = 0x0200;
+
+/**
+ * Pieces of the main document text from the piece table (the Pcdt in the
+ * Clx), as { cpStart, cpEnd, fc, compressed }.
+ */
+function readPieceTable(table, fcClx, lcbClx) {
+  let offset = fcClx;
+  const end = fcClx + lcbClx;
+  // Skip the Prc entries (property modifiers) that may precede the Pcdt
+  while (offset < end && table[offset] === 0x01) {
+    offset += 3 + table.readInt16LE(offset + 1);
+  }
+  if (table[offset] !== 0x02) throw new Error('Word document has no piece table');
+
+  const lcb = table.readUInt32LE(offset + 1);
+  const plc = offset + 5;
+  const count = (lcb - 4) / 12;
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    const fcValue = table.readUInt32LE(plc + (count + 1) * 4 + i * 8 + 2);
+    const compressed = (fcValue & 0x40000000) !== 0;
+    pieces.push({
+      cpStart: table.readUInt32LE(plc + i * 4),
+      cpEnd: table.readUInt32LE(plc + (i + 1) * 4),
+      fc: compressed ? (fcValue & 0x3fffffff) / 2 : fcValue & 0x3fffffff,
+      compressed
+    });
+  }
+  return pieces;
+}
+
+/**
+ * Word's control characters: paragraph and cell marks become line breaks and
+ * tabs, field instructions are dropped in favour of their displayed result.
+ */
+function cleanWordText(raw) {
+  let text = '';
+  let fieldDepth = 0;
+  const showing = [];
+  for (const char of raw) {
+    if (char === '\u0013') {
+      fieldDepth++;
+      showing.push(false);
+    } else if (char === '\u0014') {
+      if (fieldDepth > 0) showing[fieldDepth - 1] = true;
+    } else if (char === '\u0015') {
+      if (fieldDepth > 0) {
+        fieldDepth--;
+        showing.pop();
+      }
+    } else if (fieldDepth > 0 && !showing[fieldDepth - 1]) {
+      continue;
+    } else if (char === '\r' || char === '\u000b' || char === '\u000c') {
+      text += '\n';
+    } else if (char === '\u0007') {
+      text += '\t';
+    } else if (char === '\t' || char >= ' ') {
+      text += char;
+    }
+  }
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Text of a Word 97-2003 .doc, which mammoth cannot read.
+ */
+function extractLegacyWord(buffer) {
+  const streams = readCompoundFile(buffer);
+  const wordDocument = streams.get('WordDocument');
+  if (!wordDocument || wordDocument.readUInt16LE(0) !== FIB_IDENT) {
+    throw new Error('Not a Word 97-2003 document');
+  }
+  const flags = wordDocument.readUInt16LE(FIB_FLAGS);
+  if (flags & FLAG_ENCRYPTED) throw new Error('Password-protected Word documents cannot be read');
+
+  const table = streams.get(flags & FLAG_TABLE_1 ? '1Table' : '0Table');
+  if (!table) throw new Error('Word document has no table stream');
+
+  const mainTextLength = wordDocument.readUInt32LE(FIB_CCP_TEXT);
+  const pieces = readPieceTable(table, wordDocument.readUInt32LE(FIB_FC_CLX), wordDocument.readUInt32LE(FIB_FC_CLX + 4));
+
+  // Footnotes, headers and comments follow the main text in the same pieces
+  let raw = '';
+  for (const piece of pieces) {
+    if (piece.cpStart >= mainTextLength) break;
+    const length = Math.min(piece.cpEnd, mainTextLength) - piece.cpStart;
+    raw += piece.compressed
+      ? decodeWindows1252(wordDocument.subarray(piece.fc, piece.fc + length))
+      : wordDocument.subarray(piece.fc, piece.fc + length * 2).toString('utf16le');
+  }
+  return cleanWordText(raw);
+}
+
+export const wordExtractor = {
+  name: 'word',
+  types: {
+    docx: DOCX,
+    doc: 'application/msword'
+  },
+
+  async extract(buffer, mimetype) {
+    if (mimetype === DOCX) {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return { text: value };
+    }
+    return { text: extractLegacyWord(buffer) };
+  }
+};
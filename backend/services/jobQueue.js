@@ -0,0 +1,211 @@
+import { v4 as uuidv4 } from 'uuid';
+import { jobsRepository } from '../db/index.js';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Progress updates within the same stage are saved at most this often, since
+// every save rewrites the data file (OCR reports progress per page)
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+// How often finished jobs past retention are removed
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Persisted background job queue. Jobs are stored in the `jobs` collection so
+ * they survive restarts; at most `concurrency` run at once and failed jobs are
+ * retried with exponential backoff until `maxAttempts` is reached.
+ *
+ * Handlers are registered per job type and receive (job, { progress, attempts })
+ * where progress(stage, percent) records how far along the job is. The optional
+ * onFailed(job, error) hook runs once retries are exhausted.
+ *
+ * Completed and failed jobs are removed JOB_RETENTION_DAYS after they finish,
+ * which also bounds the processing history the analytics reports can show.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.running = new Set();
+    this.started = false;
+    this.timer = null;
+    this.lastPrunedAt = 0;
+  }
+
+  get concurrency() {
+    return parseInt(process.env.JOB_CONCURRENCY) || 2;
+  }
+
+  get maxAttempts() {
+    return parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+  }
+
+  get retentionDays() {
+    return parseFloat(process.env.JOB_RETENTION_DAYS) || 90;
+  }
+
+  register(type, handler, { onFailed } = {}) {
+    this.handlers.set(type, { run: handler, onFailed });
+  }
+
+  /**
+   * Add a job and kick the queue. Returns the stored job record.
+   */
+  enqueue(type, payload = {}, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const now = new Date().toISOString();
+    const job = jobsRepository.insert({
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      payload,
+      documentId: payload.documentId || null,
+      result: null,
+      error: null,
+      runAfter: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    });
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Resume work after a restart: jobs left "running" by a crash are re-queued.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of jobsRepository.list()) {
+      if (job.status === 'running') {
+        jobsRepository.update(job.id, { status: 'queued', stage: 'queued', updatedAt: new Date().toISOString() });
+      }
+    }
+    console.log('Job queue started with concurrency', this.concurrency);
+    this.prune();
+    this.drain();
+  }
+
+  stop() {
+    this.started = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Remove finished jobs older than the retention window. Returns how many
+   * were removed.
+   */
+  prune(now = Date.now()) {
+    this.lastPrunedAt = now;
+    const cutoff = now - this.retentionDays * DAY_MS;
+    return jobsRepository.removeWhere(job =>
+      FINISHED_STATUSES.includes(job.status) && job.finishedAt && new Date(job.finishedAt).getTime() < cutoff).length;
+  }
+
+  findActiveJob(documentId) {
+    return jobsRepository.list().find(j => j.documentId === documentId && ACTIVE_STATUSES.includes(j.status)) || null;
+  }
+
+  drain() {
+    if (!this.started) return;
+
+    const now = Date.now();
+    const queued = jobsRepository.list()
+      .filter(j => j.status === 'queued' && !this.running.has(j.id) && this.handlers.has(j.type))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of queued) {
+      if (this.running.size >= this.concurrency) return;
+      if (job.runAfter && new Date(job.runAfter).getTime() > now) continue;
+      // run() handles handler errors itself; this catches failures saving the outcome
+      this.run(job).catch(err => {
+        console.error(`Job ${job.id} (${job.type}) could not be completed:`, err);
+        this.running.delete(job.id);
+      });
+    }
+
+    // Wake up for the next delayed retry, if any
+    const delayed = queued
+      .filter(j => j.runAfter && new Date(j.runAfter).getTime() > now)
+      .map(j => new Date(j.runAfter).getTime());
+    if (delayed.length > 0 && !this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.min(...delayed) - now);
+    }
+  }
+
+  async run(job) {
+    this.running.add(job.id);
+    const attempts = job.attempts + 1;
+    jobsRepository.update(job.id, {
+      status: 'running',
+      attempts,
+      startedAt: job.startedAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    let lastWrite = { stage: null, at: 0 };
+    const progress = (stage, percent) => {
+      const now = Date.now();
+      if (stage === lastWrite.stage && now - lastWrite.at < PROGRESS_WRITE_INTERVAL_MS) return;
+      lastWrite = { stage, at: now };
+      jobsRepository.update(job.id, { stage, progress: percent, updatedAt: new Date(now).toISOString() });
+    };
+
+    try {
+      const result = await this.handlers.get(job.type).run(jobsRepository.findById(job.id), { progress, attempts });
+      jobsRepository.update(job.id, {
+        status: 'completed',
+        stage: 'completed',
+        progress: 100,
+        result: result ?? null,
+        error: null,
+        finishedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    } catch (err) {
+      console.error(`Job ${job.id} (${job.type}) failed on attempt ${attempts}:`, err);
+      const exhausted = attempts >= job.maxAttempts;
+      jobsRepository.update(job.id, {
+        status: exhausted ? 'failed' : 'queued',
+        stage: exhausted ? 'failed' : 'retrying',
+        error: err.message || String(err),
+        runAfter: exhausted ? null : new Date(Date.now() + 1000 * 2 ** attempts).toISOString(),
+        finishedAt: exhausted ? new Date().toISOString() : null,
+        updatedAt: new Date().toISOString()
+      });
+      const { onFailed } = this.handlers.get(job.type);
+      if (exhausted && onFailed) {
+        try {
+          await onFailed(jobsRepository.findById(job.id), err);
+        } catch (hookErr) {
+          console.error(`onFailed hook of job ${job.id} (${job.type}) failed:`, hookErr);
+        }
+      }
+    } finally {
+      this.running.delete(job.id);
+      if (Date.now() - this.lastPrunedAt >= PRUNE_INTERVAL_MS) this.prune();
+      this.drain();
+    }
+  }
+}
+
+export const jobQueue = new JobQueue();
@@ -0,0 +1,47 @@
+/**
+ * Local language detection for KMRL documents, which are written in English,
+ * Malayalam or a mix of both. The two use different scripts, so counting
+ * words per script is reliable without calling a model.
+ */
+
+const WORD_PATTERN = /[\p{L}\p{M}\u200C\u200D]+/gu;
+const MALAYALAM_LETTER = /[\u0D00-\u0D7F]/;
+const LATIN_LETTER = /[A-Za-z]/;
+const ACRONYM = /^[A-Z]+$/;
+
+// Share of words in the minority script at which a text counts as Mixed
+const MIXED_THRESHOLD = 0.15;
+// Below this many words there is too little text to tell
+const MIN_WORDS = 3;
+
+/**
+ * Detect the language of `text`. Returns { language, malayalamShare, words }
+ * where language is 'English', 'Malayalam', 'Mixed' or null when the text has
+ * too few words, and malayalamShare is the fraction of words in Malayalam script.
+ */
+export function detectLanguage(text) {
+  let malayalam = 0;
+  let latin = 0;
+
+  for (const [word] of String(text || '').matchAll(WORD_PATTERN)) {
+    if (MALAYALAM_LETTER.test(word)) {
+      malayalam++;
+    } else if (word.length > 1 && LATIN_LETTER.test(word) && !ACRONYM.test(word)) {
+      // Single letters (list markers, initials) and acronyms such as CMRS or
+      // PSD appear in Malayalam circulars too, so they do not count as English
+      latin++;
+    }
+  }
+
+  const words = malayalam + latin;
+  if (words < MIN_WORDS) {
+    return { language: null, malayalamShare: null, words };
+  }
+
+  const malayalamShare = malayalam / words;
+  let language = 'Mixed';
+  if (malayalamShare < MIXED_THRESHOLD) language = 'English';
+  else if (malayalamShare > 1 - MIXED_THRESHOLD) language = 'Malayalam';
+
+  return { language, malayalamShare: Math.round(malayalamShare * 1000) / 1000, words };
+}
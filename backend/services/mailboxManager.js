@@ -0,0 +1,295 @@
+import { v4 as uuidv4 } from 'uuid';
+import EmailIngestionService from './emailIngestion.js';
+import { documentsRepository, mailboxesRepository } from '../db/index.js';
+import { eventBus } from './eventBus.js';
+import { can, canAccessDocument } from './auth.js';
+
+const MAX_NOTIFICATIONS = 50;
+
+// Running ingestion services keyed by mailbox id
+const services = new Map();
+
+let notifications = [];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * Validate and normalize a mailbox configuration from the API or environment.
+ */
+export function normalizeMailboxConfig(input = {}, existing = {}) {
+  const merged = { ...existing, ...input };
+
+  if (!merged.host || !merged.user) {
+    throw httpError(400, 'Mailbox host and user are required');
+  }
+  if (!merged.password && !merged.passwordEnv) {
+    throw httpError(400, 'Mailbox password or passwordEnv is required');
+  }
+
+  const port = parseInt(merged.port ?? 993, 10);
+  const pollIntervalSeconds = parseInt(merged.pollIntervalSeconds ?? 30, 10);
+  if (Number.isNaN(port) || port <= 0) {
+    throw httpError(400, 'Mailbox port must be a positive number');
+  }
+  if (Number.isNaN(pollIntervalSeconds) || pollIntervalSeconds < 5) {
+    throw httpError(400, 'pollIntervalSeconds must be at least 5');
+  }
+
+  const folders = toList(merged.folders);
+
+  return {
+    id: merged.id,
+    name: merged.name || merged.user,
+    host: merged.host,
+    port,
+    tls: merged.tls !== false && merged.tls !== 'false',
+    user: merged.user,
+    password: merged.password || null,
+    passwordEnv: merged.passwordEnv || null,
+    folders: folders.length > 0 ? folders : ['INBOX'],
+    pollIntervalSeconds,
+    allowedSenders: toList(merged.allowedSenders),
+    enabled: merged.enabled !== false && merged.enabled !== 'false'
+  };
+}
+
+/**
+ * Mailboxes declared in the environment. IMAP_* describes a single "default"
+ * mailbox; EMAIL_MAILBOXES may hold a JSON array of further configurations.
+ */
+function loadEnvMailboxes() {
+  const configs = [];
+
+  if (process.env.IMAP_USER && process.env.IMAP_HOST) {
+    configs.push({
+      id: 'default',
+      host: process.env.IMAP_HOST,
+      port: process.env.IMAP_PORT,
+      tls: process.env.IMAP_TLS,
+      user: process.env.IMAP_USER,
+      passwordEnv: 'IMAP_PASSWORD',
+      folders: process.env.IMAP_FOLDERS,
+      pollIntervalSeconds: process.env.IMAP_POLL_INTERVAL_SECONDS,
+      allowedSenders: process.env.IMAP_ALLOWED_SENDERS
+    });
+  }
+
+  if (process.env.EMAIL_MAILBOXES) {
+    try {
+      const parsed = JSON.parse(process.env.EMAIL_MAILBOXES);
+      parsed.forEach((config, index) => configs.push({ id: `env-${index + 1}`, ...config }));
+    } catch (err) {
+      console.error('EMAIL_MAILBOXES is not valid JSON, ignoring:', err.message);
+    }
+  }
+
+  return configs.flatMap(config => {
+    try {
+      return [{ ...normalizeMailboxConfig(config), origin: 'env' }];
+    } catch (err) {
+      console.error(`Ignoring invalid mailbox configuration ${config.id}:`, err.message);
+      return [];
+    }
+  });
+}
+
+function resolvePassword(mailbox) {
+  return mailbox.passwordEnv ? process.env[mailbox.passwordEnv] : mailbox.password;
+}
+
+/**
+ * API-safe view of a mailbox: credentials are never returned.
+ */
+function toPublic(mailbox) {
+  const { password, ...rest } = mailbox;
+  const service = services.get(mailbox.id);
+  return {
+    ...rest,
+    hasPassword: Boolean(resolvePassword(mailbox)),
+    ...(service ? service.getStatus() : { status: 'stopped' })
+  };
+}
+
+function findMailbox(id) {
+  const mailbox = loadEnvMailboxes().find(m => m.id === id) || mailboxesRepository.findById(id);
+  if (!mailbox) throw httpError(404, 'Mailbox not found');
+  return mailbox;
+}
+
+export function listMailboxes() {
+  const stored = mailboxesRepository.list().map(m => ({ ...m, origin: 'settings' }));
+  return [...loadEnvMailboxes(), ...stored].map(toPublic);
+}
+
+export function getMailbox(id) {
+  return toPublic(findMailbox(id));
+}
+
+/**
+ * Stored mailboxes only reference their password through an environment
+ * variable, so no credential ends up in the data file or the audit log.
+ */
+function rejectStoredPassword(input) {
+  if (input?.password !== undefined) {
+    throw httpError(400, 'Mailbox passwords cannot be stored; put it in an environment variable and set passwordEnv');
+  }
+}
+
+export function createMailbox(input) {
+  rejectStoredPassword(input);
+  const config = normalizeMailboxConfig({ ...input, id: undefined });
+  const now = new Date().toISOString();
+  const mailbox = mailboxesRepository.insert({ ...config, id: uuidv4(), createdAt: now, updatedAt: now });
+  return toPublic(mailbox);
+}
+
+export async function updateMailbox(id, input) {
+  const existing = findMailbox(id);
+  if (existing.origin === 'env') {
+    throw httpError(409, 'Mailbox is defined in the environment and cannot be edited through the API');
+  }
+
+  rejectStoredPassword(input);
+  const config = normalizeMailboxConfig({ ...input, id }, existing);
+  const mailbox = mailboxesRepository.update(id, { ...config, updatedAt: new Date().toISOString() });
+
+  // Restart with the new settings if it was running
+  if (services.has(id)) {
+    stopMailbox(id);
+    await startMailbox(id);
+  }
+  return toPublic(mailbox);
+}
+
+export function deleteMailbox(id) {
+  const existing = findMailbox(id);
+  if (existing.origin === 'env') {
+    throw httpError(409, 'Mailbox is defined in the environment and cannot be deleted through the API');
+  }
+  if (services.has(id)) stopMailbox(id);
+  return toPublic(mailboxesRepository.remove(id));
+}
+
+function recordNotification(mailbox, email) {
+  console.log('New email received:', email.subject);
+  const notification = {
+    id: email.messageId || Math.random().toString(36).substr(2, 9),
+    mailboxId: mailbox.id,
+    subject: email.subject,
+    from: email.from?.text,
+    date: email.date,
+    attachments: email.attachments?.length || 0,
+    documentIds: email.documentIds || [],
+    timestamp: new Date()
+  };
+  notifications.unshift(notification);
+  if (notifications.length > MAX_NOTIFICATIONS) {
+    notifications = notifications.slice(0, MAX_NOTIFICATIONS);
+  }
+  eventBus.publish('email-received', notification);
+}
+
+export async function startMailbox(id) {
+  const mailbox = findMailbox(id);
+  const password = resolvePassword(mailbox);
+  if (!password) {
+    throw httpError(400, `No password available for mailbox ${id}`);
+  }
+
+  if (services.has(id)) {
+    stopMailbox(id);
+  }
+
+  const service = new EmailIngestionService({
+    user: mailbox.user,
+    password,
+    host: mailbox.host,
+    port: mailbox.port,
+    tls: mailbox.tls,
+    folders: mailbox.folders,
+    pollInterval: mailbox.pollIntervalSeconds * 1000,
+    allowedSenders: mailbox.allowedSenders
+  }, {
+    onNewEmail: email => recordNotification(mailbox, email)
+  });
+
+  services.set(id, service);
+  try {
+    await service.start();
+  } catch (err) {
+    service.stop();
+    services.delete(id);
+    throw err;
+  }
+  return toPublic(mailbox);
+}
+
+export function stopMailbox(id) {
+  const service = services.get(id);
+  if (!service) return false;
+  service.stop();
+  services.delete(id);
+  return true;
+}
+
+/**
+ * Start every enabled mailbox. Resolves to per-mailbox results.
+ */
+export async function startAllMailboxes() {
+  const enabled = listMailboxes().filter(m => m.enabled);
+  const results = [];
+  for (const mailbox of enabled) {
+    try {
+      await startMailbox(mailbox.id);
+      results.push({ id: mailbox.id, status: 'running' });
+    } catch (err) {
+      console.error(`Failed to start mailbox ${mailbox.id}:`, err);
+      results.push({ id: mailbox.id, status: 'error', error: err.message });
+    }
+  }
+  return results;
+}
+
+export function stopAllMailboxes() {
+  const ids = [...services.keys()];
+  ids.forEach(stopMailbox);
+  return ids;
+}
+
+export function isRunning(id) {
+  return services.has(id);
+}
+
+/**
+ * Email managers see every notification; other users only see emails that
+ * produced a document they can access.
+ */
+export function canSeeNotification(user, notification) {
+  if (can(user, 'email:manage')) return true;
+  return (notification.documentIds || []).some(id => {
+    const document = documentsRepository.findById(id);
+    return document && canAccessDocument(user, document);
+  });
+}
+
+export function getNotifications(user) {
+  return notifications.filter(notification => canSeeNotification(user, notification));
+}
+
+export function clearNotifications(ids) {
+  if (ids && Array.isArray(ids)) {
+    notifications = notifications.filter(email => !ids.includes(email.id));
+  } else {
+    notifications = [];
+  }
+}
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createWorker } from 'tesseract.js';
+import { getDocument, VerbosityLevel } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Mimetypes that always go through OCR
+export const OCR_IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/tiff'];
+
+// Tesseract language packs; KMRL circulars are often bilingual
+const DEFAULT_LANGUAGES = 'eng+mal';
+// PDF points are 1/72 inch, so this renders pages at ~200 DPI
+const PDF_RENDER_SCALE = 200 / 72;
+const DEFAULT_MAX_PAGES = 50;
+// Below this many non-space characters per page a PDF text layer counts as empty
+const MIN_TEXT_CHARS_PER_PAGE = 10;
+
+let workerPromise = null;
+
+function ocrLanguages() {
+  return process.env.OCR_LANGUAGES || DEFAULT_LANGUAGES;
+}
+
+/**
+ * One shared Tesseract worker, created on first use. Language packs are read
+ * from OCR_LANG_PATH when set (for air-gapped servers), otherwise downloaded
+ * once and cached under OCR_CACHE_PATH (default data/ocr-cache).
+ */
+function getWorker() {
+  if (!workerPromise) {
+    // Without an errorHandler tesseract.js rethrows worker failures as
+    // uncaught exceptions; the rejected promise already reaches the caller
+    const options = { errorHandler: err => console.error('OCR worker error:', err) };
+    if (process.env.OCR_LANG_PATH) options.langPath = process.env.OCR_LANG_PATH;
+    // tesseract.js caches into the working directory unless told otherwise
+    options.cachePath = process.env.OCR_CACHE_PATH || path.join(__dirname, '..', 'data', 'ocr-cache');
+    fs.mkdirSync(options.cachePath, { recursive: true });
+
+    workerPromise = createWorker(ocrLanguages().split('+'), 1, options).catch(err => {
+      // Allow a later job to retry (e.g. once the language packs are reachable)
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+export async function terminateOcr() {
+  if (!workerPromise) return;
+  const worker = await workerPromise.catch(() => null);
+  workerPromise = null;
+  await worker?.terminate();
+}
+
+/**
+ * True when pdf-parse found real text, i.e. the PDF is not just scanned images.
+ */
+export function hasTextLayer(text, pageCount) {
+  const characters = String(text || '').replace(/\s/g, '').length;
+  return characters >= MIN_TEXT_CHARS_PER_PAGE * Math.max(1, pageCount || 1);
+}
+
+async function recognize(image, page) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(image);
+  const text = (data.text || '').trim();
+  return {
+    page,
+    text,
+    confidence: Math.round(data.confidence || 0),
+    characters: text.replace(/\s/g, '').length
+  };
+}
+
+function buildResult(pages, { pageCount = pages.length } = {}) {
+  const recognized = pages.filter(page => page.characters > 0);
+  const averageConfidence = recognized.length
+    ? Math.round(recognized.reduce((sum, page) => sum + page.confidence, 0) / recognized.length)
+    : 0;
+
+  // Pages are joined with a blank line
+  let offset = 0;
+  const pageOffsets = pages.map(page => {
+    const start = offset;
+    offset += page.text.length + 2;
+    return start;
+  });
+
+  return {
+    text: pages.map(page => page.text).join('\n\n'),
+    pageOffsets,
+    ocr: {
+      engine: 'tesseract',
+      languages: ocrLanguages(),
+      averageConfidence,
+      pages: pages.map(({ text, ...page }) => page),
+      truncated: pageCount > pages.length || undefined,
+      processedAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * OCR a single image (file path or Buffer). Returns { text, pageOffsets, ocr }
+ * where ocr carries the per-page confidence (0-100) reported by Tesseract.
+ */
+export async function ocrImage(image) {
+  return buildResult([await recognize(image, 1)]);
+}
+
+/**
+ * Load a PDF with pdf.js. Callers must `destroy()` the returned document.
+ */
+export function openPdf(buffer) {
+  return getDocument({ data: new Uint8Array(buffer), verbosity: VerbosityLevel.ERRORS }).promise;
+}
+
+/**
+ * Render page `number` (1-based) of an open pdf.js document to a PNG buffer.
+ * `scale` 1 renders at 72 DPI.
+ */
+export async function renderPdfPage(pdf, number, scale) {
+  const page = await pdf.getPage(number);
+  try {
+    const viewport = page.getViewport({ scale });
+    const { canvas, context } = pdf.canvasFactory.create(viewport.width, viewport.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    page.cleanup();
+  }
+}
+
+/**
+ * Render each page of a PDF and OCR it. `onPage(done, total)` is called after
+ * every page so callers can report progress. Pages beyond OCR_MAX_PAGES are
+ * skipped and the result is flagged as truncated.
+ */
+export async function ocrPdf(buffer, { onPage } = {}) {
+  const pdf = await openPdf(buffer);
+  const pageCount = pdf.numPages;
+  const maxPages = parseInt(process.env.OCR_MAX_PAGES) || DEFAULT_MAX_PAGES;
+  const total = Math.min(pageCount, maxPages);
+  const pages = [];
+
+  try {
+    for (let number = 1; number <= total; number++) {
+      pages.push(await recognize(await renderPdfPage(pdf, number, PDF_RENDER_SCALE), number));
+      onPage?.(number, total);
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return buildResult(pages, { pageCount });
+}
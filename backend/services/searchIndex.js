@@ -0,0 +1,218 @@
+import { documentsRepository, documentTextsRepository, tasksRepository } from '../db/index.js';
+import { canAccessDocument, canAccessTask } from './auth.js';
+import { tokenize, terms } from './textTokenizer.js';
+import { Bm25Index } from './bm25Index.js';
+
+export const SEARCH_KINDS = ['document', 'summary', 'task'];
+
+// A title hit counts as three body hits
+const FIELD_WEIGHTS = { title: 3, body: 1 };
+const SNIPPET_LENGTH = 180;
+
+function summaryText(summary) {
+  return [
+    summary.executiveSummary,
+    ...(summary.keyPoints || []),
+    ...(summary.actionItems || []).map(item => [item.task, item.description].filter(Boolean).join(': ')),
+    ...(summary.recommendations || []),
+    ...(summary.complianceItems || [])
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Searchable entries derived from one document: the extracted text, and the
+ * AI summary once there is one.
+ */
+function documentEntries(document, textRecord) {
+  const title = [document.title, document.type, ...(document.tags || [])].join(' ');
+  const entries = [{
+    kind: 'document',
+    id: document.id,
+    documentId: document.id,
+    title: document.title,
+    fields: { title, body: textRecord?.text || '' }
+  }];
+
+  if (document.summary) {
+    entries.push({
+      kind: 'summary',
+      id: document.id,
+      documentId: document.id,
+      title: document.title,
+      fields: { title, body: summaryText(document.summary) }
+    });
+  }
+  return entries;
+}
+
+function taskEntry(task) {
+  return {
+    kind: 'task',
+    id: task.id,
+    documentId: task.documentId || null,
+    title: task.title,
+    fields: { title: task.title || '', body: task.description || '' }
+  };
+}
+
+function entryKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+/**
+ * Pick the window of `text` containing the most query-term hits and return it
+ * with the hit offsets relative to the snippet. Highlights are offsets rather
+ * than markup so clients render them without injecting HTML.
+ */
+export function buildSnippet(text, queryTerms) {
+  const hits = tokenize(text).filter(token => queryTerms.has(token.term));
+  if (hits.length === 0) {
+    const snippet = text.slice(0, SNIPPET_LENGTH).trim();
+    return { snippet: text.length > SNIPPET_LENGTH ? `${snippet}…` : snippet, highlights: [] };
+  }
+
+  let best = { start: hits[0].start, count: 0 };
+  for (const hit of hits) {
+    const count = hits.filter(other => other.start >= hit.start && other.end <= hit.start + SNIPPET_LENGTH).length;
+    if (count > best.count) best = { start: hit.start, count };
+  }
+
+  // Start a little before the first hit, on a word boundary
+  let start = Math.max(0, best.start - 40);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < best.start ? space + 1 : best.start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const body = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  const snippet = `${prefix}${body}${end < text.length ? '…' : ''}`;
+
+  // Offsets must be recomputed after whitespace collapsing
+  const highlights = tokenize(snippet)
+    .filter(token => queryTerms.has(token.term))
+    .map(token => [token.start, token.end]);
+
+  return { snippet, highlights };
+}
+
+/**
+ * Full-text index over documents, summaries and tasks with BM25 ranking.
+ * Entries are reconciled with the repositories before every query (by
+ * comparing updatedAt stamps), so edits, deletes and newly extracted text are
+ * picked up without the writers having to know about the index.
+ */
+class SearchIndex {
+  constructor() {
+    this.index = new Bm25Index({ fieldWeights: FIELD_WEIGHTS });
+  }
+
+  add({ fields, ...entry }, version) {
+    this.index.add(entryKey(entry.kind, entry.id), fields, { ...entry, version });
+  }
+
+  /**
+   * Bring the index in line with the repositories. Only changed records are
+   * re-tokenized.
+   */
+  sync() {
+    const texts = new Map(documentTextsRepository.list().map(record => [record.id, record]));
+    const seen = new Set();
+
+    for (const document of documentsRepository.list()) {
+      const textRecord = texts.get(document.id);
+      const version = `${document.updatedAt}|${textRecord?.extractedAt || ''}`;
+      for (const entry of documentEntries(document, textRecord)) {
+        const key = entryKey(entry.kind, entry.id);
+        seen.add(key);
+        if (this.index.versionOf(key) !== version) this.add(entry, version);
+      }
+    }
+
+    for (const task of tasksRepository.list()) {
+      const key = entryKey('task', task.id);
+      seen.add(key);
+      if (this.index.versionOf(key) !== task.updatedAt) this.add(taskEntry(task), task.updatedAt);
+    }
+
+    for (const key of this.index.keys()) {
+      if (!seen.has(key)) this.index.remove(key);
+    }
+  }
+
+  /**
+   * Score every entry matching `query` and drop what `user` may not see.
+   */
+  rank(query, { user, kinds = SEARCH_KINDS } = {}) {
+    this.sync();
+
+    const queryTerms = new Set(terms(query));
+    const documents = new Map(documentsRepository.list().map(document => [document.id, document]));
+    const tasks = new Map(tasksRepository.list().map(task => [task.id, task]));
+    const scores = this.index.score(queryTerms);
+
+    const visible = (entry) => {
+      if (entry.kind === 'task') {
+        const task = tasks.get(entry.id);
+        return task && canAccessTask(user, task);
+      }
+      const document = documents.get(entry.documentId);
+      return document && canAccessDocument(user, document);
+    };
+
+    const ranked = [...scores.entries()]
+      .map(([key, { score, matched }]) => ({ entry: this.index.get(key), score, matched }))
+      .filter(({ entry }) => kinds.includes(entry.kind) && visible(entry))
+      .sort((a, b) => b.score - a.score)
+      .map(hit => ({
+        ...hit,
+        record: hit.entry.kind === 'task' ? tasks.get(hit.entry.id) : documents.get(hit.entry.documentId)
+      }));
+
+    return { queryTerms, ranked };
+  }
+
+  /**
+   * Ranked hits for `query` with highlighted snippets, restricted to what
+   * `user` may see. Returns { terms, total, results }.
+   */
+  search(query, { user, kinds = SEARCH_KINDS, limit = 20 } = {}) {
+    const { queryTerms, ranked } = this.rank(query, { user, kinds });
+
+    const results = ranked.slice(0, limit).map(({ entry, score, matched, record }) => {
+      // Show the body excerpt unless only the title matched
+      const field = entry.fields.body && tokenize(entry.fields.body).some(token => queryTerms.has(token.term))
+        ? 'body'
+        : 'title';
+      return {
+        kind: entry.kind,
+        id: entry.id,
+        documentId: entry.documentId,
+        title: entry.title,
+        department: record.department,
+        score: Math.round(score * 1000) / 1000,
+        matchedTerms: matched,
+        field,
+        ...buildSnippet(field === 'body' ? entry.fields.body : entry.title, queryTerms)
+      };
+    });
+
+    return { terms: [...queryTerms], total: ranked.length, results };
+  }
+
+  /**
+   * Ids of documents whose text or summary matches `query`, for the documents
+   * list filter.
+   */
+  matchingDocumentIds(query, user) {
+    const { ranked } = this.rank(query, { user, kinds: ['document', 'summary'] });
+    return new Set(ranked.map(hit => hit.entry.documentId));
+  }
+}
+
+export const searchIndex = new SearchIndex();
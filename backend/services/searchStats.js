@@ -0,0 +1,93 @@
+import { searchStatsRepository } from '../db/index.js';
+
+// Daily counts older than this are dropped
+const RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC day, matching the day buckets of the analytics reports
+function dayOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Daily search counters for usage analytics. Searches are counted in memory
+ * and written to the store once per interval, since every store write
+ * rewrites the whole data file; at most one interval of counts is lost when
+ * the server stops. The query text itself is not kept.
+ */
+class SearchStats {
+  constructor() {
+    this.timer = null;
+    this.pending = new Map();
+  }
+
+  get intervalMs() {
+    return (parseFloat(process.env.SEARCH_STATS_FLUSH_SECONDS) || 60) * 1000;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.flush(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.flush();
+  }
+
+  record(resultCount, now = Date.now()) {
+    const day = dayOf(now);
+    const counts = this.pending.get(day) || { searches: 0, withoutResults: 0 };
+    counts.searches++;
+    if (resultCount === 0) counts.withoutResults++;
+    this.pending.set(day, counts);
+  }
+
+  /**
+   * Add the pending counts to the stored days and drop days past retention.
+   */
+  flush(now = Date.now()) {
+    const pending = this.pending;
+    this.pending = new Map();
+    try {
+      for (const [day, counts] of pending) {
+        const stored = searchStatsRepository.findById(day);
+        if (stored) {
+          searchStatsRepository.update(day, {
+            searches: stored.searches + counts.searches,
+            withoutResults: stored.withoutResults + counts.withoutResults
+          });
+        } else {
+          searchStatsRepository.insert({ id: day, day, ...counts });
+        }
+      }
+
+      const oldest = dayOf(now - RETENTION_DAYS * DAY_MS);
+      for (const stats of searchStatsRepository.list().filter(stats => stats.day < oldest)) {
+        searchStatsRepository.remove(stats.id);
+      }
+    } catch (err) {
+      console.error('Saving search counts failed:', err);
+    }
+  }
+
+  /**
+   * Stored and pending counts per day, as [{ day, searches, withoutResults }].
+   */
+  daily() {
+    const days = new Map(searchStatsRepository.list().map(stats => [stats.day, { ...stats }]));
+    for (const [day, counts] of this.pending) {
+      const stats = days.get(day) || { id: day, day, searches: 0, withoutResults: 0 };
+      stats.searches += counts.searches;
+      stats.withoutResults += counts.withoutResults;
+      days.set(day, stats);
+    }
+    return [...days.values()];
+  }
+}
+
+export const searchStats = new SearchStats();
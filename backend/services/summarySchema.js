@@ -0,0 +1,216 @@
+/**
+ * Declared shape of an AI document summary, plus validation that coerces
+ * near-miss values ("94%", "8 hours", "HIGH") into the declared types.
+ *
+ * Field spec:
+ *   type      'string' | 'number' | 'date' | 'enum' | 'array' | 'object'
+ *   required  value must be present and valid, otherwise it is an error
+ *   nullable  invalid values become null instead of an error
+ *   default   used when the value is missing (or invalid and not required)
+ *   values    allowed enum values; aliases maps other spellings onto them
+ *   min/max   numeric bounds (values are clamped)
+ *   percent   number given as a 0-1 fraction is scaled to 0-100
+ */
+
+const stringList = { type: 'array', items: { type: 'string' }, default: [] };
+
+export const ACTION_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    task: { type: 'string', required: true },
+    description: { type: 'string' },
+    priority: {
+      type: 'enum',
+      values: ['high', 'medium', 'low'],
+      aliases: { critical: 'high', urgent: 'high', immediate: 'high', normal: 'medium', moderate: 'medium' },
+      default: 'medium'
+    },
+    deadline: { type: 'date', nullable: true, default: null },
+    department: { type: 'string', default: 'General' },
+    assignee: { type: 'string' },
+    category: { type: 'string' },
+    estimatedHours: { type: 'number', min: 0, default: 0 },
+    tags: { type: 'array', items: { type: 'string' } },
+    // Passage of the document the item comes from; page, start and match are
+    // filled in when the excerpt is located in the text (see actionItemSources)
+    source: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        excerpt: { type: 'string' },
+        page: { type: 'number', min: 1 },
+        start: { type: 'number', min: 0 },
+        match: { type: 'enum', values: ['exact', 'approximate'] }
+      }
+    }
+  }
+};
+
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    executiveSummary: { type: 'string', required: true },
+    keyPoints: stringList,
+    actionItems: { type: 'array', items: ACTION_ITEM_SCHEMA, default: [] },
+    complianceItems: stringList,
+    riskFactors: stringList,
+    recommendations: stringList,
+    categories: { ...stringList, default: ['General'] },
+    confidence: { type: 'number', min: 0, max: 100, percent: true, default: 50 },
+    language: {
+      type: 'enum',
+      values: ['English', 'Malayalam', 'Mixed'],
+      aliases: { en: 'English', eng: 'English', ml: 'Malayalam', mal: 'Malayalam', bilingual: 'Mixed' },
+      default: 'English'
+    },
+    documentType: { type: 'string', default: 'General Document' },
+    urgencyLevel: {
+      type: 'enum',
+      values: ['low', 'medium', 'high', 'critical'],
+      aliases: { urgent: 'critical', normal: 'medium', moderate: 'medium' },
+      default: 'medium'
+    }
+  }
+};
+
+// Rendered into prompts so the model sees the same contract we validate
+export const SUMMARY_JSON_TEMPLATE = `{
+  "executiveSummary": "...",
+  "keyPoints": ["..."],
+  "actionItems": [{"task":"...","priority":"high|medium|low","deadline":"YYYY-MM-DD or null","department":"...","estimatedHours":0,"source":{"excerpt":"the sentence of the document this item comes from, copied verbatim"}}],
+  "complianceItems": ["..."],
+  "riskFactors": ["..."],
+  "recommendations": ["..."],
+  "categories": ["..."],
+  "confidence": 0-100,
+  "language": "English|Malayalam|Mixed",
+  "documentType": "...",
+  "urgencyLevel": "low|medium|high|critical"
+}`;
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+function coerceNumber(value, spec) {
+  let number = typeof value === 'number' ? value : NaN;
+  if (typeof value === 'string') {
+    const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    number = match ? parseFloat(match[0]) : NaN;
+  }
+  if (!Number.isFinite(number)) return undefined;
+  if (spec.percent && number > 0 && number < 1) number *= 100;
+  if (spec.min !== undefined) number = Math.max(spec.min, number);
+  if (spec.max !== undefined) number = Math.min(spec.max, number);
+  return Math.round(number * 100) / 100;
+}
+
+function coerceDate(value) {
+  if (typeof value !== 'string' && !(value instanceof Date)) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  return date.toISOString().slice(0, 10);
+}
+
+function coerceEnum(value, spec) {
+  if (typeof value !== 'string') return undefined;
+  const lowered = value.trim().toLowerCase();
+  const direct = spec.values.find(v => v.toLowerCase() === lowered);
+  if (direct) return direct;
+  if (spec.aliases && spec.aliases[lowered]) return spec.aliases[lowered];
+  return undefined;
+}
+
+function coerceString(value) {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return undefined;
+}
+
+/**
+ * Validate one value against a spec. Pushes problems into `report` and
+ * returns the coerced value (or undefined to omit the field).
+ */
+function validateValue(value, spec, path, report) {
+  if (isMissing(value)) {
+    if (spec.required) {
+      report.errors.push(`${path} is required`);
+    } else if (spec.default !== undefined) {
+      report.coercions.push(`${path} missing, defaulted`);
+    }
+    return spec.default !== undefined ? structuredClone(spec.default) : undefined;
+  }
+
+  let result;
+  switch (spec.type) {
+    case 'string': result = coerceString(value); break;
+    case 'number': result = coerceNumber(value, spec); break;
+    case 'date': result = coerceDate(value); break;
+    case 'enum': result = coerceEnum(value, spec); break;
+    case 'array': {
+      const list = Array.isArray(value) ? value : [value];
+      if (!Array.isArray(value)) report.coercions.push(`${path} wrapped in array`);
+      result = list
+        .map((item, i) => validateValue(item, spec.items, `${path}[${i}]`, report))
+        .filter(item => item !== undefined);
+      break;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) break;
+      result = {};
+      for (const [key, fieldSpec] of Object.entries(spec.properties)) {
+        const fieldValue = validateValue(value[key], fieldSpec, path ? `${path}.${key}` : key, report);
+        if (fieldValue !== undefined) result[key] = fieldValue;
+      }
+      for (const key of Object.keys(value)) {
+        if (!(key in spec.properties) && key !== '_meta') {
+          report.coercions.push(`${path ? `${path}.${key}` : key} removed (not in schema)`);
+        }
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown schema type: ${spec.type}`);
+  }
+
+  if (result === undefined) {
+    if (spec.nullable) {
+      report.coercions.push(`${path} could not be parsed, set to null`);
+      return null;
+    }
+    report.errors.push(`${path} has invalid value ${JSON.stringify(value)}`);
+    return spec.default !== undefined ? structuredClone(spec.default) : undefined;
+  }
+
+  if (result !== value && typeof value !== 'object') {
+    report.coercions.push(`${path} coerced from ${JSON.stringify(value)}`);
+  }
+  return result;
+}
+
+/**
+ * Validate and coerce a raw summary object.
+ * Returns { summary, valid, errors, coercions }; `summary` always matches the
+ * schema shape (defaults fill anything that could not be recovered) and keeps
+ * the original `_meta`.
+ */
+export function validateSummary(raw) {
+  const report = { errors: [], coercions: [] };
+  const input = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  if (input !== raw) report.errors.push('summary is not a JSON object');
+
+  const summary = validateValue(input, SUMMARY_SCHEMA, '', report) || {};
+  // An action item without a task cannot become a task; drop it
+  summary.actionItems = (summary.actionItems || []).filter(item => item.task);
+  if (input._meta) summary._meta = input._meta;
+
+  return { summary, valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Coerce a single action item (e.g. from POST /api/tasks/batch).
+ * Items without a task are returned as null.
+ */
+export function validateActionItem(raw) {
+  const report = { errors: [], coercions: [] };
+  const item = validateValue(raw, ACTION_ITEM_SCHEMA, 'actionItem', report);
+  return item && item.task ? item : null;
+}
@@ -0,0 +1,203 @@
+import fs from 'fs';
+import { tasksRepository, usersRepository } from '../db/index.js';
+import { ROLES } from './auth.js';
+import { isClosedStatus, updateTask, activityOfType } from './taskWorkflow.js';
+import { eventBus } from './eventBus.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Per-priority service levels. Tasks without a deadline are due
+ * `resolutionHours` after creation; they count as at risk `atRiskHours` before
+ * they are due. `escalationHours[i]` is how long past due a task may stay
+ * before it is escalated to the i-th role of the escalation chain.
+ */
+export const DEFAULT_SLA_POLICIES = {
+  critical: { resolutionHours: 24, atRiskHours: 4, escalationHours: [0, 4] },
+  high: { resolutionHours: 72, atRiskHours: 12, escalationHours: [4, 24] },
+  medium: { resolutionHours: 168, atRiskHours: 24, escalationHours: [24, 72] },
+  low: { resolutionHours: 336, atRiskHours: 48, escalationHours: [72] }
+};
+
+// Who an overdue task is reassigned to at each escalation level
+export const DEFAULT_ESCALATION_CHAIN = ['department-head', 'admin'];
+
+// Acts for the scheduler in the task history
+const SYSTEM_USER = { username: 'system', role: 'admin' };
+
+let config = null;
+
+function validatePolicy(priority, policy) {
+  const { resolutionHours, atRiskHours, escalationHours } = policy || {};
+  if (!(resolutionHours > 0) || !(atRiskHours >= 0)) {
+    throw new Error(`SLA policy "${priority}" needs resolutionHours > 0 and atRiskHours >= 0`);
+  }
+  if (!Array.isArray(escalationHours) || escalationHours.some((hours, i) => !(hours >= 0) || hours < (escalationHours[i - 1] ?? 0))) {
+    throw new Error(`SLA policy "${priority}" escalationHours must be ascending hours past due`);
+  }
+  return { resolutionHours, atRiskHours, escalationHours };
+}
+
+/**
+ * The active SLA policies and escalation chain: the defaults, overridden per
+ * priority by the JSON file named by TASK_SLA_FILE
+ * ({ policies: { critical: {...} }, escalationChain: [...] }). Loaded once and
+ * validated.
+ */
+export function getSlaConfig() {
+  if (!config) {
+    const file = process.env.TASK_SLA_FILE;
+    const overrides = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    const merged = { ...DEFAULT_SLA_POLICIES, ...overrides.policies };
+    const escalationChain = overrides.escalationChain || DEFAULT_ESCALATION_CHAIN;
+    if (!Array.isArray(escalationChain) || escalationChain.some(role => !ROLES.includes(role))) {
+      throw new Error(`SLA escalationChain must list roles from: ${ROLES.join(', ')}`);
+    }
+    config = {
+      policies: Object.fromEntries(Object.entries(merged).map(([priority, policy]) => [priority, validatePolicy(priority, policy)])),
+      escalationChain
+    };
+  }
+  return config;
+}
+
+function policyFor(task) {
+  const { policies } = getSlaConfig();
+  return policies[task.priority] || policies.medium || DEFAULT_SLA_POLICIES.medium;
+}
+
+/**
+ * SLA standing of a task at `now`: open tasks are "on-track", "at-risk" or
+ * "overdue"; closed tasks keep "met" or "breached" from when they closed.
+ */
+export function evaluateSla(task, now = Date.now()) {
+  const policy = policyFor(task);
+  const due = task.deadline
+    ? new Date(task.deadline).getTime()
+    : new Date(task.createdAt).getTime() + policy.resolutionHours * HOUR_MS;
+  const dueAt = Number.isNaN(due) ? null : new Date(due).toISOString();
+
+  if (isClosedStatus(task.status)) {
+    const stored = task.sla;
+    if (stored && ['met', 'breached'].includes(stored.state) && stored.dueAt === dueAt) return stored;
+    const closedAt = new Date(task.updatedAt).getTime();
+    return { state: dueAt === null || closedAt <= due ? 'met' : 'breached', dueAt, closedAt: task.updatedAt };
+  }
+
+  if (dueAt === null) return { state: 'on-track', dueAt };
+  if (now > due) {
+    return { state: 'overdue', dueAt, hoursOverdue: Math.round(((now - due) / HOUR_MS) * 10) / 10 };
+  }
+  return { state: due - now <= policy.atRiskHours * HOUR_MS ? 'at-risk' : 'on-track', dueAt };
+}
+
+/**
+ * Store the current SLA standing on a task if it changed. Returns the task.
+ */
+export function refreshTaskSla(task, now = Date.now()) {
+  // hoursOverdue changes on every check, so only the standing itself is stored
+  const { hoursOverdue, ...sla } = evaluateSla(task, now);
+  if (JSON.stringify(sla) === JSON.stringify(task.sla || null)) return task;
+  return tasksRepository.update(task.id, { sla });
+}
+
+function findEscalationTarget(role, task) {
+  const department = String(task.department || '').toLowerCase();
+  return usersRepository.list().find(user =>
+    user.active && user.role === role &&
+    (role !== 'department-head' || String(user.department).toLowerCase() === department)
+  ) || null;
+}
+
+/**
+ * Hand an overdue task to the next role of the escalation chain once it has
+ * been overdue for that level's threshold. Roles without a matching active
+ * user are skipped. Returns the updated task, or null when nothing was due.
+ */
+function escalateIfDue(task, hoursOverdue) {
+  const { escalationChain } = getSlaConfig();
+  const { escalationHours } = policyFor(task);
+  const level = task.escalationLevel || 0;
+  if (level >= escalationChain.length || level >= escalationHours.length) return null;
+  if (hoursOverdue < escalationHours[level]) return null;
+
+  for (let next = level; next < escalationChain.length; next++) {
+    const target = findEscalationTarget(escalationChain[next], task);
+    if (!target) continue;
+
+    const { task: escalated } = updateTask(
+      task,
+      { escalationLevel: next + 1, assignee: target.name },
+      SYSTEM_USER,
+      { action: 'escalated', comment: `Overdue by ${hoursOverdue}h; escalated to ${escalationChain[next]} ${target.username}` }
+    );
+    eventBus.publish('task-escalated', {
+      task: escalated,
+      escalationLevel: next + 1,
+      escalatedTo: target.username,
+      hoursOverdue
+    });
+    return escalated;
+  }
+  return null;
+}
+
+/**
+ * Escalation counts for the tasks in `tasks`: all time and in the last 24 hours.
+ */
+export function escalationCounts(tasks, now = Date.now()) {
+  const ids = new Set(tasks.map(task => task.id));
+  const entries = activityOfType('escalated').filter(entry => ids.has(entry.taskId));
+  return {
+    total: entries.length,
+    last24Hours: entries.filter(entry => now - new Date(entry.at).getTime() <= 24 * HOUR_MS).length
+  };
+}
+
+/**
+ * Periodically re-evaluates every task against its SLA, storing the standing
+ * on `task.sla` and escalating overdue tasks. The interval comes from
+ * SLA_CHECK_INTERVAL_MINUTES (default 5).
+ */
+class SlaMonitor {
+  constructor() {
+    this.timer = null;
+  }
+
+  get intervalMs() {
+    return (parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5) * 60 * 1000;
+  }
+
+  start() {
+    if (this.timer) return;
+    getSlaConfig();
+    this.check();
+    this.timer = setInterval(() => this.check(), this.intervalMs);
+    console.log(`SLA monitor started, checking every ${this.intervalMs / 60000} minutes`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  check(now = Date.now()) {
+    let escalated = 0;
+    for (const task of tasksRepository.list()) {
+      try {
+        const sla = evaluateSla(task, now);
+        const current = refreshTaskSla(task, now);
+        if (sla.state === 'overdue' && escalateIfDue(current, sla.hoursOverdue)) {
+          escalated++;
+        }
+      } catch (err) {
+        console.error(`SLA check of task ${task.id} failed:`, err);
+      }
+    }
+    return { escalated };
+  }
+}
+
+export const slaMonitor = new SlaMonitor();
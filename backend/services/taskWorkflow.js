@@ -0,0 +1,202 @@
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { tasksRepository, taskActivityRepository } from '../db/index.js';
+import { ROLES } from './auth.js';
+
+/**
+ * Task statuses and the moves allowed between them. Guards restrict a move
+ * ("from->to", either side may be "*") to the listed roles; moves without a
+ * guard are open to everyone with tasks:write.
+ */
+export const DEFAULT_WORKFLOW = {
+  initial: 'pending',
+  closed: ['completed', 'cancelled'],
+  transitions: {
+    pending: ['in-progress', 'blocked', 'cancelled'],
+    'in-progress': ['blocked', 'in-review', 'completed', 'cancelled'],
+    blocked: ['in-progress', 'cancelled'],
+    'in-review': ['in-progress', 'completed'],
+    completed: ['reopened'],
+    cancelled: ['reopened'],
+    reopened: ['in-progress', 'blocked', 'cancelled']
+  },
+  guards: {
+    'in-review->completed': ['admin', 'department-head'],
+    '*->cancelled': ['admin', 'department-head'],
+    '*->reopened': ['admin', 'department-head']
+  }
+};
+
+// Task fields the activity log does not record: bookkeeping and immutable ones
+const UNTRACKED_FIELDS = ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+
+let workflow = null;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Check a workflow definition, throwing on the first problem so a bad
+ * TASK_WORKFLOW_FILE stops the server instead of locking tasks in place.
+ */
+function validateWorkflow(definition) {
+  const statuses = Object.keys(definition?.transitions || {});
+  if (statuses.length === 0) throw new Error('Task workflow defines no statuses');
+  if (!statuses.includes(definition.initial)) {
+    throw new Error(`Task workflow initial status "${definition.initial}" is not defined`);
+  }
+
+  for (const [from, targets] of Object.entries(definition.transitions)) {
+    if (!Array.isArray(targets)) throw new Error(`Task workflow transitions of "${from}" must be a list`);
+    const unknown = targets.find(to => !statuses.includes(to));
+    if (unknown) throw new Error(`Task workflow moves "${from}" to undefined status "${unknown}"`);
+  }
+
+  const unknownClosed = (definition.closed || []).find(status => !statuses.includes(status));
+  if (unknownClosed) throw new Error(`Task workflow closed status "${unknownClosed}" is not defined`);
+
+  for (const [key, roles] of Object.entries(definition.guards || {})) {
+    const [from, to] = key.split('->');
+    if (![from, to].every(status => status === '*' || statuses.includes(status))) {
+      throw new Error(`Task workflow guard "${key}" does not name a "from->to" move`);
+    }
+    if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+      throw new Error(`Task workflow guard "${key}" must list roles from: ${ROLES.join(', ')}`);
+    }
+  }
+
+  return {
+    initial: definition.initial,
+    statuses,
+    closed: definition.closed || [],
+    transitions: definition.transitions,
+    guards: definition.guards || {}
+  };
+}
+
+/**
+ * The active workflow: DEFAULT_WORKFLOW, or the JSON file named by
+ * TASK_WORKFLOW_FILE. Loaded once and validated.
+ */
+export function getWorkflow() {
+  if (!workflow) {
+    const file = process.env.TASK_WORKFLOW_FILE;
+    workflow = validateWorkflow(file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_WORKFLOW);
+  }
+  return workflow;
+}
+
+export function isClosedStatus(status) {
+  return getWorkflow().closed.includes(status);
+}
+
+/**
+ * Roles allowed to move a task from `from` to `to`, or null when any role may.
+ * The most specific guard wins.
+ */
+function guardRoles(from, to) {
+  const { guards } = getWorkflow();
+  return guards[`${from}->${to}`] || guards[`*->${to}`] || guards[`${from}->*`] || null;
+}
+
+/**
+ * Statuses the user may move the task to next.
+ */
+export function allowedTransitions(task, user) {
+  const targets = getWorkflow().transitions[task.status] || [];
+  return targets.filter(to => {
+    const roles = guardRoles(task.status, to);
+    return !roles || roles.includes(user.role);
+  });
+}
+
+/**
+ * Throw a 400/409/403 error unless the user may move the task to `to`.
+ */
+function assertTransition(task, to, user) {
+  const { statuses, transitions } = getWorkflow();
+  if (!statuses.includes(to)) {
+    throw httpError(400, `Valid status is required (${statuses.join(', ')})`);
+  }
+  if (!(transitions[task.status] || []).includes(to)) {
+    throw httpError(409, `Cannot move a task from ${task.status} to ${to}`);
+  }
+  const roles = guardRoles(task.status, to);
+  if (roles && !roles.includes(user.role)) {
+    throw httpError(403, `Only ${roles.join(', ')} may move a task from ${task.status} to ${to}`);
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function recordActivity(taskId, user, action, changes = [], comment = null) {
+  return taskActivityRepository.insert({
+    id: uuidv4(),
+    taskId,
+    action,
+    changes,
+    comment,
+    by: user.username,
+    at: new Date().toISOString()
+  });
+}
+
+export function recordTaskCreated(task, user) {
+  return recordActivity(task.id, user, 'created');
+}
+
+/**
+ * Apply `fields` to a task, moving its status through the workflow, and log
+ * every changed field with its old and new value. Throws an error with a
+ * status when the status change is not allowed. `action` overrides the logged
+ * action, e.g. "escalated". Returns the updated task and the names of the
+ * fields that changed.
+ */
+export function updateTask(task, fields, user, { comment = null, action = null } = {}) {
+  if ('status' in fields && fields.status !== task.status) {
+    assertTransition(task, fields.status, user);
+  }
+
+  const changes = Object.entries(fields)
+    .filter(([field, value]) => !UNTRACKED_FIELDS.includes(field) && !sameValue(task[field], value))
+    .map(([field, value]) => ({ field, from: task[field] ?? null, to: value ?? null }));
+  if (changes.length === 0) return { task, changed: [] };
+
+  const updated = tasksRepository.update(task.id, {
+    ...Object.fromEntries(changes.map(change => [change.field, change.to])),
+    updatedAt: new Date().toISOString(),
+    updatedBy: user.username
+  });
+  const defaultAction = changes.some(change => change.field === 'status') ? 'status-changed' : 'updated';
+  recordActivity(task.id, user, action || defaultAction, changes, comment);
+
+  return { task: updated, changed: changes.map(change => change.field) };
+}
+
+/**
+ * Activity log of a task, oldest first.
+ */
+export function taskHistory(taskId) {
+  return taskActivityRepository.list()
+    .filter(entry => entry.taskId === taskId)
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+/**
+ * Activity entries of one kind across all tasks, e.g. every escalation.
+ */
+export function activityOfType(action) {
+  return taskActivityRepository.list().filter(entry => entry.action === action);
+}
+
+/**
+ * Drop the activity log of a deleted task.
+ */
+export function removeTaskHistory(taskId) {
+  taskActivityRepository.removeWhere(entry => entry.taskId === taskId);
+}
@@ -0,0 +1,37 @@
+/**
+ * Split text into overlapping chunks of roughly `size` characters.
+ * Chunk ends are pulled back to a paragraph or sentence boundary when one is
+ * found in the last fifth of the window, so chunks rarely cut mid-sentence.
+ * Returns [{ index, start, end, text }] with offsets into the original text.
+ */
+export function chunkText(text, { size = 12000, overlap = 800 } = {}) {
+  if (!text) return [];
+  if (overlap >= size) {
+    throw new Error('Chunk overlap must be smaller than chunk size');
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+
+    if (end < text.length) {
+      const window = text.slice(start + Math.floor(size * 0.8), end);
+      const paragraph = window.lastIndexOf('\n\n');
+      const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'));
+      const boundary = paragraph !== -1 ? paragraph + 2 : sentence !== -1 ? sentence + 2 : -1;
+      if (boundary !== -1) {
+        end = start + Math.floor(size * 0.8) + boundary;
+      }
+    }
+
+    chunks.push({ index: chunks.length, start, end, text: text.slice(start, end) });
+
+    if (end >= text.length) break;
+    // Never step back: a boundary pulled in by more than the overlap would repeat chunks forever
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
@@ -0,0 +1,81 @@
+import { splitSentences } from './aiProviders/ruleBased.js';
+
+// Larger LCS tables than this (sentences before x after) fall back to a set difference
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Whitespace-normalized sentences of `text`, never spanning a line break:
+ * revised SOPs often change a single list item that has no full stop.
+ */
+function segments(text) {
+  return String(text || '').split(/\r?\n/).flatMap(line => splitSentences(line));
+}
+
+function longestCommonSubsequenceDiff(before, after) {
+  const rows = before.length;
+  const cols = after.length;
+  const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[i][j] = before[i] === after[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let unchanged = 0;
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      unchanged++;
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      removed.push(before[i++]);
+    } else {
+      added.push(after[j++]);
+    }
+  }
+  removed.push(...before.slice(i));
+  added.push(...after.slice(j));
+  return { added, removed, unchanged };
+}
+
+/**
+ * Sentence-level diff of two texts. Returns { added, removed, unchanged }
+ * where added/removed list the sentences in document order and unchanged
+ * counts the sentences both versions share.
+ */
+export function diffSentences(oldText, newText) {
+  const before = segments(oldText);
+  const after = segments(newText);
+
+  // Revisions usually touch a few places; trim the shared head and tail first
+  let head = 0;
+  while (head < before.length && head < after.length && before[head] === after[head]) head++;
+  let beforeEnd = before.length;
+  let afterEnd = after.length;
+  while (beforeEnd > head && afterEnd > head && before[beforeEnd - 1] === after[afterEnd - 1]) {
+    beforeEnd--;
+    afterEnd--;
+  }
+  const shared = head + (before.length - beforeEnd);
+  const middleBefore = before.slice(head, beforeEnd);
+  const middleAfter = after.slice(head, afterEnd);
+
+  if (middleBefore.length * middleAfter.length > MAX_LCS_CELLS) {
+    const beforeSet = new Set(middleBefore);
+    const afterSet = new Set(middleAfter);
+    return {
+      added: middleAfter.filter(sentence => !beforeSet.has(sentence)),
+      removed: middleBefore.filter(sentence => !afterSet.has(sentence)),
+      unchanged: shared + middleAfter.filter(sentence => beforeSet.has(sentence)).length
+    };
+  }
+
+  const diff = longestCommonSubsequenceDiff(middleBefore, middleAfter);
+  return { ...diff, unchanged: shared + diff.unchanged };
+}
@@ -0,0 +1,245 @@
+/**
+ * Tokenizer shared by indexing and querying, so both sides normalize the
+ * same way. English words are lower-cased, stop-word filtered and Porter
+ * stemmed; Malayalam words are normalized (chillu forms, zero-width joiners)
+ * and lightly stripped of common case suffixes.
+ */
+
+// Letters, combining marks (Malayalam vowel signs, virama) and digits; ZWJ/ZWNJ
+// occur inside Malayalam words and must not split them
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}\u200C\u200D]+/gu;
+const MALAYALAM = /[\u0D00-\u0D7F]/;
+const LATIN = /^[a-z]+$/;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'has', 'have',
+  'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'there',
+  'these', 'this', 'those', 'to', 'was', 'were', 'which', 'will', 'with'
+]);
+
+// Old-style chillu spellings (consonant + virama + ZWJ) and their atomic forms
+const CHILLU_FORMS = [
+  ['ണ്\u200D', 'ൺ'],
+  ['ന്\u200D', 'ൻ'],
+  ['ര്\u200D', 'ർ'],
+  ['ല്\u200D', 'ൽ'],
+  ['ള്\u200D', 'ൾ'],
+  ['ക്\u200D', 'ൿ']
+];
+
+// Common inflectional suffixes (plural, genitive, locative, dative...), longest first
+const MALAYALAM_SUFFIXES = [
+  'ങ്ങളുടെ', 'ങ്ങളിലെ', 'ങ്ങളിൽ', 'ങ്ങളെ', 'ങ്ങൾ',
+  'ുകളുടെ', 'ുകളിൽ', 'ുകളെ', 'ുകൾ',
+  'കളുടെ', 'കളിലെ', 'കളിൽ', 'കളെ', 'കൾ',
+  'ിലേക്ക്', 'ത്തിന്റെ', 'ത്തിൽ', 'ത്തിന്', 'ത്തെ',
+  'ിന്റെ', 'ന്റെ', 'യുടെ', 'ുടെ', 'യിൽ', 'ിൽ', 'ിലെ',
+  'യ്ക്ക്', 'ക്ക്', 'ിന്', 'ോട്', 'യെ', 'ും'
+].sort((a, b) => b.length - a.length);
+
+const MIN_MALAYALAM_STEM = 2;
+
+function normalizeMalayalam(word) {
+  let normalized = word;
+  for (const [legacy, atomic] of CHILLU_FORMS) {
+    normalized = normalized.split(legacy).join(atomic);
+  }
+  return normalized.replace(/[\u200C\u200D]/g, '');
+}
+
+export function stemMalayalam(word) {
+  for (const suffix of MALAYALAM_SUFFIXES) {
+    if (word.endsWith(suffix) && [...word].length - [...suffix].length >= MIN_MALAYALAM_STEM) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Porter (1980) stemmer, following the reference implementation. `b` always
+ * holds the current word and `k` its last index; `j` marks the end of the
+ * stem matched by the last successful ends() call.
+ */
+export function stemEnglish(word) {
+  if (word.length <= 2) return word;
+
+  let b = word;
+  let k = b.length - 1;
+  let j = 0;
+
+  const truncate = () => { b = b.slice(0, k + 1); };
+  const cons = (i) => {
+    const ch = b[i];
+    if ('aeiou'.includes(ch)) return false;
+    if (ch === 'y') return i === 0 ? true : !cons(i - 1);
+    return true;
+  };
+  // Number of consonant-vowel sequences in b[0..j]
+  const measure = () => {
+    let n = 0;
+    let i = 0;
+    for (;;) {
+      if (i > j) return n;
+      if (!cons(i)) break;
+      i++;
+    }
+    i++;
+    for (;;) {
+      for (;;) {
+        if (i > j) return n;
+        if (cons(i)) break;
+        i++;
+      }
+      i++;
+      n++;
+      for (;;) {
+        if (i > j) return n;
+        if (!cons(i)) break;
+        i++;
+      }
+      i++;
+    }
+  };
+  const vowelInStem = () => {
+    for (let i = 0; i <= j; i++) if (!cons(i)) return true;
+    return false;
+  };
+  const doubleConsonant = (i) => i >= 1 && b[i] === b[i - 1] && cons(i);
+  const cvc = (i) => {
+    if (i < 2 || !cons(i) || cons(i - 1) || !cons(i - 2)) return false;
+    return !'wxy'.includes(b[i]);
+  };
+  const ends = (s) => {
+    if (s.length > k + 1 || !b.endsWith(s)) return false;
+    j = k - s.length;
+    return true;
+  };
+  const setTo = (s) => {
+    b = b.slice(0, j + 1) + s;
+    k = b.length - 1;
+  };
+  const replaceIfMeasured = (s) => {
+    if (measure() > 0) setTo(s);
+  };
+
+  // Step 1ab: plurals and -ed / -ing
+  if (b[k] === 's') {
+    if (ends('sses')) { k -= 2; truncate(); }
+    else if (ends('ies')) setTo('i');
+    else if (b[k - 1] !== 's') { k--; truncate(); }
+  }
+  if (ends('eed')) {
+    if (measure() > 0) { k--; truncate(); }
+  } else if ((ends('ed') || ends('ing')) && vowelInStem()) {
+    k = j;
+    truncate();
+    if (ends('at')) setTo('ate');
+    else if (ends('bl')) setTo('ble');
+    else if (ends('iz')) setTo('ize');
+    else if (doubleConsonant(k)) {
+      k--;
+      if ('lsz'.includes(b[k])) k++;
+      truncate();
+    } else if (measure() === 1 && cvc(k)) setTo('e');
+  }
+
+  // Step 1c: terminal y -> i when there is another vowel in the stem
+  if (ends('y') && vowelInStem()) {
+    b = b.slice(0, k) + 'i';
+  }
+
+  // Step 2: double suffixes to single ones
+  const step2 = {
+    a: [['ational', 'ate'], ['tional', 'tion']],
+    c: [['enci', 'ence'], ['anci', 'ance']],
+    e: [['izer', 'ize']],
+    l: [['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous']],
+    o: [['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate']],
+    s: [['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous']],
+    t: [['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble']],
+    g: [['logi', 'log']]
+  };
+  for (const [suffix, replacement] of step2[b[k - 1]] || []) {
+    if (ends(suffix)) { replaceIfMeasured(replacement); break; }
+  }
+
+  // Step 3: -ic-, -full, -ness etc.
+  const step3 = {
+    e: [['icate', 'ic'], ['ative', ''], ['alize', 'al']],
+    i: [['iciti', 'ic']],
+    l: [['ical', 'ic'], ['ful', '']],
+    s: [['ness', '']]
+  };
+  for (const [suffix, replacement] of step3[b[k]] || []) {
+    if (ends(suffix)) { replaceIfMeasured(replacement); break; }
+  }
+
+  // Step 4: drop -ant, -ence etc. in context <c>vcvc<v>
+  const step4 = {
+    a: ['al'],
+    c: ['ance', 'ence'],
+    e: ['er'],
+    i: ['ic'],
+    l: ['able', 'ible'],
+    n: ['ant', 'ement', 'ment', 'ent'],
+    o: ['ion', 'ou'],
+    s: ['ism'],
+    t: ['ate', 'iti'],
+    u: ['ous'],
+    v: ['ive'],
+    z: ['ize']
+  };
+  const matched = (step4[b[k - 1]] || []).some(suffix =>
+    ends(suffix) && (suffix !== 'ion' || (j >= 0 && 'st'.includes(b[j])))
+  );
+  if (matched && measure() > 1) {
+    k = j;
+    truncate();
+  }
+
+  // Step 5: remove final -e and reduce -ll
+  j = k;
+  if (b[k] === 'e') {
+    const m = measure();
+    if (m > 1 || (m === 1 && !cvc(k - 1))) { k--; truncate(); }
+  }
+  if (b[k] === 'l' && doubleConsonant(k) && measure() > 1) {
+    k--;
+    truncate();
+  }
+
+  return b;
+}
+
+function normalizeWord(raw) {
+  const word = raw.normalize('NFC').toLowerCase();
+
+  if (MALAYALAM.test(word)) {
+    return stemMalayalam(normalizeMalayalam(word));
+  }
+  if (LATIN.test(word)) {
+    if (word.length < 2 || STOP_WORDS.has(word)) return null;
+    return stemEnglish(word);
+  }
+  // Numbers, codes (e.g. "sop2024") and other scripts are kept verbatim
+  return word.replace(/[\u200C\u200D]/g, '') || null;
+}
+
+/**
+ * Split text into index terms with their character offsets in `text`.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    const term = normalizeWord(match[0]);
+    if (term) {
+      tokens.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+}
+
+export function terms(text) {
+  return tokenize(text).map(token => token.term);
+}
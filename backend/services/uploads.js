@@ -0,0 +1,29 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import multer from 'multer';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Directory holding uploaded files, email attachments and files expanded
+ * from archives. UPLOAD_DIR is resolved against the backend folder rather
+ * than the working directory, so the upload routes, the library and garbage
+ * collection agree on it wherever the server is started from. Resolved on
+ * use so UPLOAD_DIR from .env is honoured (server.js loads dotenv after imports).
+ */
+export function uploadsDir() {
+  return path.resolve(__dirname, '..', process.env.UPLOAD_DIR || 'uploads');
+}
+
+/**
+ * Multer storage writing into uploadsDir() under random names, like
+ * multer's `dest` option.
+ */
+export const uploadStorage = multer.diskStorage({
+  destination(req, file, cb) {
+    const dir = uploadsDir();
+    fs.promises.mkdir(dir, { recursive: true }).then(() => cb(null, dir), cb);
+  }
+});
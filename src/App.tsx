@@ -16,6 +16,8 @@ import Analytics from "./pages/Analytics";
 import Settings from "./pages/Settings";
 import FAQ from "./pages/FAQ";
 import NotFound from "./pages/NotFound";
+import Login from "./pages/Login";
+import { RequireAuth } from "./components/RequireAuth";
 
 const queryClient = new QueryClient();
 
@@ -29,14 +31,15 @@ const App = () => (
           <Route path="/" element={<Index />} />
             <Route path="/features" element={<Features />} />
             <Route path="/solutions" element={<Solutions />} />
-            <Route path="/dashboard" element={<Dashboard />} />
-            <Route path="/documents" element={<Documents />} />
-            <Route path="/documents/:id" element={<DocumentViewer />} />
-            <Route path="/analytics" element={<Analytics />} />
-            <Route path="/settings" element={<Settings />} />
+            <Route path="/dashboard" element={<RequireAuth><Dashboard /></RequireAuth>} />
+            <Route path="/documents" element={<RequireAuth><Documents /></RequireAuth>} />
+            <Route path="/documents/:id" element={<RequireAuth><DocumentViewer /></RequireAuth>} />
+            <Route path="/analytics" element={<RequireAuth><Analytics /></RequireAuth>} />
+            <Route path="/settings" element={<RequireAuth><Settings /></RequireAuth>} />
             <Route path="/faq" element={<FAQ />} />
             <Route path="/contact" element={<Contact />} />
             <Route path="/about" element={<About />} />
+            <Route path="/login" element={<Login />} />
             {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
             <Route path="*" element={<NotFound />} />
           </Routes>
@@ -1,4 +1,4 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
@@ -7,6 +7,8 @@ import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Progress } from '@/components/ui/progress';
 import { Separator } from '@/components/ui/separator';
 import { ScrollArea } from '@/components/ui/scroll-area';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
 import {
   Brain,
   FileText,
@@ -20,14 +22,23 @@ import {
   Sparkles,
   Zap,
   Download,
-  Plus
+  Plus,
+  Languages,
+  Check,
+  X,
+  Quote
 } from 'lucide-react';
 import { useAISummarization } from '@/hooks/useAISummarization';
+import { DOCUMENT_FILE_ACCEPT } from '@/services/documentService';
 
 const AISummarizationPanel = ({ onTasksCreated }) => {
   const [inputType, setInputType] = useState('text'); // 'text' or 'file'
   const [textInput, setTextInput] = useState('');
   const [selectedFile, setSelectedFile] = useState(null);
+  const [bilingual, setBilingual] = useState(false);
+  // Suggested tasks are only created once a reviewer accepts them
+  const [decisions, setDecisions] = useState<Record<number, 'accepted' | 'rejected'>>({});
+  const [skippedCount, setSkippedCount] = useState(0);
   const fileInputRef = useRef(null);
 
   const {
@@ -38,22 +49,44 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
     summarizeText,
     summarizeDocument,
     summarizeWithKMRLContext,
+    createTasksFromActionItems,
     clearError,
     clearSummary
   } = useAISummarization();
 
+  useEffect(() => {
+    setDecisions({});
+    setSkippedCount(0);
+  }, [summary]);
+
+  const acceptedItems = (summary?.actionItems || []).filter((_, index) => decisions[index] === 'accepted');
+
+  const setDecision = (index, decision) => {
+    setDecisions((prev) => ({ ...prev, [index]: prev[index] === decision ? undefined : decision }));
+  };
+
+  const handleCreateTasks = async () => {
+    try {
+      const result = await createTasksFromActionItems(acceptedItems);
+      // Items repeating an open task come back with that task's id
+      setSkippedCount(result.skipped?.filter((item) => item.taskId).length || 0);
+      if (onTasksCreated && result.tasks?.length > 0) {
+        onTasksCreated(result.tasks);
+      }
+    } catch (err) {
+      console.error('Task creation failed:', err);
+    }
+  };
+
   const handleTextSummarize = async () => {
     if (!textInput.trim()) return;
     
     try {
       await summarizeWithKMRLContext(textInput, {
         documentType: 'Manual Input',
-        priority: 'medium'
-      });
-      
-      if (onTasksCreated && createdTasks.length > 0) {
-        onTasksCreated(createdTasks);
-      }
+        priority: 'medium',
+        bilingual
+      }, false);
     } catch (err) {
       console.error('Summarization failed:', err);
     }
@@ -66,12 +99,9 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
       await summarizeWithKMRLContext(selectedFile, {
         documentType: selectedFile.type,
         fileName: selectedFile.name,
-        priority: 'medium'
-      });
-      
-      if (onTasksCreated && createdTasks.length > 0) {
-        onTasksCreated(createdTasks);
-      }
+        priority: 'medium',
+        bilingual
+      }, false);
     } catch (err) {
       console.error('Document summarization failed:', err);
     }
@@ -144,6 +174,14 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
             </Button>
           </div>
 
+          <div className="flex items-center justify-between">
+            <Label htmlFor="bilingual-summary" className="flex items-center gap-2 text-sm">
+              <Languages className="h-4 w-4 text-green-600" />
+              Summary in English and Malayalam
+            </Label>
+            <Switch id="bilingual-summary" checked={bilingual} onCheckedChange={setBilingual} />
+          </div>
+
           {/* Text Input */}
           {inputType === 'text' && (
             <div className="space-y-4">
@@ -192,7 +230,7 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
                   <div className="space-y-2">
                     <p className="text-sm font-medium">Click to upload document</p>
                     <p className="text-xs text-muted-foreground">
-                      PDF, Word, Excel, PowerPoint, or Text files
+                      PDF, Office, OpenDocument, RTF, HTML, email, CSV, ZIP or scanned image files
                     </p>
                   </div>
                 )}
@@ -202,7 +240,7 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
                 ref={fileInputRef}
                 type="file"
                 className="hidden"
-                accept=".pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.txt"
+                accept={DOCUMENT_FILE_ACCEPT}
                 onChange={handleFileSelect}
               />
               
@@ -317,6 +355,41 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
               </div>
             )}
 
+            {/* Translations of the executive summary and key points */}
+            {summary.bilingual && ['English', 'Malayalam']
+              .filter((language) => language !== summary.language)
+              .map((language) => {
+                const version = summary.bilingual[language];
+                return (
+                  <div key={language}>
+                    <Separator className="mb-6" />
+                    <h4 className="font-semibold mb-2 flex items-center gap-2">
+                      <Languages className="h-4 w-4 text-green-600" />
+                      {language === 'Malayalam' ? 'മലയാളം സംഗ്രഹം' : 'English Summary'}
+                    </h4>
+                    {version ? (
+                      <>
+                        <p className="text-muted-foreground leading-relaxed mb-3">
+                          {version.executiveSummary}
+                        </p>
+                        <ul className="space-y-2">
+                          {version.keyPoints.map((point, index) => (
+                            <li key={index} className="flex items-start gap-2 text-sm">
+                              <CheckCircle className="h-4 w-4 text-green-500 mt-0.5 flex-shrink-0" />
+                              <span>{point}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    ) : (
+                      <p className="text-sm text-muted-foreground">
+                        {language} translation unavailable{summary._meta?.translation?.error ? `: ${summary._meta.translation.error}` : ''}
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+
             {/* Action Items */}
             {summary.actionItems && summary.actionItems.length > 0 && (
               <>
@@ -324,7 +397,7 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
                 <div>
                   <h4 className="font-semibold mb-3 flex items-center gap-2">
                     <Clock className="h-4 w-4 text-orange-600" />
-                    Action Items
+                    Suggested Tasks
                     {createdTasks.length > 0 && (
                       <Badge className="bg-green-100 text-green-800">
                         {createdTasks.length} tasks created
@@ -333,13 +406,54 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
                   </h4>
                   <div className="space-y-3">
                     {summary.actionItems.map((item, index) => (
-                      <div key={index} className="bg-muted/50 p-4 rounded-lg">
-                        <div className="flex items-center justify-between mb-2">
+                      <div
+                        key={index}
+                        className={`bg-muted/50 p-4 rounded-lg border ${
+                          decisions[index] === 'accepted'
+                            ? 'border-green-300'
+                            : decisions[index] === 'rejected'
+                              ? 'border-transparent opacity-50'
+                              : 'border-transparent'
+                        }`}
+                      >
+                        <div className="flex items-center justify-between gap-2 mb-2">
                           <span className="font-medium">{item.task}</span>
-                          <Badge variant={getPriorityColor(item.priority) as any} className="text-xs">
-                            {item.priority}
-                          </Badge>
+                          <div className="flex items-center gap-1 flex-shrink-0">
+                            <Badge variant={getPriorityColor(item.priority) as any} className="text-xs">
+                              {item.priority}
+                            </Badge>
+                            <Button
+                              variant={decisions[index] === 'accepted' ? 'default' : 'ghost'}
+                              size="sm"
+                              className="h-7 w-7 p-0"
+                              title="Accept"
+                              onClick={() => setDecision(index, 'accepted')}
+                            >
+                              <Check className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              variant={decisions[index] === 'rejected' ? 'destructive' : 'ghost'}
+                              size="sm"
+                              className="h-7 w-7 p-0"
+                              title="Reject"
+                              onClick={() => setDecision(index, 'rejected')}
+                            >
+                              <X className="h-4 w-4" />
+                            </Button>
+                          </div>
                         </div>
+                        {item.source && (
+                          <blockquote className="flex items-start gap-2 mb-2 pl-2 border-l-2 border-orange-300 text-sm italic text-muted-foreground">
+                            <Quote className="h-3 w-3 mt-1 flex-shrink-0" />
+                            <span>
+                              {item.source.excerpt}
+                              {item.source.page && <span className="not-italic"> (p. {item.source.page})</span>}
+                              {item.source.match === 'approximate' && (
+                                <span className="not-italic"> · closest passage</span>
+                              )}
+                            </span>
+                          </blockquote>
+                        )}
                         <div className="flex items-center gap-4 text-sm text-muted-foreground">
                           {item.deadline && (
                             <div className="flex items-center gap-1">
@@ -353,7 +467,7 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
                               {item.department}
                             </div>
                           )}
-                          {item.estimatedHours && (
+                          {item.estimatedHours > 0 && (
                             <div className="flex items-center gap-1">
                               <User className="h-3 w-3" />
                               {item.estimatedHours}h estimated
@@ -363,6 +477,17 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
                       </div>
                     ))}
                   </div>
+                  <div className="flex items-center justify-between mt-4">
+                    <span className="text-sm text-muted-foreground">
+                      {skippedCount > 0
+                        ? `${skippedCount} skipped: already an open task`
+                        : `${acceptedItems.length} of ${summary.actionItems.length} accepted`}
+                    </span>
+                    <Button onClick={handleCreateTasks} disabled={isLoading || acceptedItems.length === 0}>
+                      <Plus className="h-4 w-4 mr-2" />
+                      Create {acceptedItems.length} {acceptedItems.length === 1 ? 'Task' : 'Tasks'}
+                    </Button>
+                  </div>
                 </div>
               </>
             )}
@@ -436,7 +561,7 @@ const AISummarizationPanel = ({ onTasksCreated }) => {
           <CardHeader>
             <CardTitle className="flex items-center gap-2">
               <Plus className="h-5 w-5 text-green-600" />
-              Automatically Created Tasks
+              Created Tasks
               <Badge className="bg-green-100 text-green-800">
                 {createdTasks.length} tasks
               </Badge>
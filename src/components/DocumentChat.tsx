@@ -0,0 +1,158 @@
+import { useState, useRef, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { MessageSquare, Send, RefreshCw, FileText, AlertCircle } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { aiService, type AICitation } from "@/services/aiService";
+
+interface ChatMessage {
+  role: "user" | "assistant";
+  text: string;
+  citations?: AICitation[];
+  error?: boolean;
+}
+
+interface DocumentChatProps {
+  // When set, questions can be limited to this document
+  documentId?: string;
+  className?: string;
+}
+
+/**
+ * Ask questions answered from the document library, with the cited passages
+ * listed under each answer.
+ */
+export const DocumentChat = ({ documentId, className }: DocumentChatProps) => {
+  const navigate = useNavigate();
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [question, setQuestion] = useState("");
+  const [isAsking, setIsAsking] = useState(false);
+  const [onlyThisDocument, setOnlyThisDocument] = useState(Boolean(documentId));
+  const bottomRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages]);
+
+  const handleAsk = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const text = question.trim();
+    if (!text || isAsking) return;
+
+    setMessages(prev => [...prev, { role: "user", text }]);
+    setQuestion("");
+    setIsAsking(true);
+
+    try {
+      const response = await aiService.ask(text, documentId && onlyThisDocument ? [documentId] : undefined);
+      setMessages(prev => [...prev, { role: "assistant", text: response.answer, citations: response.citations }]);
+    } catch (error) {
+      setMessages(prev => [...prev, {
+        role: "assistant",
+        text: error instanceof Error ? error.message : "Failed to answer question",
+        error: true
+      }]);
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  return (
+    <Card className={className}>
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center justify-between text-lg">
+          <div className="flex items-center">
+            <MessageSquare className="w-5 h-5 text-primary mr-2" />
+            Ask the Library
+          </div>
+          <Badge variant="outline" className="text-xs">Cited answers</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {documentId && (
+          <div className="flex items-center justify-between">
+            <Label htmlFor="only-this-document" className="text-xs text-muted-foreground">
+              Only search this document
+            </Label>
+            <Switch
+              id="only-this-document"
+              checked={onlyThisDocument}
+              onCheckedChange={setOnlyThisDocument}
+            />
+          </div>
+        )}
+
+        <ScrollArea className="h-64 pr-2">
+          {messages.length === 0 ? (
+            <div className="text-xs text-muted-foreground text-center py-8">
+              Ask about circulars, reports or procedures, e.g. "What does the latest fire-safety circular say about platform screen doors?"
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {messages.map((message, index) => (
+                <div key={index} className={message.role === "user" ? "text-right" : ""}>
+                  <div
+                    className={`inline-block max-w-full rounded-lg px-3 py-2 text-sm text-left ${
+                      message.role === "user"
+                        ? "bg-primary text-primary-foreground"
+                        : message.error
+                          ? "bg-destructive/10 text-destructive"
+                          : "bg-muted"
+                    }`}
+                  >
+                    {message.error && <AlertCircle className="w-3 h-3 inline mr-1" />}
+                    {message.text}
+                  </div>
+                  {message.citations && message.citations.length > 0 && (
+                    <div className="mt-2 space-y-1">
+                      {message.citations.map(citation => (
+                        <div
+                          key={citation.marker}
+                          className="p-2 text-xs bg-accent rounded hover:bg-accent/80 cursor-pointer transition-colors"
+                          onClick={() => navigate(`/documents/${citation.documentId}`)}
+                        >
+                          <div className="flex items-center font-medium">
+                            <Badge variant="secondary" className="text-[10px] mr-2">{citation.marker}</Badge>
+                            <FileText className="w-3 h-3 mr-1 text-primary" />
+                            <span className="truncate">{citation.title}</span>
+                          </div>
+                          <p className="mt-1 text-muted-foreground line-clamp-2">{citation.excerpt}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+              {isAsking && (
+                <div className="flex items-center text-xs text-muted-foreground">
+                  <RefreshCw className="w-3 h-3 mr-2 animate-spin" />
+                  Searching documents...
+                </div>
+              )}
+              <div ref={bottomRef} />
+            </div>
+          )}
+        </ScrollArea>
+
+        <form onSubmit={handleAsk} className="flex gap-2">
+          <Input
+            placeholder="Ask a question..."
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            disabled={isAsking}
+          />
+          <Button type="submit" size="icon" disabled={isAsking || !question.trim()}>
+            <Send className="w-4 h-4" />
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DocumentChat;
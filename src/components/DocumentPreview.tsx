@@ -0,0 +1,157 @@
+import { useState, useEffect } from "react";
+import { ChevronLeft, ChevronRight, FileText, AlertCircle, RefreshCw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { documentService, type DocumentPreview as DocumentPreviewData } from "@/services/documentService";
+
+interface DocumentPreviewProps {
+  documentId: string;
+  // Percent; 100 fits the page to the panel width
+  zoom?: number;
+  // Degrees, applied to page images and pictures
+  rotation?: number;
+}
+
+// Word and Excel HTML from the backend carries no styling of its own
+const HTML_STYLES =
+  "text-sm [&_h1]:text-xl [&_h1]:font-semibold [&_h2]:text-lg [&_h2]:font-semibold [&_p]:mb-2 " +
+  "[&_ul]:list-disc [&_ul]:pl-6 [&_ol]:list-decimal [&_ol]:pl-6 [&_a]:text-primary [&_a]:underline " +
+  "[&_table]:border-collapse [&_td]:border [&_td]:px-2 [&_td]:py-1 [&_img]:max-w-full";
+
+/**
+ * The original file of a document: PDF pages as images (or their text),
+ * Word files and workbooks as HTML, plain text and images as-is.
+ */
+export const DocumentPreview = ({ documentId, zoom = 100, rotation = 0 }: DocumentPreviewProps) => {
+  const [preview, setPreview] = useState<DocumentPreviewData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [page, setPage] = useState(1);
+  const [showText, setShowText] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPreview(null);
+    setError(null);
+    setPage(1);
+    documentService
+      .getPreview(documentId)
+      .then((data) => !cancelled && setPreview(data))
+      .catch((err) => !cancelled && setError(err instanceof Error ? err.message : "Failed to load preview"));
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId]);
+
+  if (error) {
+    return (
+      <div className="bg-muted/30 rounded-lg p-8 min-h-[600px] flex flex-col items-center justify-center text-center">
+        <AlertCircle className="h-12 w-12 text-muted-foreground mb-4" />
+        <p className="text-muted-foreground">{error}</p>
+      </div>
+    );
+  }
+
+  if (!preview) {
+    return (
+      <div className="bg-muted/30 rounded-lg p-8 min-h-[600px] flex items-center justify-center">
+        <RefreshCw className="h-8 w-8 text-muted-foreground animate-spin" />
+      </div>
+    );
+  }
+
+  const scale = { fontSize: `${zoom}%` };
+  const imageStyle = { width: `${zoom}%`, transform: `rotate(${rotation}deg)` };
+
+  const renderContent = () => {
+    switch (preview.kind) {
+      case "pdf": {
+        const pageCount = preview.pageCount || 0;
+        const pageText = preview.pages?.find((p) => p.page === page)?.text;
+        return (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <span className="text-sm">
+                  Page {page} of {pageCount}
+                </span>
+                <Button variant="outline" size="sm" disabled={page >= pageCount} onClick={() => setPage(page + 1)}>
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+              <Button variant="ghost" size="sm" onClick={() => setShowText(!showText)}>
+                <FileText className="h-4 w-4 mr-2" />
+                {showText ? "Show page" : "Show text"}
+              </Button>
+            </div>
+            {showText ? (
+              <pre className="whitespace-pre-wrap font-sans text-sm" style={scale}>
+                {pageText || "No text layer on this page (scanned)."}
+              </pre>
+            ) : (
+              <div className="overflow-auto">
+                <img
+                  src={documentService.pageImageUrl(documentId, page)}
+                  alt={`Page ${page} of ${preview.originalName}`}
+                  className="mx-auto bg-white shadow"
+                  style={imageStyle}
+                />
+              </div>
+            )}
+          </div>
+        );
+      }
+      case "html":
+        return <div className={HTML_STYLES} style={scale} dangerouslySetInnerHTML={{ __html: preview.html || "" }} />;
+      case "spreadsheet":
+        return (
+          <Tabs defaultValue={preview.sheets?.[0]?.name}>
+            <TabsList>
+              {preview.sheets?.map((sheet) => (
+                <TabsTrigger key={sheet.name} value={sheet.name}>
+                  {sheet.name}
+                </TabsTrigger>
+              ))}
+            </TabsList>
+            {preview.sheets?.map((sheet) => (
+              <TabsContent key={sheet.name} value={sheet.name} className="overflow-auto">
+                <div className={HTML_STYLES} style={scale} dangerouslySetInnerHTML={{ __html: sheet.html }} />
+              </TabsContent>
+            ))}
+          </Tabs>
+        );
+      case "image":
+        return (
+          <div className="overflow-auto">
+            <img
+              src={documentService.fileUrl(documentId)}
+              alt={preview.originalName}
+              className="mx-auto"
+              style={imageStyle}
+            />
+          </div>
+        );
+      default:
+        return (
+          <pre className="whitespace-pre-wrap font-sans text-sm" style={scale}>
+            {preview.text}
+          </pre>
+        );
+    }
+  };
+
+  return (
+    <div className="bg-muted/30 rounded-lg p-4 min-h-[600px]">
+      {preview.fallback && (
+        <p className="text-xs text-muted-foreground mb-3">
+          The original file could not be rendered; showing the extracted text.
+        </p>
+      )}
+      {renderContent()}
+    </div>
+  );
+};
+
+export default DocumentPreview;
@@ -0,0 +1,182 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+import { History, Upload, RefreshCw, GitCompare, AlertCircle } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { useServerEvents } from "@/hooks/useServerEvents";
+import type { DocumentEventData } from "@/services/eventService";
+import {
+  documentService,
+  DOCUMENT_FILE_ACCEPT,
+  type DocumentChangeSummary,
+  type DocumentVersionHistory,
+} from "@/services/documentService";
+
+interface DocumentVersionsProps {
+  documentId: string;
+  className?: string;
+}
+
+/**
+ * Version history of a document with the AI summary of what changed in each
+ * revision, plus upload of a revised file.
+ */
+export const DocumentVersions = ({ documentId, className }: DocumentVersionsProps) => {
+  const [history, setHistory] = useState<DocumentVersionHistory | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [note, setNote] = useState("");
+  const [isUploading, setIsUploading] = useState(false);
+  const [comparison, setComparison] = useState<DocumentChangeSummary | null>(null);
+  const [comparingVersion, setComparingVersion] = useState<number | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistory(await documentService.getVersions(documentId));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load version history");
+    }
+  }, [documentId]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  // The change summary is generated when the new version finishes processing
+  useServerEvents(["summary-completed", "summary-failed"], (event) => {
+    if ((event.data as DocumentEventData).documentId === documentId) {
+      loadHistory();
+    }
+  });
+
+  const handleFileSelect = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setIsUploading(true);
+    try {
+      await documentService.uploadVersion(documentId, file, note.trim() || undefined);
+      setNote("");
+      await loadHistory();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to upload new version");
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleCompare = async (version: number) => {
+    setComparingVersion(version);
+    try {
+      setComparison(await documentService.compareVersions(documentId, version));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to compare versions");
+    } finally {
+      setComparingVersion(null);
+    }
+  };
+
+  return (
+    <Card className={className}>
+      <CardHeader className="pb-3">
+        <CardTitle className="flex items-center justify-between text-lg">
+          <div className="flex items-center">
+            <History className="w-5 h-5 text-primary mr-2" />
+            Version History
+          </div>
+          {history && (
+            <Badge variant="outline" className="text-xs">v{history.currentVersion}</Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {error && (
+          <div className="flex items-center text-xs text-destructive">
+            <AlertCircle className="w-3 h-3 mr-1" />
+            {error}
+          </div>
+        )}
+
+        <ScrollArea className="h-64 pr-2">
+          <div className="space-y-3">
+            {history?.versions.map((version) => (
+              <div key={version.version} className="p-3 bg-muted/50 rounded-lg text-sm">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2 font-medium">
+                    v{version.version}
+                    {version.current && <Badge className="text-[10px]">Current</Badge>}
+                  </div>
+                  <span className="text-xs text-muted-foreground">
+                    {new Date(version.createdAt).toLocaleDateString("en-IN")}
+                  </span>
+                </div>
+                <p className="text-xs text-muted-foreground truncate">
+                  {version.originalName} • {version.createdBy}
+                </p>
+                {version.versionNote && <p className="text-xs mt-1 italic">{version.versionNote}</p>}
+                {version.changes && (
+                  <p className="mt-2 text-xs whitespace-pre-line">{version.changes.summary}</p>
+                )}
+                {!version.current && history.versions.length > 1 && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="mt-1 h-7 px-2 text-xs"
+                    disabled={comparingVersion !== null}
+                    onClick={() => handleCompare(version.version)}
+                  >
+                    {comparingVersion === version.version ? (
+                      <RefreshCw className="w-3 h-3 mr-1 animate-spin" />
+                    ) : (
+                      <GitCompare className="w-3 h-3 mr-1" />
+                    )}
+                    Compare with current
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        </ScrollArea>
+
+        {comparison && (
+          <div className="p-3 text-xs bg-accent rounded">
+            <div className="font-medium mb-1">
+              Changes from v{comparison.fromVersion} to v{comparison.toVersion}
+              {" "}(+{comparison.stats.added} / -{comparison.stats.removed})
+            </div>
+            <p className="whitespace-pre-line text-muted-foreground">{comparison.summary}</p>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <Input
+            placeholder="What changed? (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            disabled={isUploading}
+          />
+          <Button
+            variant="outline"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isUploading}
+          >
+            {isUploading ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+          </Button>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          className="hidden"
+          accept={DOCUMENT_FILE_ACCEPT}
+          onChange={handleFileSelect}
+        />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default DocumentVersions;
@@ -1,9 +1,13 @@
 import { useState, useEffect } from "react";
-import { Link, useLocation } from "react-router-dom";
-import { Menu, X, User, Bell, Search, FileText, AlertTriangle, Mail } from "lucide-react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { Menu, X, User, Bell, Search, FileText, AlertTriangle, Mail, LogOut, Settings } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import axios from "axios";
+import { useServerEvents } from "@/hooks/useServerEvents";
+import type { DocumentEventData, EmailEventData } from "@/services/eventService";
+import { authHeaders, getStoredUser, ROLE_LABELS } from "@/services/session";
+import { authService } from "@/services/authService";
 import {
   DropdownMenu,
   DropdownMenuContent,
@@ -54,16 +58,22 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [demoNotifications, setDemoNotifications] = useState<Notification[]>([]);
   const location = useLocation();
+  const navigate = useNavigate();
+  const currentUser = getStoredUser();
+  const canManageEmail = currentUser?.role === 'admin';
 
   // Initialize demo notifications
   // Fetch email notifications
   // Start services when component mounts
   useEffect(() => {
+    // Only admins may start mailboxes; everyone else just reads notifications
+    if (!isLoggedIn || !canManageEmail) return;
+
         const startServices = async () => {
       try {
         // Start email service
         console.log('Starting email service...');
-        await axios.post('http://localhost:3001/api/email/start');
+        await axios.post('http://localhost:3001/api/email/start', null, { headers: authHeaders() });
         console.log('Email service started successfully');
 
             // WhatsApp service: disabled in this build to avoid QR/status logs
@@ -83,7 +93,7 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
       }
     };
     startServices();
-  }, []);
+  }, [isLoggedIn, canManageEmail]);
 
   // Fetch notifications
   useEffect(() => {
@@ -91,7 +101,7 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
       try {
       // Fetch email notifications
       console.log('Fetching email notifications...');
-      const emailResponse = await axios.get('http://localhost:3001/api/email/status');
+      const emailResponse = await axios.get('http://localhost:3001/api/email/status', { headers: authHeaders() });
       console.log('Email status response:', emailResponse.data);
 
       // WhatsApp status/fetch is disabled to avoid QR string in logs.
@@ -144,9 +154,9 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
         });
 
         // Check if services need to be started
-        if (!emailResponse.data.status || emailResponse.data.status === 'stopped') {
+        if (canManageEmail && (!emailResponse.data.status || emailResponse.data.status === 'stopped')) {
           console.log('Email service not running, starting it...');
-          await axios.post('http://localhost:3001/api/email/start');
+          await axios.post('http://localhost:3001/api/email/start', null, { headers: authHeaders() });
         }
 
         // WhatsApp service intentionally not started from the client.
@@ -155,17 +165,48 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
       }
     };
 
-    // Initial fetch
-    fetchNotifications();
-
-    // Poll for new notifications every 30 seconds
-    const interval = setInterval(fetchNotifications, 30000);
+    // Initial fetch; later notifications arrive over the event stream
+    if (isLoggedIn) fetchNotifications();
+  }, [isLoggedIn, canManageEmail]);
+
+  // Push new emails and finished/failed document processing into the bell
+  useServerEvents(['email-received', 'summary-completed', 'summary-failed'], (event) => {
+    let notification: Notification;
+
+    if (event.type === 'email-received') {
+      const email = event.data as EmailEventData;
+      notification = {
+        id: email.id,
+        title: email.subject || 'New Email',
+        message: `From: ${email.from?.split('<')[0]?.trim() || 'Unknown'}`,
+        timestamp: new Date(email.timestamp || email.date),
+        type: 'email',
+        read: false,
+        emailData: { ...email, timestamp: email.timestamp || email.date }
+      };
+    } else {
+      const document = event.data as DocumentEventData;
+      const failed = event.type === 'summary-failed';
+      notification = {
+        id: `${event.type}-${event.id}`,
+        title: failed ? `Processing failed: ${document.title}` : `Summary ready: ${document.title}`,
+        message: failed ? document.error || 'Document could not be processed' : `${document.department} · ${document.source}`,
+        timestamp: new Date(event.timestamp),
+        type: failed ? 'alert' : 'document',
+        read: false
+      };
+    }
 
-    return () => clearInterval(interval);
-  }, []);
+    setDemoNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+  });
 
   const toggleMobileMenu = () => setIsMobileMenuOpen(!isMobileMenuOpen);
 
+  const handleLogout = () => {
+    authService.logout();
+    navigate('/login');
+  };
+
   const handleNotificationClick = async (notification: Notification) => {
     // Mark as read in local state
     setDemoNotifications(prev => 
@@ -175,9 +216,11 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
     try {
       switch (notification.type) {
         case 'email':
+          // The server only lets email managers clear notifications
+          if (!canManageEmail) break;
           await axios.post('http://localhost:3001/api/email/clear-notifications', {
             ids: [notification.id]
-          });
+          }, { headers: authHeaders() });
           
           // If notification has attachments, navigate to documents page
           if (notification.emailData?.attachments > 0) {
@@ -214,10 +257,10 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
 
     try {
       // Clear email notifications in backend
-      if (emailIds.length > 0) {
+      if (emailIds.length > 0 && canManageEmail) {
         await axios.post('http://localhost:3001/api/email/clear-notifications', {
           ids: emailIds
-        });
+        }, { headers: authHeaders() });
       }
 
       // Clear WhatsApp notifications in backend
@@ -287,8 +330,8 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
           <div className="hidden md:flex items-center space-x-4">
             {!isLoggedIn ? (
               <>
-                <Button variant="ghost" className="text-foreground hover:text-primary">
-                  Login
+                <Button variant="ghost" className="text-foreground hover:text-primary" asChild>
+                  <Link to="/login">Login</Link>
                 </Button>
                 <Button className="btn-hero">
                   Get Started
@@ -397,12 +440,30 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
                 {/* User Profile */}
                 <div className="flex items-center space-x-2">
                   <div className="text-right hidden lg:block">
-                    <div className="text-sm font-medium text-foreground">Admin User</div>
-                    <div className="text-xs text-muted-foreground">{userRole || "System Administrator"}</div>
+                    <div className="text-sm font-medium text-foreground">{currentUser?.name || "Admin User"}</div>
+                    <div className="text-xs text-muted-foreground">
+                      {currentUser ? `${ROLE_LABELS[currentUser.role]} · ${currentUser.department}` : userRole || "System Administrator"}
+                    </div>
                   </div>
-                  <Button variant="ghost" size="icon" className="relative">
-                    <User className="w-5 h-5" />
-                  </Button>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="ghost" size="icon" className="relative">
+                        <User className="w-5 h-5" />
+                      </Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="end">
+                      <DropdownMenuLabel>{currentUser?.username}</DropdownMenuLabel>
+                      <DropdownMenuSeparator />
+                      <DropdownMenuItem onClick={() => navigate('/settings')}>
+                        <Settings className="w-4 h-4 mr-2" />
+                        Settings
+                      </DropdownMenuItem>
+                      <DropdownMenuItem onClick={handleLogout}>
+                        <LogOut className="w-4 h-4 mr-2" />
+                        Sign out
+                      </DropdownMenuItem>
+                    </DropdownMenuContent>
+                  </DropdownMenu>
                 </div>
               </>
             )}
@@ -438,8 +499,8 @@ export const Navigation = ({ isLoggedIn = false, userRole = "" }: NavigationProp
                     Contact
                   </Link>
                   <div className="pt-4 flex flex-col space-y-2">
-                    <Button variant="ghost" className="text-foreground">
-                      Login
+                    <Button variant="ghost" className="text-foreground" asChild>
+                      <Link to="/login">Login</Link>
                     </Button>
                     <Button className="btn-hero">
                       Get Started
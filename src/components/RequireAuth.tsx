@@ -0,0 +1,12 @@
+import { Navigate, useLocation } from "react-router-dom";
+import { getToken } from "@/services/session";
+
+// Redirects to the login page when there is no session token
+export const RequireAuth = ({ children }: { children: JSX.Element }) => {
+  const location = useLocation();
+
+  if (!getToken()) {
+    return <Navigate to={`/login?next=${encodeURIComponent(location.pathname)}`} replace />;
+  }
+  return children;
+};
@@ -56,7 +56,7 @@ export const DashboardHeader = ({
             <div className="text-xs text-muted-foreground">Documents Today</div>
             <div className="flex items-center justify-center mt-1">
               <TrendingUp className="w-3 h-3 text-success mr-1" />
-              <span className="text-xs text-success">+12%</span>
+              <span className="text-xs text-success">Received</span>
             </div>
           </div>
 
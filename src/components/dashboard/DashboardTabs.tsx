@@ -12,34 +12,27 @@ import type {
   LanguageStats,
   RecentSummary,
   WorkflowMetrics,
-  RoutingRule,
-  ComplianceStats,
-  ComplianceItem,
   EmployeeStats,
 } from "@/types/dashboard";
 
 interface DashboardTabsProps {
   ingestionStats: IngestionStats;
+  onRefreshIngestion: () => Promise<void>;
   aiMetrics: AIProcessingMetrics;
   languageStats: LanguageStats;
   recentSummaries: RecentSummary[];
   workflowMetrics: WorkflowMetrics;
-  routingRules: RoutingRule[];
-  complianceStats: ComplianceStats;
-  upcomingItems: ComplianceItem[];
   processingQueue: number;
   employeeStats: EmployeeStats;
 }
 
 export const DashboardTabs = ({
   ingestionStats,
+  onRefreshIngestion,
   aiMetrics,
   languageStats,
   recentSummaries,
   workflowMetrics,
-  routingRules,
-  complianceStats,
-  upcomingItems,
   processingQueue,
   employeeStats,
 }: DashboardTabsProps) => {
@@ -62,7 +55,7 @@ export const DashboardTabs = ({
       </TabsContent>
 
       <TabsContent value="ingestion">
-        <IngestionTab ingestionStats={ingestionStats} />
+        <IngestionTab ingestionStats={ingestionStats} onRefresh={onRefreshIngestion} />
       </TabsContent>
 
       <TabsContent value="ai-insights">
@@ -74,17 +67,11 @@ export const DashboardTabs = ({
       </TabsContent>
 
       <TabsContent value="workflow">
-        <WorkflowTab
-          workflowMetrics={workflowMetrics}
-          routingRules={routingRules}
-        />
+        <WorkflowTab workflowMetrics={workflowMetrics} />
       </TabsContent>
 
       <TabsContent value="compliance">
-        <ComplianceTab
-          complianceStats={complianceStats}
-          upcomingItems={upcomingItems}
-        />
+        <ComplianceTab />
       </TabsContent>
 
       <TabsContent value="employees">
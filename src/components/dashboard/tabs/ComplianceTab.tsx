@@ -1,5 +1,15 @@
 // src/components/dashboard/tabs/ComplianceTab.tsx
 import { useState, useEffect } from "react";
+import { useServerEvents } from "@/hooks/useServerEvents";
+import {
+  complianceService,
+  type ComplianceObligation,
+  type ComplianceStats,
+  type ObligationPriority,
+  type ObligationRecurrence,
+  type RegulatoryBodyStats,
+  type StatementStatus,
+} from "@/services/complianceService";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Progress } from "@/components/ui/progress";
 import { Badge } from "@/components/ui/badge";
@@ -41,112 +51,61 @@ import {
   BarChart3,
 } from "lucide-react";
 
-interface ComplianceItem {
-  id: string;
-  title: string;
-  description: string;
-  deadline: string;
-  status: "completed" | "in-progress" | "overdue" | "upcoming";
-  progress: number;
-  priority: "high" | "medium" | "low";
-  regulatoryBody: string;
-  assignedTo?: string;
-  lastUpdated?: string;
-  documents?: number;
-}
-
-interface ComplianceTabProps {
-  complianceStats: {
-    complianceRate: number;
-    pendingTasks: number;
-    overdueTasks: number;
-    completedThisMonth: number;
-  };
-  upcomingItems: ComplianceItem[];
-}
-
-export const ComplianceTab = ({
-  complianceStats: initialStats,
-  upcomingItems: initialItems,
-}: ComplianceTabProps) => {
-  // State for dynamic updates
-  const [complianceStats, setComplianceStats] = useState(initialStats);
-  const [upcomingItems, setUpcomingItems] = useState(initialItems);
+type ComplianceItem = ComplianceObligation;
+
+export const ComplianceTab = () => {
+  // The obligation register and its statistics are kept by the backend
+  const [complianceStats, setComplianceStats] = useState<ComplianceStats | null>(null);
+  const [upcomingItems, setUpcomingItems] = useState<ComplianceItem[]>([]);
   const [lastUpdated, setLastUpdated] = useState(new Date());
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [notifications, setNotifications] = useState<string[]>([]);
   const [selectedItem, setSelectedItem] = useState<ComplianceItem | null>(null);
+  const [evidenceDocumentId, setEvidenceDocumentId] = useState("");
   const [isAddingTask, setIsAddingTask] = useState(false);
   const [newTask, setNewTask] = useState({
     title: "",
     description: "",
     deadline: "",
-    priority: "medium" as const,
+    priority: "medium" as ObligationPriority,
     regulatoryBody: "",
+    recurrence: "none" as ObligationRecurrence,
+    keywords: "",
   });
 
-  // Real-time updates simulation
-  useEffect(() => {
-    const interval = setInterval(() => {
-      // Simulate progress updates for in-progress items
-      setUpcomingItems((prev) =>
-        prev.map((item) => {
-          if (item.status === "in-progress") {
-            const newProgress = Math.min(
-              100,
-              item.progress + Math.random() * 2
-            );
-            const updatedItem = {
-              ...item,
-              progress: newProgress,
-              lastUpdated: new Date().toISOString(),
-            };
-
-            // Auto-complete items that reach 100%
-            if (newProgress >= 100) {
-              updatedItem.status = "completed";
-              setNotifications((current) => [
-                ...current,
-                `✅ ${item.title} has been completed!`,
-              ]);
-
-              // Update stats
-              setComplianceStats((stats) => ({
-                ...stats,
-                completedThisMonth: stats.completedThisMonth + 1,
-                pendingTasks: Math.max(0, stats.pendingTasks - 1),
-                complianceRate: Math.min(100, stats.complianceRate + 0.5),
-              }));
-            }
-
-            return updatedItem;
-          }
-          return item;
-        })
-      );
-
-      // Check for approaching deadlines
-      const today = new Date();
-      upcomingItems.forEach((item) => {
-        const deadline = new Date(item.deadline);
-        const daysUntil = Math.ceil(
-          (deadline.getTime() - today.getTime()) / (1000 * 60 * 60 * 24)
-        );
-
-        if (daysUntil === 1 && item.status !== "completed") {
-          setNotifications((current) =>
-            current.includes(`⏰ ${item.title} is due tomorrow!`)
-              ? current
-              : [...current, `⏰ ${item.title} is due tomorrow!`]
-          );
-        }
-      });
+  const loadRegister = async () => {
+    const [{ obligations }, stats] = await Promise.all([
+      complianceService.getObligations(),
+      complianceService.getStats(),
+    ]);
+    setUpcomingItems(obligations);
+    setComplianceStats(stats);
+    setLastUpdated(new Date());
+    return obligations;
+  };
 
-      setLastUpdated(new Date());
-    }, 3000);
+  const reloadStats = () =>
+    complianceService
+      .getStats()
+      .then(setComplianceStats)
+      .catch((error) => console.error("Failed to load compliance statistics:", error));
 
-    return () => clearInterval(interval);
-  }, [upcomingItems]);
+  useEffect(() => {
+    loadRegister()
+      .then((obligations) => {
+        const dueTomorrow = obligations.filter((item) => item.daysLeft === 1);
+        setNotifications((current) => [
+          ...current,
+          ...dueTomorrow.map((item) => `⏰ ${item.title} is due tomorrow!`),
+        ]);
+      })
+      .catch((error) => console.error("Failed to load compliance register:", error));
+  }, []);
+
+  // New summaries may carry compliance statements that change findings
+  useServerEvents(["summary-completed"], () => {
+    loadRegister().catch((error) => console.error("Failed to reload compliance register:", error));
+  });
 
   // Auto-clear notifications
   useEffect(() => {
@@ -187,14 +146,6 @@ export const ComplianceTab = ({
     }
   };
 
-  const getDaysUntilDeadline = (deadline: string) => {
-    const deadlineDate = new Date(deadline);
-    const today = new Date();
-    const diffTime = deadlineDate.getTime() - today.getTime();
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays;
-  };
-
   const getStatusIcon = (status: string) => {
     switch (status) {
       case "completed":
@@ -210,92 +161,144 @@ export const ComplianceTab = ({
     }
   };
 
+  const reportError = (error: unknown, fallback: string) => {
+    const message = error instanceof Error ? error.message : fallback;
+    setNotifications((prev) => [...prev, `❌ ${message}`]);
+  };
+
   const handleRefresh = async () => {
     setIsRefreshing(true);
-    await new Promise((resolve) => setTimeout(resolve, 1500));
-
-    // Simulate slight improvements in compliance rate
-    setComplianceStats((prev) => ({
-      ...prev,
-      complianceRate: Math.min(100, prev.complianceRate + Math.random() * 0.5),
-    }));
-
-    setIsRefreshing(false);
-    setLastUpdated(new Date());
-    setNotifications((prev) => [
-      ...prev,
-      "🔄 Compliance data refreshed successfully",
-    ]);
+    try {
+      await loadRegister();
+      setNotifications((prev) => [
+        ...prev,
+        "🔄 Compliance data refreshed successfully",
+      ]);
+    } catch (error) {
+      reportError(error, "Failed to refresh compliance data");
+    } finally {
+      setIsRefreshing(false);
+    }
   };
 
   const handleAddTask = async () => {
-    if (!newTask.title || !newTask.deadline) return;
-
-    const task: ComplianceItem = {
-      id: `task_${Date.now()}`,
-      title: newTask.title,
-      description: newTask.description,
-      deadline: newTask.deadline,
-      status: "upcoming",
-      progress: 0,
-      priority: newTask.priority,
-      regulatoryBody: newTask.regulatoryBody,
-      assignedTo: "Current User",
-      lastUpdated: new Date().toISOString(),
-      documents: 0,
-    };
-
-    setUpcomingItems((prev) => [task, ...prev]);
-    setComplianceStats((prev) => ({
-      ...prev,
-      pendingTasks: prev.pendingTasks + 1,
-    }));
-
-    setNewTask({
-      title: "",
-      description: "",
-      deadline: "",
-      priority: "medium",
-      regulatoryBody: "",
-    });
-    setIsAddingTask(false);
-    setNotifications((prev) => [
-      ...prev,
-      `✅ New task "${task.title}" added successfully`,
-    ]);
-  };
+    if (!newTask.title || !newTask.deadline || !newTask.regulatoryBody) return;
+
+    try {
+      const task = await complianceService.createObligation({
+        title: newTask.title,
+        description: newTask.description,
+        dueDate: newTask.deadline,
+        priority: newTask.priority,
+        regulatoryBody: newTask.regulatoryBody,
+        recurrence: newTask.recurrence,
+        keywords: newTask.keywords.split(",").map((k) => k.trim()).filter(Boolean),
+      });
 
-  const updateTaskStatus = (
-    id: string,
-    newStatus: ComplianceItem["status"]
-  ) => {
-    setUpcomingItems((prev) =>
-      prev.map((item) =>
-        item.id === id
-          ? {
-              ...item,
-              status: newStatus,
-              lastUpdated: new Date().toISOString(),
-            }
-          : item
-      )
-    );
-
-    if (newStatus === "completed") {
-      setComplianceStats((prev) => ({
-        ...prev,
-        completedThisMonth: prev.completedThisMonth + 1,
-        pendingTasks: Math.max(0, prev.pendingTasks - 1),
-        complianceRate: Math.min(100, prev.complianceRate + 1),
-      }));
-    } else if (newStatus === "in-progress") {
+      setUpcomingItems((prev) =>
+        [...prev, task].sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      );
+      reloadStats();
+
+      setNewTask({
+        title: "",
+        description: "",
+        deadline: "",
+        priority: "medium",
+        regulatoryBody: "",
+        recurrence: "none",
+        keywords: "",
+      });
+      setIsAddingTask(false);
       setNotifications((prev) => [
         ...prev,
-        `🚀 Work started on compliance task`,
+        `✅ New obligation "${task.title}" added successfully`,
       ]);
+    } catch (error) {
+      reportError(error, "Failed to add obligation");
+    }
+  };
+
+  const updateTaskStatus = async (
+    id: string,
+    newStatus: "in-progress" | "completed"
+  ) => {
+    try {
+      const updated = await complianceService.updateObligation(id, { status: newStatus });
+      setUpcomingItems((prev) =>
+        prev
+          .map((item) => (item.id === id ? updated : item))
+          .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      );
+      reloadStats();
+
+      if (newStatus === "completed") {
+        setNotifications((prev) => [
+          ...prev,
+          updated.status === "completed"
+            ? `✅ ${updated.title} has been completed!`
+            : `🔁 ${updated.title} completed; next due ${new Date(updated.dueDate).toLocaleDateString()}`,
+        ]);
+      } else {
+        setNotifications((prev) => [
+          ...prev,
+          `🚀 Work started on compliance task`,
+        ]);
+      }
+    } catch (error) {
+      reportError(error, "Failed to update obligation");
+    }
+  };
+
+  // Fetch the obligation with its AI statements for the detail dialog
+  const openDetails = async (item: ComplianceItem) => {
+    setSelectedItem(item);
+    setEvidenceDocumentId("");
+    try {
+      setSelectedItem(await complianceService.getObligation(item.id));
+    } catch (error) {
+      console.error("Failed to load obligation details:", error);
+    }
+  };
+
+  const handleLinkEvidence = async () => {
+    if (!selectedItem || !evidenceDocumentId.trim()) return;
+
+    try {
+      const updated = await complianceService.linkEvidence(selectedItem.id, evidenceDocumentId.trim());
+      setSelectedItem({ ...updated, statements: selectedItem.statements });
+      setUpcomingItems((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+      setEvidenceDocumentId("");
+    } catch (error) {
+      reportError(error, "Failed to link evidence");
     }
   };
 
+  const getFindingColor = (status: StatementStatus) => {
+    switch (status) {
+      case "compliant":
+        return "status-success";
+      case "partial":
+        return "status-warning";
+      case "non-compliant":
+        return "status-urgent";
+      default:
+        return "bg-secondary";
+    }
+  };
+
+  const getBodyColor = (body: RegulatoryBodyStats) =>
+    body.overdue > 0 ? "red" : body.nonCompliant > 0 ? "yellow" : "green";
+
+  const getBodyStatus = (body: RegulatoryBodyStats) =>
+    body.overdue > 0
+      ? `${body.overdue} overdue`
+      : body.nonCompliant > 0
+      ? `${body.nonCompliant} non-compliant`
+      : `${body.total} on track`;
+
+  const complianceRate = complianceStats?.complianceRate ?? null;
+
   return (
     <div className="space-y-6">
       {/* Notifications */}
@@ -346,23 +349,27 @@ export const ComplianceTab = ({
             <div className="flex items-center justify-center mb-2">
               <div className="relative">
                 <Shield className="w-6 h-6 text-success mr-2 group-hover:scale-110 transition-transform" />
-                {complianceStats.complianceRate >= 95 && (
+                {complianceRate !== null && complianceRate >= 95 && (
                   <div className="absolute -top-1 -right-1 w-2 h-2 bg-success rounded-full animate-pulse"></div>
                 )}
               </div>
               <div className="text-2xl font-bold text-success">
-                {complianceStats.complianceRate.toFixed(1)}%
+                {complianceRate !== null ? `${complianceRate.toFixed(1)}%` : "—"}
               </div>
             </div>
             <div className="text-sm text-muted-foreground mb-1">
               Compliance Rate
             </div>
-            <div className="flex items-center justify-center space-x-1">
-              <TrendingUp className="w-3 h-3 text-success" />
-              <div className="text-xs text-success">Above target (90%)</div>
-            </div>
+            {complianceRate !== null && (
+              <div className="flex items-center justify-center space-x-1">
+                <TrendingUp className={`w-3 h-3 ${complianceRate >= 90 ? "text-success" : "text-urgent"}`} />
+                <div className={`text-xs ${complianceRate >= 90 ? "text-success" : "text-urgent"}`}>
+                  {complianceRate >= 90 ? "Above" : "Below"} target (90%)
+                </div>
+              </div>
+            )}
             <Progress
-              value={complianceStats.complianceRate}
+              value={complianceRate ?? 0}
               className="h-1 mt-2"
             />
           </CardContent>
@@ -373,14 +380,16 @@ export const ComplianceTab = ({
             <div className="flex items-center justify-center mb-2">
               <Clock className="w-6 h-6 text-warning mr-2" />
               <div className="text-2xl font-bold text-warning">
-                {complianceStats.pendingTasks}
+                {complianceStats?.pendingTasks ?? 0}
               </div>
             </div>
             <div className="text-sm text-muted-foreground mb-1">
               Pending Tasks
             </div>
-            <div className="text-xs text-warning">3 due this week</div>
-            {complianceStats.pendingTasks > 5 && (
+            <div className="text-xs text-warning">
+              {complianceStats?.dueThisWeek ?? 0} due this week
+            </div>
+            {(complianceStats?.pendingTasks ?? 0) > 5 && (
               <Badge className="mt-2 bg-warning/10 text-warning text-xs">
                 <AlertTriangle className="w-3 h-3 mr-1" />
                 High Volume
@@ -394,14 +403,14 @@ export const ComplianceTab = ({
             <div className="flex items-center justify-center mb-2">
               <AlertTriangle className="w-6 h-6 text-urgent mr-2 animate-pulse" />
               <div className="text-2xl font-bold text-urgent">
-                {complianceStats.overdueTasks}
+                {complianceStats?.overdueTasks ?? 0}
               </div>
             </div>
             <div className="text-sm text-muted-foreground mb-1">
               Overdue Items
             </div>
             <div className="text-xs text-urgent">Immediate action needed</div>
-            {complianceStats.overdueTasks > 0 && (
+            {(complianceStats?.overdueTasks ?? 0) > 0 && (
               <Button size="sm" variant="destructive" className="mt-2 text-xs">
                 <Zap className="w-3 h-3 mr-1" />
                 Take Action
@@ -415,7 +424,7 @@ export const ComplianceTab = ({
             <div className="flex items-center justify-center mb-2">
               <TrendingUp className="w-6 h-6 text-success mr-2" />
               <div className="text-2xl font-bold text-success">
-                {complianceStats.completedThisMonth}
+                {complianceStats?.completedThisMonth ?? 0}
               </div>
             </div>
             <div className="text-sm text-muted-foreground mb-1">
@@ -423,7 +432,9 @@ export const ComplianceTab = ({
             </div>
             <div className="flex items-center justify-center space-x-1">
               <CheckSquare className="w-3 h-3 text-success" />
-              <div className="text-xs text-success">+15% vs last month</div>
+              <div className="text-xs text-success">
+                {complianceStats?.total ?? 0} obligations tracked
+              </div>
             </div>
           </CardContent>
         </Card>
@@ -450,9 +461,10 @@ export const ComplianceTab = ({
                 </DialogTrigger>
                 <DialogContent className="sm:max-w-md">
                   <DialogHeader>
-                    <DialogTitle>Add Compliance Task</DialogTitle>
+                    <DialogTitle>Add Compliance Obligation</DialogTitle>
                     <DialogDescription>
-                      Create a new compliance task with deadline tracking.
+                      Register an obligation; recurring ones move on to their
+                      next due date when completed.
                     </DialogDescription>
                   </DialogHeader>
                   <div className="space-y-4">
@@ -508,7 +520,7 @@ export const ComplianceTab = ({
                           onChange={(e) =>
                             setNewTask((prev) => ({
                               ...prev,
-                              priority: e.target.value as any,
+                              priority: e.target.value as ObligationPriority,
                             }))
                           }
                         >
@@ -529,9 +541,45 @@ export const ComplianceTab = ({
                             regulatoryBody: e.target.value,
                           }))
                         }
-                        placeholder="e.g., Municipal Corporation"
+                        placeholder="e.g., CMRS"
                       />
                     </div>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <Label htmlFor="task-recurrence">Recurrence</Label>
+                        <select
+                          id="task-recurrence"
+                          className="w-full p-2 border border-border rounded-md"
+                          value={newTask.recurrence}
+                          onChange={(e) =>
+                            setNewTask((prev) => ({
+                              ...prev,
+                              recurrence: e.target.value as ObligationRecurrence,
+                            }))
+                          }
+                        >
+                          <option value="none">One-off</option>
+                          <option value="monthly">Monthly</option>
+                          <option value="quarterly">Quarterly</option>
+                          <option value="half-yearly">Half-yearly</option>
+                          <option value="yearly">Yearly</option>
+                        </select>
+                      </div>
+                      <div>
+                        <Label htmlFor="task-keywords">Keywords</Label>
+                        <Input
+                          id="task-keywords"
+                          value={newTask.keywords}
+                          onChange={(e) =>
+                            setNewTask((prev) => ({
+                              ...prev,
+                              keywords: e.target.value,
+                            }))
+                          }
+                          placeholder="e.g., fire, extinguisher"
+                        />
+                      </div>
+                    </div>
                   </div>
                   <DialogFooter>
                     <Button
@@ -542,7 +590,7 @@ export const ComplianceTab = ({
                     </Button>
                     <Button
                       onClick={handleAddTask}
-                      disabled={!newTask.title || !newTask.deadline}
+                      disabled={!newTask.title || !newTask.deadline || !newTask.regulatoryBody}
                     >
                       <Plus className="w-4 h-4 mr-2" />
                       Add Task
@@ -556,9 +604,9 @@ export const ComplianceTab = ({
         <CardContent>
           <div className="space-y-4">
             {upcomingItems.map((item) => {
-              const daysUntil = getDaysUntilDeadline(item.deadline);
-              const isOverdue = daysUntil < 0;
-              const isUrgent = daysUntil <= 3 && daysUntil >= 0;
+              const daysUntil = item.daysLeft ?? 0;
+              const isOverdue = item.status === "overdue";
+              const isUrgent = item.daysLeft !== null && daysUntil <= 3 && daysUntil >= 0;
 
               return (
                 <div
@@ -586,6 +634,11 @@ export const ComplianceTab = ({
                         <Badge className={getPriorityColor(item.priority)}>
                           {item.priority}
                         </Badge>
+                        {item.finding && (
+                          <Badge className={getFindingColor(item.finding.status)}>
+                            AI: {item.finding.status}
+                          </Badge>
+                        )}
                       </div>
                       <p className="text-sm text-muted-foreground mb-2">
                         {item.description}
@@ -593,19 +646,19 @@ export const ComplianceTab = ({
                       <div className="flex items-center space-x-4 text-xs text-muted-foreground">
                         <span>📋 {item.regulatoryBody}</span>
                         {item.assignedTo && <span>👤 {item.assignedTo}</span>}
-                        {item.lastUpdated && (
-                          <span>
-                            🕐 Updated{" "}
-                            {new Date(item.lastUpdated).toLocaleTimeString(
-                              "en-IN",
-                              {
-                                timeZone: "Asia/Kolkata",
-                                hour: "2-digit",
-                                minute: "2-digit",
-                              }
-                            )}
-                          </span>
-                        )}
+                        {item.recurrence !== "none" && <span>🔁 {item.recurrence}</span>}
+                        <span>📎 {item.evidence.length} evidence</span>
+                        <span>
+                          🕐 Updated{" "}
+                          {new Date(item.updatedAt).toLocaleTimeString(
+                            "en-IN",
+                            {
+                              timeZone: "Asia/Kolkata",
+                              hour: "2-digit",
+                              minute: "2-digit",
+                            }
+                          )}
+                        </span>
                       </div>
                     </div>
                   </div>
@@ -628,7 +681,12 @@ export const ComplianceTab = ({
                   <div className="flex items-center justify-between">
                     <div className="flex items-center space-x-2">
                       <div className="text-sm">
-                        {isOverdue ? (
+                        {item.status === "completed" ? (
+                          <span className="text-green-600 font-medium flex items-center">
+                            <CheckCircle className="w-4 h-4 mr-1" />
+                            Completed
+                          </span>
+                        ) : isOverdue ? (
                           <span className="text-red-600 font-medium flex items-center">
                             <XCircle className="w-4 h-4 mr-1" />
                             Overdue by {Math.abs(daysUntil)} days
@@ -652,7 +710,7 @@ export const ComplianceTab = ({
                       <Button
                         size="sm"
                         variant="ghost"
-                        onClick={() => setSelectedItem(item)}
+                        onClick={() => openDetails(item)}
                       >
                         <Eye className="w-3 h-3 mr-1" />
                         View
@@ -701,10 +759,10 @@ export const ComplianceTab = ({
               <div className="text-center py-8">
                 <Shield className="w-12 h-12 text-muted-foreground mx-auto mb-4" />
                 <h3 className="text-lg font-semibold text-foreground mb-2">
-                  No compliance items
+                  No compliance obligations
                 </h3>
                 <p className="text-muted-foreground mb-4">
-                  All compliance tasks are up to date!
+                  Add the obligations your department must meet to track them here.
                 </p>
                 <Button onClick={() => setIsAddingTask(true)}>
                   <Plus className="w-4 h-4 mr-2" />
@@ -727,47 +785,27 @@ export const ComplianceTab = ({
           </CardHeader>
           <CardContent>
             <div className="space-y-3">
-              {[
-                {
-                  name: "Ministry of Urban Affairs",
-                  count: 3,
-                  status: "active",
-                  color: "blue",
-                },
-                {
-                  name: "Metro Rail Safety Commission",
-                  count: 2,
-                  status: "active",
-                  color: "green",
-                },
-                {
-                  name: "Environmental Authority",
-                  count: 1,
-                  status: "pending",
-                  color: "yellow",
-                },
-                {
-                  name: "Fire Safety Department",
-                  count: 1,
-                  status: "overdue",
-                  color: "red",
-                },
-              ].map((body, index) => (
+              {(complianceStats?.byRegulatoryBody ?? []).map((body) => (
                 <div
-                  key={index}
+                  key={body.regulatoryBody}
                   className="flex items-center justify-between p-2 rounded-lg hover:bg-accent transition-colors"
                 >
                   <div className="flex items-center space-x-2">
-                    <Target className={`w-4 h-4 text-${body.color}-600`} />
-                    <span className="text-sm font-medium">{body.name}</span>
+                    <Target className={`w-4 h-4 text-${getBodyColor(body)}-600`} />
+                    <span className="text-sm font-medium">{body.regulatoryBody}</span>
                   </div>
                   <Badge
-                    className={`bg-${body.color}-100 text-${body.color}-800`}
+                    className={`bg-${getBodyColor(body)}-100 text-${getBodyColor(body)}-800`}
                   >
-                    {body.count} {body.status}
+                    {getBodyStatus(body)}
                   </Badge>
                 </div>
               ))}
+              {(complianceStats?.byRegulatoryBody ?? []).length === 0 && (
+                <p className="text-sm text-muted-foreground">
+                  No obligations registered yet
+                </p>
+              )}
             </div>
           </CardContent>
         </Card>
@@ -782,26 +820,30 @@ export const ComplianceTab = ({
           <CardContent>
             <div className="text-center mb-4">
               <div className="text-3xl font-bold text-success mb-2 flex items-center justify-center">
-                {complianceStats.complianceRate.toFixed(1)}%
+                {complianceRate !== null ? `${complianceRate.toFixed(1)}%` : "—"}
                 <TrendingUp className="w-5 h-5 ml-2 text-success" />
               </div>
               <div className="text-sm text-muted-foreground">Current Score</div>
               <Progress
-                value={complianceStats.complianceRate}
+                value={complianceRate ?? 0}
                 className="mt-2 h-2"
               />
             </div>
             <div className="space-y-3">
               <div className="flex justify-between items-center text-sm">
-                <span>This Month</span>
+                <span>Completed This Month</span>
                 <div className="flex items-center space-x-1">
-                  <TrendingUp className="w-3 h-3 text-success" />
-                  <span className="font-medium text-success">+2.3%</span>
+                  <CheckSquare className="w-3 h-3 text-success" />
+                  <span className="font-medium text-success">
+                    {complianceStats?.completedThisMonth ?? 0}
+                  </span>
                 </div>
               </div>
               <div className="flex justify-between text-sm">
-                <span>Last Month</span>
-                <span className="font-medium">93.9%</span>
+                <span>Non-compliant Findings</span>
+                <span className="font-medium">
+                  {complianceStats?.nonCompliantFindings ?? 0}
+                </span>
               </div>
               <div className="flex justify-between text-sm">
                 <span>Target</span>
@@ -809,7 +851,11 @@ export const ComplianceTab = ({
               </div>
               <div className="pt-2 border-t border-border">
                 <div className="text-xs text-muted-foreground text-center">
-                  Performance: Exceeding expectations
+                  {complianceRate === null
+                    ? "Performance: No obligations registered"
+                    : complianceRate >= 90
+                    ? "Performance: Meeting target"
+                    : "Performance: Below target"}
                 </div>
               </div>
             </div>
@@ -830,7 +876,7 @@ export const ComplianceTab = ({
                 <span>{selectedItem.title}</span>
               </DialogTitle>
               <DialogDescription>
-                Compliance task details and current status
+                Compliance obligation details, evidence and AI findings
               </DialogDescription>
             </DialogHeader>
             <div className="space-y-4">
@@ -860,16 +906,76 @@ export const ComplianceTab = ({
                   </Badge>
                 </div>
               </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <Label>Due Date</Label>
+                  <p className="text-sm mt-1">
+                    {new Date(selectedItem.dueDate).toLocaleDateString()}
+                  </p>
+                </div>
+                <div>
+                  <Label>Recurrence</Label>
+                  <p className="text-sm mt-1">{selectedItem.recurrence}</p>
+                </div>
+              </div>
               <div>
-                <Label>Deadline</Label>
+                <Label>Regulatory Body</Label>
                 <p className="text-sm mt-1">
-                  {new Date(selectedItem.deadline).toLocaleDateString()}
+                  {selectedItem.regulatoryBody}
+                  {selectedItem.reference && ` (${selectedItem.reference})`}
                 </p>
               </div>
               <div>
-                <Label>Regulatory Body</Label>
-                <p className="text-sm mt-1">{selectedItem.regulatoryBody}</p>
+                <Label>Evidence</Label>
+                <div className="mt-1 space-y-1">
+                  {selectedItem.evidence.map((entry) => (
+                    <div key={entry.documentId} className="flex items-center text-sm">
+                      <FileText className="w-3 h-3 mr-1 text-muted-foreground" />
+                      {entry.title ?? entry.documentId}
+                      {entry.note && (
+                        <span className="text-muted-foreground ml-1">— {entry.note}</span>
+                      )}
+                    </div>
+                  ))}
+                  {selectedItem.evidence.length === 0 && (
+                    <p className="text-sm text-muted-foreground">No evidence linked</p>
+                  )}
+                  <div className="flex space-x-2 pt-1">
+                    <Input
+                      value={evidenceDocumentId}
+                      onChange={(e) => setEvidenceDocumentId(e.target.value)}
+                      placeholder="Document ID"
+                    />
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={handleLinkEvidence}
+                      disabled={!evidenceDocumentId.trim()}
+                    >
+                      Link
+                    </Button>
+                  </div>
+                </div>
               </div>
+              {selectedItem.statements && selectedItem.statements.length > 0 && (
+                <div>
+                  <Label>AI Findings</Label>
+                  <div className="mt-1 space-y-2">
+                    {selectedItem.statements.map((statement) => (
+                      <div key={statement.id} className="text-sm">
+                        <Badge className={`mr-2 ${getFindingColor(statement.status)}`}>
+                          {statement.status}
+                        </Badge>
+                        {statement.text}
+                        <div className="text-xs text-muted-foreground">
+                          {statement.documentTitle} ·{" "}
+                          {new Date(statement.detectedAt).toLocaleDateString()}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
               {selectedItem.status === "in-progress" && (
                 <div>
                   <Label>Progress</Label>
@@ -1,5 +1,7 @@
 // src/components/dashboard/tabs/IngestionTab.tsx
 import { useState, useEffect } from "react";
+import { useServerEvents } from "@/hooks/useServerEvents";
+import type { DocumentEventData } from "@/services/eventService";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
@@ -49,18 +51,21 @@ type IngestionSourceStats = {
   status: "active" | "syncing" | "paused" | "error" | "offline";
   lastSync: string;
   totalToday?: number;
-  successRate?: number;
-  avgProcessingTime?: number;
-  queueLength?: number;
-  connectionHealth?: number;
+  processed?: number;
+  failed?: number;
 };
 
+// Share of finished documents that processed successfully; undefined before any finished
+const sourceSuccessRate = ({ processed = 0, failed = 0 }: Pick<IngestionSourceStats, "processed" | "failed">) =>
+  processed + failed > 0 ? (processed / (processed + failed)) * 100 : undefined;
+
 type IngestionStats = {
   [source: string]: IngestionSourceStats;
 };
 
 interface IngestionTabProps {
   ingestionStats: IngestionStats;
+  onRefresh: () => Promise<void>;
 }
 
 interface RecentActivity {
@@ -74,125 +79,79 @@ interface RecentActivity {
 
 export const IngestionTab = ({
   ingestionStats: initialStats,
+  onRefresh,
 }: IngestionTabProps) => {
-  // State for dynamic updates
-  const [ingestionStats, setIngestionStats] = useState(() => {
-    // Enhance initial stats with additional properties
-    const enhanced = { ...initialStats };
-    Object.keys(enhanced).forEach((source) => {
-      enhanced[source] = {
-        ...enhanced[source],
-        totalToday: enhanced[source].count + Math.floor(Math.random() * 50),
-        successRate: 95 + Math.random() * 4,
-        avgProcessingTime: 1.5 + Math.random() * 2,
-        queueLength: Math.floor(Math.random() * 5),
-        connectionHealth: 85 + Math.random() * 15,
-      };
-    });
-    return enhanced;
-  });
-
+  // Live updates are applied locally until the dashboard reloads the overview
+  const [ingestionStats, setIngestionStats] = useState(initialStats);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [lastUpdated, setLastUpdated] = useState(new Date());
-  const [totalProcessed, setTotalProcessed] = useState(314);
-  const [avgProcessingTime, setAvgProcessingTime] = useState(2.3);
-  const [successRate, setSuccessRate] = useState(99.2);
-  const [systemHealth, setSystemHealth] = useState(98.5);
   const [recentActivity, setRecentActivity] = useState<RecentActivity[]>([]);
   const [notifications, setNotifications] = useState<string[]>([]);
   const [selectedSource, setSelectedSource] = useState<string | null>(null);
 
-  // Real-time updates simulation
   useEffect(() => {
-    const interval = setInterval(() => {
+    setIngestionStats(initialStats);
+    setLastUpdated(new Date());
+  }, [initialStats]);
+
+  const allStats = Object.values(ingestionStats);
+  const totalDocuments = allStats.reduce((sum, stats) => sum + stats.count, 0);
+  const totalToday = allStats.reduce((sum, stats) => sum + (stats.totalToday || 0), 0);
+  const totalFailed = allStats.reduce((sum, stats) => sum + (stats.failed || 0), 0);
+  const successRate = sourceSuccessRate({
+    processed: allStats.reduce((sum, stats) => sum + (stats.processed || 0), 0),
+    failed: totalFailed,
+  });
+
+  // Live ingestion activity pushed by the backend
+  useServerEvents(["document-uploaded", "summary-completed", "summary-failed"], (event) => {
+    const data = event.data as DocumentEventData;
+    const source = sourceKey(data.source);
+
+    if (event.type === "document-uploaded") {
       setIngestionStats((prev) => {
-        const updated = { ...prev };
-
-        Object.keys(updated).forEach((source) => {
-          const stats = updated[source];
-
-          // Simulate document processing
-          if (stats.status === "active" && Math.random() < 0.3) {
-            stats.count += Math.floor(Math.random() * 3);
-            stats.totalToday =
-              (stats.totalToday || 0) + Math.floor(Math.random() * 3);
-
-            // Add to recent activity
-            if (Math.random() < 0.4) {
-              const newActivity: RecentActivity = {
-                id: `activity_${Date.now()}_${Math.random()}`,
-                source,
-                filename: getRandomFilename(source),
-                timestamp: new Date().toISOString(),
-                status: Math.random() < 0.95 ? "success" : "failed",
-                size: `${(Math.random() * 5 + 0.5).toFixed(1)} MB`,
-              };
-              setRecentActivity((prev) => [newActivity, ...prev.slice(0, 9)]);
-            }
-          }
-
-          // Simulate status changes
-          if (Math.random() < 0.05) {
-            const statuses: IngestionSourceStats["status"][] = [
-              "active",
-              "syncing",
-              "paused",
-            ];
-            const currentIndex = statuses.indexOf(stats.status as any);
-            if (currentIndex !== -1 && stats.status !== "syncing") {
-              stats.status = "syncing";
-              setTimeout(() => {
-                setIngestionStats((current) => ({
-                  ...current,
-                  [source]: { ...current[source], status: "active" },
-                }));
-              }, 2000 + Math.random() * 3000);
-            }
-          }
-
-          // Update last sync time for active sources
-          if (stats.status === "active" && Math.random() < 0.4) {
-            stats.lastSync = `${Math.floor(Math.random() * 5) + 1} min ago`;
-          }
-
-          // Fluctuate performance metrics
-          stats.successRate = Math.max(
-            90,
-            Math.min(100, (stats.successRate || 95) + (Math.random() - 0.5) * 2)
-          );
-          stats.avgProcessingTime = Math.max(
-            1,
-            (stats.avgProcessingTime || 2) + (Math.random() - 0.5) * 0.3
-          );
-          stats.connectionHealth = Math.max(
-            80,
-            Math.min(
-              100,
-              (stats.connectionHealth || 95) + (Math.random() - 0.5) * 5
-            )
-          );
-        });
-
-        return updated;
+        const stats = prev[source] || { count: 0, status: "active", lastSync: "" };
+        return {
+          ...prev,
+          [source]: {
+            ...stats,
+            count: stats.count + 1,
+            totalToday: (stats.totalToday || 0) + 1,
+            lastSync: "Just now",
+          },
+        };
       });
 
-      // Update global metrics
-      setTotalProcessed((prev) => prev + Math.floor(Math.random() * 3));
-      setAvgProcessingTime((prev) =>
-        Math.max(1.5, prev + (Math.random() - 0.5) * 0.1)
-      );
-      setSuccessRate((prev) =>
-        Math.max(95, Math.min(100, prev + (Math.random() - 0.5) * 0.2))
-      );
-      setSystemHealth((prev) =>
-        Math.max(95, Math.min(100, prev + (Math.random() - 0.5) * 0.5))
+      const newActivity: RecentActivity = {
+        id: data.documentId,
+        source,
+        filename: data.title,
+        timestamp: event.timestamp,
+        status: "processing",
+        size: `${(data.fileSize / (1024 * 1024)).toFixed(1)} MB`,
+      };
+      setRecentActivity((prev) => [newActivity, ...prev.filter((a) => a.id !== newActivity.id).slice(0, 9)]);
+    } else {
+      const status = event.type === "summary-failed" ? "failed" : "success";
+      setRecentActivity((prev) =>
+        prev.map((activity) =>
+          activity.id === data.documentId ? { ...activity, status } : activity
+        )
       );
 
-      setLastUpdated(new Date());
-    }, 3000);
+      setIngestionStats((prev) => {
+        const stats = prev[source];
+        if (!stats) return prev;
+        const outcome = status === "success" ? "processed" : "failed";
+        return { ...prev, [source]: { ...stats, [outcome]: (stats[outcome] || 0) + 1 } };
+      });
+      if (status === "failed") {
+        setNotifications((prev) => [...prev, `⚠️ Processing failed: ${data.title}`]);
+      }
+    }
 
-    return () => clearInterval(interval);
-  }, []);
+    setLastUpdated(new Date());
+  });
 
   // Auto-clear notifications
   useEffect(() => {
@@ -205,22 +164,13 @@ export const IngestionTab = ({
   }, [notifications]);
 
   // Helper functions
-  const getRandomFilename = (source: string) => {
-    const prefixes = {
-      email: ["Invoice_", "Report_", "Memo_", "Contract_"],
-      whatsapp: ["IMG_", "Document_", "Photo_", "File_"],
-      sharepoint: ["Policy_", "Manual_", "Form_", "Guide_"],
-      maximo: ["WorkOrder_", "Asset_", "Maintenance_", "Inspection_"],
-      manual: ["Upload_", "Scan_", "Document_", "File_"],
-    };
-
-    const extensions = [".pdf", ".docx", ".xlsx", ".jpg", ".png"];
-    const prefix = prefixes[source as keyof typeof prefixes] || ["File_"];
-    const randomPrefix = prefix[Math.floor(Math.random() * prefix.length)];
-    const randomNum = Math.floor(Math.random() * 9999);
-    const randomExt = extensions[Math.floor(Math.random() * extensions.length)];
-
-    return `${randomPrefix}${randomNum}${randomExt}`;
+  // Map a document's source label ("Email - x@y", "Manual Upload") to a stats key
+  const sourceKey = (label: string) => {
+    const normalized = (label || "").toLowerCase();
+    const known = ["email", "whatsapp", "sharepoint", "maximo"].find((key) =>
+      normalized.startsWith(key)
+    );
+    return known || "manual";
   };
 
   const getSourceIcon = (source: string) => {
@@ -278,28 +228,18 @@ export const IngestionTab = ({
     setIsRefreshing(true);
     setNotifications((prev) => [...prev, "🔄 Refreshing ingestion sources..."]);
 
-    // Simulate refresh delay
-    await new Promise((resolve) => setTimeout(resolve, 2000));
-
-    // Update all sources
-    setIngestionStats((prev) => {
-      const updated = { ...prev };
-      Object.keys(updated).forEach((source) => {
-        updated[source] = {
-          ...updated[source],
-          lastSync: "Just now",
-          connectionHealth: 95 + Math.random() * 5,
-        };
-      });
-      return updated;
-    });
-
-    setIsRefreshing(false);
-    setLastUpdated(new Date());
-    setNotifications((prev) => [
-      ...prev,
-      "✅ All sources refreshed successfully",
-    ]);
+    try {
+      await onRefresh();
+      setNotifications((prev) => [
+        ...prev,
+        "✅ All sources refreshed successfully",
+      ]);
+    } catch (error) {
+      console.error("Failed to refresh ingestion sources:", error);
+      setNotifications((prev) => [...prev, `❌ ${(error as Error).message}`]);
+    } finally {
+      setIsRefreshing(false);
+    }
   };
 
   const toggleSourceStatus = (source: string) => {
@@ -348,7 +288,8 @@ export const IngestionTab = ({
           <div className="flex items-center space-x-2">
             <div className="w-2 h-2 bg-success rounded-full animate-pulse"></div>
             <span className="text-sm text-muted-foreground">
-              System Health: {systemHealth.toFixed(1)}%
+              Success Rate:{" "}
+              {successRate === undefined ? "—" : `${successRate.toFixed(1)}%`}
             </span>
           </div>
           <div className="text-sm text-muted-foreground">
@@ -383,15 +324,6 @@ export const IngestionTab = ({
                 <div className="flex items-center">
                   {getSourceIcon(source)}
                   <span className="capitalize font-semibold">{source}</span>
-                  {stats.connectionHealth && (
-                    <div className="ml-2">
-                      {stats.connectionHealth > 90 ? (
-                        <Wifi className="w-4 h-4 text-success" />
-                      ) : (
-                        <Wifi className="w-4 h-4 text-warning" />
-                      )}
-                    </div>
-                  )}
                 </div>
                 <div className="flex items-center space-x-2">
                   <Badge className={getStatusColor(stats.status)}>
@@ -408,9 +340,9 @@ export const IngestionTab = ({
                   {stats.count}
                 </div>
                 <div className="text-sm text-muted-foreground">
-                  Documents processed
+                  Documents received
                 </div>
-                {stats.totalToday && (
+                {stats.totalToday !== undefined && (
                   <div className="text-xs text-blue-600">
                     {stats.totalToday} total today
                   </div>
@@ -419,27 +351,15 @@ export const IngestionTab = ({
 
               {/* Performance Metrics */}
               <div className="space-y-2">
-                {stats.successRate && (
+                {sourceSuccessRate(stats) !== undefined && (
                   <div>
                     <div className="flex justify-between text-xs mb-1">
                       <span>Success Rate</span>
                       <span className="font-medium">
-                        {stats.successRate.toFixed(1)}%
-                      </span>
-                    </div>
-                    <Progress value={stats.successRate} className="h-1" />
-                  </div>
-                )}
-
-                {stats.connectionHealth && (
-                  <div>
-                    <div className="flex justify-between text-xs mb-1">
-                      <span>Connection Health</span>
-                      <span className="font-medium">
-                        {stats.connectionHealth.toFixed(0)}%
+                        {sourceSuccessRate(stats)?.toFixed(1)}%
                       </span>
                     </div>
-                    <Progress value={stats.connectionHealth} className="h-1" />
+                    <Progress value={sourceSuccessRate(stats)} className="h-1" />
                   </div>
                 )}
               </div>
@@ -451,22 +371,10 @@ export const IngestionTab = ({
                   <span className="font-medium">{stats.lastSync}</span>
                 </div>
 
-                {stats.avgProcessingTime && (
+                {stats.failed !== undefined && (
                   <div className="flex items-center justify-between">
-                    <span className="text-muted-foreground">Avg time:</span>
-                    <span className="font-medium">
-                      {stats.avgProcessingTime.toFixed(1)}s
-                    </span>
-                  </div>
-                )}
-
-                {stats.queueLength !== undefined && (
-                  <div className="flex items-center justify-between">
-                    <span className="text-muted-foreground">Queue:</span>
-                    <span className="font-medium">
-                      {stats.queueLength}{" "}
-                      {stats.queueLength === 1 ? "item" : "items"}
-                    </span>
+                    <span className="text-muted-foreground">Failed:</span>
+                    <span className="font-medium">{stats.failed}</span>
                   </div>
                 )}
               </div>
@@ -517,7 +425,7 @@ export const IngestionTab = ({
                 <div className="flex items-center justify-center mb-2">
                   <FileText className="w-5 h-5 text-primary mr-2" />
                   <div className="text-2xl font-bold text-primary">
-                    {totalProcessed}
+                    {totalDocuments}
                   </div>
                 </div>
                 <div className="text-sm text-muted-foreground mb-1">
@@ -525,7 +433,7 @@ export const IngestionTab = ({
                 </div>
                 <div className="flex items-center justify-center space-x-1">
                   <TrendingUp className="w-3 h-3 text-success" />
-                  <div className="text-xs text-success">+23% today</div>
+                  <div className="text-xs text-success">{totalToday} today</div>
                 </div>
               </div>
 
@@ -533,15 +441,15 @@ export const IngestionTab = ({
                 <div className="flex items-center justify-center mb-2">
                   <Zap className="w-5 h-5 text-yellow-600 mr-2" />
                   <div className="text-2xl font-bold text-yellow-600">
-                    {avgProcessingTime.toFixed(1)}s
+                    {totalFailed}
                   </div>
                 </div>
                 <div className="text-sm text-muted-foreground mb-1">
-                  Avg Processing
+                  Failed Processing
                 </div>
                 <div className="flex items-center justify-center space-x-1">
-                  <TrendingDown className="w-3 h-3 text-success" />
-                  <div className="text-xs text-success">15% faster</div>
+                  <TrendingDown className="w-3 h-3 text-muted-foreground" />
+                  <div className="text-xs text-muted-foreground">All sources</div>
                 </div>
               </div>
 
@@ -549,13 +457,13 @@ export const IngestionTab = ({
                 <div className="flex items-center justify-center mb-2">
                   <CheckSquare className="w-5 h-5 text-success mr-2" />
                   <div className="text-2xl font-bold text-success">
-                    {successRate.toFixed(1)}%
+                    {successRate === undefined ? "—" : `${successRate.toFixed(1)}%`}
                   </div>
                 </div>
                 <div className="text-sm text-muted-foreground mb-1">
                   Success Rate
                 </div>
-                <div className="text-xs text-success">Exceeds target</div>
+                <div className="text-xs text-success">Of finished documents</div>
               </div>
             </div>
           </CardContent>
@@ -623,12 +531,7 @@ export const IngestionTab = ({
                 items
               </div>
               <div className="text-sm text-muted-foreground">
-                Queue:{" "}
-                {Object.values(ingestionStats).reduce(
-                  (sum, stats) => sum + (stats.queueLength || 0),
-                  0
-                )}{" "}
-                pending
+                Today: {totalToday} received
               </div>
             </div>
             <div className="flex items-center space-x-2">
@@ -678,13 +581,10 @@ export const IngestionTab = ({
                     </div>
                     <div>
                       <div className="text-sm font-medium">
-                        Connection Health
+                        Documents Received
                       </div>
                       <div className="text-sm">
-                        {ingestionStats[
-                          selectedSource
-                        ].connectionHealth?.toFixed(0)}
-                        %
+                        {ingestionStats[selectedSource].count}
                       </div>
                     </div>
                   </div>
@@ -701,26 +601,17 @@ export const IngestionTab = ({
                       <div className="flex justify-between text-sm">
                         <span>Success Rate:</span>
                         <span>
-                          {ingestionStats[selectedSource].successRate?.toFixed(
-                            1
-                          )}
+                          {sourceSuccessRate(ingestionStats[selectedSource])?.toFixed(1) ?? "—"}
                           %
                         </span>
                       </div>
                       <div className="flex justify-between text-sm">
-                        <span>Avg Processing:</span>
-                        <span>
-                          {ingestionStats[
-                            selectedSource
-                          ].avgProcessingTime?.toFixed(1)}
-                          s
-                        </span>
+                        <span>Processed:</span>
+                        <span>{ingestionStats[selectedSource].processed ?? 0}</span>
                       </div>
                       <div className="flex justify-between text-sm">
-                        <span>Queue Length:</span>
-                        <span>
-                          {ingestionStats[selectedSource].queueLength} items
-                        </span>
+                        <span>Failed:</span>
+                        <span>{ingestionStats[selectedSource].failed ?? 0}</span>
                       </div>
                     </div>
                   </div>
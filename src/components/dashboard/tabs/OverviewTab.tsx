@@ -1,5 +1,10 @@
 // src/components/dashboard/tabs/OverviewTab.tsx
 import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { useServerEvents } from "@/hooks/useServerEvents";
+import type { DocumentEventData } from "@/services/eventService";
+import { DocumentChat } from "@/components/DocumentChat";
+import { searchService, highlightSegments, SEARCH_KIND_LABELS, type SearchResult } from "@/services/searchService";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
@@ -68,7 +73,7 @@ interface LiveDocument {
   title: string;
   source: string;
   timestamp: string;
-  status: 'processing' | 'completed' | 'routing' | 'urgent';
+  status: 'processing' | 'completed' | 'routing' | 'urgent' | 'failed';
   aiConfidence: number;
   summary: string;
   department: string;
@@ -90,13 +95,15 @@ export const OverviewTab = ({
   workflowMetrics: initialMetrics,
   processingQueue: initialQueue,
 }: OverviewTabProps) => {
+  const navigate = useNavigate();
+
   // State management
   const [workflowMetrics, setWorkflowMetrics] = useState(initialMetrics);
   const [processingQueue, setProcessingQueue] = useState(initialQueue);
   const [liveDocuments, setLiveDocuments] = useState<LiveDocument[]>([]);
   const [criticalActions, setCriticalActions] = useState<CriticalAction[]>([]);
   const [searchTerm, setSearchTerm] = useState("");
-  const [searchResults, setSearchResults] = useState<string[]>([]);
+  const [searchResults, setSearchResults] = useState<SearchResult[]>([]);
   const [isSearching, setIsSearching] = useState(false);
   const [classificationAccuracy, setClassificationAccuracy] = useState(96.8);
   const [routingSuccess, setRoutingSuccess] = useState(94.2);
@@ -138,76 +145,116 @@ export const OverviewTab = ({
     ]);
   }, []);
 
-  // Real-time document stream simulation
-  useEffect(() => {
-    const interval = setInterval(() => {
-      // Simulate new documents arriving
-      if (Math.random() < 0.3) {
-        const newDoc: LiveDocument = {
-          id: `doc_${Date.now()}`,
-          title: getRandomDocumentTitle(),
-          source: getRandomSource(),
-          timestamp: new Date().toISOString(),
-          status: Math.random() < 0.8 ? 'completed' : 'processing',
-          aiConfidence: Math.floor(Math.random() * 15) + 85,
-          summary: getRandomSummary(),
-          department: getRandomDepartment(),
-          language: Math.random() < 0.8 ? 'English' : Math.random() < 0.5 ? 'Malayalam' : 'Mixed',
-          priority: Math.random() < 0.1 ? 'urgent' : Math.random() < 0.3 ? 'high' : 'normal'
+  // Live document stream pushed by the backend
+  useServerEvents(['document-uploaded', 'document-duplicate', 'summary-completed', 'summary-failed'], (event) => {
+    const data = event.data as DocumentEventData;
+
+    if (event.type === 'document-uploaded') {
+      const newDoc: LiveDocument = {
+        id: data.documentId,
+        title: data.title,
+        source: data.source,
+        timestamp: event.timestamp,
+        status: 'processing',
+        aiConfidence: 0,
+        summary: 'Queued for AI analysis...',
+        department: data.department,
+        language: data.language,
+        priority: toLivePriority(data.priority)
+      };
+      setLiveDocuments(prev => [newDoc, ...prev.filter(doc => doc.id !== newDoc.id).slice(0, 4)]);
+      setProcessingQueue(prev => prev + 1);
+    } else if (event.type === 'document-duplicate') {
+      // Linked to an existing document instead of being summarized again
+      const summary = `Duplicate of an existing document (${Math.round((data.similarity ?? 1) * 100)}% match)`;
+      const existing = liveDocuments.find(doc => doc.id === data.documentId);
+      if (existing?.status === 'processing') {
+        setProcessingQueue(prev => Math.max(0, prev - 1));
+      }
+      setLiveDocuments(prev => {
+        const doc: LiveDocument = {
+          id: data.documentId,
+          title: data.title,
+          source: data.source,
+          timestamp: event.timestamp,
+          department: data.department,
+          aiConfidence: 0,
+          language: data.language,
+          priority: 'normal',
+          ...existing,
+          status: 'completed',
+          summary
         };
-        
-        setLiveDocuments(prev => [newDoc, ...prev.slice(0, 4)]);
-        
-        if (newDoc.priority === 'urgent') {
-          setNotifications(prev => [...prev, `🚨 Urgent document received: ${newDoc.title}`]);
+        return [doc, ...prev.filter(d => d.id !== doc.id)].slice(0, 5);
+      });
+    } else {
+      const failed = event.type === 'summary-failed';
+      const priority = failed ? 'normal' : toLivePriority(data.urgencyLevel);
+      const update: Partial<LiveDocument> = {
+        status: failed ? 'failed' : priority === 'urgent' ? 'urgent' : 'completed',
+        aiConfidence: data.confidence ?? 0,
+        summary: failed ? `Processing failed: ${data.error}` : data.executiveSummary || '',
+        language: data.language,
+        priority
+      };
+      setLiveDocuments(prev => {
+        const existing = prev.find(doc => doc.id === data.documentId);
+        const doc: LiveDocument = existing
+          ? { ...existing, ...update }
+          : {
+            id: data.documentId,
+            title: data.title,
+            source: data.source,
+            timestamp: event.timestamp,
+            department: data.department,
+            status: 'completed',
+            aiConfidence: 0,
+            summary: '',
+            language: data.language,
+            priority: 'normal',
+            ...update
+          };
+        return [doc, ...prev.filter(d => d.id !== doc.id)].slice(0, 5);
+      });
+      setProcessingQueue(prev => Math.max(0, prev - 1));
+
+      if (!failed) {
+        setKnowledgeBaseCount(prev => prev + 1);
+        if (priority === 'urgent') {
+          setNotifications(prev => [...prev, `🚨 Urgent document received: ${data.title}`]);
         }
       }
+    }
 
-      // Update metrics with slight variations
-      setClassificationAccuracy(prev => Math.max(94, Math.min(99, prev + (Math.random() - 0.5) * 0.5)));
-      setRoutingSuccess(prev => Math.max(90, Math.min(98, prev + (Math.random() - 0.5) * 0.3)));
-      setProcessingQueue(prev => Math.max(0, prev + (Math.random() < 0.5 ? -1 : 1)));
-      setKnowledgeBaseCount(prev => prev + (Math.random() < 0.3 ? 1 : 0));
-
-      // Update critical action time remaining
-      setCriticalActions(prev => prev.map(action => {
-        if (action.id === "1" && Math.random() < 0.1) {
-          const newTimeLeft = Math.max(10, parseInt(action.timeLeft) - Math.floor(Math.random() * 3));
-          return { ...action, timeLeft: `${newTimeLeft} minutes` };
-        }
-        return action;
-      }));
-
-      setLastUpdated(new Date());
-    }, 4000);
-
-    return () => clearInterval(interval);
-  }, []);
+    setLastUpdated(new Date());
+  });
 
-  // Search functionality simulation
+  // Knowledge search against the full-text index, debounced while typing
   useEffect(() => {
-    if (searchTerm.length > 2) {
-      setIsSearching(true);
-      const timer = setTimeout(() => {
-        const mockResults = [
-          "Safety Protocol SOP-2024-15",
-          "Emergency Response Manual v3.2", 
-          "Platform Maintenance Guidelines",
-          "Fire Safety Procedures - Updated",
-          "Vendor Contract Template",
-          "Staff Training Module - Safety"
-        ].filter(result => 
-          result.toLowerCase().includes(searchTerm.toLowerCase())
-        );
-        setSearchResults(mockResults);
-        setIsSearching(false);
-      }, 800);
-
-      return () => clearTimeout(timer);
-    } else {
+    if (searchTerm.trim().length <= 2) {
       setSearchResults([]);
       setIsSearching(false);
+      return;
     }
+
+    let cancelled = false;
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await searchService.search(searchTerm.trim(), { limit: 8 });
+        if (!cancelled) setSearchResults(response.results);
+      } catch (error) {
+        console.error('Knowledge search failed:', error);
+        if (!cancelled) setSearchResults([]);
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
   }, [searchTerm]);
 
   // Auto-clear notifications
@@ -221,41 +268,10 @@ export const OverviewTab = ({
   }, [notifications]);
 
   // Helper functions
-  const getRandomDocumentTitle = () => {
-    const titles = [
-      "Track Inspection Report - Line 2",
-      "Monthly Safety Compliance Update",
-      "Electrical System Maintenance Log",
-      "Passenger Complaint Analysis",
-      "Station Security Protocol Update", 
-      "Equipment Purchase Request",
-      "Staff Performance Review",
-      "Environmental Impact Assessment",
-      "Budget Allocation Proposal",
-      "Infrastructure Upgrade Plan"
-    ];
-    return titles[Math.floor(Math.random() * titles.length)];
-  };
-
-  const getRandomSource = () => {
-    const sources = ['Email', 'SharePoint', 'Maximo', 'WhatsApp', 'Manual'];
-    return sources[Math.floor(Math.random() * sources.length)];
-  };
-
-  const getRandomSummary = () => {
-    const summaries = [
-      "Key findings indicate optimal performance with minor maintenance recommendations.",
-      "Critical safety updates require immediate staff training and protocol updates.",
-      "Financial analysis shows cost-saving opportunities in equipment procurement.",
-      "Operational metrics demonstrate improved efficiency across all stations.",
-      "Compliance review identifies areas for improvement in regulatory adherence."
-    ];
-    return summaries[Math.floor(Math.random() * summaries.length)];
-  };
-
-  const getRandomDepartment = () => {
-    const departments = ['Engineering', 'Operations', 'Finance', 'Safety', 'Maintenance', 'Administration'];
-    return departments[Math.floor(Math.random() * departments.length)];
+  const toLivePriority = (level?: string): LiveDocument['priority'] => {
+    if (level === 'critical') return 'urgent';
+    if (level === 'high') return 'high';
+    return 'normal';
   };
 
   const handleActionComplete = (actionId: string) => {
@@ -282,7 +298,7 @@ export const OverviewTab = ({
       case 'completed': return 'status-success';
       case 'processing': return 'status-warning';
       case 'routing': return 'bg-purple-100 text-purple-800';
-      case 'urgent': return 'status-urgent';
+      case 'urgent': case 'failed': return 'status-urgent';
       default: return 'bg-secondary';
     }
   };
@@ -455,20 +471,44 @@ export const OverviewTab = ({
 
               {/* Search Results */}
               {searchResults.length > 0 && (
-                <div className="max-h-32 overflow-y-auto space-y-1">
-                  {searchResults.map((result, index) => (
+                <div className="max-h-48 overflow-y-auto space-y-1">
+                  {searchResults.map((result) => (
                     <div 
-                      key={index}
+                      key={`${result.kind}:${result.id}`}
                       className="p-2 text-xs bg-accent rounded hover:bg-accent/80 cursor-pointer transition-colors"
+                      onClick={() => result.documentId && navigate(`/documents/${result.documentId}`)}
                     >
-                      <div className="flex items-center">
-                        <FileText className="w-3 h-3 mr-2 text-primary" />
-                        {result}
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center font-medium truncate">
+                          {result.kind === 'task' ? (
+                            <CheckSquare className="w-3 h-3 mr-2 text-primary flex-shrink-0" />
+                          ) : (
+                            <FileText className="w-3 h-3 mr-2 text-primary flex-shrink-0" />
+                          )}
+                          <span className="truncate">{result.title}</span>
+                        </div>
+                        <Badge variant="outline" className="text-[10px] ml-2 flex-shrink-0">
+                          {SEARCH_KIND_LABELS[result.kind]}
+                        </Badge>
                       </div>
+                      {result.field === 'body' && (
+                        <p className="mt-1 text-muted-foreground line-clamp-2">
+                          {highlightSegments(result.snippet, result.highlights).map((segment, index) =>
+                            segment.highlighted ? (
+                              <mark key={index} className="bg-yellow-200 text-foreground rounded-sm">{segment.text}</mark>
+                            ) : (
+                              <span key={index}>{segment.text}</span>
+                            )
+                          )}
+                        </p>
+                      )}
                     </div>
                   ))}
                 </div>
               )}
+              {!isSearching && searchTerm.trim().length > 2 && searchResults.length === 0 && (
+                <div className="text-xs text-muted-foreground">No matching documents, summaries or tasks</div>
+              )}
 
               <div className="space-y-2">
                 <div className="text-xs text-muted-foreground">
@@ -499,6 +539,9 @@ export const OverviewTab = ({
               </div>
             </CardContent>
           </Card>
+
+          {/* Question answering over the document library */}
+          <DocumentChat className="card-dashboard" />
         </div>
 
         {/* Center Column - Enhanced Live Document Stream */}
@@ -1,5 +1,9 @@
 // src/components/dashboard/tabs/WorkflowTab.tsx
 import { useState, useEffect } from "react";
+import { useServerEvents } from "@/hooks/useServerEvents";
+import type { TaskEventData, RoutingEventData } from "@/services/eventService";
+import { taskService } from "@/services/taskService";
+import { routingService, type RoutingRule } from "@/services/routingService";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
@@ -55,15 +59,6 @@ interface WorkflowTabProps {
     escalated: number;
     completed: number;
   };
-  routingRules: Array<{
-    id: string;
-    name: string;
-    description: string;
-    status: "active" | "inactive" | "paused";
-    documentsRouted: number;
-    escalationTime: number;
-    successRate: number;
-  }>;
 }
 
 interface WorkflowActivity {
@@ -88,16 +83,16 @@ interface DepartmentStats {
 
 export const WorkflowTab = ({
   workflowMetrics: initialMetrics,
-  routingRules: initialRules,
 }: WorkflowTabProps) => {
   // State management
   const [workflowMetrics, setWorkflowMetrics] = useState(initialMetrics);
-  const [routingRules, setRoutingRules] = useState(initialRules);
+  const [routingRules, setRoutingRules] = useState<RoutingRule[]>([]);
   const [recentActivity, setRecentActivity] = useState<WorkflowActivity[]>([]);
   const [departmentStats, setDepartmentStats] = useState<DepartmentStats[]>([]);
   const [overallSuccessRate, setOverallSuccessRate] = useState(94.2);
   const [avgProcessingTime, setAvgProcessingTime] = useState(1.8);
-  const [escalationsTriggered, setEscalationsTriggered] = useState(3);
+  const [escalationsTriggered, setEscalationsTriggered] = useState(0);
+  const [slaCompliance, setSlaCompliance] = useState<number | null>(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [notifications, setNotifications] = useState<string[]>([]);
   const [lastUpdated, setLastUpdated] = useState(new Date());
@@ -108,6 +103,7 @@ export const WorkflowTab = ({
     description: "",
     escalationTime: 24,
     targetDepartment: "",
+    keywords: "",
   });
 
   // Initialize department stats
@@ -152,91 +148,130 @@ export const WorkflowTab = ({
     ]);
   }, []);
 
-  // Real-time workflow simulation
+  // Routing rules and their statistics are kept by the backend routing engine
   useEffect(() => {
-    const interval = setInterval(() => {
-      // Simulate new workflow activity
-      if (Math.random() < 0.4) {
-        const newActivity: WorkflowActivity = {
-          id: `activity_${Date.now()}`,
-          documentTitle: getRandomDocumentTitle(),
-          fromDepartment: getRandomDepartment(),
-          toDepartment: getRandomDepartment(),
-          timestamp: new Date().toISOString(),
-          status:
-            Math.random() < 0.85
-              ? "routed"
-              : Math.random() < 0.5
-              ? "escalated"
-              : "completed",
-          processingTime: Math.random() * 5 + 0.5,
-        };
-
-        setRecentActivity((prev) => [newActivity, ...prev.slice(0, 9)]);
-
-        // Update metrics based on activity
-        if (newActivity.status === "routed") {
-          setWorkflowMetrics((prev) => ({
-            ...prev,
-            autoRouted: prev.autoRouted + 1,
-          }));
-        } else if (newActivity.status === "escalated") {
-          setWorkflowMetrics((prev) => ({
-            ...prev,
-            escalated: prev.escalated + 1,
-          }));
-          setNotifications((prev) => [
-            ...prev,
-            `🚨 Document escalated: ${newActivity.documentTitle}`,
-          ]);
-        }
-      }
-
-      // Update routing rules performance
-      setRoutingRules((prev) =>
-        prev.map((rule) => ({
-          ...rule,
-          documentsRouted:
-            rule.documentsRouted +
-            (Math.random() < 0.3 ? Math.floor(Math.random() * 3) : 0),
-          successRate: Math.max(
-            80,
-            Math.min(100, rule.successRate + (Math.random() - 0.5) * 2)
-          ),
-        }))
-      );
-
-      // Update department stats
-      setDepartmentStats((prev) =>
-        prev.map((dept) => ({
-          ...dept,
-          docsReceived: dept.docsReceived + (Math.random() < 0.2 ? 1 : 0),
-          avgResponseTime: Math.max(
-            1,
-            dept.avgResponseTime + (Math.random() - 0.5) * 0.3
-          ),
-          backlog: Math.max(
-            0,
-            dept.backlog +
-              (Math.random() < 0.3 ? -1 : Math.random() < 0.1 ? 1 : 0)
-          ),
-        }))
-      );
-
-      // Update overall metrics
-      setOverallSuccessRate((prev) =>
-        Math.max(90, Math.min(98, prev + (Math.random() - 0.5) * 0.5))
-      );
-      setAvgProcessingTime((prev) =>
-        Math.max(1, prev + (Math.random() - 0.5) * 0.2)
-      );
+    let cancelled = false;
+    routingService
+      .getRules()
+      .then(({ rules }) => !cancelled && setRoutingRules(rules))
+      .catch((error) => console.error("Failed to load routing rules:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-      setLastUpdated(new Date());
-    }, 3500);
+  // Documents routed by a rule after summarization
+  useServerEvents(["document-routed"], (event) => {
+    const routed = event.data as RoutingEventData;
+    setRoutingRules((prev) =>
+      prev.map((rule) =>
+        rule.id === routed.ruleId
+          ? {
+              ...rule,
+              documentsRouted: rule.documentsRouted + 1,
+              tasksCreated: rule.tasksCreated + routed.taskIds.length,
+              lastRoutedAt: event.timestamp,
+            }
+          : rule
+      )
+    );
+    setRecentActivity((prev) => [
+      {
+        id: `${event.type}-${event.id}`,
+        documentTitle: routed.title,
+        fromDepartment: routed.previousDepartment,
+        toDepartment: routed.department,
+        timestamp: event.timestamp,
+        status: "routed",
+        processingTime: 0,
+      },
+      ...prev.slice(0, 9),
+    ]);
+    setLastUpdated(new Date());
+  });
 
-    return () => clearInterval(interval);
+  // Escalations and SLA compliance as tracked by the backend SLA monitor
+  useEffect(() => {
+    let cancelled = false;
+    taskService
+      .getSlaSummary()
+      .then((summary) => {
+        if (cancelled) return;
+        setEscalationsTriggered(summary.escalations.total);
+        setSlaCompliance(summary.compliance);
+      })
+      .catch((error) => console.error("Failed to load SLA summary:", error));
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
+  // Live task routing activity pushed by the backend
+  useServerEvents(["task-created", "task-updated", "task-escalated"], (event) => {
+    const { task, previousStatus, escalatedTo, hoursOverdue } = event.data as TaskEventData;
+    if (!task) return;
+
+    if (event.type === "task-escalated") {
+      setRecentActivity((prev) => [
+        {
+          id: `${event.type}-${event.id}`,
+          documentTitle: task.title,
+          fromDepartment: task.department,
+          toDepartment: escalatedTo || task.assignee,
+          timestamp: event.timestamp,
+          status: "escalated",
+          processingTime: (hoursOverdue || 0) * 3600,
+        },
+        ...prev.slice(0, 9),
+      ]);
+      setEscalationsTriggered((prev) => prev + 1);
+      setNotifications((prev) => [...prev, `⏰ Overdue task escalated to ${escalatedTo}: ${task.title}`]);
+      setLastUpdated(new Date());
+      return;
+    }
+
+    const created = event.type === "task-created";
+    const completed = !created && task.status === "completed" && previousStatus !== "completed";
+    if (!created && !completed) return;
+
+    const newActivity: WorkflowActivity = {
+      id: `${event.type}-${event.id}`,
+      documentTitle: task.title,
+      fromDepartment: task.createdBy || "AI System",
+      toDepartment: task.department,
+      timestamp: event.timestamp,
+      status: created ? "routed" : "completed",
+      processingTime: created
+        ? 0
+        : (new Date(task.updatedAt).getTime() - new Date(task.createdAt).getTime()) / 1000,
+    };
+    setRecentActivity((prev) => [newActivity, ...prev.slice(0, 9)]);
+
+    setWorkflowMetrics((prev) =>
+      created
+        ? { ...prev, autoRouted: prev.autoRouted + 1 }
+        : { ...prev, completed: prev.completed + 1 }
+    );
+
+    setDepartmentStats((prev) =>
+      prev.map((dept) =>
+        isSameDepartment(dept.name, task.department)
+          ? {
+              ...dept,
+              docsReceived: dept.docsReceived + (created ? 1 : 0),
+              backlog: Math.max(0, dept.backlog + (created ? 1 : -1)),
+            }
+          : dept
+      )
+    );
+
+    if (created && task.priority === "critical") {
+      setNotifications((prev) => [...prev, `🚨 Critical task routed: ${task.title}`]);
+    }
+
+    setLastUpdated(new Date());
+  });
+
   // Auto-clear notifications
   useEffect(() => {
     if (notifications.length > 0) {
@@ -248,30 +283,9 @@ export const WorkflowTab = ({
   }, [notifications]);
 
   // Helper functions
-  const getRandomDocumentTitle = () => {
-    const titles = [
-      "Track Maintenance Report",
-      "Safety Inspection Update",
-      "Budget Approval Request",
-      "Equipment Purchase Order",
-      "Staff Schedule Change",
-      "Compliance Audit Result",
-      "Passenger Complaint Response",
-      "Infrastructure Planning Doc",
-    ];
-    return titles[Math.floor(Math.random() * titles.length)];
-  };
-
-  const getRandomDepartment = () => {
-    const depts = [
-      "Engineering",
-      "Operations",
-      "Finance",
-      "Safety",
-      "Administration",
-    ];
-    return depts[Math.floor(Math.random() * depts.length)];
-  };
+  // "Safety" tasks count towards the "Safety & Compliance" department card
+  const isSameDepartment = (cardName: string, department: string) =>
+    cardName.toLowerCase().split(" ")[0] === (department || "").toLowerCase().split(" ")[0];
 
   const getStatusColor = (status: string) => {
     switch (status) {
@@ -301,21 +315,19 @@ export const WorkflowTab = ({
     }
   };
 
-  const toggleRuleStatus = (ruleId: string) => {
-    setRoutingRules((prev) =>
-      prev.map((rule) =>
-        rule.id === ruleId
-          ? { ...rule, status: rule.status === "active" ? "paused" : "active" }
-          : rule
-      )
-    );
-
+  const toggleRuleStatus = async (ruleId: string) => {
     const rule = routingRules.find((r) => r.id === ruleId);
-    const newStatus = rule?.status === "active" ? "paused" : "active";
-    setNotifications((prev) => [
-      ...prev,
-      `📋 Rule "${rule?.name}" ${newStatus}`,
-    ]);
+    if (!rule) return;
+    const newStatus = rule.status === "active" ? "paused" : "active";
+
+    try {
+      const updated = await routingService.updateRule(ruleId, { status: newStatus });
+      setRoutingRules((prev) => prev.map((r) => (r.id === ruleId ? updated : r)));
+      setNotifications((prev) => [...prev, `📋 Rule "${rule.name}" ${newStatus}`]);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "Failed to update rule";
+      setNotifications((prev) => [...prev, `❌ ${message}`]);
+    }
   };
 
   const handleRefresh = async () => {
@@ -336,31 +348,38 @@ export const WorkflowTab = ({
     setNotifications((prev) => [...prev, "✅ Workflow data refreshed"]);
   };
 
-  const handleCreateRule = () => {
-    if (!newRule.name || !newRule.description) return;
-
-    const rule = {
-      id: `rule_${Date.now()}`,
-      name: newRule.name,
-      description: newRule.description,
-      status: "active" as const,
-      documentsRouted: 0,
-      escalationTime: newRule.escalationTime,
-      successRate: 95,
-    };
-
-    setRoutingRules((prev) => [...prev, rule]);
-    setNewRule({
-      name: "",
-      description: "",
-      escalationTime: 24,
-      targetDepartment: "",
-    });
-    setIsCreatingRule(false);
-    setNotifications((prev) => [
-      ...prev,
-      `✅ New routing rule "${rule.name}" created`,
-    ]);
+  const handleCreateRule = async () => {
+    if (!newRule.name || !newRule.keywords || !newRule.targetDepartment) return;
+
+    try {
+      const rule = await routingService.createRule({
+        name: newRule.name,
+        description: newRule.description,
+        conditions: { keywords: newRule.keywords.split(",").map((k) => k.trim()).filter(Boolean) },
+        actions: {
+          department: newRule.targetDepartment,
+          createTasks: true,
+          escalationTime: newRule.escalationTime,
+        },
+      });
+
+      setRoutingRules((prev) => [...prev, rule]);
+      setNewRule({
+        name: "",
+        description: "",
+        escalationTime: 24,
+        targetDepartment: "",
+        keywords: "",
+      });
+      setIsCreatingRule(false);
+      setNotifications((prev) => [
+        ...prev,
+        `✅ New routing rule "${rule.name}" created`,
+      ]);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : "Failed to create rule";
+      setNotifications((prev) => [...prev, `❌ ${message}`]);
+    }
   };
 
   return (
@@ -526,6 +545,34 @@ export const WorkflowTab = ({
                         placeholder="Describe when this rule should trigger..."
                       />
                     </div>
+                    <div>
+                      <Label htmlFor="rule-keywords">Keywords</Label>
+                      <Input
+                        id="rule-keywords"
+                        value={newRule.keywords}
+                        onChange={(e) =>
+                          setNewRule((prev) => ({
+                            ...prev,
+                            keywords: e.target.value,
+                          }))
+                        }
+                        placeholder="e.g., incident, safety bulletin, brake"
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor="rule-department">Target Department</Label>
+                      <Input
+                        id="rule-department"
+                        value={newRule.targetDepartment}
+                        onChange={(e) =>
+                          setNewRule((prev) => ({
+                            ...prev,
+                            targetDepartment: e.target.value,
+                          }))
+                        }
+                        placeholder="e.g., Safety"
+                      />
+                    </div>
                     <div>
                       <Label htmlFor="escalation-time">
                         Escalation Time (hours)
@@ -554,7 +601,7 @@ export const WorkflowTab = ({
                     </Button>
                     <Button
                       onClick={handleCreateRule}
-                      disabled={!newRule.name || !newRule.description}
+                      disabled={!newRule.name || !newRule.keywords || !newRule.targetDepartment}
                     >
                       <Plus className="w-4 h-4 mr-2" />
                       Create Rule
@@ -626,7 +673,7 @@ export const WorkflowTab = ({
                       Escalation Time
                     </div>
                     <div className="font-semibold text-foreground flex items-center">
-                      {rule.escalationTime}h
+                      {rule.actions.escalationTime ? `${rule.actions.escalationTime}h` : "—"}
                       <Timer className="w-3 h-3 ml-1 text-muted-foreground" />
                     </div>
                   </div>
@@ -635,7 +682,7 @@ export const WorkflowTab = ({
                       Success Rate
                     </div>
                     <div className="font-semibold text-success flex items-center">
-                      {rule.successRate.toFixed(1)}%
+                      {rule.successRate === null ? "—" : `${rule.successRate.toFixed(1)}%`}
                       <Target className="w-3 h-3 ml-1 text-success" />
                     </div>
                   </div>
@@ -643,7 +690,7 @@ export const WorkflowTab = ({
 
                 {rule.status === "active" && (
                   <div className="mt-3">
-                    <Progress value={rule.successRate} className="h-1" />
+                    <Progress value={rule.successRate ?? 0} className="h-1" />
                   </div>
                 )}
               </div>
@@ -760,7 +807,9 @@ export const WorkflowTab = ({
                 </div>
                 <div className="flex justify-between text-sm">
                   <span>SLA Compliance</span>
-                  <span className="font-medium text-success">96.8%</span>
+                  <span className="font-medium text-success">
+                    {slaCompliance === null ? "—" : `${slaCompliance}%`}
+                  </span>
                 </div>
               </div>
             </div>
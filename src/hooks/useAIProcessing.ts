@@ -1,6 +1,9 @@
 import { useState, useCallback } from 'react';
 import { aiService, AISummaryResponse } from '@/services/aiService';
 import { taskService, Task } from '@/services/taskService';
+import { jobService, JOB_STAGE_LABELS, type Job } from '@/services/jobService';
+import { isSupportedDocumentFile } from '@/services/documentService';
+import apiClient from '@/services/api';
 
 interface AIProcessingState {
   isProcessing: boolean;
@@ -66,38 +69,58 @@ export const useAIProcessing = () => {
         throw new Error('File size exceeds 10MB limit');
       }
 
-      const allowedTypes = [
-        'application/pdf',
-        'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'application/vnd.ms-excel',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'text/plain'
-      ];
-
-      if (!allowedTypes.includes(file.type)) {
-        throw new Error('Unsupported file type. Please upload PDF, Word, Excel, or text files.');
+      if (!isSupportedDocumentFile(file)) {
+        throw new Error('Unsupported file type. Please upload a PDF, Office, OpenDocument, RTF, HTML, email, CSV, ZIP, text or image file.');
       }
 
-      updateState({ 
-        progress: 25, 
-        currentStep: 'Analyzing document with AI...' 
-      });
+      // Step 2: Upload; extraction and summarization run as a background job
+      const formData = new FormData();
+      formData.append('document', file);
+      formData.append('priority', priority);
+      if (department) {
+        formData.append('department', department);
+      }
+      const upload = await apiClient.upload('/documents/upload', formData);
+
+      // Step 3: Follow the job, mapping its 0-100 progress onto 15-70.
+      // Identical files are linked to the original on upload and have no job.
+      let job: Job | null = null;
+      if (upload.jobId) {
+        job = await jobService.waitForJob(upload.jobId, (update) => {
+          updateState({
+            progress: 15 + Math.round(update.progress * 0.55),
+            currentStep: JOB_STAGE_LABELS[update.stage] || 'Processing document...'
+          });
+        });
 
-      // Step 2: Get AI summary
-      const summary = await aiService.summarizeDocument(file, {
-        extractActionItems: autoCreateTasks
-      });
+        if (job.status === 'failed') {
+          throw new Error(job.error || 'Document processing failed');
+        }
+      }
+
+      // Duplicates are not summarized again; show the original's summary
+      const duplicateOf = upload.duplicateOf || job?.result?.duplicateOf;
+      const document = await apiClient.get(`/documents/${duplicateOf || upload.document.id}`);
+      const summary: AISummaryResponse = {
+        id: document.id,
+        summary: document.summary,
+        metadata: {
+          originalLength: Number(job?.result?.textLength) || 0,
+          generatedAt: document.updatedAt,
+          model: String(job?.result?.model ?? document.summary?._meta?.model ?? 'unknown'),
+          processingTime: job ? new Date(job.finishedAt).getTime() - new Date(job.startedAt).getTime() : 0
+        }
+      };
 
       updateState({ 
-        progress: 60, 
+        progress: 70, 
         currentStep: 'Processing summary results...',
         summary 
       });
 
       let tasks: Task[] = [];
 
-      // Step 3: Create tasks if requested and action items exist
+      // Step 4: Create tasks if requested and action items exist
       if (autoCreateTasks && summary.summary.actionItems?.length > 0) {
         updateState({ 
           progress: 75, 
@@ -111,8 +134,7 @@ export const useAIProcessing = () => {
               priority: item.priority || priority,
               department: item.department || department || 'General'
             })),
-            documentId: summary.id,
-            createdBy: 'AI System'
+            documentId: summary.id
           });
 
           tasks = taskResponse.tasks;
@@ -199,8 +221,7 @@ export const useAIProcessing = () => {
               priority: item.priority || priority,
               department: item.department || department || 'General'
             })),
-            documentId: summary.id,
-            createdBy: 'AI System'
+            documentId: summary.id
           });
 
           tasks = taskResponse.tasks;
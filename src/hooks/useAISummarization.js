@@ -83,13 +83,14 @@ export const useAISummarization = () => {
    * Summarize with KMRL-specific context
    * @param {string|File} content - Content to summarize
    * @param {object} context - Additional context
+   * @param {boolean} autoCreateTasks - Whether to automatically create tasks
    */
-  const summarizeWithKMRLContext = useCallback(async (content, context = {}) => {
+  const summarizeWithKMRLContext = useCallback(async (content, context = {}, autoCreateTasks = true) => {
     setIsLoading(true);
     setError(null);
     
     try {
-      const result = await aiService.summarizeWithKMRLContext(content, context);
+      const result = await aiService.summarizeWithKMRLContext(content, context, autoCreateTasks);
       setSummary(result.summary);
       setCreatedTasks(result.createdTasks || []);
       return result;
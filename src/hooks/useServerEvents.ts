@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+import { eventService, ServerEvent, ServerEventType } from '@/services/eventService';
+
+/**
+ * Subscribe to backend push events of the given types for the lifetime of the
+ * component. The handler may change between renders without resubscribing.
+ */
+export const useServerEvents = (
+  types: ServerEventType | ServerEventType[],
+  handler: (event: ServerEvent) => void
+) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  const typeKey = (Array.isArray(types) ? types : [types]).join(',');
+
+  useEffect(() => {
+    const wanted = typeKey.split(',');
+    return eventService.subscribe((event) => {
+      if (wanted.includes(event.type)) {
+        handlerRef.current(event);
+      }
+    });
+  }, [typeKey]);
+};
+
+export default useServerEvents;
@@ -6,6 +6,9 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
 import { ScrollArea } from "@/components/ui/scroll-area";
+import { DocumentVersions } from "@/components/DocumentVersions";
+import { DocumentPreview } from "@/components/DocumentPreview";
+import { documentService } from "@/services/documentService";
 import { 
   ChevronLeft, 
   Share2, 
@@ -32,6 +35,7 @@ const DocumentViewer = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [zoom, setZoom] = useState(100);
+  const [rotation, setRotation] = useState(0);
   const [isStarred, setIsStarred] = useState(false);
 
   // Mock document data - in real app this would come from API
@@ -84,6 +88,7 @@ const DocumentViewer = () => {
 
   const handleZoomIn = () => setZoom(prev => Math.min(prev + 25, 200));
   const handleZoomOut = () => setZoom(prev => Math.max(prev - 25, 50));
+  const handleRotate = () => setRotation(prev => (prev + 90) % 360);
 
   const getPriorityColor = (priority: string) => {
     switch (priority.toLowerCase()) {
@@ -173,117 +178,110 @@ const DocumentViewer = () => {
               </CardHeader>
             </Card>
 
-            {/* AI Summary Panel */}
-            <Card>
-              <CardHeader>
-                <CardTitle className="flex items-center gap-2">
-                  <div className="bg-primary/10 p-2 rounded-lg">
-                    <CheckCircle className="h-5 w-5 text-primary" />
+            {/* AI summary next to the original file */}
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+              {/* AI Summary Panel */}
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <div className="bg-primary/10 p-2 rounded-lg">
+                      <CheckCircle className="h-5 w-5 text-primary" />
+                    </div>
+                    AI Summary & Insights
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  {/* Executive Summary */}
+                  <div>
+                    <h4 className="font-semibold mb-2">Executive Summary</h4>
+                    <p className="text-muted-foreground">{document.summary.executive}</p>
                   </div>
-                  AI Summary & Insights
-                </CardTitle>
-              </CardHeader>
-              <CardContent className="space-y-6">
-                {/* Executive Summary */}
-                <div>
-                  <h4 className="font-semibold mb-2">Executive Summary</h4>
-                  <p className="text-muted-foreground">{document.summary.executive}</p>
-                </div>
 
-                <Separator />
+                  <Separator />
 
-                {/* Key Points */}
-                <div>
-                  <h4 className="font-semibold mb-3">Key Points</h4>
-                  <ul className="space-y-2">
-                    {document.summary.keyPoints.map((point, index) => (
-                      <li key={index} className="flex items-start gap-2 text-sm">
-                        <CheckCircle className="h-4 w-4 text-accent mt-0.5 flex-shrink-0" />
-                        <span>{point}</span>
-                      </li>
-                    ))}
-                  </ul>
-                </div>
+                  {/* Key Points */}
+                  <div>
+                    <h4 className="font-semibold mb-3">Key Points</h4>
+                    <ul className="space-y-2">
+                      {document.summary.keyPoints.map((point, index) => (
+                        <li key={index} className="flex items-start gap-2 text-sm">
+                          <CheckCircle className="h-4 w-4 text-accent mt-0.5 flex-shrink-0" />
+                          <span>{point}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
 
-                <Separator />
+                  <Separator />
 
-                {/* Action Items */}
-                <div>
-                  <h4 className="font-semibold mb-3">Action Items</h4>
-                  <div className="space-y-3">
-                    {document.summary.actionItems.map((item, index) => (
-                      <div key={index} className="bg-muted/50 p-4 rounded-lg">
-                        <div className="flex items-center justify-between mb-2">
-                          <span className="font-medium">{item.task}</span>
-                          <Badge variant={getPriorityColor(item.priority) as any} className="text-xs">
-                            {item.priority}
-                          </Badge>
-                        </div>
-                        <div className="flex items-center gap-4 text-sm text-muted-foreground">
-                          <div className="flex items-center gap-1">
-                            <Clock className="h-4 w-4" />
-                            Due: {item.deadline}
+                  {/* Action Items */}
+                  <div>
+                    <h4 className="font-semibold mb-3">Action Items</h4>
+                    <div className="space-y-3">
+                      {document.summary.actionItems.map((item, index) => (
+                        <div key={index} className="bg-muted/50 p-4 rounded-lg">
+                          <div className="flex items-center justify-between mb-2">
+                            <span className="font-medium">{item.task}</span>
+                            <Badge variant={getPriorityColor(item.priority) as any} className="text-xs">
+                              {item.priority}
+                            </Badge>
                           </div>
-                          <div className="flex items-center gap-1">
-                            <User className="h-4 w-4" />
-                            {item.assignee}
+                          <div className="flex items-center gap-4 text-sm text-muted-foreground">
+                            <div className="flex items-center gap-1">
+                              <Clock className="h-4 w-4" />
+                              Due: {item.deadline}
+                            </div>
+                            <div className="flex items-center gap-1">
+                              <User className="h-4 w-4" />
+                              {item.assignee}
+                            </div>
                           </div>
                         </div>
-                      </div>
-                    ))}
+                      ))}
+                    </div>
                   </div>
-                </div>
 
-                <Separator />
+                  <Separator />
 
-                {/* Compliance Requirements */}
-                <div>
-                  <h4 className="font-semibold mb-3">Compliance Status</h4>
-                  <div className="space-y-2">
-                    {document.summary.compliance.map((item, index) => (
-                      <div key={index} className="flex items-center gap-2 text-sm">
-                        <CheckCircle className="h-4 w-4 text-green-500" />
-                        <span>{item}</span>
-                      </div>
-                    ))}
+                  {/* Compliance Requirements */}
+                  <div>
+                    <h4 className="font-semibold mb-3">Compliance Status</h4>
+                    <div className="space-y-2">
+                      {document.summary.compliance.map((item, index) => (
+                        <div key={index} className="flex items-center gap-2 text-sm">
+                          <CheckCircle className="h-4 w-4 text-green-500" />
+                          <span>{item}</span>
+                        </div>
+                      ))}
+                    </div>
                   </div>
-                </div>
-              </CardContent>
-            </Card>
+                </CardContent>
+              </Card>
 
-            {/* Document Viewer */}
-            <Card>
-              <CardHeader>
-                <div className="flex items-center justify-between">
-                  <CardTitle>Document Preview</CardTitle>
-                  <div className="flex items-center gap-2">
-                    <Button variant="outline" size="sm" onClick={handleZoomOut}>
-                      <ZoomOut className="h-4 w-4" />
-                    </Button>
-                    <span className="text-sm font-medium">{zoom}%</span>
-                    <Button variant="outline" size="sm" onClick={handleZoomIn}>
-                      <ZoomIn className="h-4 w-4" />
-                    </Button>
-                    <Button variant="outline" size="sm">
-                      <RotateCw className="h-4 w-4" />
-                    </Button>
-                  </div>
-                </div>
-              </CardHeader>
-              <CardContent>
-                <div className="bg-muted/30 rounded-lg p-8 text-center min-h-[600px] flex items-center justify-center">
-                  <div className="text-center">
-                    <FileText className="h-16 w-16 text-muted-foreground mx-auto mb-4" />
-                    <p className="text-muted-foreground">
-                      Document preview would be displayed here
-                    </p>
-                    <p className="text-sm text-muted-foreground mt-2">
-                      PDF viewer with zoom: {zoom}%
-                    </p>
+              {/* Document Viewer */}
+              <Card>
+                <CardHeader>
+                  <div className="flex items-center justify-between">
+                    <CardTitle>Document Preview</CardTitle>
+                    <div className="flex items-center gap-2">
+                      <Button variant="outline" size="sm" onClick={handleZoomOut}>
+                        <ZoomOut className="h-4 w-4" />
+                      </Button>
+                      <span className="text-sm font-medium">{zoom}%</span>
+                      <Button variant="outline" size="sm" onClick={handleZoomIn}>
+                        <ZoomIn className="h-4 w-4" />
+                      </Button>
+                      <Button variant="outline" size="sm" onClick={handleRotate}>
+                        <RotateCw className="h-4 w-4" />
+                      </Button>
+                    </div>
                   </div>
-                </div>
-              </CardContent>
-            </Card>
+                </CardHeader>
+                <CardContent>
+                  <DocumentPreview documentId={document.id} zoom={zoom} rotation={rotation} />
+                </CardContent>
+              </Card>
+            </div>
           </div>
 
           {/* Sidebar Actions */}
@@ -313,6 +311,13 @@ const DocumentViewer = () => {
                   Create Reminder
                 </Button>
                 
+                <Button variant="outline" className="w-full justify-start" asChild>
+                  <a href={documentService.fileUrl(document.id, { download: true })}>
+                    <Download className="h-4 w-4 mr-2" />
+                    Download Original
+                  </a>
+                </Button>
+
                 <Button variant="outline" className="w-full justify-start">
                   <Download className="h-4 w-4 mr-2" />
                   Export Summary
@@ -327,6 +332,9 @@ const DocumentViewer = () => {
               </CardContent>
             </Card>
 
+            {/* Revisions and what changed in each */}
+            <DocumentVersions documentId={document.id} />
+
             {/* Related Documents */}
             <Card>
               <CardHeader>
@@ -1,6 +1,7 @@
 // src/pages/Documents.tsx (Enhanced with CRUD)
 import { useState, useEffect } from "react";
 import apiClient from "@/services/api";
+import { DOCUMENT_FILE_ACCEPT } from "@/services/documentService";
 import { Link } from "react-router-dom";
 import {
   FileText,
@@ -375,7 +376,11 @@ const Documents = () => {
       const newDoc = response.document;
 
       setDocuments((prev) => [newDoc, ...prev]);
-      setSuccess("Document uploaded and summarized successfully!");
+      setSuccess(
+        response.duplicateOf
+          ? "This file is identical to a document already in the library. It was linked to the original instead of being summarized again."
+          : "Document uploaded. AI summary is being generated in the background."
+      );
       setIsCreateOpen(false);
       resetForm();
     } catch (err) {
@@ -636,7 +641,7 @@ const Documents = () => {
                       <Input
                         id="file"
                         type="file"
-                        accept=".pdf,.doc,.docx,.xls,.xlsx,.txt"
+                        accept={DOCUMENT_FILE_ACCEPT}
                         onChange={(e) => {
                           const file = e.target.files && e.target.files[0];
                           setFormData((prev) => ({ ...prev, file: file || null }));
@@ -33,6 +33,7 @@ import {
   Plus
 } from 'lucide-react';
 import AISummarizationPanel from '@/components/AISummarizationPanel';
+import { DocumentChat } from '@/components/DocumentChat';
 import { useAISummarization } from '@/hooks/useAISummarization';
 
 const EnhancedDocumentViewer = () => {
@@ -402,6 +403,9 @@ Recommendations:
 
           {/* Sidebar Actions */}
           <div className="space-y-6">
+            {/* Questions about this document or the whole library */}
+            <DocumentChat documentId={document.id} />
+
             {/* Quick Actions */}
             <Card>
               <CardHeader>
@@ -26,14 +26,14 @@ const faqData: FAQItem[] = [
     category: "Getting Started",
     question: "How do I upload documents to the system?",
     answer:
-      "You can upload documents in multiple ways: 1) Click the 'Upload Document' button on the dashboard or documents page, 2) Drag and drop files directly onto the upload area, 3) Documents are automatically ingested from connected email accounts and SharePoint. Supported formats include PDF, Word, Excel, and image files (JPG, PNG).",
+      "You can upload documents in multiple ways: 1) Click the 'Upload Document' button on the dashboard or documents page, 2) Drag and drop files directly onto the upload area, 3) Documents are automatically ingested from connected email accounts and SharePoint. Supported formats include PDF, Office and OpenDocument files, emails, ZIP archives and images (JPG, PNG, TIFF).",
   },
   {
     id: "2",
     category: "Getting Started",
     question: "What document formats are supported?",
     answer:
-      "The system supports PDF, Microsoft Word (.doc, .docx), Microsoft Excel (.xls, .xlsx), PowerPoint (.ppt, .pptx), and image formats (JPG, PNG, TIFF). The AI can process both English and Malayalam text in any of these formats.",
+      "The system supports PDF, Microsoft Word (.doc, .docx), Microsoft Excel (.xls, .xlsx), PowerPoint (.ppt, .pptx), OpenDocument (.odt, .ods, .odp), RTF, HTML, CSV, plain text, saved emails (.eml, .msg), ZIP archives, and image formats (JPG, PNG, TIFF). Every file inside a ZIP archive and every email attachment is added as a document of its own. The AI can process both English and Malayalam text in any of these formats.",
   },
   {
     id: "3",
@@ -1,5 +1,5 @@
 // src/pages/Settings.tsx
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import {
   User,
   Bell,
@@ -12,6 +12,8 @@ import {
   Save,
   Key,
   Mail,
+  Trash2,
+  X,
 } from "lucide-react";
 import { Navigation } from "@/components/Navigation";
 import { Button } from "@/components/ui/button";
@@ -26,6 +28,32 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { authService, UserInput } from "@/services/authService";
+import { AuthUser, UserRole, ROLE_LABELS, getStoredUser } from "@/services/session";
+
+const DEPARTMENTS = [
+  "General",
+  "Operations",
+  "Maintenance",
+  "Engineering",
+  "Finance",
+  "Safety",
+  "Human Resources",
+  "Legal",
+  "Customer Service",
+];
+
+type FormMessage = { type: "success" | "error"; text: string } | null;
+
+const EMPTY_USER: UserInput = {
+  username: "",
+  name: "",
+  email: "",
+  password: "",
+  role: "staff",
+  department: "Operations",
+};
 
 const Settings = () => {
   const [emailNotifications, setEmailNotifications] = useState(true);
@@ -33,12 +61,90 @@ const Settings = () => {
   const [urgentAlerts, setUrgentAlerts] = useState(true);
   const [language, setLanguage] = useState("english");
 
+  const currentUser = getStoredUser();
+  const canViewUsers = currentUser?.role === "admin" || currentUser?.role === "department-head";
+  const canManageUsers = currentUser?.role === "admin";
+
+  // Password change
+  const [passwords, setPasswords] = useState({ current: "", next: "", confirm: "" });
+  const [passwordMessage, setPasswordMessage] = useState<FormMessage>(null);
+  const [isSavingPassword, setIsSavingPassword] = useState(false);
+
+  // User management
+  const [users, setUsers] = useState<AuthUser[]>([]);
+  const [roles, setRoles] = useState<UserRole[]>([]);
+  const [userMessage, setUserMessage] = useState<FormMessage>(null);
+  const [isAddingUser, setIsAddingUser] = useState(false);
+  const [newUser, setNewUser] = useState<UserInput>(EMPTY_USER);
+
+  const loadUsers = async () => {
+    try {
+      const response = await authService.listUsers();
+      setUsers(response.users);
+      setRoles(response.roles);
+    } catch (error) {
+      setUserMessage({ type: "error", text: error instanceof Error ? error.message : "Failed to load users" });
+    }
+  };
+
+  useEffect(() => {
+    if (canViewUsers) loadUsers();
+  }, [canViewUsers]);
+
+  const handlePasswordChange = async () => {
+    if (passwords.next !== passwords.confirm) {
+      setPasswordMessage({ type: "error", text: "New passwords do not match" });
+      return;
+    }
+
+    setIsSavingPassword(true);
+    try {
+      await authService.changePassword(passwords.current, passwords.next);
+      setPasswords({ current: "", next: "", confirm: "" });
+      setPasswordMessage({ type: "success", text: "Password updated. Other sessions have been signed out." });
+    } catch (error) {
+      setPasswordMessage({ type: "error", text: error instanceof Error ? error.message : "Failed to update password" });
+    } finally {
+      setIsSavingPassword(false);
+    }
+  };
+
+  const handleCreateUser = async () => {
+    try {
+      const created = await authService.createUser(newUser);
+      setUsers((prev) => [...prev, created]);
+      setNewUser(EMPTY_USER);
+      setIsAddingUser(false);
+      setUserMessage({ type: "success", text: `User ${created.username} created` });
+    } catch (error) {
+      setUserMessage({ type: "error", text: error instanceof Error ? error.message : "Failed to create user" });
+    }
+  };
+
+  const handleUpdateUser = async (user: AuthUser, changes: UserInput) => {
+    try {
+      const updated = await authService.updateUser(user.id, changes);
+      setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
+    } catch (error) {
+      setUserMessage({ type: "error", text: error instanceof Error ? error.message : "Failed to update user" });
+    }
+  };
+
+  const handleDeleteUser = async (user: AuthUser) => {
+    if (!window.confirm(`Delete user ${user.username}?`)) return;
+    try {
+      await authService.deleteUser(user.id);
+      setUsers((prev) => prev.filter((u) => u.id !== user.id));
+    } catch (error) {
+      setUserMessage({ type: "error", text: error instanceof Error ? error.message : "Failed to delete user" });
+    }
+  };
+
   return (
     <div className="min-h-screen bg-background">
       <Navigation
         isLoggedIn={true}
         userRole="System Administrator"
-        notifications={2}
       />
 
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -52,7 +158,7 @@ const Settings = () => {
         </div>
 
         <Tabs defaultValue="profile" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-5">
+          <TabsList className={`grid w-full ${canViewUsers ? "grid-cols-5" : "grid-cols-4"}`}>
             <TabsTrigger
               value="profile"
               className="flex items-center space-x-2"
@@ -78,10 +184,12 @@ const Settings = () => {
               <SettingsIcon className="w-4 h-4" />
               <span>System</span>
             </TabsTrigger>
-            <TabsTrigger value="admin" className="flex items-center space-x-2">
-              <Users className="w-4 h-4" />
-              <span>Admin</span>
-            </TabsTrigger>
+            {canViewUsers && (
+              <TabsTrigger value="admin" className="flex items-center space-x-2">
+                <Users className="w-4 h-4" />
+                <span>Admin</span>
+              </TabsTrigger>
+            )}
           </TabsList>
 
           <TabsContent value="profile" className="space-y-6">
@@ -235,21 +343,48 @@ const Settings = () => {
                 Password & Security
               </h3>
               <div className="space-y-4">
+                {passwordMessage && (
+                  <Alert variant={passwordMessage.type === "error" ? "destructive" : "default"}>
+                    <AlertDescription>{passwordMessage.text}</AlertDescription>
+                  </Alert>
+                )}
                 <div>
                   <Label htmlFor="currentPassword">Current Password</Label>
-                  <Input id="currentPassword" type="password" />
+                  <Input
+                    id="currentPassword"
+                    type="password"
+                    autoComplete="current-password"
+                    value={passwords.current}
+                    onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+                  />
                 </div>
                 <div>
                   <Label htmlFor="newPassword">New Password</Label>
-                  <Input id="newPassword" type="password" />
+                  <Input
+                    id="newPassword"
+                    type="password"
+                    autoComplete="new-password"
+                    value={passwords.next}
+                    onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+                  />
                 </div>
                 <div>
                   <Label htmlFor="confirmPassword">Confirm New Password</Label>
-                  <Input id="confirmPassword" type="password" />
+                  <Input
+                    id="confirmPassword"
+                    type="password"
+                    autoComplete="new-password"
+                    value={passwords.confirm}
+                    onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+                  />
                 </div>
-                <Button className="btn-success">
+                <Button
+                  className="btn-success"
+                  onClick={handlePasswordChange}
+                  disabled={isSavingPassword || !passwords.current || !passwords.next}
+                >
                   <Key className="w-4 h-4 mr-2" />
-                  Update Password
+                  {isSavingPassword ? "Updating..." : "Update Password"}
                 </Button>
               </div>
             </div>
@@ -303,14 +438,105 @@ const Settings = () => {
             </div>
           </TabsContent>
 
+          {canViewUsers && (
           <TabsContent value="admin" className="space-y-6">
             <div className="card-enterprise">
               <h3 className="text-lg font-semibold mb-4">User Management</h3>
               <div className="space-y-4">
-                <Button className="btn-success">
-                  <Users className="w-4 h-4 mr-2" />
-                  Add New User
-                </Button>
+                {userMessage && (
+                  <Alert variant={userMessage.type === "error" ? "destructive" : "default"}>
+                    <AlertDescription>{userMessage.text}</AlertDescription>
+                  </Alert>
+                )}
+                {canManageUsers && !isAddingUser && (
+                  <Button className="btn-success" onClick={() => setIsAddingUser(true)}>
+                    <Users className="w-4 h-4 mr-2" />
+                    Add New User
+                  </Button>
+                )}
+                {isAddingUser && (
+                  <div className="border border-border rounded-lg p-4 space-y-4">
+                    <div className="flex items-center justify-between">
+                      <h4 className="font-medium">New User</h4>
+                      <Button variant="ghost" size="icon" onClick={() => setIsAddingUser(false)}>
+                        <X className="w-4 h-4" />
+                      </Button>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <Label htmlFor="newUsername">Username</Label>
+                        <Input
+                          id="newUsername"
+                          value={newUser.username}
+                          onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+                        />
+                      </div>
+                      <div>
+                        <Label htmlFor="newName">Full Name</Label>
+                        <Input
+                          id="newName"
+                          value={newUser.name}
+                          onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+                        />
+                      </div>
+                      <div>
+                        <Label htmlFor="newEmail">Email Address</Label>
+                        <Input
+                          id="newEmail"
+                          type="email"
+                          value={newUser.email}
+                          onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+                        />
+                      </div>
+                      <div>
+                        <Label htmlFor="newUserPassword">Initial Password</Label>
+                        <Input
+                          id="newUserPassword"
+                          type="password"
+                          autoComplete="new-password"
+                          value={newUser.password}
+                          onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                        />
+                      </div>
+                      <div>
+                        <Label>Role</Label>
+                        <Select
+                          value={newUser.role}
+                          onValueChange={(role) => setNewUser({ ...newUser, role: role as UserRole })}
+                        >
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {roles.map((role) => (
+                              <SelectItem key={role} value={role}>{ROLE_LABELS[role]}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div>
+                        <Label>Department</Label>
+                        <Select
+                          value={newUser.department}
+                          onValueChange={(department) => setNewUser({ ...newUser, department })}
+                        >
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {DEPARTMENTS.map((department) => (
+                              <SelectItem key={department} value={department}>{department}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    </div>
+                    <Button className="btn-success" onClick={handleCreateUser}>
+                      <Save className="w-4 h-4 mr-2" />
+                      Create User
+                    </Button>
+                  </div>
+                )}
                 <div className="border border-border rounded-lg overflow-hidden">
                   <table className="w-full">
                     <thead className="bg-muted">
@@ -321,31 +547,92 @@ const Settings = () => {
                         </th>
                         <th className="text-left p-4 font-medium">Role</th>
                         <th className="text-left p-4 font-medium">Status</th>
+                        {canManageUsers && <th className="p-4" />}
                       </tr>
                     </thead>
                     <tbody>
-                      <tr className="border-t border-border">
-                        <td className="p-4">Priya Nair</td>
-                        <td className="p-4">Finance</td>
-                        <td className="p-4">Manager</td>
-                        <td className="p-4">
-                          <span className="status-success">Active</span>
-                        </td>
-                      </tr>
-                      <tr className="border-t border-border">
-                        <td className="p-4">Arun Menon</td>
-                        <td className="p-4">Operations</td>
-                        <td className="p-4">Analyst</td>
-                        <td className="p-4">
-                          <span className="status-success">Active</span>
-                        </td>
-                      </tr>
+                      {users.map((user) => (
+                        <tr key={user.id} className="border-t border-border">
+                          <td className="p-4">
+                            <div>{user.name}</div>
+                            <div className="text-xs text-muted-foreground">{user.username}</div>
+                          </td>
+                          <td className="p-4">
+                            {canManageUsers ? (
+                              <Select
+                                value={user.department}
+                                onValueChange={(department) => handleUpdateUser(user, { department })}
+                              >
+                                <SelectTrigger>
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  {DEPARTMENTS.map((department) => (
+                                    <SelectItem key={department} value={department}>{department}</SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            ) : (
+                              user.department
+                            )}
+                          </td>
+                          <td className="p-4">
+                            {canManageUsers ? (
+                              <Select
+                                value={user.role}
+                                onValueChange={(role) => handleUpdateUser(user, { role: role as UserRole })}
+                              >
+                                <SelectTrigger>
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  {roles.map((role) => (
+                                    <SelectItem key={role} value={role}>{ROLE_LABELS[role]}</SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            ) : (
+                              ROLE_LABELS[user.role]
+                            )}
+                          </td>
+                          <td className="p-4">
+                            {canManageUsers ? (
+                              <div className="flex items-center space-x-2">
+                                <Switch
+                                  checked={user.active}
+                                  onCheckedChange={(active) => handleUpdateUser(user, { active })}
+                                />
+                                <span className={user.active ? "status-success" : "text-muted-foreground"}>
+                                  {user.active ? "Active" : "Disabled"}
+                                </span>
+                              </div>
+                            ) : (
+                              <span className={user.active ? "status-success" : "text-muted-foreground"}>
+                                {user.active ? "Active" : "Disabled"}
+                              </span>
+                            )}
+                          </td>
+                          {canManageUsers && (
+                            <td className="p-4 text-right">
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                disabled={user.id === currentUser?.id}
+                                onClick={() => handleDeleteUser(user)}
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </Button>
+                            </td>
+                          )}
+                        </tr>
+                      ))}
                     </tbody>
                   </table>
                 </div>
               </div>
             </div>
           </TabsContent>
+          )}
         </Tabs>
       </div>
     </div>
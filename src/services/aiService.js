@@ -75,6 +75,21 @@ export class AIService {
     }
   }
 
+  /**
+   * Ask a question answered from the document library, with citations
+   * @param {string} question - Question to answer
+   * @param {string[]} [documentIds] - Optionally restrict retrieval to these documents
+   * @returns {Promise<object>} Answer, citations and retrieved passages
+   */
+  async ask(question, documentIds) {
+    try {
+      return await apiClient.post('/ai/ask', { question, documentIds });
+    } catch (error) {
+      console.error('Error asking question:', error);
+      throw new Error(`Question answering failed: ${error.message}`);
+    }
+  }
+
   /**
    * Check AI service health
    * @returns {Promise<object>} Health status
@@ -92,9 +107,10 @@ export class AIService {
    * Enhanced summarization with KMRL-specific context
    * @param {string|File} content - Content to summarize
    * @param {object} context - KMRL-specific context
+   * @param {boolean} autoCreateTasks - Create tasks from the action items right away
    * @returns {Promise<object>} Enhanced summary
    */
-  async summarizeWithKMRLContext(content, context = {}) {
+  async summarizeWithKMRLContext(content, context = {}, autoCreateTasks = true) {
     const kmrlOptions = {
       ...context,
       organizationContext: 'Kochi Metro Rail Limited (KMRL)',
@@ -110,6 +126,11 @@ export class AIService {
       generateActionItems: true
     };
 
+    if (!autoCreateTasks) {
+      return typeof content === 'string'
+        ? this.summarizeText(content, kmrlOptions)
+        : this.summarizeDocument(content, kmrlOptions);
+    }
     return this.processAndCreateTasks(content, kmrlOptions);
   }
 }
@@ -1,4 +1,5 @@
 import apiClient from './api';
+import type { TaskSource } from './taskService';
 
 export interface AISummaryRequest {
   text?: string;
@@ -6,9 +7,16 @@ export interface AISummaryRequest {
     language?: 'english' | 'malayalam' | 'mixed';
     summaryType?: 'executive' | 'detailed' | 'technical';
     extractActionItems?: boolean;
+    // Also return the executive summary and key points in English and Malayalam
+    bilingual?: boolean;
   };
 }
 
+export interface AISummaryTranslation {
+  executiveSummary: string;
+  keyPoints: string[];
+}
+
 export interface AISummaryResponse {
   id: string;
   summary: {
@@ -20,15 +28,37 @@ export interface AISummaryResponse {
       deadline: string;
       department: string;
       estimatedHours: number;
+      // null when no passage of the document could be matched to the item
+      source?: TaskSource | null;
     }>;
     complianceItems: string[];
     riskFactors: string[];
     recommendations: string[];
     categories: string[];
-    confidence: string;
+    confidence: number;
     language: string;
     documentType: string;
     urgencyLevel: 'low' | 'medium' | 'high' | 'critical';
+    // Present when requested with options.bilingual; null when translation failed
+    bilingual?: {
+      English: AISummaryTranslation | null;
+      Malayalam: AISummaryTranslation | null;
+    };
+    _meta?: {
+      model: string | null;
+      fallback?: boolean;
+      translation?: {
+        model: string | null;
+        error?: string;
+      };
+      validation?: {
+        valid: boolean;
+        errors: string[];
+        coercions: string[];
+        repairAttempted: boolean;
+        repaired: boolean;
+      };
+    };
   };
   metadata: {
     originalLength: number;
@@ -40,12 +70,38 @@ export interface AISummaryResponse {
 
 export interface AIHealthResponse {
   status: 'healthy' | 'unhealthy';
+  provider: 'gemini' | 'openai' | 'rule-based';
   geminiConnected: boolean;
   message: string;
   model: string;
   timestamp: string;
 }
 
+export interface AICitation {
+  marker: number;
+  documentId: string;
+  title: string;
+  // Character offsets of the cited passage in the document's extracted text
+  start: number;
+  end: number;
+  excerpt: string;
+}
+
+export interface AIAskResponse {
+  id: string;
+  question: string;
+  answer: string;
+  citations: AICitation[];
+  passages: Array<Omit<AICitation, 'excerpt'> & { score: number }>;
+  model: string | null;
+  provider: string | null;
+  fallback?: boolean;
+  metadata: {
+    generatedAt: string;
+    processingTime: number;
+  };
+}
+
 class AIService {
   // Summarize document by uploading file
   async summarizeDocument(file: File, options?: AISummaryRequest['options']): Promise<AISummaryResponse> {
@@ -64,6 +120,11 @@ class AIService {
     return await apiClient.post('/ai/analyze-text', { text, options });
   }
 
+  // Ask a question answered from the document library, optionally limited to some documents
+  async ask(question: string, documentIds?: string[]): Promise<AIAskResponse> {
+    return await apiClient.post('/ai/ask', { question, documentIds });
+  }
+
   // Check AI service health
   async checkHealth(): Promise<AIHealthResponse> {
     return await apiClient.get('/ai/health');
@@ -85,8 +146,7 @@ class AIService {
         try {
           const taskResponse = await apiClient.post('/tasks/batch', {
             actionItems: summary.summary.actionItems,
-            documentId: summary.id,
-            createdBy: 'AI System'
+            documentId: summary.id
           });
           tasks = taskResponse.tasks || [];
         } catch (taskError) {
@@ -0,0 +1,129 @@
+import apiClient from './api';
+
+// e.g. "24h", "30d", "12w"; at most a year
+export type TimeRange = string;
+
+type Counts = Record<string, number>;
+
+interface AnalyticsWindow {
+  timeRange: TimeRange;
+  // Hour buckets for ranges in hours, days up to 90 days, weeks beyond
+  bucket: 'hour' | 'day' | 'week';
+  from: number;
+  to: number;
+  // Start of the equally long window before `from`
+  previousFrom: number;
+}
+
+export interface DocumentSeriesEntry {
+  // ISO start of the bucket
+  bucket: string;
+  uploaded: number;
+  processed: number;
+  failed: number;
+  bySource: Counts;
+  byType: Counts;
+  byDepartment: Counts;
+}
+
+export interface DepartmentDocumentStats {
+  department: string;
+  uploaded: number;
+  processed: number;
+  failed: number;
+  // Still being extracted or summarized
+  pending: number;
+  avgProcessingMinutes: number | null;
+  successRate: number | null;
+}
+
+export interface DocumentAnalytics extends AnalyticsWindow {
+  totals: {
+    uploaded: number;
+    processed: number;
+    failed: number;
+    duplicates: number;
+    bySource: Counts;
+    byType: Counts;
+    byDepartment: Counts;
+    // Queued to finished, for documents processed in the range
+    avgProcessingMinutes: number | null;
+    successRate: number | null;
+  };
+  // Uploads in the previous window, for period-over-period change
+  previous: { uploaded: number; bySource: Counts; byType: Counts };
+  byDepartment: DepartmentDocumentStats[];
+  series: DocumentSeriesEntry[];
+}
+
+export interface TaskAnalytics extends AnalyticsWindow {
+  totals: {
+    created: number;
+    completed: number;
+    open: number;
+    // Creation to completion of tasks completed in the range
+    avgCycleHours: number | null;
+    medianCycleHours: number | null;
+  };
+  byDepartment: Array<{ department: string; created: number; completed: number; open: number; avgCycleHours: number | null }>;
+  series: Array<{ bucket: string; created: number; completed: number }>;
+}
+
+export interface AIAnalytics extends AnalyticsWindow {
+  totals: {
+    summaries: number;
+    failed: number;
+    avgLatencyMs: number | null;
+    p95LatencyMs: number | null;
+    // Percent of summaries produced by the rule-based fallback
+    fallbackRate: number | null;
+    // Percent of summaries that needed a schema repair prompt
+    repairRate: number | null;
+    errorRate: number | null;
+    avgConfidence: number | null;
+    byProvider: Counts;
+  };
+  series: Array<{ bucket: string; summaries: number; fallbacks: number; avgLatencyMs: number | null }>;
+}
+
+export interface SourceIngestionStats {
+  count: number;
+  today: number;
+  processed: number;
+  failed: number;
+  lastReceivedAt: string | null;
+  successRate: number | null;
+}
+
+export interface AnalyticsOverview {
+  documentsToday: number;
+  // Open tasks
+  pendingActions: number;
+  // Open compliance obligations due within a week or overdue
+  complianceTasks: number;
+  knowledgeSearches: number;
+  summariesToday: number;
+  // Keyed by document source label, e.g. "Manual Upload" or "Email - ops@..."
+  ingestion: Record<string, SourceIngestionStats>;
+}
+
+class AnalyticsService {
+  async getDocumentAnalytics(timeRange: TimeRange = '30d'): Promise<DocumentAnalytics> {
+    return await apiClient.get(`/analytics/documents?timeRange=${encodeURIComponent(timeRange)}`);
+  }
+
+  async getTaskAnalytics(timeRange: TimeRange = '30d'): Promise<TaskAnalytics> {
+    return await apiClient.get(`/analytics/tasks?timeRange=${encodeURIComponent(timeRange)}`);
+  }
+
+  async getAIAnalytics(timeRange: TimeRange = '30d'): Promise<AIAnalytics> {
+    return await apiClient.get(`/analytics/ai?timeRange=${encodeURIComponent(timeRange)}`);
+  }
+
+  async getOverview(): Promise<AnalyticsOverview> {
+    return await apiClient.get('/analytics/overview');
+  }
+}
+
+export const analyticsService = new AnalyticsService();
+export default analyticsService;
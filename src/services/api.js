@@ -1,22 +1,26 @@
+import { authHeaders, handleUnauthorized } from './session';
+
 // API configuration - Use localhost backend
-const API_BASE_URL = 'http://localhost:3001/api';
+export const API_BASE_URL = 'http://localhost:3001/api';
 
 // API client with error handling
 class APIClient {
   async request(endpoint, options = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
         ...options.headers,
       },
-      ...options,
     };
 
     try {
       const response = await fetch(url, config);
       
       if (!response.ok) {
+        if (response.status === 401) handleUnauthorized();
         const errorData = await response.json().catch(() => ({}));
         throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
       }
@@ -70,11 +74,7 @@ class APIClient {
       formData.append(key, additionalData[key]);
     });
 
-    return this.request(endpoint, {
-      method: 'POST',
-      headers: {}, // Let browser set content-type for FormData
-      body: formData,
-    });
+    return this.upload(endpoint, formData);
   }
 
   // Align with TS client: upload FormData directly
@@ -84,6 +84,10 @@ class APIClient {
       method: 'POST',
       body: formData,
       ...options,
+      headers: {
+        ...authHeaders(),
+        ...options.headers,
+      },
     };
     // Do not set Content-Type; browser will set boundary
     if (config.headers && config.headers['Content-Type']) {
@@ -91,6 +95,7 @@ class APIClient {
     }
     const response = await fetch(url, config);
     if (!response.ok) {
+      if (response.status === 401) handleUnauthorized();
       const errorData = await response.json().catch(() => ({}));
       throw new Error(errorData.error || `Upload failed: ${response.statusText}`);
     }
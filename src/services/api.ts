@@ -1,5 +1,7 @@
+import { authHeaders, handleUnauthorized } from './session';
+
 // API configuration - Use localhost backend
-const API_BASE_URL = 'http://localhost:3001/api';
+export const API_BASE_URL = 'http://localhost:3001/api';
 
 // Debug: Log which API endpoint is being used
 if (typeof window !== 'undefined') {
@@ -12,17 +14,19 @@ const apiClient = {
     const url = `${API_BASE_URL}${endpoint}`;
     
     const config: RequestInit = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
         ...options.headers,
       },
-      ...options,
     };
 
     try {
       const response = await fetch(url, config);
       
       if (!response.ok) {
+        if (response.status === 401) handleUnauthorized();
         const errorData = await response.json().catch(() => ({}));
         throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
       }
@@ -74,6 +78,10 @@ const apiClient = {
       method: 'POST',
       body: formData,
       ...options,
+      headers: {
+        ...authHeaders(),
+        ...options?.headers,
+      },
     };
 
     // Don't set Content-Type for FormData - let browser set it
@@ -85,6 +93,7 @@ const apiClient = {
       const response = await fetch(url, config);
       
       if (!response.ok) {
+        if (response.status === 401) handleUnauthorized();
         const errorData = await response.json().catch(() => ({}));
         throw new Error(errorData.error || `Upload failed: ${response.statusText}`);
       }
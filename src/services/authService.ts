@@ -0,0 +1,68 @@
+import apiClient from './api';
+import { AuthUser, UserRole, saveSession, clearSession, getStoredUser } from './session';
+
+export interface LoginResponse {
+  token: string;
+  expiresAt: string;
+  user: AuthUser;
+}
+
+export interface UserInput {
+  username?: string;
+  name?: string;
+  email?: string;
+  role?: UserRole;
+  department?: string;
+  active?: boolean;
+  password?: string;
+}
+
+class AuthService {
+  async login(username: string, password: string): Promise<AuthUser> {
+    const response: LoginResponse = await apiClient.post('/auth/login', { username, password });
+    saveSession(response.token, response.user);
+    return response.user;
+  }
+
+  logout() {
+    clearSession();
+  }
+
+  currentUser(): AuthUser | null {
+    return getStoredUser();
+  }
+
+  // Refresh the stored profile (role or department may have changed)
+  async me(): Promise<AuthUser> {
+    const response = await apiClient.get('/auth/me');
+    return response.user;
+  }
+
+  async changePassword(currentPassword: string, newPassword: string): Promise<void> {
+    // Other sessions are revoked, so keep using the fresh token returned here
+    const response: LoginResponse = await apiClient.post('/auth/change-password', {
+      currentPassword,
+      newPassword
+    });
+    saveSession(response.token, response.user);
+  }
+
+  async listUsers(): Promise<{ users: AuthUser[]; roles: UserRole[] }> {
+    return await apiClient.get('/users');
+  }
+
+  async createUser(user: UserInput): Promise<AuthUser> {
+    return await apiClient.post('/users', user);
+  }
+
+  async updateUser(id: string, changes: UserInput): Promise<AuthUser> {
+    return await apiClient.put(`/users/${id}`, changes);
+  }
+
+  async deleteUser(id: string): Promise<void> {
+    await apiClient.delete(`/users/${id}`);
+  }
+}
+
+export const authService = new AuthService();
+export default authService;
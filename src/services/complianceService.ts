@@ -0,0 +1,155 @@
+import apiClient from './api';
+
+export type ObligationPriority = 'high' | 'medium' | 'low';
+export type ObligationRecurrence = 'none' | 'monthly' | 'quarterly' | 'half-yearly' | 'yearly';
+// "overdue" is reported for open obligations past their due date; it cannot be set
+export type ObligationStatus = 'upcoming' | 'in-progress' | 'completed' | 'overdue';
+export type StatementStatus = 'compliant' | 'non-compliant' | 'partial' | 'unknown';
+
+export interface ObligationEvidence {
+  documentId: string;
+  // Null once the document is gone
+  title: string | null;
+  note: string | null;
+  linkedAt: string;
+  linkedBy: string;
+}
+
+export interface ObligationCompletion {
+  dueDate: string;
+  completedAt: string;
+  completedBy: string;
+  onTime: boolean;
+}
+
+// Compliance statement from a document's AI summary
+export interface ComplianceStatement {
+  id: string;
+  documentId: string;
+  documentTitle: string;
+  text: string;
+  status: StatementStatus;
+  obligationId: string | null;
+  matchedBy: 'keyword' | 'regulatory-body' | 'manual' | null;
+  detectedAt: string;
+}
+
+export interface ComplianceObligation {
+  id: string;
+  title: string;
+  description: string;
+  regulatoryBody: string;
+  // Clause or circular the obligation comes from
+  reference: string | null;
+  department: string;
+  priority: ObligationPriority;
+  recurrence: ObligationRecurrence;
+  // YYYY-MM-DD; recurring obligations move on to the next one when completed
+  dueDate: string;
+  status: ObligationStatus;
+  progress: number;
+  assignedTo: string | null;
+  // Words that map AI compliance statements onto this obligation
+  keywords: string[];
+  // Days until due; null once completed
+  daysLeft: number | null;
+  completedAt: string | null;
+  evidence: ObligationEvidence[];
+  completions: ObligationCompletion[];
+  // Latest mapped AI statement
+  finding: Pick<ComplianceStatement, 'documentId' | 'text' | 'status' | 'detectedAt'> & { statementId: string } | null;
+  statements?: ComplianceStatement[];
+  createdAt: string;
+  createdBy: string;
+  updatedAt: string;
+  updatedBy: string;
+}
+
+export interface ComplianceObligationInput {
+  title?: string;
+  description?: string;
+  regulatoryBody?: string;
+  reference?: string | null;
+  department?: string;
+  priority?: ObligationPriority;
+  recurrence?: ObligationRecurrence;
+  dueDate?: string;
+  status?: Exclude<ObligationStatus, 'overdue'>;
+  progress?: number;
+  assignedTo?: string | null;
+  keywords?: string[];
+}
+
+export interface RegulatoryBodyStats {
+  regulatoryBody: string;
+  total: number;
+  overdue: number;
+  // Obligations whose latest AI finding is non-compliant
+  nonCompliant: number;
+  complianceRate: number | null;
+}
+
+export interface ComplianceStats {
+  total: number;
+  // Percent of obligations neither overdue nor flagged non-compliant; null without obligations
+  complianceRate: number | null;
+  pendingTasks: number;
+  overdueTasks: number;
+  dueThisWeek: number;
+  completedThisMonth: number;
+  nonCompliantFindings: number;
+  byRegulatoryBody: RegulatoryBodyStats[];
+}
+
+class ComplianceService {
+  async getObligations(filter: { status?: ObligationStatus; regulatoryBody?: string; department?: string } = {}): Promise<{ obligations: ComplianceObligation[] }> {
+    const params = new URLSearchParams(Object.entries(filter).filter(([, value]) => value) as [string, string][]);
+    const query = params.toString();
+    return await apiClient.get(`/compliance/obligations${query ? `?${query}` : ''}`);
+  }
+
+  // Includes the AI statements mapped onto the obligation
+  async getObligation(id: string): Promise<ComplianceObligation> {
+    return await apiClient.get(`/compliance/obligations/${id}`);
+  }
+
+  async createObligation(obligation: ComplianceObligationInput): Promise<ComplianceObligation> {
+    return await apiClient.post('/compliance/obligations', obligation);
+  }
+
+  async updateObligation(id: string, changes: ComplianceObligationInput): Promise<ComplianceObligation> {
+    return await apiClient.put(`/compliance/obligations/${id}`, changes);
+  }
+
+  async deleteObligation(id: string): Promise<{ message: string; obligation: ComplianceObligation }> {
+    return await apiClient.delete(`/compliance/obligations/${id}`);
+  }
+
+  async linkEvidence(id: string, documentId: string, note?: string): Promise<ComplianceObligation> {
+    return await apiClient.post(`/compliance/obligations/${id}/evidence`, { documentId, note });
+  }
+
+  async unlinkEvidence(id: string, documentId: string): Promise<ComplianceObligation> {
+    return await apiClient.delete(`/compliance/obligations/${id}/evidence/${documentId}`);
+  }
+
+  async getStatements(filter: { obligationId?: string; unmapped?: boolean } = {}): Promise<{ statements: ComplianceStatement[] }> {
+    const params = new URLSearchParams();
+    if (filter.obligationId) params.set('obligationId', filter.obligationId);
+    if (filter.unmapped) params.set('unmapped', 'true');
+    const query = params.toString();
+    return await apiClient.get(`/compliance/statements${query ? `?${query}` : ''}`);
+  }
+
+  // Pass null to unmap
+  async mapStatement(id: string, obligationId: string | null): Promise<ComplianceStatement> {
+    return await apiClient.patch(`/compliance/statements/${id}`, { obligationId });
+  }
+
+  async getStats(): Promise<ComplianceStats> {
+    return await apiClient.get('/compliance/stats');
+  }
+}
+
+export const complianceService = new ComplianceService();
+export default complianceService;
@@ -0,0 +1,135 @@
+import apiClient, { API_BASE_URL } from './api';
+import { getToken } from './session';
+
+export interface DocumentChangeSummary {
+  fromVersion: number;
+  toVersion: number;
+  summary: string;
+  added: string[];
+  removed: string[];
+  stats: { added: number; removed: number; unchanged: number };
+  model: string | null;
+  provider: string | null;
+  fallback?: boolean;
+  generatedAt: string;
+}
+
+export interface DocumentVersionEntry {
+  documentId: string;
+  version: number;
+  current: boolean;
+  originalName: string;
+  mimetype: string;
+  fileSize: number;
+  pages: number;
+  language: string | null;
+  status: string;
+  versionNote?: string | null;
+  createdAt: string;
+  createdBy: string;
+  supersededAt?: string;
+  textLength: number | null;
+  executiveSummary: string | null;
+  // Short form of the change summary against the previous version
+  changes: { fromVersion: number; summary: string } | null;
+}
+
+export interface DuplicateMatch {
+  documentId: string;
+  title: string;
+  // Estimated share of identical text (1 for byte-identical files)
+  similarity: number;
+  match: 'exact' | 'near';
+}
+
+export interface DocumentDuplicates {
+  documentId: string;
+  duplicateOf: string | null;
+  duplicates: Array<{ documentId: string; title: string; source: string; uploadDate: string }>;
+  possibleDuplicates: DuplicateMatch[];
+}
+
+// Original file rendered for the browser by GET /documents/:id/preview
+export interface DocumentPreview {
+  documentId: string;
+  mimetype: string;
+  originalName: string;
+  kind: 'pdf' | 'html' | 'spreadsheet' | 'text' | 'image';
+  // pdf: page images come from pageImageUrl()
+  pageCount?: number;
+  pages?: Array<{ page: number; text: string }>;
+  html?: string;
+  sheets?: Array<{ name: string; html: string }>;
+  text?: string;
+  // The file could not be rendered; text is the extracted text instead
+  fallback?: boolean;
+}
+
+export interface DocumentVersionHistory {
+  documentId: string;
+  currentVersion: number;
+  versions: DocumentVersionEntry[];
+}
+
+// File extensions the backend can extract text from (ZIP archives and emails
+// are expanded into one document per contained file)
+export const SUPPORTED_FILE_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ods', '.csv', '.ppt', '.pptx', '.odt', '.odp',
+  '.rtf', '.html', '.htm', '.eml', '.msg', '.zip', '.txt', '.png', '.jpg', '.jpeg', '.tif', '.tiff'
+];
+
+// Value for the accept attribute of file inputs
+export const DOCUMENT_FILE_ACCEPT = SUPPORTED_FILE_EXTENSIONS.join(',');
+
+// Browsers report no or inconsistent mimetypes for many of these formats, so check the extension
+export function isSupportedDocumentFile(file: File) {
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+  return file.name.includes('.') && SUPPORTED_FILE_EXTENSIONS.includes(extension);
+}
+
+class DocumentService {
+  async getVersions(documentId: string): Promise<DocumentVersionHistory> {
+    return await apiClient.get(`/documents/${documentId}/versions`);
+  }
+
+  // Upload a revised file; the current one is kept in the version history
+  async uploadVersion(documentId: string, file: File, note?: string) {
+    const formData = new FormData();
+    formData.append('document', file);
+    if (note) formData.append('note', note);
+    return await apiClient.upload(`/documents/${documentId}/versions`, formData);
+  }
+
+  async getDuplicates(documentId: string): Promise<DocumentDuplicates> {
+    return await apiClient.get(`/documents/${documentId}/duplicates`);
+  }
+
+  // Unlink a document wrongly detected as a duplicate and summarize it on its own
+  async markNotDuplicate(documentId: string) {
+    return await apiClient.post(`/documents/${documentId}/not-duplicate`);
+  }
+
+  async getPreview(documentId: string): Promise<DocumentPreview> {
+    return await apiClient.get(`/documents/${documentId}/preview`);
+  }
+
+  // Links for <img>, <iframe> and downloads, which cannot send the Authorization header
+  fileUrl(documentId: string, { download = false } = {}) {
+    const params = new URLSearchParams({ access_token: getToken() || '' });
+    if (download) params.set('download', '1');
+    return `${API_BASE_URL}/documents/${documentId}/file?${params}`;
+  }
+
+  pageImageUrl(documentId: string, page: number) {
+    const params = new URLSearchParams({ access_token: getToken() || '' });
+    return `${API_BASE_URL}/documents/${documentId}/preview/pages/${page}?${params}`;
+  }
+
+  // AI summary of what changed between two versions (to defaults to the current one)
+  async compareVersions(documentId: string, from: number, to?: number): Promise<DocumentChangeSummary> {
+    return await apiClient.post(`/documents/${documentId}/versions/compare`, { from, to });
+  }
+}
+
+export const documentService = new DocumentService();
+export default documentService;
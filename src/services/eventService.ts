@@ -0,0 +1,150 @@
+import { API_BASE_URL } from './api';
+import { getToken } from './session';
+import type { Task } from './taskService';
+
+export type ServerEventType =
+  | 'document-uploaded'
+  | 'document-duplicate'
+  | 'document-routed'
+  | 'summary-completed'
+  | 'summary-failed'
+  | 'task-created'
+  | 'task-updated'
+  | 'task-deleted'
+  | 'task-escalated'
+  | 'email-received';
+
+const EVENT_TYPES: ServerEventType[] = [
+  'document-uploaded',
+  'document-duplicate',
+  'document-routed',
+  'summary-completed',
+  'summary-failed',
+  'task-created',
+  'task-updated',
+  'task-deleted',
+  'task-escalated',
+  'email-received'
+];
+
+export interface DocumentEventData {
+  documentId: string;
+  title: string;
+  source: string;
+  type: string;
+  department: string;
+  priority: string;
+  language: string | null;
+  version: number;
+  fileSize: number;
+  status: string;
+  // Set when the document was linked to an identical or near-identical original
+  duplicateOf?: string | null;
+  similarity?: number;
+  jobId?: string;
+  executiveSummary?: string;
+  confidence?: number;
+  urgencyLevel?: string;
+  actionItemCount?: number;
+  error?: string;
+}
+
+export interface RoutingEventData {
+  documentId: string;
+  title: string;
+  ruleId: string;
+  ruleName: string;
+  department: string;
+  previousDepartment: string;
+  priority: string;
+  owner: string | null;
+  taskIds: string[];
+}
+
+export interface TaskEventData {
+  task?: Task;
+  taskId?: string;
+  documentId?: string | null;
+  changes?: string[];
+  previousStatus?: string;
+  // task-escalated
+  escalationLevel?: number;
+  escalatedTo?: string;
+  hoursOverdue?: number;
+}
+
+export interface EmailEventData {
+  id: string;
+  mailboxId: string;
+  subject: string;
+  from: string;
+  date: string;
+  attachments: number;
+  documentIds: string[];
+  timestamp: string;
+}
+
+export interface ServerEvent<T = unknown> {
+  id: number;
+  type: ServerEventType;
+  timestamp: string;
+  data: T;
+}
+
+type Listener = (event: ServerEvent) => void;
+
+// One EventSource is shared by every subscriber on the page and closed when
+// the last one unsubscribes. EventSource reconnects on its own and resends
+// Last-Event-ID, so the server replays anything missed in between.
+class EventService {
+  private source: EventSource | null = null;
+  private listeners = new Set<Listener>();
+
+  subscribe(listener: Listener): () => void {
+    this.listeners.add(listener);
+    this.connect();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.disconnect();
+      }
+    };
+  }
+
+  private connect() {
+    const token = getToken();
+    if (this.source || !token || typeof EventSource === 'undefined') return;
+
+    // EventSource cannot send an Authorization header
+    this.source = new EventSource(`${API_BASE_URL}/events?access_token=${encodeURIComponent(token)}`);
+    for (const type of EVENT_TYPES) {
+      this.source.addEventListener(type, (message: MessageEvent) => {
+        let event: ServerEvent;
+        try {
+          event = JSON.parse(message.data);
+        } catch (error) {
+          console.error('Malformed server event:', error);
+          return;
+        }
+        this.listeners.forEach((listener) => listener(event));
+      });
+    }
+    this.source.onerror = () => {
+      if (this.source?.readyState === EventSource.CLOSED) {
+        // Rejected (e.g. expired session): allow the next subscriber to reconnect
+        this.source = null;
+        return;
+      }
+      console.warn('Event stream disconnected, browser will retry');
+    };
+  }
+
+  private disconnect() {
+    this.source?.close();
+    this.source = null;
+  }
+}
+
+export const eventService = new EventService();
+export default eventService;
@@ -0,0 +1,65 @@
+import apiClient from './api';
+
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed';
+
+export interface Job {
+  id: string;
+  type: string;
+  status: JobStatus;
+  stage: string;
+  progress: number;
+  attempts: number;
+  maxAttempts: number;
+  documentId: string | null;
+  result: Record<string, unknown> | null;
+  error: string | null;
+  runAfter: string | null;
+  createdAt: string;
+  updatedAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
+// Human-readable labels for the stages reported by document processing jobs
+export const JOB_STAGE_LABELS: Record<string, string> = {
+  queued: 'Waiting in processing queue...',
+  extracting: 'Extracting text from document...',
+  ocr: 'Reading scanned pages (OCR)...',
+  summarizing: 'Analyzing document with AI...',
+  comparing: 'Summarizing changes from the previous version...',
+  saving: 'Saving summary...',
+  retrying: 'Temporary failure, retrying...',
+  completed: 'Processing complete!',
+  failed: 'Processing failed'
+};
+
+class JobService {
+  async getJob(id: string): Promise<Job> {
+    return await apiClient.get(`/jobs/${id}`);
+  }
+
+  async getJobsForDocument(documentId: string): Promise<Job[]> {
+    const response = await apiClient.get(`/jobs?documentId=${encodeURIComponent(documentId)}`);
+    return response.jobs;
+  }
+
+  // Poll a job until it completes or fails, reporting every update
+  async waitForJob(
+    id: string,
+    onUpdate?: (job: Job) => void,
+    intervalMs: number = 1000
+  ): Promise<Job> {
+    for (;;) {
+      const job = await this.getJob(id);
+      onUpdate?.(job);
+
+      if (job.status === 'completed' || job.status === 'failed') {
+        return job;
+      }
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+    }
+  }
+}
+
+export const jobService = new JobService();
+export default jobService;
@@ -0,0 +1,80 @@
+import apiClient from './api';
+
+export type RoutingRuleStatus = 'active' | 'paused' | 'inactive';
+
+// Every non-empty list must match; within a list any entry may
+export interface RoutingConditions {
+  documentTypes: string[];
+  // Substrings of the document source, e.g. "Email" or "Manual Upload"
+  sources: string[];
+  // Searched in the title, executive summary and extracted text
+  keywords: string[];
+  urgencyLevels: Array<'low' | 'medium' | 'high' | 'critical'>;
+  // Detected language: English, Malayalam or Mixed
+  languages: string[];
+  // Email senders: full addresses or "@domain"
+  senders: string[];
+}
+
+export interface RoutingActions {
+  department: string | null;
+  priority: 'critical' | 'high' | 'medium' | 'low' | null;
+  owner: string | null;
+  // Create tasks from the document's action items
+  createTasks: boolean;
+  // Hours until created tasks are due (and escalated when overdue)
+  escalationTime: number | null;
+}
+
+export interface RoutingRule {
+  id: string;
+  name: string;
+  description: string;
+  status: RoutingRuleStatus;
+  // Rules are tried in ascending order; the first match routes the document
+  order: number;
+  conditions: RoutingConditions;
+  actions: RoutingActions;
+  documentsRouted: number;
+  tasksCreated: number;
+  // Routed documents later moved to another department by hand
+  overridden: number;
+  // Percent of routed documents not overridden; null before the first
+  successRate: number | null;
+  lastRoutedAt: string | null;
+  createdAt: string;
+  createdBy: string;
+  updatedAt: string;
+  updatedBy: string;
+}
+
+export interface RoutingRuleInput {
+  name?: string;
+  description?: string;
+  status?: RoutingRuleStatus;
+  order?: number;
+  conditions?: Partial<RoutingConditions>;
+  actions?: Partial<RoutingActions>;
+}
+
+class RoutingService {
+  async getRules(): Promise<{ rules: RoutingRule[] }> {
+    return await apiClient.get('/routing-rules');
+  }
+
+  async createRule(rule: RoutingRuleInput): Promise<RoutingRule> {
+    return await apiClient.post('/routing-rules', rule);
+  }
+
+  // Conditions and actions are merged into the rule's current ones
+  async updateRule(id: string, changes: RoutingRuleInput): Promise<RoutingRule> {
+    return await apiClient.put(`/routing-rules/${id}`, changes);
+  }
+
+  async deleteRule(id: string): Promise<{ message: string; rule: RoutingRule }> {
+    return await apiClient.delete(`/routing-rules/${id}`);
+  }
+}
+
+export const routingService = new RoutingService();
+export default routingService;
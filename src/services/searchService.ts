@@ -0,0 +1,57 @@
+import apiClient from './api';
+
+export type SearchKind = 'document' | 'summary' | 'task';
+
+export interface SearchResult {
+  kind: SearchKind;
+  id: string;
+  documentId: string | null;
+  title: string;
+  department: string;
+  score: number;
+  matchedTerms: string[];
+  field: 'title' | 'body';
+  snippet: string;
+  // [start, end) character offsets of matched words within `snippet`
+  highlights: [number, number][];
+}
+
+export interface SearchResponse {
+  query: string;
+  terms: string[];
+  total: number;
+  results: SearchResult[];
+}
+
+export const SEARCH_KIND_LABELS: Record<SearchKind, string> = {
+  document: 'Document',
+  summary: 'AI Summary',
+  task: 'Task'
+};
+
+/**
+ * Split a snippet into plain and highlighted segments for rendering.
+ */
+export function highlightSegments(snippet: string, highlights: [number, number][]) {
+  const segments: { text: string; highlighted: boolean }[] = [];
+  let cursor = 0;
+  for (const [start, end] of highlights) {
+    if (start > cursor) segments.push({ text: snippet.slice(cursor, start), highlighted: false });
+    segments.push({ text: snippet.slice(start, end), highlighted: true });
+    cursor = end;
+  }
+  if (cursor < snippet.length) segments.push({ text: snippet.slice(cursor), highlighted: false });
+  return segments;
+}
+
+class SearchService {
+  async search(query: string, options: { types?: SearchKind[]; limit?: number } = {}): Promise<SearchResponse> {
+    const params = new URLSearchParams({ q: query });
+    if (options.types?.length) params.set('types', options.types.join(','));
+    if (options.limit) params.set('limit', String(options.limit));
+    return await apiClient.get(`/search?${params.toString()}`);
+  }
+}
+
+export const searchService = new SearchService();
+export default searchService;
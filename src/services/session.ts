@@ -0,0 +1,62 @@
+// Session token and user profile persisted across page reloads
+const TOKEN_KEY = 'documind.token';
+const USER_KEY = 'documind.user';
+
+export type UserRole = 'admin' | 'department-head' | 'staff' | 'viewer';
+
+export interface AuthUser {
+  id: string;
+  username: string;
+  name: string;
+  email: string | null;
+  role: UserRole;
+  department: string;
+  active: boolean;
+  lastLoginAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+  createdBy: string;
+  updatedBy: string;
+}
+
+export const ROLE_LABELS: Record<UserRole, string> = {
+  admin: 'Administrator',
+  'department-head': 'Department Head',
+  staff: 'Staff',
+  viewer: 'Viewer'
+};
+
+export function getToken(): string | null {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function getStoredUser(): AuthUser | null {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(token: string, user: AuthUser) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+}
+
+export function authHeaders(): Record<string, string> {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Called by the API clients on 401: the session expired or was revoked
+export function handleUnauthorized() {
+  clearSession();
+  if (window.location.pathname !== '/login') {
+    window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname)}`);
+  }
+}
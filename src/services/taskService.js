@@ -78,20 +78,48 @@ export class TaskService {
   }
 
   /**
-   * Update task status
+   * Move a task along the workflow
    * @param {string} taskId - Task ID
    * @param {string} status - New status
+   * @param {string} [comment] - Note stored in the task history
    * @returns {Promise<object>} Updated task
    */
-  async updateTaskStatus(taskId, status) {
+  async updateTaskStatus(taskId, status, comment) {
     try {
-      return await apiClient.patch(`/tasks/${taskId}/status`, { status });
+      return await apiClient.patch(`/tasks/${taskId}/status`, { status, comment });
     } catch (error) {
       console.error('Error updating task status:', error);
       throw new Error(`Failed to update task status: ${error.message}`);
     }
   }
 
+  /**
+   * Get the change history of a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<object>} Task ID and its activity entries, oldest first
+   */
+  async getTaskHistory(taskId) {
+    try {
+      return await apiClient.get(`/tasks/${taskId}/history`);
+    } catch (error) {
+      console.error('Error fetching task history:', error);
+      throw new Error(`Failed to fetch task history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the task workflow: statuses, allowed moves and role guards
+   * @returns {Promise<object>} Task workflow
+   */
+  async getWorkflow() {
+    try {
+      return await apiClient.get('/tasks/workflow');
+    } catch (error) {
+      console.error('Error fetching task workflow:', error);
+      throw new Error(`Failed to fetch task workflow: ${error.message}`);
+    }
+  }
+
   /**
    * Delete task
    * @param {string} taskId - Task ID
@@ -150,24 +178,33 @@ export class TaskService {
   }
 
   /**
-   * Get overdue tasks
+   * Get overdue tasks (past their deadline or SLA), most overdue first
+   * @param {boolean} includeAtRisk - Also return tasks about to become overdue
    * @returns {Promise<Array>} Overdue tasks
    */
-  async getOverdueTasks() {
+  async getOverdueTasks(includeAtRisk = false) {
     try {
-      const response = await this.getTasks();
-      const now = new Date();
-      
-      return response.tasks.filter(task => {
-        if (!task.deadline) return false;
-        const deadline = new Date(task.deadline);
-        return deadline < now && task.status !== 'completed';
-      });
+      const query = includeAtRisk ? '?includeAtRisk=true' : '';
+      const response = await apiClient.get(`/tasks/overdue${query}`);
+      return response.tasks;
     } catch (error) {
       console.error('Error fetching overdue tasks:', error);
       throw new Error(`Failed to fetch overdue tasks: ${error.message}`);
     }
   }
+
+  /**
+   * Get task counts per SLA state, escalation counts and SLA compliance
+   * @returns {Promise<object>} SLA summary
+   */
+  async getSlaSummary() {
+    try {
+      return await apiClient.get('/tasks/sla/summary');
+    } catch (error) {
+      console.error('Error fetching SLA summary:', error);
+      throw new Error(`Failed to fetch SLA summary: ${error.message}`);
+    }
+  }
 }
 
 export const taskService = new TaskService();
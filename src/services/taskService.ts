@@ -1,11 +1,48 @@
 import apiClient from './api';
 
+// Passage of the source document an AI-suggested task was drawn from
+export interface TaskSource {
+  excerpt: string;
+  page: number | null;
+  // Character offset of the excerpt in the extracted text
+  start: number;
+  // 'approximate' when the model's quote was not found verbatim
+  match: 'exact' | 'approximate';
+}
+
+// Statuses of the built-in workflow; the server may be configured with others
+export type TaskStatus =
+  | 'pending'
+  | 'in-progress'
+  | 'blocked'
+  | 'in-review'
+  | 'completed'
+  | 'cancelled'
+  | 'reopened';
+
+// SLA standing stored by the backend monitor; closed tasks end as met or breached
+export interface TaskSla {
+  state: 'on-track' | 'at-risk' | 'overdue' | 'met' | 'breached';
+  dueAt: string | null;
+  closedAt?: string;
+  // Only on live evaluations, e.g. from getOverdueTasks()
+  hoursOverdue?: number;
+}
+
+export interface SlaSummary {
+  total: number;
+  byState: Record<TaskSla['state'], number>;
+  escalations: { total: number; last24Hours: number };
+  // Percent of closed tasks finished within their SLA; null before any closed
+  compliance: number | null;
+}
+
 export interface Task {
   id: string;
   title: string;
   description: string;
   priority: 'critical' | 'high' | 'medium' | 'low';
-  status: 'pending' | 'in-progress' | 'completed' | 'cancelled';
+  status: TaskStatus;
   assignee: string;
   department: string;
   deadline: string | null;
@@ -13,9 +50,41 @@ export interface Task {
   createdAt: string;
   updatedAt: string;
   createdBy: string;
+  updatedBy?: string;
   documentId: string | null;
+  source?: TaskSource | null;
   category: string;
   tags: string[];
+  sla?: TaskSla;
+  // Steps up the escalation chain taken while overdue
+  escalationLevel?: number;
+  // Statuses the current user may move the task to (GET /tasks/:id only)
+  allowedTransitions?: TaskStatus[];
+}
+
+export interface TaskWorkflow {
+  initial: TaskStatus;
+  statuses: TaskStatus[];
+  // Statuses that count as done, e.g. for overdue checks
+  closed: TaskStatus[];
+  transitions: Record<string, TaskStatus[]>;
+  // "from->to" (either side may be "*") -> roles allowed to make that move
+  guards: Record<string, string[]>;
+}
+
+export interface TaskActivity {
+  id: string;
+  taskId: string;
+  action: 'created' | 'updated' | 'status-changed' | 'escalated';
+  changes: Array<{ field: string; from: unknown; to: unknown }>;
+  comment: string | null;
+  by: string;
+  at: string;
+}
+
+export interface TaskHistory {
+  taskId: string;
+  history: TaskActivity[];
 }
 
 export interface TaskFilters {
@@ -48,12 +117,8 @@ export interface TasksResponse {
 
 export interface TaskStats {
   total: number;
-  byStatus: {
-    pending: number;
-    'in-progress': number;
-    completed: number;
-    cancelled: number;
-  };
+  // One entry per workflow status
+  byStatus: Record<string, number>;
   byPriority: {
     critical: number;
     high: number;
@@ -87,9 +152,16 @@ export interface BatchCreateTasksRequest {
     assignee?: string;
     category?: string;
     tags?: string[];
+    source?: TaskSource | null;
   }>;
   documentId?: string;
-  createdBy?: string;
+}
+
+export interface BatchCreateTasksResponse {
+  message: string;
+  tasks: Task[];
+  // Items not created, e.g. because they repeat an open task of the same document
+  skipped: Array<{ index: number; reason: string; taskId?: string }>;
 }
 
 class TaskService {
@@ -120,10 +192,7 @@ class TaskService {
   }
 
   // Create multiple tasks from action items
-  async createTasksBatch(request: BatchCreateTasksRequest): Promise<{
-    message: string;
-    tasks: Task[];
-  }> {
+  async createTasksBatch(request: BatchCreateTasksRequest): Promise<BatchCreateTasksResponse> {
     return await apiClient.post('/tasks/batch', request);
   }
 
@@ -132,9 +201,18 @@ class TaskService {
     return await apiClient.put(`/tasks/${id}`, updates);
   }
 
-  // Update task status only
-  async updateTaskStatus(id: string, status: Task['status']): Promise<Task> {
-    return await apiClient.patch(`/tasks/${id}/status`, { status });
+  // Move a task along the workflow; disallowed moves are rejected by the server
+  async updateTaskStatus(id: string, status: Task['status'], comment?: string): Promise<Task> {
+    return await apiClient.patch(`/tasks/${id}/status`, { status, comment });
+  }
+
+  // Every change made to a task, oldest first
+  async getTaskHistory(id: string): Promise<TaskHistory> {
+    return await apiClient.get(`/tasks/${id}/history`);
+  }
+
+  async getWorkflow(): Promise<TaskWorkflow> {
+    return await apiClient.get('/tasks/workflow');
   }
 
   // Delete task
@@ -188,17 +266,15 @@ class TaskService {
     return await this.updateTaskStatus(id, 'cancelled');
   }
 
-  // Get overdue tasks
-  async getOverdueTasks(): Promise<Task[]> {
-    const response = await this.getTasks();
-    const now = new Date();
-    
-    return response.tasks.filter(task => {
-      if (!task.deadline || task.status === 'completed' || task.status === 'cancelled') {
-        return false;
-      }
-      return new Date(task.deadline) < now;
-    });
+  // Get overdue tasks (past their deadline or SLA), most overdue first
+  async getOverdueTasks(includeAtRisk = false): Promise<Task[]> {
+    const query = includeAtRisk ? '?includeAtRisk=true' : '';
+    const response: { tasks: Task[]; total: number } = await apiClient.get(`/tasks/overdue${query}`);
+    return response.tasks;
+  }
+
+  async getSlaSummary(): Promise<SlaSummary> {
+    return await apiClient.get('/tasks/sla/summary');
   }
 
   // Get upcoming tasks (due within next 7 days)
@@ -4,6 +4,9 @@ export interface IngestionStats {
     count: number;
     status: "active" | "paused" | "error" | "syncing" | "offline";
     lastSync: string;
+    totalToday?: number;
+    processed?: number;
+    failed?: number;
   };
 }
 
@@ -18,7 +21,8 @@ export interface LanguageStats {
   englishCount: number;
   malayalamCount: number;
   mixedCount: number;
-  translationAccuracy: number;
+  // Documents whose summary is available in both English and Malayalam
+  bilingualSummaryCount: number;
 }
 
 export interface RecentSummary {
@@ -37,34 +41,6 @@ export interface WorkflowMetrics {
   completed: number;
 }
 
-export interface RoutingRule {
-  id: string;
-  name: string;
-  description: string;
-  status: "active" | "inactive" | "paused";
-  documentsRouted: number;
-  escalationTime: number;
-  successRate: number;
-}
-
-export interface ComplianceStats {
-  complianceRate: number;
-  pendingTasks: number;
-  overdueTasks: number;
-  completedThisMonth: number;
-}
-
-export interface ComplianceItem {
-  id: string;
-  title: string;
-  description: string;
-  deadline: string;
-  status: "completed" | "in-progress" | "overdue" | "upcoming";
-  progress: number;
-  priority: "high" | "medium" | "low";
-  regulatoryBody: string;
-}
-
 export interface StatsData {
   documentsToday: number;
   pendingActions: number;